@@ -13,6 +13,7 @@ import mongoSanitize from "express-mongo-sanitize";
 
 // Utils
 import { validateInput } from "../src/utils/backend/validate-utils.js";
+import { enroll, enrollmentProblem, leaveClass } from "../server/services/enrollment-service.js";
 
 // Schemas (used by a few legacy endpoints below)
 import User from "../server/schemas/User.js";
@@ -24,6 +25,11 @@ import emailRoutes from "../server/routes/email-routes.js";
 import userRoutes from "../server/routes/user-routes.js";
 import levelRoutes from "../server/routes/level-routes.js";
 import classRoutes from "../server/routes/class-routes.js";
+import adminRoutes from "../server/routes/admin-routes.js";
+import attendanceRoutes from "../server/routes/attendance-routes.js";
+import courseTypeRoutes from "../server/routes/course-type-routes.js";
+import calendarRoutes from "../server/routes/calendar-routes.js";
+import inquiryRoutes from "../server/routes/inquiry-routes.js";
 
 // Memoized DB connection (must export a function that reuses an existing conn)
 import { dbConnect } from "../server/db.js";
@@ -33,6 +39,9 @@ import security from "../server/middleware/security.js";
 
 // Rate limiting
 import { apiLimiter, burstLimiter } from "../server/middleware/rate-limit.js";
+import { requireAuth, requireSelfOr } from "../server/middleware/auth.js";
+import { idempotent } from "../server/middleware/idempotency.js";
+import { audit, loadById } from "../server/middleware/audit.js";
 
 const app = express();
 
@@ -66,12 +75,16 @@ app.use(
       "Accept",
       "Content-Type",
       "Authorization",
-      "X-Requested-With"
+      "X-Requested-With",
+      "Idempotency-Key"
     ],
   })
 );
 
 // Body parsing & basic injection protection
+// Translation and student imports carry whole files; everything else stays small.
+app.use("/api/locales/import", express.json({ limit: "5mb" }));
+app.use("/api/admin/student-imports", express.json({ limit: "5mb" }));
 app.use(express.json({ limit: "100kb" }));
 app.use(mongoSanitize());
 
@@ -79,6 +92,7 @@ app.use(mongoSanitize());
 app.use("/api", apiLimiter);
 // Stricter limiter for sensitive endpoints
 app.use("/api/sign-up", burstLimiter);
+app.use("/api/contact", burstLimiter);
 
 // Ensure DB is connected before any route runs.
 // dbConnect() should be memoized so warm invocations are a fast no-op.
@@ -105,6 +119,11 @@ app.use("/api", emailRoutes);
 app.use("/api", userRoutes);
 app.use("/api/levels", levelRoutes);
 app.use("/api/classes", classRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/attendance", attendanceRoutes);
+app.use("/api/course-types", courseTypeRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/inquiries", inquiryRoutes);
 
 // --- Health check (simple visibility for uptime checks) ----------------------
 app.get("/api/health", (_req, res) => {
@@ -120,8 +139,11 @@ app.get("/api/all-classes", async (req, res) => {
     if ("level" in req.query) {
       req.query.level = Number(req.query.level);
     }
-    const allowedFields = ["level", "instructor", "ageGroup"];
+    const allowedFields = ["level", "instructor", "instructorId", "ageGroup"];
     const filters = validateInput(req.query, allowedFields);
+    if ("instructorId" in filters && !mongoose.Types.ObjectId.isValid(filters.instructorId)) {
+      return res.status(400).json({ error: "Invalid instructor ID" });
+    }
 
     const data = await Class.find(filters);
     res.json(data);
@@ -131,7 +153,7 @@ app.get("/api/all-classes", async (req, res) => {
 });
 
 // Enroll in a class
-app.put("/api/users/:id/enroll", async (req, res) => {
+app.put("/api/users/:id/enroll", requireAuth, requireSelfOr("student:enroll"), idempotent, audit("user", { load: loadById(User), action: "enroll" }), async (req, res) => {
   const { classId } = req.body;
   const { id } = req.params;
 
@@ -141,20 +163,19 @@ app.put("/api/users/:id/enroll", async (req, res) => {
 
   try {
     const user = await User.findById(id);
-    if (user.enrolledClasses.includes(classId)) {
-      return res.status(400).json({ message: "Already enrolled in this class" });
-    }
-
+    if (!user) return res.status(404).json({ message: "User not found" });
     const cls = await Class.findById(classId);
     if (!cls) return res.status(404).json({ message: "Class not found" });
-    if (!cls.isEnrollmentOpen) {
-      return res.status(403).json({ message: "Enrollment is currently closed for this class." });
-    }
+    const problem = enrollmentProblem(user, cls);
+    if (problem) return res.status(problem.status).json({ message: problem.message });
 
-    await User.findByIdAndUpdate(id, { $addToSet: { enrolledClasses: classId } });
-    await Class.findByIdAndUpdate(classId, { $addToSet: { roster: id } });
+    // Full classes put the student on the waitlist instead
+    const { waitlisted, position } = await enroll(classId, id);
+    if (waitlisted) {
+      return res.status(202).json({ message: "Class is full, added to waitlist", waitlisted, position });
+    }
 
-    res.status(201).json({ message: "Enrolled successfully!" });
+    res.status(201).json({ message: "Enrolled successfully!", waitlisted });
   } catch (err) {
     console.error("Error enrolling into class:", err);
     res.status(500).json({ message: "Error enrolling into class" });
@@ -162,7 +183,7 @@ app.put("/api/users/:id/enroll", async (req, res) => {
 });
 
 // Unenroll from a class
-app.put("/api/users/:id/unenroll", async (req, res) => {
+app.put("/api/users/:id/unenroll", requireAuth, requireSelfOr("student:enroll"), idempotent, audit("user", { load: loadById(User), action: "unenroll" }), async (req, res) => {
   const { classId } = req.body;
   const { id } = req.params;
 
@@ -172,108 +193,18 @@ app.put("/api/users/:id/unenroll", async (req, res) => {
 
   try {
     const user = await User.findById(id);
-    if (!user.enrolledClasses.includes(classId)) {
-      return res.status(400).json({ message: "Not enrolled in this class" });
-    }
-
-    await User.findByIdAndUpdate(id, { $pull: { enrolledClasses: classId } });
-    await Class.findByIdAndUpdate(classId, { $pull: { roster: id } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    // Leaving a waitlist goes through the same endpoint
+    const left = await leaveClass(classId, user);
+    if (!left) return res.status(400).json({ message: "Not enrolled in this class" });
 
-    res.status(201).json({ message: "Successfully unenrolled" });
+    res.status(201).json({ message: left === "waitlist" ? "Removed from waitlist" : "Successfully unenrolled" });
   } catch (err) {
+    console.error("Error unenrolling from class:", err);
     res.status(500).json({ message: "Error unenrolling into class" });
   }
 });
 
-// Students export (kept as-is functionally)
-app.get("/api/students-export", async (_req, res) => {
-  try {
-    const students = await User.find({ privilege: "student" });
-    const classes = await Class.find();
-    const classMap = new Map(classes.map((c) => [c._id.toString(), c]));
-
-    const formatTime = (hours, minutes) => {
-      const period = hours >= 12 ? "pm" : "am";
-      const hour12 = hours % 12 || 12;
-      return `${hour12}:${minutes.toString().padStart(2, "0")}${period}`;
-    };
-
-    const formattedStudents = [];
-
-    for (const student of students) {
-      const enrolled = (student.enrolledClasses || [])
-        .map((classId) => {
-          const classInfo = classMap.get(classId.toString());
-          if (!classInfo || !Array.isArray(classInfo.schedule)) return null;
-
-          const scheduleEST = classInfo.schedule
-            .map((s) => `${s.day} ${s.startTime}-${s.endTime}`)
-            .join("\n");
-
-          const scheduleIstanbul = classInfo.schedule
-            .map((s) => {
-              const [startHour, startMin] = s.startTime.split(":").map(Number);
-              const [endHour, endMin] = s.endTime.split(":").map(Number);
-
-              const estStart = new Date();
-              const estEnd = new Date();
-              estStart.setHours(startHour, startMin || 0);
-              estEnd.setHours(endHour, endMin || 0);
-
-              const istStart = new Date(estStart.getTime() + 7 * 60 * 60 * 1000);
-              const istEnd = new Date(estEnd.getTime() + 7 * 60 * 60 * 1000);
-
-              return `${s.day} ${formatTime(istStart.getHours(), istStart.getMinutes())}-${formatTime(
-                istEnd.getHours(),
-                istEnd.getMinutes()
-              )}`;
-            })
-            .join("\n");
-
-          return {
-            level: classInfo.level,
-            ageGroup: classInfo.ageGroup,
-            instructor: classInfo.instructor,
-            link: classInfo.link,
-            scheduleEST,
-            scheduleIstanbul
-          };
-        })
-        .filter(Boolean);
-
-      if (enrolled.length === 0) {
-        formattedStudents.push({
-          firstName: student.firstName,
-          lastName: student.lastName,
-          email: student.email,
-          creationDate: student.creationDate.toISOString().split("T")[0],
-          level: "",
-          ageGroup: "",
-          instructor: "",
-          link: "",
-          scheduleEST: "",
-          scheduleIstanbul: ""
-        });
-      } else {
-        for (const classInfo of enrolled) {
-          formattedStudents.push({
-            firstName: student.firstName,
-            lastName: student.lastName,
-            email: student.email,
-            creationDate: student.creationDate.toISOString().split("T")[0],
-            ...classInfo
-          });
-        }
-      }
-    }
-
-    res.json({ student_data: formattedStudents });
-  } catch (err) {
-    console.error("Error exporting students:", err.stack || err);
-    res.status(500).json({ message: "Error exporting students" });
-  }
-});
-
 // --- Local dev only: start HTTP server ---------------------------------------
 // Vercel (serverless) will NOT use this. It requires a default export.
 if (process.env.VERCEL !== "1" && process.env.NODE_ENV !== "production") {
@@ -0,0 +1,70 @@
+// api/middleware/audit.js
+// Records successful writes in the audit log (see audit-log-service).
+// Goes on a write route after its auth guards:
+//
+//   router.put('/classes/:id', requireAuth, requirePermission('class:update'),
+//     audit('class', { load: loadById(Class) }), handler)
+//
+// The target is loaded before the handler runs and again when it responds,
+// and the entry stores what changed between the two. The response waits
+// until the entry is written, so nothing is left running after it on
+// serverless hosts; a failure to record is logged and never fails the write.
+// Responses with an error status aren't recorded.
+//
+// Options:
+//   load(targetId, req)    current version of the target (null once deleted)
+//   target(req, body)      the target's id; `body` is undefined before the
+//                          write. May be async. Default: req.params.id, or
+//                          the response's _id for creates.
+//   action                 stored action name; default from the HTTP method
+//   summary(body, req)     for bulk writes with no single target: what to
+//                          store instead of a diff
+
+import mongoose from "mongoose";
+import { recordAudit } from "../services/audit-log-service.js";
+
+const ACTIONS = { POST: "create", PUT: "update", PATCH: "update", DELETE: "delete" };
+
+const defaultTarget = (req, body) => req.params.id ?? body?._id;
+
+// `load` for documents addressed by ObjectId
+export const loadById = (Model) => (id) => (
+  mongoose.Types.ObjectId.isValid(String(id)) ? Model.findById(id).lean() : null
+);
+
+export function audit(entity, { load, target = defaultTarget, action, summary } = {}) {
+  return async function auditWrite(req, res, next) {
+    let before = null;
+    try {
+      const targetId = summary ? null : await target(req);
+      if (load && targetId) before = await load(targetId, req);
+    } catch (err) {
+      console.error(`Audit: failed to load ${entity} before write:`, err);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      if (res.statusCode >= 400) return json(body);
+
+      (async () => {
+        try {
+          const entry = { entity, action: action ?? ACTIONS[req.method] ?? req.method.toLowerCase(), status: res.statusCode };
+          if (summary) {
+            entry.summary = summary(body, req);
+          } else {
+            entry.targetId = await target(req, body);
+            entry.before = before;
+            entry.after = load && entry.targetId ? await load(entry.targetId, req) : null;
+          }
+          await recordAudit(req, entry);
+        } catch (err) {
+          console.error(`Audit: failed to record ${entity} write:`, err);
+        }
+      })().finally(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+}
@@ -5,6 +5,13 @@
 //   - requireAuth: ensures a valid Clerk session (401 if not signed in).
 //   - requireAdminOrInstructor: only allows users whose Mongo `privilege` is
 //     "admin" or "instructor" (403 otherwise).
+//   - ROLE_PERMISSIONS / hasPermission: role → permission map used below.
+//   - requirePermission(...perms): allows the request if the signed-in user's
+//     role grants any of `perms` (403 otherwise).
+//   - requireSelfOr(...perms): allows a user to act on their own account
+//     (`:id` route param) and anyone whose role grants any of `perms`.
+//   - teachesClass(me, cls): whether an instructor owns a class, for
+//     permissions scoped to "their" classes.
 //
 // Prereqs:
 //   • Backend env must include CLERK_SECRET_KEY.
@@ -15,6 +22,40 @@ import User from '../schemas/User.js';
 
 const hasClerkSecret = Boolean(process.env.CLERK_SECRET_KEY);
 
+// Permissions are "<resource>:<action>"; "*" grants everything.
+// Anonymous callers have no permissions, so they only reach unguarded (read) routes.
+//   - class:*        classes of every course type
+//   - course-type:*  the course type registry (Conversation, IELTS, ...)
+//   - class:update-link  edit only the `link` of a class the instructor teaches
+//   - class:roster        roster export and sign-in sheet (instructors: only classes they teach)
+//   - attendance:mark     take attendance (instructors: only classes they teach)
+//   - attendance:read-own see your own attendance history
+//   - attendance:report   attendance rates for any class or student
+//   - calendar:subscribe  manage your own iCalendar feed link
+//   - inquiry:*      contact-form inbox (read, update, reply)
+//   - mail:*         the outgoing mail retry queue and dev outbox
+//   - student:import bulk student import from a spreadsheet
+//   - student:enroll enroll any student in a class, or take them out of one
+//   - student:bulk   bulk enroll/move/unenroll, privilege change and delete from the student list
+//   - audit:read     search the audit log of class, level, user and translation writes
+//   - level:*        levels
+//   - translation:*  translation strings (incl. i18nexus transfer, bulk import/export,
+//                    revision history, revert and restore-to-date)
+export const ROLE_PERMISSIONS = Object.freeze({
+  admin: ['*'],
+  instructor: ['class:update-link', 'class:roster', 'attendance:mark', 'calendar:subscribe'],
+  student: ['attendance:read-own', 'calendar:subscribe'],
+});
+
+export const hasPermission = (privilege, permission) => {
+  const granted = ROLE_PERMISSIONS[privilege] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// Instructors own the classes linked to their account via instructorId
+export const teachesClass = (me, cls) =>
+  !!me?._id && !!cls.instructorId && String(cls.instructorId) === String(me._id);
+
 // Session guard (adds req.auth on success)
 // If secret is present, use Clerk; else respond 503 gracefully.
 export const requireAuth = hasClerkSecret
@@ -38,4 +79,59 @@ export async function requireAdminOrInstructor(req, res, next) {
     console.error('requireAdminOrInstructor error:', err);
     res.status(500).json({ message: 'Auth check failed' });
   }
-}
\ No newline at end of file
+}
+
+// Must run after requireAuth. On success sets:
+//   req.me         → the signed-in user (_id, privilege, firstName, lastName)
+//   req.permission → the first of `permissions` the user's role grants, so
+//                    handlers can narrow what a scoped permission may change.
+export function requirePermission(...permissions) {
+  return async function checkPermission(req, res, next) {
+    try {
+      if (!hasClerkSecret) {
+        return res.status(503).json({ message: 'Auth disabled: missing CLERK_SECRET_KEY' });
+      }
+      const clerkId = req.auth?.userId; // set by requireAuth
+      if (!clerkId) return res.status(401).json({ message: 'Unauthorized' });
+
+      const me = await User.findOne({ clerkId }).select('privilege firstName lastName').lean();
+      const granted = me && permissions.find((p) => hasPermission(me.privilege, p));
+      if (!granted) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      req.me = me;
+      req.permission = granted;
+      next();
+    } catch (err) {
+      console.error('requirePermission error:', err);
+      res.status(500).json({ message: 'Auth check failed' });
+    }
+  };
+}
+
+// Like requirePermission, but users may always act on themselves: passes when
+// req.params.id is the signed-in user's _id. Must run after requireAuth; sets req.me.
+export function requireSelfOr(...permissions) {
+  return async function checkSelfOrPermission(req, res, next) {
+    try {
+      if (!hasClerkSecret) {
+        return res.status(503).json({ message: 'Auth disabled: missing CLERK_SECRET_KEY' });
+      }
+      const clerkId = req.auth?.userId; // set by requireAuth
+      if (!clerkId) return res.status(401).json({ message: 'Unauthorized' });
+
+      const me = await User.findOne({ clerkId }).select('privilege firstName lastName').lean();
+      const isSelf = me && String(me._id) === String(req.params.id);
+      if (!me || (!isSelf && !permissions.some((p) => hasPermission(me.privilege, p)))) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      req.me = me;
+      next();
+    } catch (err) {
+      console.error('requireSelfOr error:', err);
+      res.status(500).json({ message: 'Auth check failed' });
+    }
+  };
+}
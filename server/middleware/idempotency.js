@@ -0,0 +1,62 @@
+// api/middleware/idempotency.js
+// Makes write endpoints safe to retry or double-submit.
+// - The client sends an `Idempotency-Key` header (one key per user action).
+// - The first request with a key runs normally and its JSON response is stored.
+// - Repeats with the same key get the stored response replayed, or a 409
+//   while the first one is still running.
+// - Server errors (5xx) are not stored, so the action can be retried.
+// - Keys are scoped to the caller (their Clerk user id) and the endpoint, so
+//   two users who happen to send the same key never see each other's response.
+//   Put it after requireAuth: without a session every caller shares one scope.
+// Requests without the header pass through unchanged.
+
+import IdempotencyKey from "../schemas/IdempotencyKey.js";
+
+const MAX_KEY_LENGTH = 128;
+
+export async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: "Invalid Idempotency-Key" });
+  }
+
+  const caller = req.auth?.userId ?? "anonymous";
+  const scope = `${caller} ${req.method} ${req.originalUrl.split("?")[0]}`;
+
+  try {
+    await IdempotencyKey.create({ key, scope });
+  } catch (err) {
+    if (err?.code !== 11000) {
+      console.error("Idempotency check failed:", err);
+      return res.status(500).json({ message: "Idempotency check failed" });
+    }
+
+    let previous;
+    try {
+      previous = await IdempotencyKey.findOne({ key, scope }).lean();
+    } catch (lookupErr) {
+      console.error("Idempotency lookup failed:", lookupErr);
+      return res.status(500).json({ message: "Idempotency check failed" });
+    }
+    if (!previous || previous.statusCode == null) {
+      return res.status(409).json({ message: "This request is already being processed" });
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(previous.statusCode).json(previous.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ key, scope })
+      : IdempotencyKey.updateOne({ key, scope }, { statusCode: res.statusCode, body });
+    // Store before responding so the record survives serverless freezes
+    settle
+      .catch((err) => console.error("Failed to store idempotent response:", err))
+      .finally(() => json(body));
+    return res;
+  };
+
+  next();
+}
@@ -0,0 +1,218 @@
+import express from "express";
+import mongoose from "mongoose";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { checkEnrollmentIntegrity } from "../services/integrity-service.js";
+import { mailQueueStatus, retryQueuedMail, retryMail } from "../services/mail-service.js";
+import { isOutboxEnabled, transportName, listOutbox, readOutboxMessage, clearOutbox } from "../services/mail-transport.js";
+import { StudentImportError, continueImport, importReport, previewImport, startImport } from "../services/student-import-service.js";
+import { SPREADSHEET_FORMATS, writeCsv, writeXlsx } from "../../src/utils/backend/spreadsheet-utils.js";
+import { AuditLogError, searchAuditLogs } from "../services/audit-log-service.js";
+import StudentImport from "../schemas/StudentImport.js";
+
+const router = express.Router();
+
+/* -----------------------------
+   Data integrity
+------------------------------*/
+
+// Report enrollment drift without changing anything
+router.get("/integrity/enrollments", requireAuth, requirePermission("integrity:check"), async (_req, res) => {
+  try {
+    res.json(await checkEnrollmentIntegrity());
+  } catch (error) {
+    console.error("Failed to check enrollment integrity:", error);
+    res.status(500).json({ message: "Failed to check enrollment integrity" });
+  }
+});
+
+// Repair enrollment drift and return what was found
+router.post("/integrity/enrollments/repair", requireAuth, requirePermission("integrity:repair"), async (_req, res) => {
+  try {
+    res.json(await checkEnrollmentIntegrity({ apply: true }));
+  } catch (error) {
+    console.error("Failed to repair enrollment integrity:", error);
+    res.status(500).json({ message: "Failed to repair enrollment integrity" });
+  }
+});
+
+/* -----------------------------
+   Mail retry queue
+------------------------------*/
+
+// Unsent mail (queued for retry or given up on)
+router.get("/mail-queue", requireAuth, requirePermission("mail:read"), async (_req, res) => {
+  try {
+    res.json(await mailQueueStatus());
+  } catch (error) {
+    console.error("Failed to fetch mail queue:", error);
+    res.status(500).json({ message: "Failed to fetch mail queue" });
+  }
+});
+
+// Send every queued message that is due
+router.post("/mail-queue/retry", requireAuth, requirePermission("mail:retry"), async (_req, res) => {
+  try {
+    res.json(await retryQueuedMail());
+  } catch (error) {
+    console.error("Failed to process mail queue:", error);
+    res.status(500).json({ message: "Failed to process mail queue" });
+  }
+});
+
+// Try one message again now, including ones that ran out of attempts
+router.post("/mail-queue/:id/retry", requireAuth, requirePermission("mail:retry"), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid mail ID" });
+  }
+  try {
+    const mail = await retryMail(id);
+    if (!mail) return res.status(404).json({ message: "No unsent mail with this ID" });
+    res.json({ status: mail.status, attempts: mail.attempts, lastError: mail.lastError });
+  } catch (error) {
+    console.error("Failed to retry mail:", error);
+    res.status(500).json({ message: "Failed to retry mail" });
+  }
+});
+
+/* -----------------------------
+   Dev outbox (file/memory mail transports only)
+------------------------------*/
+
+const requireOutbox = (_req, res, next) => {
+  if (!isOutboxEnabled()) {
+    const name = transportName();
+    return res.status(404).json({
+      message: `No outbox: ${name ? `mail is sent with the "${name}" transport` : "no mail transport is configured"}`,
+    });
+  }
+  next();
+};
+
+// Captured messages, newest first
+router.get("/outbox", requireAuth, requirePermission("mail:read"), requireOutbox, async (_req, res) => {
+  try {
+    res.json({ transport: transportName(), messages: await listOutbox() });
+  } catch (error) {
+    console.error("Failed to read outbox:", error);
+    res.status(500).json({ message: "Failed to read outbox" });
+  }
+});
+
+router.get("/outbox/:id", requireAuth, requirePermission("mail:read"), requireOutbox, async (req, res) => {
+  try {
+    const message = await readOutboxMessage(req.params.id);
+    if (!message) return res.status(404).json({ message: "Message not found" });
+    res.json(message);
+  } catch (error) {
+    console.error("Failed to read outbox message:", error);
+    res.status(500).json({ message: "Failed to read outbox message" });
+  }
+});
+
+router.delete("/outbox", requireAuth, requirePermission("mail:clear"), requireOutbox, async (_req, res) => {
+  try {
+    res.json({ removed: await clearOutbox() });
+  } catch (error) {
+    console.error("Failed to clear outbox:", error);
+    res.status(500).json({ message: "Failed to clear outbox" });
+  }
+});
+
+/* -----------------------------
+   Student import
+------------------------------*/
+
+// Body: { format: "csv" | "xlsx", content, fileName? }; content is the CSV
+// text or the base64 of the .xlsx file
+
+const importError = (res, error, action) => {
+  if (error instanceof StudentImportError) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Failed to ${action} student import:`, error);
+  res.status(500).json({ message: `Failed to ${action} student import` });
+};
+
+// Validate every row without creating anything
+router.post("/student-imports/preview", requireAuth, requirePermission("student:import"), async (req, res) => {
+  try {
+    res.json(await previewImport(req.body));
+  } catch (error) {
+    importError(res, error, "preview");
+  }
+});
+
+// Save the file as a running import; nothing is created until /continue
+router.post("/student-imports", requireAuth, requirePermission("student:import"), async (req, res) => {
+  try {
+    const job = await startImport({ ...req.body, fileName: String(req.body.fileName ?? ""), importedBy: req.me._id });
+    res.status(201).json(job);
+  } catch (error) {
+    importError(res, error, "start");
+  }
+});
+
+// Create the accounts, students and enrollments of the next few rows. The
+// client repeats this until the import's status is "done"; after a failure
+// the same call resumes it.
+router.post("/student-imports/:id/continue", requireAuth, requirePermission("student:import"), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid import ID" });
+  }
+  try {
+    const job = await continueImport(req.params.id);
+    if (!job) return res.status(404).json({ message: "Import not found" });
+    res.json(job);
+  } catch (error) {
+    importError(res, error, "continue");
+  }
+});
+
+// Per-row results of an import as ?format=csv|xlsx
+router.get("/student-imports/:id/report", requireAuth, requirePermission("student:import"), async (req, res) => {
+  const { id } = req.params;
+  const format = req.query.format || "xlsx";
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid import ID" });
+  }
+  if (!SPREADSHEET_FORMATS[format]) {
+    return res.status(400).json({ message: `Format must be one of ${Object.keys(SPREADSHEET_FORMATS).join(", ")}` });
+  }
+
+  try {
+    const job = await StudentImport.findById(id).lean();
+    if (!job) return res.status(404).json({ message: "Import not found" });
+
+    const { columns, rows } = importReport(job);
+    const { contentType, extension } = SPREADSHEET_FORMATS[format];
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="student-import-${id}.${extension}"`);
+    if (format === "csv") await writeCsv(res, columns, rows);
+    else await writeXlsx(res, columns, rows, { sheetName: "Import report" });
+  } catch (error) {
+    console.error("Failed to export student import report:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: "Failed to export student import report" });
+  }
+});
+
+/* -----------------------------
+   Audit log
+------------------------------*/
+
+// GET /api/admin/audit-logs[?actor=][&entity=class|level|user|translation][&targetId=][&from=][&to=][&page=][&limit=]
+// Recorded writes, newest first; `from`/`to` are ISO timestamps, both inclusive
+router.get("/audit-logs", requireAuth, requirePermission("audit:read"), async (req, res) => {
+  try {
+    res.json(await searchAuditLogs(req.query));
+  } catch (error) {
+    if (error instanceof AuditLogError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Failed to search audit log:", error);
+    res.status(500).json({ message: "Failed to search audit log" });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import express from "express";
+import mongoose from "mongoose";
+import Class from "../schemas/Class.js";
+import ClassSession from "../schemas/ClassSession.js";
+import { requireAuth, requirePermission, teachesClass } from "../middleware/auth.js";
+import {
+  AttendanceError,
+  defaultSessionRange,
+  listSessions,
+  syncSessions,
+  markAttendance,
+  classAttendanceSummary,
+  studentAttendance,
+} from "../services/attendance-service.js";
+
+const router = express.Router();
+
+// Admins can take attendance for any class; instructors only for their own
+const canMark = (me, cls) => me.privilege === "admin" || teachesClass(me, cls);
+
+const parseDate = (value, fallback) => {
+  if (!value) return fallback;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// { from, to } from ISO dates, defaulting to defaultSessionRange; null if invalid
+const sessionRange = ({ from, to } = {}) => {
+  const range = defaultSessionRange();
+  const start = parseDate(from, range.from);
+  const end = parseDate(to, range.to);
+  return start && end && start <= end ? { from: start, to: end } : null;
+};
+
+// The class behind :id if the signed-in user may take its attendance,
+// otherwise sends the error response and returns null
+async function markableClass(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: "Invalid ID" });
+    return null;
+  }
+  const cls = await Class.findById(id).select("schedule instructorId").lean();
+  if (!cls) {
+    res.status(404).json({ message: "Class not found" });
+    return null;
+  }
+  if (!canMark(req.me, cls)) {
+    res.status(403).json({ message: "Forbidden" });
+    return null;
+  }
+  return cls;
+}
+
+/* -----------------------------
+   Sessions & marking
+------------------------------*/
+
+// List a class's sessions in ?from=&to= (ISO dates)
+router.get("/classes/:id/sessions", requireAuth, requirePermission("attendance:mark"), async (req, res) => {
+  try {
+    const range = sessionRange(req.query);
+    if (!range) return res.status(400).json({ message: "Invalid date range" });
+
+    const cls = await markableClass(req, res);
+    if (!cls) return;
+
+    res.json(await listSessions(cls._id, range.from, range.to));
+  } catch (error) {
+    if (error instanceof AttendanceError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Failed to fetch class sessions:", error);
+    res.status(500).json({ message: "Failed to fetch class sessions" });
+  }
+});
+
+// Generate the sessions of a class's schedule in body { from?, to? } (ISO
+// dates), drop upcoming ones it no longer has, and list them
+router.post("/classes/:id/sessions/sync", requireAuth, requirePermission("attendance:mark"), async (req, res) => {
+  try {
+    const range = sessionRange(req.body);
+    if (!range) return res.status(400).json({ message: "Invalid date range" });
+
+    const cls = await markableClass(req, res);
+    if (!cls) return;
+
+    res.json(await syncSessions(cls, range.from, range.to));
+  } catch (error) {
+    if (error instanceof AttendanceError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Failed to sync class sessions:", error);
+    res.status(500).json({ message: "Failed to sync class sessions" });
+  }
+});
+
+// Mark attendance: body { attendance: [{ student, status }] }
+router.put("/sessions/:id", requireAuth, requirePermission("attendance:mark"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const entries = req.body?.attendance;
+    if (!Array.isArray(entries) || entries.some(e => !mongoose.Types.ObjectId.isValid(e?.student))) {
+      return res.status(400).json({ message: "attendance must be a list of { student, status }" });
+    }
+
+    const session = await ClassSession.findById(id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    const cls = await Class.findById(session.classId).select("roster instructorId").lean();
+    if (!cls) return res.status(404).json({ message: "Class not found" });
+    if (!canMark(req.me, cls)) return res.status(403).json({ message: "Forbidden" });
+
+    res.json(await markAttendance(session, cls, entries, req.me._id));
+  } catch (error) {
+    if (error instanceof AttendanceError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Failed to mark attendance:", error);
+    res.status(500).json({ message: "Failed to mark attendance" });
+  }
+});
+
+/* -----------------------------
+   Reports
+------------------------------*/
+
+router.get("/classes/:id/summary", requireAuth, requirePermission("attendance:report"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+    res.json(await classAttendanceSummary(id));
+  } catch (error) {
+    console.error("Failed to fetch class attendance:", error);
+    res.status(500).json({ message: "Failed to fetch class attendance" });
+  }
+});
+
+router.get("/students/:id/summary", requireAuth, requirePermission("attendance:report"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+    res.json(await studentAttendance(id));
+  } catch (error) {
+    console.error("Failed to fetch student attendance:", error);
+    res.status(500).json({ message: "Failed to fetch student attendance" });
+  }
+});
+
+// Signed-in student's own history
+router.get("/me", requireAuth, requirePermission("attendance:read-own"), async (req, res) => {
+  try {
+    res.json(await studentAttendance(req.me._id));
+  } catch (error) {
+    console.error("Failed to fetch attendance:", error);
+    res.status(500).json({ message: "Failed to fetch attendance" });
+  }
+});
+
+export default router;
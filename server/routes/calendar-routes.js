@@ -0,0 +1,80 @@
+import express from "express";
+import User from "../schemas/User.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { buildCalendar, newCalendarToken } from "../services/calendar-service.js";
+
+const router = express.Router();
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Path of the feed; the client turns it into webcal:// and https:// links
+const feedPath = (token) => `/api/calendar/feed/${token}.ics`;
+
+/* -----------------------------
+   Public feed (polled by calendar apps, no Clerk session)
+------------------------------*/
+
+router.get("/feed/:token.ics", async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!TOKEN_PATTERN.test(token)) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    const user = await User.findOne({ calendarToken: token })
+      .select("privilege enrolledClasses")
+      .lean();
+    if (!user) return res.status(404).json({ message: "Calendar not found" });
+
+    const ics = await buildCalendar(user);
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="classes.ics"',
+      "Cache-Control": "private, max-age=900",
+    });
+    res.send(ics);
+  } catch (error) {
+    console.error("Failed to build calendar feed:", error);
+    res.status(500).json({ message: "Failed to build calendar feed" });
+  }
+});
+
+/* -----------------------------
+   Managing your own feed link
+------------------------------*/
+
+// Current feed link, or null if the user has none
+router.get("/me", requireAuth, requirePermission("calendar:subscribe"), async (req, res) => {
+  try {
+    const me = await User.findById(req.me._id).select("+calendarToken").lean();
+    res.json({ path: me.calendarToken ? feedPath(me.calendarToken) : null });
+  } catch (error) {
+    console.error("Failed to fetch calendar link:", error);
+    res.status(500).json({ message: "Failed to fetch calendar link" });
+  }
+});
+
+// Create a feed link, or replace the existing one (the old link stops working)
+router.post("/me/token", requireAuth, requirePermission("calendar:subscribe"), async (req, res) => {
+  try {
+    const token = newCalendarToken();
+    await User.updateOne({ _id: req.me._id }, { $set: { calendarToken: token } });
+    res.status(201).json({ path: feedPath(token) });
+  } catch (error) {
+    console.error("Failed to create calendar link:", error);
+    res.status(500).json({ message: "Failed to create calendar link" });
+  }
+});
+
+// Revoke the feed link
+router.delete("/me/token", requireAuth, requirePermission("calendar:subscribe"), async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.me._id }, { $unset: { calendarToken: "" } });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Failed to revoke calendar link:", error);
+    res.status(500).json({ message: "Failed to revoke calendar link" });
+  }
+});
+
+export default router;
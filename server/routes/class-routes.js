@@ -1,11 +1,50 @@
 import express from "express";
 import mongoose from "mongoose";
-import User from "../schemas/User.js";
 import Class from '../schemas/Class.js';
+import User from "../schemas/User.js";
 import { validateInput } from "../../src/utils/backend/validate-utils.js";
+import { requireAuth, requirePermission, requireAdminOrInstructor, teachesClass } from "../middleware/auth.js";
+import { audit, loadById } from "../middleware/audit.js";
+import { promoteFromWaitlist, deleteClass } from "../services/enrollment-service.js";
+import { findCourseType } from "../services/course-type-service.js";
+import { ROSTER_FORMATS, RosterError, classRoster, rosterOptions, writeRoster } from "../services/roster-service.js";
 
 const router = express.Router();
 
+// Audit log entries for class writes; creates answer with { message, class }
+const auditClass = (options) => audit('class', { load: loadById(Class), ...options });
+const createdClass = (_req, body) => body?.class?._id;
+
+// Same meeting times, in any order
+const sameSchedule = (a, b) =>
+  a.length === b.length &&
+  a.every(itemA =>
+    b.some(itemB =>
+      itemA.day === itemB.day &&
+      itemA.startTime === itemB.startTime &&
+      itemA.endTime === itemB.endTime
+    )
+  );
+
+// When a request links an instructor account, copy its name into the display
+// `instructor` field. Returns an error message for a bad id, otherwise null.
+const resolveInstructor = async (body) => {
+  if (!('instructorId' in body)) return null;
+  if (!body.instructorId) {
+    body.instructorId = null;
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(body.instructorId)) return 'Invalid instructor ID';
+
+  const instructor = await User.findOne({ _id: body.instructorId, privilege: 'instructor' })
+    .select('firstName')
+    .lean();
+  if (!instructor) return 'Instructor not found';
+
+  body.instructor = instructor.firstName;
+  return null;
+};
+
 /* CLASS RELATED ENDPOINTS */
 
 // Get Classes
@@ -14,7 +53,7 @@ router.get('/classes', async (req, res) => {
     if ('level' in req.query) {
       req.query.level = Number(req.query.level);
     }
-    const allowedFields = ['level', 'instructor', 'ageGroup'];
+    const allowedFields = ['level', 'instructor', 'instructorId', 'ageGroup'];
     const filters = validateInput(req.query, allowedFields);
 
     if (filters.level !== undefined) {
@@ -22,6 +61,8 @@ router.get('/classes', async (req, res) => {
     } else {
       filters.level = { $type: 'number' };
     }
+    // numbered levels of other course types are served under /course/:slug
+    filters.courseType = null;
 
     //apply the filters directly to the database query
     const data = await Class.find(filters);
@@ -66,23 +107,77 @@ router.get('/class-students/:id', async (req, res) => {
   }
 })
 
+// Get full details of students on class's waitlist, in waitlist order
+router.get('/class-waitlist/:id', requireAuth, requireAdminOrInstructor, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const cls = await Class.findById(id)
+      .select("waitlist")
+      .populate({ path: "waitlist", select: "firstName lastName email privilege" })
+    if (!cls) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    res.json(cls.waitlist);
+  } catch (err) {
+    res.status(500).send(err);
+  }
+})
+
+// Roster of a class for offline attendance: a csv/xlsx download or a printable
+// html sign-in sheet. ?format=csv|xlsx|html&weeks=<upcoming weeks, 1-12>&tz=<IANA zone of the session dates>
+router.get('/classes/:id/roster', requireAuth, requirePermission('class:roster'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const options = rosterOptions(req.query);
+    const cls = await Class.findById(id)
+      .select('level courseType ageGroup instructor instructorId schedule roster')
+      .populate({ path: 'roster', select: 'firstName lastName email whatsapp' })
+      .lean();
+    if (!cls) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    if (req.me.privilege !== 'admin' && !teachesClass(req.me, cls)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const roster = await classRoster(cls, options);
+    const { contentType, extension } = ROSTER_FORMATS[options.format];
+    const name = options.format === 'html' ? 'sign-in-sheet' : 'roster';
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `${options.format === 'html' ? 'inline' : 'attachment'}; filename="${name}-${id}.${extension}"`);
+    await writeRoster(res, roster, options.format);
+  } catch (error) {
+    if (error instanceof RosterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Failed to export roster:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Failed to export roster' });
+  }
+});
+
 // Create Class
-router.post('/classes', async (req, res) => {
+router.post('/classes', requireAuth, requirePermission('class:create'), auditClass({ target: createdClass }), async (req, res) => {
   try {
-    const { level, ageGroup, instructor, schedule } = req.body;
+    const instructorError = await resolveInstructor(req.body);
+    if (instructorError) {
+      return res.status(400).json({ message: instructorError });
+    }
+    const { level, ageGroup, instructor, instructorId, schedule, capacity } = req.body;
 
     // Check if class already exists
-    const existingClasses = await Class.find({ level, ageGroup, instructor });
-    const matchingSchedules = existingClasses.filter(cls =>
-      cls.schedule.length === schedule.length &&
-      cls.schedule.every(itemA =>
-        schedule.some(itemB =>
-          itemA.day === itemB.day &&
-          itemA.startTime === itemB.startTime &&
-          itemA.endTime === itemB.endTime
-        )
-      )
-    );
+    const existingClasses = await Class.find({ level, ageGroup, instructor, courseType: null });
+    const matchingSchedules = existingClasses.filter(cls => sameSchedule(cls.schedule, schedule));
 
     if (matchingSchedules.length > 0) {
       return res.status(409).json({
@@ -94,7 +189,9 @@ router.post('/classes', async (req, res) => {
         level,
         ageGroup,
         instructor,
+        instructorId,
         schedule,
+        capacity,
       });
 
       await newClass.save();
@@ -110,28 +207,46 @@ router.post('/classes', async (req, res) => {
 });
 
 // Edit Class
-router.put('/classes/:id', async (req, res) => {
+router.put('/classes/:id', requireAuth, requirePermission('class:update', 'class:update-link'), auditClass(), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    const { level, ageGroup, instructor, schedule } = updates;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const existingClasses = await Class.find({ level: level, ageGroup: ageGroup, instructor: instructor });
-    if (existingClasses.length !== 0) {
-      const matchingSchedules = existingClasses.filter(cls =>
-        cls.schedule.length === schedule.length &&
-        cls.schedule.every(itemA =>
-          schedule.some(itemB =>
-            itemA.day === itemB.day &&
-            itemA.startTime === itemB.startTime &&
-            itemA.endTime === itemB.endTime
-          )
-        )
+    // Instructors may only change the link of a class they teach
+    if (req.permission === 'class:update-link') {
+      if (Object.keys(updates).some(field => field !== 'link')) {
+        return res.status(403).json({ message: 'Instructors can only edit the class link' });
+      }
+
+      const cls = await Class.findById(id).select('instructorId').lean();
+      if (!cls) {
+        return res.status(404).json({ message: 'Class not found' });
+      }
+      if (!teachesClass(req.me, cls)) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      const updatedClass = await Class.findByIdAndUpdate(
+        id,
+        { link: updates.link },
+        { new: true, runValidators: true }
       );
+      return res.status(200).json(updatedClass);
+    }
+
+    const instructorError = await resolveInstructor(updates);
+    if (instructorError) {
+      return res.status(400).json({ message: instructorError });
+    }
+
+    const { level, ageGroup, instructor, schedule } = updates;
+    const existingClasses = await Class.find({ level: level, ageGroup: ageGroup, instructor: instructor, courseType: null });
+    if (existingClasses.length !== 0) {
+      const matchingSchedules = existingClasses.filter(cls => sameSchedule(cls.schedule, schedule));
       const duplicate = matchingSchedules.find(cls => cls._id.toString() !== id.toString());
 
       if (duplicate) {
@@ -152,6 +267,14 @@ router.put('/classes/:id', async (req, res) => {
       return res.status(404).json({ message: 'Class not found' });
     }
 
+    // Raising the capacity frees seats for waitlisted students
+    if ('capacity' in updates) {
+      const promoted = await promoteFromWaitlist(id);
+      if (promoted.length) {
+        return res.status(200).json(await Class.findById(id));
+      }
+    }
+
     res.status(200).json(updatedClass);
   } catch (error) {
     console.error('Failed to update class details:', error);
@@ -160,7 +283,7 @@ router.put('/classes/:id', async (req, res) => {
 });
 
 // Delete Class
-router.delete('/classes/:id', async (req, res) => {
+router.delete('/classes/:id', requireAuth, requirePermission('class:delete'), auditClass(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -172,19 +295,8 @@ router.delete('/classes/:id', async (req, res) => {
       return res.status(404).json({ message: 'Class not found' });
     }
 
-    // remove class from student's enrolled classes
-    await Promise.all(
-      deletedClass.roster.map(studentId =>
-        User.findByIdAndUpdate(studentId, { $pull: { enrolledClasses: id } })
-          .catch(err => {
-            console.error(`Failed to remove class from student ${studentId}'s enrolled classes:`, err)
-            throw err;
-          })
-      )
-    );
-
-    // delete class
-    await Class.findByIdAndDelete(id);
+    // remove class from students' enrolled classes and delete it as one unit
+    await deleteClass(deletedClass);
 
     res.status(204).json({ message: 'Class deleted successfully' });
   } catch (error) {
@@ -194,20 +306,47 @@ router.delete('/classes/:id', async (req, res) => {
 });
 
 
-/* CONVERSATION SPECIFIC ENDPOINTS */
+/* COURSE TYPE ENDPOINTS
+   /course/:slug serves classes of any course type (see course-type-routes.js).
+   /conversations and /ielts are kept as aliases for the built-in types. */
+
+const courseRouter = express.Router({ mergeParams: true });
 
-// Get Conversation classes
-router.get("/conversations", async (req, res) => {
+// Course types without numbered levels keep their slug as `level`, like the
+// old conversation/IELTS classes. Returns null for an invalid level number.
+const courseLevel = (courseType, level) => {
+  if (!courseType.hasLevels) return courseType.slug;
+  const num = Number(level);
+  return Number.isInteger(num) && num > 0 ? num : null;
+};
+
+// Resolve the course type for every course route
+courseRouter.use(async (req, res, next) => {
   try {
-    const data = await Class.find({ level: "conversation" });
+    const courseType = await findCourseType(req.courseSlug ?? req.params.slug);
+    if (!courseType) {
+      return res.status(404).json({ message: 'Course type not found' });
+    }
+    req.courseType = courseType;
+    next();
+  } catch (error) {
+    console.error('Failed to resolve course type:', error);
+    res.status(500).json({ message: 'Failed to resolve course type' });
+  }
+});
+
+// Get classes of a course type
+courseRouter.get('/', async (req, res) => {
+  try {
+    const data = await Class.find({ courseType: req.courseType.slug });
     res.status(200).json(data);
   } catch (err) {
     res.status(500).send(err);
   }
 })
 
-// Get Conversation by ID
-router.get('/conversations/:id', async (req, res) => {
+// Get course class by ID
+courseRouter.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -215,283 +354,162 @@ router.get('/conversations/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const data = await Class.findOne({ _id: id, level: "conversation" });
+    const data = await Class.findOne({ _id: id, courseType: req.courseType.slug });
     res.json(data)
   } catch (err) {
     res.status(500).send(err);
   }
 })
 
-// Create Conversation
-router.post('/conversations', async (req, res) => {
-  try {
-    const { ageGroup, instructor, schedule, image } = req.body;
-
-    // Check if conversation already exists
-    const existingConversations = await Class.find({ level: "conversation", ageGroup, instructor });
-    const matchingSchedules = existingConversations.filter(convo =>
-      convo.schedule.length === schedule.length &&
-      convo.schedule.every(itemA =>
-        schedule.some(itemB =>
-          itemA.day === itemB.day &&
-          itemA.startTime === itemB.startTime &&
-          itemA.endTime === itemB.endTime
-        )
-      )
-    );
-
-    if (matchingSchedules.length > 0) {
-      return res.status(409).json({
-        message: 'Conversation class already exists',
-        class: matchingSchedules[0]
-      });
-    } else {
-      const newConversation = new Class({
-        level: "conversation",
-        ageGroup,
-        instructor,
-        schedule,
-        image
-      });
-
-      await newConversation.save();
-      return res.status(201).json({
-        message: 'Conversation created successfully',
-        class: newConversation
-      });
-    }
-  } catch (error) {
-    console.error('Error creating:', error);
-    return res.status(500).json({ message: 'Failed to create conversation class' });
-  }
-});
-
-// Edit Conversation
-router.put('/conversations/:id', async (req, res) => {
+// Create course class
+courseRouter.post('/', requireAuth, requirePermission('class:create'), auditClass({ target: createdClass }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid Conversation Class ID' });
-    }
-
-    const existingConversations = await Class.find({ level: "conversation", ageGroup: updates.ageGroup, instructor: updates.instructor });
-    if (existingConversations.length !== 0) {
-      const matchingSchedules = existingConversations.filter(convo =>
-        convo.schedule.length === updates.schedule.length &&
-        convo.schedule.every(itemA =>
-          updates.schedule.some(itemB =>
-            itemA.day === itemB.day &&
-            itemA.startTime === itemB.startTime &&
-            itemA.endTime === itemB.endTime
-          )
-        )
-      );
-      const duplicate = matchingSchedules.find(convo => convo._id.toString() !== id.toString());
-
-      if (duplicate) {
-        return res.status(409).json({
-          message: 'Conversation class already exists',
-          class: duplicate
-        });
-      }
+    const { courseType } = req;
+    const instructorError = await resolveInstructor(req.body);
+    if (instructorError) {
+      return res.status(400).json({ message: instructorError });
     }
+    const { ageGroup, instructor, instructorId, schedule, image, capacity } = req.body;
 
-    const updatedConversation = await Class.findOneAndUpdate(
-      { _id: id, level: "conversation" },
-      updates,
-      { new: true, runValidators: true }
-    );
-
-    if (!updatedConversation) {
-      return res.status(404).json({ message: 'Conversation class not found' });
+    const level = courseLevel(courseType, req.body.level);
+    if (level === null) {
+      return res.status(400).json({ message: `${courseType.name} classes need a level number` });
     }
 
-    res.status(200).json(updatedConversation);
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to update conversation class' });
-  }
-});
-
-// Delete Conversation
-router.delete('/conversations/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid ID' });
-    }
+    // Check if class already exists
+    const existingClasses = await Class.find({ courseType: courseType.slug, level, ageGroup, instructor });
+    const duplicate = existingClasses.find(cls => sameSchedule(cls.schedule, schedule));
 
-    const deletedConversation = await Class.findOne({ _id: id, level: "conversation" });
-    if (!deletedConversation) {
-      return res.status(404).json({ message: 'Conversation not found' });
+    if (duplicate) {
+      return res.status(409).json({
+        message: `${courseType.name} class already exists`,
+        class: duplicate
+      });
     }
 
-    // remove class from student's enrolled classes
-    await Promise.all(
-      deletedConversation.roster.map(studentId =>
-        User.findByIdAndUpdate(studentId, { $pull: { enrolledClasses: id } })
-          .catch(err => console.error(`Failed to update student ${studentId}:`, err)) // TODO: throw error?
-      )
-    );
-
-    // delete conversation
-    await Class.findByIdAndDelete(id);
-
-    res.status(204).json({ message: 'Conversation deleted successfully' });
+    const newClass = new Class({
+      level,
+      courseType: courseType.slug,
+      ageGroup,
+      instructor,
+      instructorId,
+      schedule,
+      image: image ?? courseType.image,
+      capacity
+    });
+
+    await newClass.save();
+    return res.status(201).json({
+      message: `${courseType.name} class created successfully`,
+      class: newClass
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to delete conversation class' });
+    console.error('Failed to create course class:', error);
+    return res.status(500).json({ message: `Failed to create ${req.courseType.name} class` });
   }
 });
 
-
-/* IELTS SPECIFIC ENDPOINTS */
-
-// Get IELTS classes
-router.get("/ielts", async (req, res) => {
-  try {
-    const data = await Class.find({ level: "ielts" });
-    res.status(200).json(data);
-  } catch (err) {
-    res.status(500).send(err);
-  }
-})
-
-// Get IETLS by ID
-router.get('/ielts/:id', async (req, res) => {
+// Edit course class
+courseRouter.put('/:id', requireAuth, requirePermission('class:update'), auditClass(), async (req, res) => {
   try {
+    const { courseType } = req;
     const { id } = req.params;
+    const updates = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const data = await Class.findOne({ _id: id, level: "ielts" });
-    res.json(data)
-  } catch (err) {
-    res.status(500).send(err);
-  }
-})
-
-// Create IETLS
-router.post('/ielts', async (req, res) => {
-  try {
-    const { ageGroup, instructor, schedule, image } = req.body;
-
-    // Check if IELTS already exists
-    const existingIelts = await Class.find({ level: "ielts", ageGroup, instructor });
-    const matchingSchedules = existingIelts.filter(ielts =>
-      ielts.schedule.length === schedule.length &&
-      ielts.schedule.every(itemA =>
-        schedule.some(itemB =>
-          itemA.day === itemB.day &&
-          itemA.startTime === itemB.startTime &&
-          itemA.endTime === itemB.endTime
-        )
-      )
-    );
+    const instructorError = await resolveInstructor(updates);
+    if (instructorError) {
+      return res.status(400).json({ message: instructorError });
+    }
 
-    if (matchingSchedules.length > 0) {
-      return res.status(409).json({
-        message: 'IELTS class already exists',
-        class: matchingSchedules[0]
-      });
+    // Classes stay in their course type; only numbered types take a level
+    delete updates.courseType;
+    if (courseType.hasLevels && 'level' in updates) {
+      updates.level = courseLevel(courseType, updates.level);
+      if (updates.level === null) {
+        return res.status(400).json({ message: `${courseType.name} classes need a level number` });
+      }
     } else {
-      const newIelts = new Class({
-        level: "ielts",
-        ageGroup,
-        instructor,
-        schedule,
-        image
-      });
-
-      await newIelts.save();
-      return res.status(201).json({
-        message: 'IELTS class created successfully',
-        class: newIelts
-      });
+      delete updates.level;
     }
-  } catch (error) {
-    return res.status(500).json({ message: 'Failed to create IELTS class' });
-  }
-});
-
-// Edit IELTS
-router.put('/ielts/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updates = req.body;
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid IELTS Class ID' });
-    }
-
-    const existingIelts = await Class.find({ level: "ielts", ageGroup: updates.ageGroup, instructor: updates.instructor });
-    if (existingIelts.length !== 0) {
-      const matchingSchedules = existingIelts.filter(ielts =>
-        ielts.schedule.length === updates.schedule.length &&
-        ielts.schedule.every(itemA =>
-          updates.schedule.some(itemB =>
-            itemA.day === itemB.day &&
-            itemA.startTime === itemB.startTime &&
-            itemA.endTime === itemB.endTime
-          )
-        )
+    if (updates.schedule) {
+      const existingClasses = await Class.find({
+        courseType: courseType.slug,
+        ageGroup: updates.ageGroup,
+        instructor: updates.instructor,
+        ...(courseType.hasLevels && 'level' in updates ? { level: updates.level } : {})
+      });
+      const duplicate = existingClasses.find(cls =>
+        cls._id.toString() !== id.toString() && sameSchedule(cls.schedule, updates.schedule)
       );
-      const duplicate = matchingSchedules.find(ielts => ielts._id.toString() !== id.toString());
 
       if (duplicate) {
         return res.status(409).json({
-          message: 'IELTS class already exists',
+          message: `${courseType.name} class already exists`,
           class: duplicate
         });
       }
     }
 
-    const updateDIelts = await Class.findOneAndUpdate(
-      { _id: id, level: "ielts" },
+    const updatedClass = await Class.findOneAndUpdate(
+      { _id: id, courseType: courseType.slug },
       updates,
       { new: true, runValidators: true }
     );
 
-    if (!updateDIelts) {
-      return res.status(404).json({ message: 'IELTS class not found' });
+    if (!updatedClass) {
+      return res.status(404).json({ message: `${courseType.name} class not found` });
     }
 
-    res.status(200).json(updateDIelts);
+    // Raising the capacity frees seats for waitlisted students
+    if ('capacity' in updates) {
+      const promoted = await promoteFromWaitlist(id);
+      if (promoted.length) {
+        return res.status(200).json(await Class.findById(id));
+      }
+    }
+
+    res.status(200).json(updatedClass);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to update IELTS class' });
+    console.error('Failed to update course class:', error);
+    res.status(500).json({ message: `Failed to update ${req.courseType.name} class` });
   }
 });
 
-// Delete IELTS
-router.delete('/ielts/:id', async (req, res) => {
+// Delete course class
+courseRouter.delete('/:id', requireAuth, requirePermission('class:delete'), auditClass(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: 'Invalid ID' });
     }
 
-    const deletedIelts = await Class.findOne({ _id: id, level: "ielts" });
-    if (!deletedIelts) {
-      return res.status(404).json({ message: 'IELTS class not found' });
+    const deletedClass = await Class.findOne({ _id: id, courseType: req.courseType.slug });
+    if (!deletedClass) {
+      return res.status(404).json({ message: `${req.courseType.name} class not found` });
     }
 
-    // remove class from student's enrolled classes
-    await Promise.all(
-      deletedIelts.roster.map(studentId =>
-        User.findByIdAndUpdate(studentId, { $pull: { enrolledClasses: id } })
-          .catch(err => console.error(`Failed to update student ${studentId}:`, err)) // TODO: throw error?
-      )
-    );
-
-    // delete conversation
-    await Class.findByIdAndDelete(id);
+    // remove class from students' enrolled classes and delete it as one unit
+    await deleteClass(deletedClass);
 
-    res.status(204).json({ message: 'IELTS class deleted successfully' });
+    res.status(204).json({ message: `${req.courseType.name} class deleted successfully` });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to delete IELTS class' });
+    console.error('Failed to delete course class:', error);
+    res.status(500).json({ message: `Failed to delete ${req.courseType.name} class` });
   }
 });
 
+const courseAlias = (slug) => (req, _res, next) => {
+  req.courseSlug = slug;
+  next();
+};
+
+router.use('/course/:slug', courseRouter);
+router.use('/conversations', courseAlias('conversation'), courseRouter);
+router.use('/ielts', courseAlias('ielts'), courseRouter);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,128 @@
+import express from "express";
+import CourseType from "../schemas/CourseType.js";
+import Class from "../schemas/Class.js";
+import { validateInput } from "../../src/utils/backend/validate-utils.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import {
+  BUILT_IN_COURSE_TYPES,
+  ensureCourseTypes,
+  findCourseType,
+  isReservedSlug,
+  upsertLabel,
+  removeLabels,
+} from "../services/course-type-service.js";
+
+const router = express.Router();
+
+const editableFields = ["name", "image", "hasLevels", "order"];
+
+const isBuiltIn = (type) => BUILT_IN_COURSE_TYPES.some(builtIn => builtIn.slug === type.slug);
+const withBuiltIn = (type) => ({ ...type, isBuiltIn: isBuiltIn(type) });
+
+// Get course types (sorted for display)
+router.get("/", async (_req, res) => {
+  try {
+    await ensureCourseTypes();
+    const data = await CourseType.find({}).sort({ order: 1, name: 1 }).lean();
+    res.json(data.map(withBuiltIn));
+  } catch (err) {
+    console.error("Failed to fetch course types:", err);
+    res.status(500).json({ message: "Failed to fetch course types" });
+  }
+});
+
+// Get course type by slug
+router.get("/:slug", async (req, res) => {
+  try {
+    const type = await findCourseType(req.params.slug);
+    if (!type) return res.status(404).json({ message: "Course type not found" });
+    res.json(withBuiltIn(type));
+  } catch (err) {
+    console.error("Failed to fetch course type:", err);
+    res.status(500).json({ message: "Failed to fetch course type" });
+  }
+});
+
+// Create course type
+router.post("/", requireAuth, requirePermission("course-type:create"), async (req, res) => {
+  try {
+    await ensureCourseTypes();
+    const slug = String(req.body.slug ?? "").trim().toLowerCase();
+    if (isReservedSlug(slug)) {
+      return res.status(400).json({ message: `"${slug}" is reserved, pick another slug` });
+    }
+
+    const existing = await CourseType.findOne({ slug }).lean();
+    if (existing) {
+      return res.status(409).json({ message: "Course type with this slug already exists", courseType: existing });
+    }
+
+    const courseType = new CourseType({ slug, ...validateInput(req.body, editableFields) });
+    await courseType.save();
+    await upsertLabel(courseType);
+
+    res.status(201).json({ message: "Course type created successfully", courseType });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Failed to create course type:", error);
+    res.status(500).json({ message: "Failed to create course type" });
+  }
+});
+
+// Edit course type (slug is fixed once classes use it)
+router.put("/:slug", requireAuth, requirePermission("course-type:update"), async (req, res) => {
+  try {
+    const current = await findCourseType(req.params.slug);
+    if (!current) return res.status(404).json({ message: "Course type not found" });
+
+    const updates = validateInput(req.body, editableFields);
+    if ("hasLevels" in updates && updates.hasLevels !== current.hasLevels) {
+      const classCount = await Class.countDocuments({ courseType: current.slug });
+      if (classCount > 0) {
+        return res.status(409).json({ message: "Cannot change numbered levels while the course type has classes" });
+      }
+    }
+
+    const courseType = await CourseType.findOneAndUpdate(
+      { slug: current.slug },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (updates.name && updates.name !== current.name) await upsertLabel(courseType);
+
+    res.json(courseType);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Failed to update course type:", error);
+    res.status(500).json({ message: "Failed to update course type" });
+  }
+});
+
+// Delete course type (only when it has no classes)
+router.delete("/:slug", requireAuth, requirePermission("course-type:delete"), async (req, res) => {
+  try {
+    const courseType = await findCourseType(req.params.slug);
+    if (!courseType) return res.status(404).json({ message: "Course type not found" });
+    if (isBuiltIn(courseType)) {
+      return res.status(400).json({ message: "Built-in course types cannot be deleted" });
+    }
+
+    const classCount = await Class.countDocuments({ courseType: courseType.slug });
+    if (classCount > 0) {
+      return res.status(409).json({ message: `Delete this course type's ${classCount} class(es) first` });
+    }
+
+    await CourseType.deleteOne({ _id: courseType._id });
+    await removeLabels(courseType);
+    res.status(204).json({ message: "Course type deleted successfully" });
+  } catch (error) {
+    console.error("Failed to delete course type:", error);
+    res.status(500).json({ message: "Failed to delete course type" });
+  }
+});
+
+export default router;
@@ -1,47 +1,51 @@
-import "dotenv/config";
 import express from "express";
-import nodemailer from "nodemailer";
+import Inquiry from "../schemas/Inquiry.js";
+import { sendMail, adminAddress } from "../services/mail-service.js";
+import { renderEmail, formatAddress } from "../services/email-template-service.js";
 
 const router = express.Router();
 
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.ADMIN_EMAIL,
-    pass: process.env.ADMIN_PASSWORD,
-  },
-});
+const SUPPORTED_LNGS = ["en", "ug", "ru", "tr", "zh"];
+// One address, no whitespace or header separators
+const EMAIL_PATTERN = /^[^\s@,;<>"]+@[^\s@,;<>"]+\.[^\s@,;<>"]+$/;
 
 // Post Contact
+// The inquiry is saved before any email goes out, so it reaches the admin
+// inbox even if the notification has to wait in the retry queue.
 router.post('/contact', async (req, res) => {
-  const { name, email, subject, message } = req.body
+  const { name, email, subject, message, lng } = req.body
+
+  if (![name, email, subject, message].every(field => typeof field === "string" && field.trim())) {
+    return res.status(400).json({ message: 'Name, email, subject and message are required' });
+  }
+  if (!EMAIL_PATTERN.test(email.trim())) {
+    return res.status(400).json({ message: 'Invalid email address' });
+  }
 
   try {
-    transporter.verify((error, success) => {
-      if (error) {
-        console.error('Error initializing transporter:', error);
-      } else {
-        console.log('Transporter is ready to send emails', success);
-      }
+    const inquiry = await Inquiry.create({
+      name,
+      email,
+      subject,
+      message,
+      lng: SUPPORTED_LNGS.includes(lng) ? lng : 'en',
     });
 
+    const notification = await renderEmail("contact_notification", {
+      name: inquiry.name,
+      email: inquiry.email,
+      subject: inquiry.subject,
+      message: inquiry.message,
+    });
+    const mail = await sendMail({
+      from: formatAddress(inquiry.name, adminAddress()),
+      to: adminAddress(),
+      replyTo: inquiry.email,
+      ...notification,
+    }, { context: `inquiry:${inquiry._id}` });
 
-    const mailOptions = {
-      from: `"${name}" <${process.env.ADMIN_EMAIL}>`,
-      to: process.env.ADMIN_EMAIL,
-      replyTo: email,
-      subject: `Contact Form: ${subject}`,
-      html: `
-        <p><strong>From:</strong> ${name} (${email})</p>
-        <p><strong>Subject:</strong> ${subject}</p>
-        <p><strong>Message:</strong></p>
-        <p>${message}</p>
-      `
-    };
-
-    // Send email
-    await transporter.sendMail(mailOptions);
+    inquiry.notification = mail._id;
+    await inquiry.save();
 
     res.status(201).json({ message: 'Inquiry and email submitted successfully' });
   }
@@ -51,4 +55,4 @@ router.post('/contact', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
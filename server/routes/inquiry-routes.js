@@ -0,0 +1,141 @@
+import express from "express";
+import mongoose from "mongoose";
+import Inquiry, { INQUIRY_STATUSES } from "../schemas/Inquiry.js";
+import User from "../schemas/User.js";
+import { escapeRx, validateInput } from "../../src/utils/backend/validate-utils.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { sendMail, adminAddress } from "../services/mail-service.js";
+import { renderEmail, formatAddress } from "../services/email-template-service.js";
+
+const router = express.Router();
+
+const editableFields = ["status", "assignee", "notes"];
+
+const populateInquiry = (query) => query
+  .populate("assignee", "firstName lastName email")
+  .populate("notification", "status attempts lastError sentAt")
+  .populate("replies.mail", "status attempts lastError sentAt");
+
+// List inquiries, newest first. Filters: ?status=&assignee=<id|none>&q=
+router.get("/", requireAuth, requirePermission("inquiry:read"), async (req, res) => {
+  try {
+    const { status, assignee, q } = req.query;
+    const filter = {};
+    if (INQUIRY_STATUSES.includes(status)) filter.status = status;
+    if (assignee === "none") filter.assignee = null;
+    else if (mongoose.Types.ObjectId.isValid(assignee)) filter.assignee = assignee;
+    if (typeof q === "string" && q.trim()) {
+      const pattern = new RegExp(escapeRx(q.trim()), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }, { subject: pattern }, { message: pattern }];
+    }
+
+    const [inquiries, counts] = await Promise.all([
+      Inquiry.find(filter)
+        .select("-replies -notes")
+        .populate("assignee", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .lean(),
+      Inquiry.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    res.json({
+      inquiries,
+      counts: Object.fromEntries(INQUIRY_STATUSES.map(s => [s, counts.find(c => c._id === s)?.count ?? 0])),
+    });
+  } catch (err) {
+    console.error("Failed to fetch inquiries:", err);
+    res.status(500).json({ message: "Failed to fetch inquiries" });
+  }
+});
+
+// Get one inquiry with its replies and mail delivery status
+router.get("/:id", requireAuth, requirePermission("inquiry:read"), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid inquiry ID" });
+  }
+  try {
+    const inquiry = await populateInquiry(Inquiry.findById(id)).lean();
+    if (!inquiry) return res.status(404).json({ message: "Inquiry not found" });
+    res.json(inquiry);
+  } catch (err) {
+    console.error("Failed to fetch inquiry:", err);
+    res.status(500).json({ message: "Failed to fetch inquiry" });
+  }
+});
+
+// Update status, assignee or notes
+router.put("/:id", requireAuth, requirePermission("inquiry:update"), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid inquiry ID" });
+  }
+  try {
+    const updates = validateInput(req.body, editableFields);
+    if (updates.assignee === "") updates.assignee = null;
+    if (updates.assignee != null) {
+      const assignee = mongoose.Types.ObjectId.isValid(updates.assignee)
+        && await User.findOne({ _id: updates.assignee, privilege: "admin" }).select("_id").lean();
+      if (!assignee) return res.status(400).json({ message: "Inquiries can only be assigned to admins" });
+    }
+
+    const inquiry = await populateInquiry(
+      Inquiry.findByIdAndUpdate(id, updates, { new: true, runValidators: true })
+    ).lean();
+    if (!inquiry) return res.status(404).json({ message: "Inquiry not found" });
+    res.json(inquiry);
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Failed to update inquiry:", err);
+    res.status(500).json({ message: "Failed to update inquiry" });
+  }
+});
+
+// Reply to the sender by email. A failed send is queued for retry, and the
+// reply is recorded either way.
+router.post("/:id/reply", requireAuth, requirePermission("inquiry:reply"), async (req, res) => {
+  const { id } = req.params;
+  const { message } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid inquiry ID" });
+  }
+  if (typeof message !== "string" || !message.trim()) {
+    return res.status(400).json({ message: "Reply message is required" });
+  }
+  try {
+    const inquiry = await Inquiry.findById(id);
+    if (!inquiry) return res.status(404).json({ message: "Inquiry not found" });
+
+    const email = await renderEmail("inquiry_reply", {
+      name: inquiry.name,
+      subject: inquiry.subject,
+      message: inquiry.message,
+      reply: message,
+    }, { lng: inquiry.lng });
+    const mail = await sendMail({
+      from: formatAddress("Dillar Academy", adminAddress()),
+      to: inquiry.email,
+      ...email,
+    }, { context: `inquiry:${inquiry._id}` });
+
+    inquiry.replies.push({
+      message,
+      sentBy: req.me._id,
+      sentByName: [req.me.firstName, req.me.lastName].filter(Boolean).join(" "),
+      mail: mail._id,
+    });
+    if (inquiry.status === "new") inquiry.status = "replied";
+    await inquiry.save();
+
+    const updated = await populateInquiry(Inquiry.findById(id)).lean();
+    res.status(201).json({ message: mail.status === "sent" ? "Reply sent" : "Reply queued for retry", inquiry: updated });
+  } catch (err) {
+    console.error("Failed to reply to inquiry:", err);
+    res.status(500).json({ message: "Failed to reply to inquiry" });
+  }
+});
+
+export default router;
@@ -2,10 +2,15 @@ import express from "express";
 import mongoose from "mongoose";
 import Level from "../schemas/Level.js";
 import { validateInput } from "../../src/utils/backend/validate-utils.js";
-import { deleteLevelTranslations, createLevelTranslations } from "../../src/utils/backend/translation-utils.js";
+import { deleteLevelTranslations, createLevelTranslations, updateLevelTranslations } from "../../src/utils/backend/translation-utils.js";
+import { editorOf } from "../services/translation-service.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { audit, loadById } from "../middleware/audit.js";
 
 const router = express.Router();
 
+const auditLevel = (options) => audit("level", { load: loadById(Level), ...options });
+
 // Get Levels (sorted ascending by numeric level)
 router.get("/", async (req, res) => {
   try {
@@ -20,7 +25,7 @@ router.get("/", async (req, res) => {
 })
 
 // Create Level 
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, requirePermission('level:create'), auditLevel({ target: (_req, body) => body?.level?._id }), async (req, res) => {
   try {
     const { level, name, description, skills, image } = req.body;
 
@@ -43,9 +48,8 @@ router.post('/', async (req, res) => {
       });
       await newLevel.save();
 
-      // Add level translations to i18nexus
-      await createLevelTranslations(newLevel);
-      // translations transferred to MongoDB in createLevel wrapper
+      // English text for the level; other languages are marked as needing translation
+      await createLevelTranslations(newLevel, { editor: editorOf(req) });
 
       return res.status(201).json({
         message: 'Level created successfully',
@@ -59,7 +63,7 @@ router.post('/', async (req, res) => {
 });
 
 // Edit Level
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('level:update'), auditLevel(), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -84,14 +88,13 @@ router.put('/:id', async (req, res) => {
       { new: true, runValidators: true }
     );
 
-    // Update translations
-    await deleteLevelTranslations(currentLevel);
-    await createLevelTranslations(updatedLevel);
-
     if (!updatedLevel) {
       return res.status(404).json({ message: 'Level not found' });
     }
 
+    // Update translations
+    await updateLevelTranslations(currentLevel, updatedLevel, { editor: editorOf(req) });
+
     res.status(200).json(updatedLevel);
   } catch (error) {
     console.error('Failed to update level details:', error);
@@ -100,7 +103,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete Level
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('level:delete'), auditLevel(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -113,7 +116,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Delete level's translations
-    await deleteLevelTranslations(deletedLevel);
+    await deleteLevelTranslations(deletedLevel, { editor: editorOf(req) });
 
     await Level.findByIdAndDelete(id);
 
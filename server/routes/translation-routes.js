@@ -1,103 +1,284 @@
 import express from "express";
+import mongoose from "mongoose";
 import Translation from "../schemas/Translation.js";
+import TranslationRevision from "../schemas/TranslationRevision.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+import {
+  LANGUAGES,
+  SOURCE_LNG,
+  TranslationValidationError,
+  editorOf,
+  saveTranslations,
+  validateTranslation,
+  translationReport,
+} from "../services/translation-service.js";
+import { I18nexusSyncError, pullFromI18nexus } from "../services/i18nexus-sync-service.js";
+import {
+  FORMATS,
+  TranslationImportError,
+  loadTranslations,
+  toJson,
+  toCsv,
+  toXliff,
+  parseImport,
+  diffImport,
+  applyImport,
+} from "../services/translation-io-service.js";
+import {
+  TranslationHistoryError,
+  listRevisions,
+  revertRevision,
+  planRestore,
+  restoreToDate,
+} from "../services/translation-history-service.js";
+import { getBundle } from "../services/translation-bundle-service.js";
 
 const router = express.Router();
 
+const EXPORT_TYPES = {
+  json: { contentType: "application/json", extension: "json" },
+  csv: { contentType: "text/csv", extension: "csv" },
+  xliff: { contentType: "application/xliff+xml", extension: "xlf" },
+};
+
+// Audit log entries. A single translation is addressed as "lng/ns/key";
+// bulk writes store the counts they respond with.
+const translationTarget = ({ lng, ns, key } = {}) => (lng && ns && key ? `${lng}/${ns}/${key}` : null);
+
+const loadTranslation = (target) => {
+  const [lng, ns, ...key] = target.split("/");
+  return Translation.findOne({ lng, ns, key: key.join("/") }).lean();
+};
+
+const revertedTranslation = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return translationTarget(await TranslationRevision.findById(req.params.id).select("lng ns key").lean() ?? {});
+};
+
+const auditTranslation = (options) => audit("translation", { load: loadTranslation, ...options });
+
+const auditTranslations = (action, requestSummary = () => ({})) => audit("translation", {
+  action,
+  summary: (body, req) => ({ ...requestSummary(req), ...body, message: undefined }), // undefined isn't stored
+});
+
+// "all" or a comma-separated list → array (null = everything)
+const listParam = (value) => {
+  if (!value || value === "all") return null;
+  return String(value).split(",").map(item => item.trim()).filter(Boolean);
+};
+
+// Namespaces that have at least one translation
+router.get('/namespaces', async (_req, res) => {
+  try {
+    res.json((await Translation.distinct("ns")).sort());
+  } catch (error) {
+    console.error("Failed to list namespaces:", error);
+    res.status(500).json({ message: "Failed to list namespaces" });
+  }
+})
+
+// Export translations as a download.
+// ?format=json|csv|xliff&ns=<ns,...|all>&lng=<lng,...|all>; XLIFF needs &target=<lng>
+router.get('/export', requireAuth, requirePermission('translation:export'), async (req, res) => {
+  const format = req.query.format || "json";
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Format must be one of ${FORMATS.join(", ")}` });
+  }
+  const namespaces = listParam(req.query.ns);
+  const target = req.query.target;
+  if (format === "xliff" && (!LANGUAGES.includes(target) || target === SOURCE_LNG)) {
+    return res.status(400).json({ message: "XLIFF export needs a target language other than English" });
+  }
+  const lngs = format === "xliff" ? [SOURCE_LNG, target] : listParam(req.query.lng);
+
+  try {
+    const entries = await loadTranslations({ namespaces, lngs });
+    const body = format === "json"
+      ? toJson(entries)
+      : format === "csv"
+        ? toCsv(entries, lngs ?? LANGUAGES)
+        : toXliff(entries, target);
+
+    const { contentType, extension } = EXPORT_TYPES[format];
+    const name = ["translations", namespaces?.join("+") ?? "all", format === "xliff" ? target : lngs?.join("+")]
+      .filter(Boolean)
+      .join("-");
+    res.set("Content-Type", `${contentType}; charset=utf-8`);
+    res.set("Content-Disposition", `attachment; filename="${name.replace(/[^\w+.-]/g, "_")}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error("Failed to export translations:", error);
+    res.status(500).json({ message: "Failed to export translations" });
+  }
+})
+
+// Import body: { format, content, lng?, ns?, prune?, baseHash? }.
+// lng/ns are only used for single-file JSON.
+const readImport = (body) => parseImport(body.format, body.content, { lng: body.lng, ns: body.ns });
+
+const importError = (res, error, action) => {
+  if (error instanceof TranslationImportError) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Failed to ${action} translation import:`, error);
+  res.status(500).json({ message: `Failed to ${action} translation import` });
+};
+
+// Show what an import would add, change and remove without writing anything
+router.post('/import/preview', requireAuth, requirePermission('translation:import'), async (req, res) => {
+  try {
+    res.json(await diffImport(readImport(req.body)));
+  } catch (error) {
+    importError(res, error, "preview");
+  }
+})
+
+// Apply an import. Removed keys are only deleted with `prune: true`.
+router.post('/import/apply', requireAuth, requirePermission('translation:import'), auditTranslations("import"), async (req, res) => {
+  try {
+    const diff = await diffImport(readImport(req.body));
+    const result = await applyImport(diff, {
+      baseHash: req.body.baseHash,
+      prune: req.body.prune === true,
+      editor: editorOf(req),
+    });
+    res.json({ message: "Translations imported", ...result });
+  } catch (error) {
+    importError(res, error, "apply");
+  }
+})
+
+// Missing, extra and stale keys per namespace/language, with completeness
+router.get('/report', requireAuth, requirePermission('translation:report'), async (_req, res) => {
+  try {
+    res.json(await translationReport());
+  } catch (error) {
+    console.error("Failed to build translation report:", error);
+    res.status(500).json({ message: "Failed to build translation report" });
+  }
+})
+
+// Revisions, newest first (?lng=&ns=&key=&limit=)
+router.get('/revisions', requireAuth, requirePermission('translation:history'), async (req, res) => {
+  try {
+    const { lng, ns, key, limit } = req.query;
+    res.json(await listRevisions({ lng, ns, key, limit }));
+  } catch (error) {
+    console.error("Failed to list translation revisions:", error);
+    res.status(500).json({ message: "Failed to list translation revisions" });
+  }
+})
+
+// Put a translation back to its value before the revision
+router.post('/revisions/:id/revert', requireAuth, requirePermission('translation:revert'), auditTranslation({ action: "revert", target: revertedTranslation }), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid revision id" });
+  }
+
+  try {
+    const translation = await revertRevision(id, { editor: editorOf(req) });
+    if (translation === undefined) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+    res.json({ message: translation ? "Translation reverted" : "Translation removed", translation });
+  } catch (error) {
+    console.error("Failed to revert translation:", error);
+    res.status(500).json({ message: "Failed to revert translation" });
+  }
+})
+
+const restoreError = (res, error, action) => {
+  if (error instanceof TranslationHistoryError) {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Failed to ${action} translation restore:`, error);
+  res.status(500).json({ message: `Failed to ${action} translation restore` });
+};
+
+// What restoring { ns, lng?, date } would change, without writing anything
+router.post('/restore/preview', requireAuth, requirePermission('translation:restore'), async (req, res) => {
+  try {
+    const { ns, lng, date } = req.body;
+    res.json(await planRestore({ ns, lng: lng || null, date }));
+  } catch (error) {
+    restoreError(res, error, "preview");
+  }
+})
+
+// Put every key of a namespace edited since `date` back to its value then
+router.post('/restore', requireAuth, requirePermission('translation:restore'), auditTranslations("restore", (req) => ({ ns: req.body.ns, lng: req.body.lng || null, date: req.body.date })), async (req, res) => {
+  try {
+    const { ns, lng, date } = req.body;
+    const result = await restoreToDate({ ns, lng: lng || null, date }, { editor: editorOf(req) });
+    res.json({ message: "Translations restored", ...result });
+  } catch (error) {
+    restoreError(res, error, "apply");
+  }
+})
+
 // Get Translation
+// Browsers revalidate with If-None-Match on every load and get a 304 while
+// the bundle is unchanged.
 router.get('/:lng/:ns', async (req, res) => {
   try {
     const { lng, ns } = req.params;
-    const data = await Translation.find({ lng, ns });
+    const { bundle, etag } = await getBundle(lng, ns);
 
-    const translations = {}
-    data.forEach(kv => {
-      translations[kv.key] = kv.value;
-    });
-    res.json(translations);
+    res.set({ "ETag": etag, "Cache-Control": "no-cache" });
+    if (req.fresh) return res.status(304).end();
+    res.json(bundle);
   } catch (error) {
     res.status(500).json({ message: "Failed to get translation" })
   }
 })
 
 // Edit Translation
-router.put('/:lng/:ns/:key/', async (req, res) => {
+router.put('/:lng/:ns/:key/', requireAuth, requirePermission('translation:update'), auditTranslation({ target: (req) => translationTarget(req.params) }), async (req, res) => {
   const { lng, ns, key } = req.params;
   const { newTranslation } = req.body;
 
   try {
-    const updated = await Translation.findOneAndUpdate(
-      { lng, ns, key },
-      { $set: { value: newTranslation } },
-      { new: true, upsert: true }
-    );
+    await validateTranslation({ lng, ns, key, value: newTranslation });
+    await saveTranslations([{ lng, ns, key, value: newTranslation }], { editor: editorOf(req), action: "edit" });
+    const updated = await Translation.findOne({ lng, ns, key });
 
     res.status(200).json({ message: 'Successfully updated translation', translation: updated });
   } catch (error) {
+    if (error instanceof TranslationValidationError) {
+      return res.status(400).json({ message: error.message, problems: error.problems });
+    }
     res.status(500).json({ message: "Failed to update translation" });
   }
 })
 
-router.post('/create', async (req, res) => {
+router.post('/create', requireAuth, requirePermission('translation:create'), auditTranslation({ target: (req) => translationTarget(req.body) }), async (req, res) => {
   const { lng, ns, key, value } = req.body;
 
   try {
-    const translation = new Translation({
-      lng,
-      ns,
-      key,
-      value
-    })
-
-    await translation.save();
+    await validateTranslation({ lng, ns, key, value });
+    await saveTranslations([{ lng, ns, key, value }], { editor: editorOf(req), action: "create" });
+    const translation = await Translation.findOne({ lng, ns, key });
     return res.status(201).json({ message: 'Translation created successfully', data: translation })
   } catch (error) {
+    if (error instanceof TranslationValidationError) {
+      return res.status(400).json({ message: error.message, problems: error.problems });
+    }
     res.status(500).json({ message: 'Failed to create translation' });
   }
 })
 
-// Move all i18nexus translations to MongoDB
-router.post('/transfer', async (req, res) => {
+// Move all i18nexus translations to MongoDB (optional; see i18nexus-sync-service)
+router.post('/transfer', requireAuth, requirePermission('translation:transfer'), auditTranslations("transfer"), async (req, res) => {
   try {
-    const response = await fetch(`https://api.i18nexus.com/project_resources/translations.json?api_key=${process.env.I18NEXUS_API_KEY}`)
-    if (!response.ok) {
-      return res.status(response.status).json({ message: 'Failed to fetch translations' });
-    }
-
-    const translations = await response.json();
-
-    const translationsToInsert = [];
-    for (const [lng, namespaces] of Object.entries(translations)) {
-      for (const [ns, keys] of Object.entries(namespaces)) {
-        for (const [key, value] of Object.entries(keys)) {
-          translationsToInsert.push({
-            lng,
-            ns,
-            key,
-            value
-          });
-
-          // delete translation from i18nexus
-          await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-            method: "DELETE",
-            headers: {
-              "Content-Type": "application/json",
-              "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-            },
-            body: JSON.stringify({
-              "id": {
-                "key": key,
-                "namespace": ns,
-              }
-            })
-          });
-        }
-      }
-    }
-
-    await Translation.insertMany(translationsToInsert);
-
-    return res.status(200).json({ message: "Successfully inserted translations" })
+    const result = await pullFromI18nexus({ editor: editorOf(req) });
+    return res.status(200).json({ message: "Successfully inserted translations", ...result })
   } catch (error) {
+    if (error instanceof I18nexusSyncError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error transferring translations' })
   }
 })
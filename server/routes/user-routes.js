@@ -7,8 +7,22 @@ import mongoose from "mongoose";
 import User from "../schemas/User.js";
 import Class from "../schemas/Class.js";
 import { clerkClient } from "@clerk/express";
-import { validateInput } from "../../src/utils/backend/validate-utils.js";
-import { requireAuth, requireAdminOrInstructor } from "../../server/middleware/auth.js";
+import { escapeRx, validateInput } from "../../src/utils/backend/validate-utils.js";
+import { isValidTimeZone } from "../../src/utils/time-utils.js";
+import { requireAuth, requireAdminOrInstructor, requirePermission } from "../../server/middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { audit, loadById } from "../middleware/audit.js";
+import { deleteUser } from "../services/enrollment-service.js";
+import { StudentBulkError, runBulkAction } from "../services/student-bulk-service.js";
+import {
+  DEFAULT_COLUMNS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  StudentExportError,
+  exportColumns,
+  studentFilter,
+  writeStudentExport,
+} from "../services/student-export-service.js";
 
 const router = express.Router();
 
@@ -45,15 +59,18 @@ async function allowSelfOrPriv(req, res, next) {
   }
 }
 
-const escapeRx = (s) => s.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
+// Audit log entries for user writes
+const auditUser = (options) => audit("user", { load: loadById(User), ...options });
 
 /* -----------------------------
    Public signup
 ------------------------------*/
 
-router.post("/sign-up", async (req, res) => {
+router.post("/sign-up", auditUser(), async (req, res) => {
   try {
     const { firstName, lastName, email, whatsapp, clerkId } = req.body;
+    // detected by the browser; an unknown zone just falls back to the default
+    const timeZone = isValidTimeZone(req.body.timeZone) ? req.body.timeZone : null;
     if (!firstName || !lastName || !email || !clerkId) {
       return res.status(400).json({ message: "Missing required fields" });
     }
@@ -61,7 +78,7 @@ router.post("/sign-up", async (req, res) => {
     const existingUser = await User.findOne({ email }).select("_id").lean();
     if (existingUser) return res.status(409).json({ message: "Email already exists" });
 
-    const newUser = await new User({ firstName, lastName, email, whatsapp, clerkId }).save();
+    const newUser = await new User({ firstName, lastName, email, whatsapp, clerkId, timeZone }).save();
     res.status(201).json(newUser);
   } catch (error) {
     console.error("Failed to sign up:", error);
@@ -148,14 +165,18 @@ router.get("/user", requireAuth, async (req, res) => {
   }
 });
 
-router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
+router.put("/user/:id", requireAuth, allowSelfOrPriv, auditUser(), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
+    delete updates.calendarToken; // managed through /api/calendar only
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
+    if (updates.timeZone != null && !isValidTimeZone(updates.timeZone)) {
+      return res.status(400).json({ message: "Invalid time zone" });
+    }
 
     const originalUser = await User.findById(id);
     if (!originalUser) return res.status(404).json({ message: "User not found" });
@@ -180,6 +201,11 @@ router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
       runValidators: true,
     });
 
+    // Keep the display name on linked classes current
+    if (updatedUser.firstName !== originalUser.firstName) {
+      await Class.updateMany({ instructorId: id }, { instructor: updatedUser.firstName });
+    }
+
     res.status(200).json(updatedUser);
   } catch (error) {
     console.error("Failed to update user:", error);
@@ -187,29 +213,21 @@ router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
   }
 });
 
-router.delete("/user/:id", requireAuth, requireAdminOrInstructor, async (req, res) => {
+router.delete("/user/:id", requireAuth, requireAdminOrInstructor, auditUser(), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const deletedUser = await User.findById(id);
+    // full document, so a rolled-back delete restores it as it was
+    const deletedUser = await User.findById(id).select("+calendarToken");
     if (!deletedUser) return res.status(404).json({ message: "User not found" });
 
-    if (Array.isArray(deletedUser.enrolledClasses) && deletedUser.enrolledClasses.length) {
-      await Promise.all(
-        deletedUser.enrolledClasses.map((classId) =>
-          Class.findByIdAndUpdate(classId, { $pull: { roster: id } }).catch((err) => {
-            console.error(`Failed to remove user ${id} from class ${classId} roster:`, err);
-            throw err;
-          })
-        )
-      );
-    }
-
-    await clerkClient.users.deleteUser(deletedUser.clerkId);
-    await User.findByIdAndDelete(id);
+    // Rosters, waitlists and the user are removed together; the Clerk account
+    // is deleted last so a Clerk failure leaves the database untouched.
+    // Freed seats then go to the next waitlisted students.
+    await deleteUser(deletedUser, () => clerkClient.users.deleteUser(deletedUser.clerkId));
 
     res.status(204).json({ message: "User deleted successfully" });
   } catch (error) {
@@ -246,54 +264,20 @@ router.get("/students-classes/:id", requireAuth, allowSelfOrPriv, async (req, re
    Admin Students (paginated + filters)
 ------------------------------*/
 
-// GET /api/students-with-classes?limit=100&page=1[&level=1|conversation|ielts][&q=...]
+// GET /api/students-with-classes?limit=100&page=1[&level=1|<course type slug>][&q=...]
 router.get("/students-with-classes", requireAuth, requireAdminOrInstructor, async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 100));
     const page = Math.max(1, Number(req.query.page) || 1);
     const skip = (page - 1) * limit;
 
-    const { level: levelParam, q } = req.query;
-
-    // Build class-based filters first (for level and/or text on class fields)
-    const classIdFilters = [];
-
-    // Level filter (number or string: "conversation" | "ielts")
-    if (typeof levelParam !== "undefined" && levelParam !== null && `${levelParam}`.trim() !== "") {
-      const raw = `${levelParam}`.trim();
-      const parsed = Number.isNaN(Number(raw)) ? raw.toLowerCase() : Number(raw);
-      const levelClasses = await Class.find({ level: parsed }).select("_id").lean();
-      const ids = levelClasses.map((c) => c._id);
-      if (!ids.length) {
-        return res.json({ items: [], total: 0, page, limit });
-      }
-      classIdFilters.push({ enrolledClasses: { $in: ids } });
-    }
-
-    // Optional q: match user name/email OR class instructor/ageGroup
-    const userOr = [];
-    if (typeof q === "string" && q.trim()) {
-      const rx = new RegExp(escapeRx(q.trim()), "i");
-      userOr.push({ firstName: rx }, { lastName: rx }, { email: rx });
-
-      const qClasses = await Class.find({ $or: [{ instructor: rx }, { ageGroup: rx }] })
-        .select("_id")
-        .lean();
-      const qIds = qClasses.map((c) => c._id);
-      if (qIds.length) classIdFilters.push({ enrolledClasses: { $in: qIds } });
-    }
-
-    // Final user filter
-    const userFilter = { privilege: "student" };
-    if (userOr.length || classIdFilters.length) {
-      userFilter.$and = [];
-      if (userOr.length) userFilter.$and.push({ $or: userOr });
-      if (classIdFilters.length) userFilter.$and.push({ $and: classIdFilters });
-      if (!userFilter.$and.length) delete userFilter.$and;
+    const userFilter = await studentFilter(req.query);
+    if (!userFilter) {
+      return res.json({ items: [], total: 0, page, limit });
     }
 
     const userSelect = "firstName lastName email privilege enrolledClasses creationDate";
-    const classSelect = "level ageGroup instructor schedule isEnrollmentOpen image";
+    const classSelect = "level courseType ageGroup instructor schedule isEnrollmentOpen image";
 
     const [items, total] = await Promise.all([
       User.find(userFilter)
@@ -308,9 +292,74 @@ router.get("/students-with-classes", requireAuth, requireAdminOrInstructor, asyn
 
     res.json({ items, total, page, limit });
   } catch (err) {
+    if (err instanceof StudentExportError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("students-with-classes error:", err);
     res.status(500).json({ message: "Failed to fetch students" });
   }
 });
 
+/* -----------------------------
+   Admin Students export
+------------------------------*/
+
+// The columns an export can have and the ones it has by default
+router.get("/students-export/columns", requireAuth, requireAdminOrInstructor, (_req, res) => {
+  res.json({
+    columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+    defaults: DEFAULT_COLUMNS,
+  });
+});
+
+// GET /api/students-export?format=csv|xlsx[&columns=firstName,email,...][&level=...][&q=...][&ids=...]
+// Same filters as /students-with-classes, streamed as a download; `ids` exports a selection
+router.get("/students-export", requireAuth, requireAdminOrInstructor, async (req, res) => {
+  const format = req.query.format || "xlsx";
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ message: `Format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+
+  try {
+    const columns = exportColumns(req.query.columns);
+    const filter = await studentFilter(req.query);
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().split("T")[0];
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="dillar_students-${date}.${extension}"`);
+    await writeStudentExport(res, { format, columns, filter });
+  } catch (err) {
+    if (err instanceof StudentExportError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("students-export error:", err);
+    // Part of the file is already sent; cut it off so it isn't mistaken for a complete one
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: "Error exporting students" });
+  }
+});
+
+/* -----------------------------
+   Admin Students bulk actions
+------------------------------*/
+
+// POST /api/students/batch { action, ids, classId?, fromClassId?, privilege? }
+// Runs one action over the selected students; see student-bulk-service for the
+// actions. Answers 200 with a result per student, whether or not each succeeded.
+router.post("/students/batch", requireAuth, requirePermission("student:bulk"), idempotent, auditUser({
+  action: "bulk",
+  summary: (body, req) => ({ request: req.body, results: body.results }),
+}), async (req, res) => {
+  try {
+    res.json(await runBulkAction(req.body, { me: req.me }));
+  } catch (err) {
+    if (err instanceof StudentBulkError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("students batch error:", err);
+    res.status(500).json({ message: "Bulk action failed" });
+  }
+});
+
 export default router;
\ No newline at end of file
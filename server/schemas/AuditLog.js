@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const AUDIT_ENTITIES = ['class', 'level', 'user', 'translation'];
+
+// Entries are removed by a TTL index after this many days. The index is built
+// once, so changing the setting later means dropping `createdAt_1` first.
+export const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+
+// One field that a write changed. null/undefined means it wasn't set.
+const AuditChangeSchema = new Schema({
+  field: { type: String, required: true },
+  before: { type: Schema.Types.Mixed, default: null },
+  after: { type: Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// One successful write through the class, level, user or translation API
+const AuditLogSchema = new Schema({
+  actor: {
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    clerkId: { type: String, default: null }, // req.auth.userId; null for public routes like sign-up
+    name: { type: String, default: "" },
+  },
+  entity: { type: String, enum: AUDIT_ENTITIES, required: true },
+  targetId: { type: String, default: null }, // document id, or "lng/ns/key" for a translation
+  action: { type: String, required: true }, // create, update, delete, or what a route names it (e.g. enroll)
+  method: { type: String, required: true },
+  route: { type: String, required: true }, // the route pattern, e.g. /api/classes/classes/:id
+  path: { type: String, required: true }, // the URL called, without the query
+  status: { type: Number, required: true },
+  changes: { type: [AuditChangeSchema], default: [] },
+  summary: { type: Schema.Types.Mixed, default: null }, // bulk writes: what the response reported instead of a diff
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * AUDIT_RETENTION_DAYS },
+}, { collection: 'audit_logs' });
+
+AuditLogSchema.index({ "actor.user": 1, createdAt: -1 });
+AuditLogSchema.index({ entity: 1, targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+export default AuditLog;
@@ -21,12 +21,16 @@ const ClassSchema = new Schema({
       message: 'Level must be a number or a string'
     }
   },
+  courseType: { type: String, default: null }, // CourseType slug, null = core numbered levels
   ageGroup: { type: String, required: true },
-  instructor: { type: String, required: true },
+  instructor: { type: String, required: true }, // display name, kept in sync with instructorId
+  instructorId: { type: Schema.Types.ObjectId, ref: "User", default: null },
   image: { type: String, required: true, default: "level_img_0.webp" },
   link: { type: String, default: "" },
   schedule: { type: [ScheduleSchema], default: [] },
   roster: { type: [Schema.Types.ObjectId], default: [], ref: "User" },
+  capacity: { type: Number, min: 1, default: null }, // null = no seat limit
+  waitlist: { type: [Schema.Types.ObjectId], default: [], ref: "User" }, // ordered, first in line at index 0
   isEnrollmentOpen: { type: Boolean, default: true }
 }, { collection: 'classes' });
 
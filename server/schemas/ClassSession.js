@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late'];
+
+// One student's mark for a session
+const AttendanceSchema = new Schema({
+  student: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+  markedAt: { type: Date, default: Date.now },
+  markedBy: { type: Schema.Types.ObjectId, ref: "User" }
+}, { _id: false });
+
+// A dated meeting of a class, generated from its weekly schedule
+const ClassSessionSchema = new Schema({
+  classId: { type: Schema.Types.ObjectId, ref: "Class", required: true },
+  startsAt: { type: Date, required: true }, // UTC instant
+  endsAt: { type: Date, required: true },
+  attendance: { type: [AttendanceSchema], default: [] }
+}, { collection: 'class_sessions' });
+
+ClassSessionSchema.index({ classId: 1, startsAt: 1 }, { unique: true });
+ClassSessionSchema.index({ 'attendance.student': 1 });
+
+const ClassSession = mongoose.model("ClassSession", ClassSessionSchema);
+
+export default ClassSession;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A kind of course offered alongside the numbered core levels
+// (e.g. Conversation, IELTS, Business English).
+// Classes point at it through Class.courseType (the slug).
+const CourseTypeSchema = new Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Slug must start with a letter and use only a-z, 0-9 and -']
+  },
+  name: { type: String, required: true, trim: true }, // admin-facing name, English label default
+  labelKey: { type: String }, // translation key in the "levels" namespace
+  image: { type: String, default: "level_img_0.webp" },
+  hasLevels: { type: Boolean, default: false }, // classes carry a level number (Level 1, 2, ...)
+  order: { type: Number, default: 0 } // display order on the levels page
+}, { collection: 'course_types' });
+
+CourseTypeSchema.pre('validate', function (next) {
+  if (!this.labelKey && this.slug) this.labelKey = `course_${this.slug}`;
+  next();
+});
+
+const CourseType = mongoose.model('CourseType', CourseTypeSchema);
+
+export default CourseType;
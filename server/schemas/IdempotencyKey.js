@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Stored responses for requests sent with an Idempotency-Key header.
+// A record without statusCode means the first request is still in flight.
+const IdempotencyKeySchema = new Schema({
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // "<caller clerk id or anonymous> METHOD path"
+    statusCode: { type: Number },
+    body: { type: Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }, // kept for 24h
+}, { collection: 'idempotency_keys' });
+
+IdempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const INQUIRY_STATUSES = ['new', 'replied', 'closed'];
+
+// An answer sent to the person who wrote in
+const ReplySchema = new Schema({
+  message: { type: String, required: true },
+  sentBy: { type: Schema.Types.ObjectId, ref: "User" },
+  sentByName: { type: String, default: "" },
+  mail: { type: Schema.Types.ObjectId, ref: "OutgoingMail" },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A message submitted through the contact form
+const InquirySchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, trim: true },
+  subject: { type: String, required: true, trim: true },
+  message: { type: String, required: true },
+  lng: { type: String, default: 'en' }, // site language when sent; replies use it
+  status: { type: String, enum: INQUIRY_STATUSES, default: 'new' },
+  assignee: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  notes: { type: String, default: "" }, // internal, never sent
+  notification: { type: Schema.Types.ObjectId, ref: "OutgoingMail" }, // email to the admin inbox
+  replies: { type: [ReplySchema], default: [] }
+}, { collection: 'inquiries', timestamps: true });
+
+InquirySchema.index({ status: 1, createdAt: -1 });
+
+const Inquiry = mongoose.model("Inquiry", InquirySchema);
+
+export default Inquiry;
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const MAIL_STATUSES = ['queued', 'sent', 'failed'];
+
+// Every email the API sends. Failed sends stay `queued` with a later
+// nextAttemptAt until they go through or run out of attempts (`failed`).
+const OutgoingMailSchema = new Schema({
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  replyTo: { type: String },
+  subject: { type: String, required: true },
+  html: { type: String },
+  text: { type: String },
+  status: { type: String, enum: MAIL_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String, default: "" },
+  sentAt: { type: Date, default: null },
+  context: { type: String, default: "" } // e.g. "inquiry:<id>", for tracing
+}, { collection: 'outgoing_mail', timestamps: true });
+
+OutgoingMailSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivered mail is only kept for a month; unsent mail has no sentAt and stays
+OutgoingMailSchema.index({ sentAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 });
+
+const OutgoingMail = mongoose.model("OutgoingMail", OutgoingMailSchema);
+
+export default OutgoingMail;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// pending → processing → created | failed; rows with errors are skipped up front
+export const IMPORT_ROW_RESULTS = ['pending', 'processing', 'created', 'skipped', 'failed'];
+
+// What happened to one spreadsheet row. `row` is its line number in the file.
+const ImportRowSchema = new Schema({
+  row: { type: Number, required: true },
+  firstName: { type: String, default: "" },
+  lastName: { type: String, default: "" },
+  email: { type: String, default: "" },
+  whatsapp: { type: String, default: "" },
+  classes: { type: [String], default: [] }, // as written in the file
+  classIds: { type: [Schema.Types.ObjectId], default: [] }, // the classes they matched
+  result: { type: String, enum: IMPORT_ROW_RESULTS, required: true },
+  claimedAt: { type: Date, default: null }, // when a request started processing the row
+  messages: { type: [String], default: [] }, // why it was skipped or failed, enrollment notes
+  user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+}, { _id: false });
+
+// One run of the admin bulk student import, kept for its downloadable report.
+// It stays "running" until every row has a result; the client drives it a few
+// rows per request (see student-import-service).
+const StudentImportSchema = new Schema({
+  fileName: { type: String, default: "" },
+  importedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  status: { type: String, enum: ['running', 'done'], default: 'running' },
+  rows: { type: [ImportRowSchema], default: [] },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 90 }, // kept for 90 days
+  finishedAt: { type: Date, default: null },
+}, { collection: 'student_imports' });
+
+const StudentImport = mongoose.model('StudentImport', StudentImportSchema);
+
+export default StudentImport;
@@ -7,7 +7,12 @@ const TranslationSchema = new Schema({
     ns: { type: String, required: true },
     key: { type: String, required: true },
     value: { type: String, required: true },
-}, { collection: 'translations' });
+    // Hash of the English value this translation was made from (null for English)
+    sourceHash: { type: String, default: null },
+    // Copied from English as a placeholder until someone translates it. Left
+    // out of bundles and exports, and counted as missing in the report.
+    needsTranslation: { type: Boolean, default: false },
+}, { collection: 'translations', timestamps: true });
 
 const Translation = mongoose.model('Translation', TranslationSchema);
 
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const REVISION_ACTIONS = ['edit', 'create', 'import', 'transfer', 'revert', 'restore', 'delete'];
+
+// One change to a translation. `previous` is the value before the change and
+// `value` the value after; null means the translation didn't exist.
+const TranslationRevisionSchema = new Schema({
+  lng: { type: String, required: true },
+  ns: { type: String, required: true },
+  key: { type: String, required: true },
+  previous: { type: String, default: null },
+  value: { type: String, default: null },
+  action: { type: String, enum: REVISION_ACTIONS, required: true },
+  editor: {
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    clerkId: { type: String, default: null }, // req.auth.userId when the change was made
+    name: { type: String, default: "" },
+  },
+  revertOf: { type: Schema.Types.ObjectId, ref: "TranslationRevision", default: null },
+}, { collection: 'translation_revisions', timestamps: { createdAt: true, updatedAt: false } });
+
+TranslationRevisionSchema.index({ lng: 1, ns: 1, key: 1, createdAt: -1 });
+TranslationRevisionSchema.index({ ns: 1, createdAt: -1 });
+
+const TranslationRevision = mongoose.model("TranslationRevision", TranslationRevisionSchema);
+
+export default TranslationRevision;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isValidTimeZone } from '../../src/utils/time-utils.js';
 
 const { Schema } = mongoose;
 
@@ -12,7 +13,15 @@ const UserSchema = new Schema({
     privilege: { type: String, default: "student", enum: ["admin", "instructor", "student"] },
     clerkId: { type: String, required: true },
     creationDate: { type: Date, default: Date.now },
-    enrolledClasses: { type: [Schema.Types.ObjectId], default: [], ref: "Class" }
+    enrolledClasses: { type: [Schema.Types.ObjectId], default: [], ref: "Class" },
+    // IANA zone schedules are shown in; null = the browser's zone
+    timeZone: {
+        type: String,
+        default: null,
+        validate: { validator: zone => zone === null || isValidTimeZone(zone), message: 'Invalid time zone' }
+    },
+    // secret for the iCalendar feed URL; unset = no feed. Never returned unless selected.
+    calendarToken: { type: String, select: false, index: { unique: true, sparse: true } }
 }, { collection: 'users' });
 
 const User = mongoose.model("User", UserSchema);
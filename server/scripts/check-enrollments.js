@@ -0,0 +1,27 @@
+// api/scripts/check-enrollments.js
+// CLI for the enrollment integrity checker.
+//
+//   node server/scripts/check-enrollments.js           # dry run, prints JSON report
+//   node server/scripts/check-enrollments.js --apply   # repairs the issues found
+//
+// Exits with code 1 when a dry run finds issues, so it can gate CI/cron jobs.
+// Reads MONGODB_URI from the environment (.env is loaded).
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import { checkEnrollmentIntegrity } from "../services/integrity-service.js";
+
+const apply = process.argv.includes("--apply");
+
+try {
+  await dbConnect();
+  const report = await checkEnrollmentIntegrity({ apply });
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = !apply && report.summary.total > 0 ? 1 : 0;
+} catch (err) {
+  console.error("Enrollment integrity check failed:", err);
+  process.exitCode = 2;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,37 @@
+// api/scripts/i18nexus-sync.js
+// Optional sync with i18nexus; the site itself never talks to it.
+//
+//   node server/scripts/i18nexus-sync.js pull            # copy i18nexus translations into MongoDB
+//   node server/scripts/i18nexus-sync.js pull --keep     # ...without deleting them from i18nexus
+//   node server/scripts/i18nexus-sync.js push <ns>       # send the English strings of a namespace
+//
+// Reads MONGODB_URI, I18NEXUS_API_KEY and I18NEXUS_PAT from the environment (.env is loaded).
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import { pullFromI18nexus, pushToI18nexus } from "../services/i18nexus-sync-service.js";
+
+const [command, ns] = process.argv.slice(2);
+
+try {
+  if (command === "pull") {
+    await dbConnect();
+    const summary = await pullFromI18nexus({
+      editor: { name: "i18nexus-sync" },
+      remove: !process.argv.includes("--keep"),
+    });
+    console.log(JSON.stringify(summary, null, 2));
+  } else if (command === "push" && ns) {
+    await dbConnect();
+    console.log(JSON.stringify(await pushToI18nexus({ ns }), null, 2));
+  } else {
+    console.error("Usage: i18nexus-sync.js pull [--keep] | push <namespace>");
+    process.exitCode = 2;
+  }
+} catch (err) {
+  console.error("i18nexus sync failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
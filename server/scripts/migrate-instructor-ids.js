@@ -0,0 +1,66 @@
+// api/scripts/migrate-instructor-ids.js
+// One-off migration: link classes to instructor accounts (Class.instructorId)
+// by matching the free-text `instructor` name against instructor users.
+//
+//   node server/scripts/migrate-instructor-ids.js           # dry run, prints JSON report
+//   node server/scripts/migrate-instructor-ids.js --apply   # writes the unambiguous matches
+//
+// A name matches an instructor's first name or "first last" (case-insensitive).
+// Classes with no match or several matches are listed for manual linking in
+// the admin class editor. Already-linked classes are skipped, so reruns are safe.
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+
+const apply = process.argv.includes("--apply");
+const normalize = (s) => String(s ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+try {
+  await dbConnect();
+
+  const [instructors, classes] = await Promise.all([
+    User.find({ privilege: "instructor" }).select("firstName lastName").lean(),
+    Class.find({ instructorId: null }).select("instructor level ageGroup").lean(),
+  ]);
+
+  // name → matching instructor ids
+  const byName = new Map();
+  for (const u of instructors) {
+    for (const name of new Set([normalize(u.firstName), normalize(`${u.firstName} ${u.lastName}`)])) {
+      byName.set(name, [...(byName.get(name) || []), u._id]);
+    }
+  }
+
+  const matched = [];
+  const ambiguous = [];
+  const unmatched = [];
+  for (const cls of classes) {
+    const candidates = byName.get(normalize(cls.instructor)) || [];
+    const entry = { classId: cls._id, level: cls.level, ageGroup: cls.ageGroup, instructor: cls.instructor };
+    if (candidates.length === 1) matched.push({ ...entry, instructorId: candidates[0] });
+    else if (candidates.length > 1) ambiguous.push({ ...entry, candidates });
+    else unmatched.push(entry);
+  }
+
+  if (apply && matched.length) {
+    await Class.bulkWrite(matched.map(({ classId, instructorId }) => ({
+      updateOne: { filter: { _id: classId, instructorId: null }, update: { $set: { instructorId } } },
+    })));
+  }
+
+  console.log(JSON.stringify({
+    mode: apply ? "apply" : "dry-run",
+    summary: { unlinked: classes.length, matched: matched.length, ambiguous: ambiguous.length, unmatched: unmatched.length },
+    matched,
+    ambiguous,
+    unmatched,
+  }, null, 2));
+} catch (err) {
+  console.error("Instructor migration failed:", err);
+  process.exitCode = 2;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,24 @@
+// api/scripts/retry-mail.js
+// Sends queued mail that is due for another attempt. Run it from cron:
+//
+//   node server/scripts/retry-mail.js
+//
+// Exits with code 1 when any message ran out of attempts during this run.
+// Reads MONGODB_URI from the environment (.env is loaded).
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import { retryQueuedMail } from "../services/mail-service.js";
+
+try {
+  await dbConnect();
+  const summary = await retryQueuedMail({ limit: 200 });
+  console.log(JSON.stringify(summary, null, 2));
+  process.exitCode = summary.failed > 0 ? 1 : 0;
+} catch (err) {
+  console.error("Mail retry failed:", err);
+  process.exitCode = 2;
+} finally {
+  await mongoose.disconnect();
+}
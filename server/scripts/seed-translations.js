@@ -0,0 +1,24 @@
+// api/scripts/seed-translations.js
+// Adds the UI strings listed in ui-string-service that the Translation
+// collection doesn't have yet. Existing translations are left alone.
+//
+// A deploy step, run against the production database after deploying code
+// that adds UI strings (npm run translations:seed). Builds don't run it, so
+// they never write to a database. Exits non-zero if the seed fails.
+// Reads MONGODB_URI from the environment (.env is loaded).
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import { seedUiStrings } from "../services/ui-string-service.js";
+
+try {
+  await dbConnect();
+  const added = await seedUiStrings();
+  console.log(added ? `Seeded ${added} UI strings` : "All UI strings are already seeded");
+} catch (err) {
+  console.error("UI string seed failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
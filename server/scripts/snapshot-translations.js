@@ -0,0 +1,47 @@
+// api/scripts/snapshot-translations.js
+// Writes the translation bundles the site loads to public/locales, where
+// src/i18n.js falls back to them when the API or database is down:
+//
+//   public/locales/<lng>/<ns>.json   same body as GET /api/locales/<lng>/<ns>
+//   public/locales/manifest.json     when it was taken and each bundle's ETag
+//
+// Runs before every build (npm "prebuild") and only reads the database.
+// Without one, or when it can't be reached, the snapshot committed in the
+// repo is kept and the build goes on.
+// Reads MONGODB_URI from the environment (.env is loaded).
+
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import { LANGUAGES } from "../services/translation-service.js";
+import { getBundle } from "../services/translation-bundle-service.js";
+
+// The namespaces src/i18n.js loads
+const NAMESPACES = ["default", "levels"];
+const OUT_DIR = path.resolve("public", "locales");
+
+try {
+  if (!process.env.MONGODB_URI) {
+    console.warn("MONGODB_URI is not set, keeping the existing translation snapshot");
+  } else {
+    await dbConnect();
+    const manifest = { generatedAt: new Date().toISOString(), bundles: {} };
+    for (const lng of LANGUAGES) {
+      await fs.mkdir(path.join(OUT_DIR, lng), { recursive: true });
+      for (const ns of NAMESPACES) {
+        const { bundle, etag } = await getBundle(lng, ns);
+        await fs.writeFile(path.join(OUT_DIR, lng, `${ns}.json`), JSON.stringify(bundle));
+        manifest.bundles[`${lng}/${ns}`] = { etag, keys: Object.keys(bundle).length };
+      }
+    }
+    await fs.writeFile(path.join(OUT_DIR, "manifest.json"), JSON.stringify(manifest, null, 2));
+    console.log(`Translation snapshot written to ${OUT_DIR}`);
+  }
+} catch (err) {
+  // A stale snapshot is better than a failed deploy
+  console.warn("Translation snapshot skipped:", err.message);
+} finally {
+  await mongoose.disconnect();
+}
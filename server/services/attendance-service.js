@@ -0,0 +1,226 @@
+// api/services/attendance-service.js
+// Dated class sessions and attendance.
+//
+// Sessions are generated from a class's weekly schedule (each entry is a
+// weekday + start/end time in its own IANA zone) when syncSessions is asked
+// to, and upserted, so syncing the same range twice never creates duplicates.
+// Future sessions that no longer match the schedule are dropped as long as
+// nobody has marked them. Listing sessions never writes.
+//
+// Attendance rate = (present + late) / marked.
+
+import mongoose from "mongoose";
+import { DateTime } from "luxon";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import ClassSession, { ATTENDANCE_STATUSES } from "../schemas/ClassSession.js";
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const DEFAULT_PAST_WEEKS = 8;
+const DEFAULT_FUTURE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+
+export class AttendanceError extends Error {}
+
+const checkRange = (from, to) => {
+  if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AttendanceError(`Session range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+};
+
+/**
+ * Default window for listing sessions: the last few weeks through next week.
+ */
+export function defaultSessionRange(now = new Date()) {
+  const today = DateTime.fromJSDate(now);
+  return {
+    from: today.minus({ weeks: DEFAULT_PAST_WEEKS }).startOf("day").toJSDate(),
+    to: today.plus({ days: DEFAULT_FUTURE_DAYS }).endOf("day").toJSDate(),
+  };
+}
+
+/**
+ * Every meeting of `schedule` whose start falls in [from, to].
+ * Returns [{ startsAt, endsAt }] as JS Dates, sorted by start.
+ */
+export function sessionTimes(schedule, from, to) {
+  const times = [];
+
+  for (const entry of schedule || []) {
+    const weekday = WEEKDAYS.indexOf(String(entry.day).toLowerCase()) + 1;
+    const start = DateTime.fromFormat(entry.startTime, "H:mm");
+    const end = DateTime.fromFormat(entry.endTime, "H:mm");
+    if (!weekday || !start.isValid || !end.isValid) continue;
+
+    const zone = entry.timezone || "Etc/UTC";
+    const last = DateTime.fromJSDate(to, { zone });
+    let day = DateTime.fromJSDate(from, { zone }).startOf("day");
+
+    // Walk forward to the first matching weekday, then step a week at a time
+    day = day.plus({ days: (weekday - day.weekday + 7) % 7 });
+    for (; day <= last; day = day.plus({ weeks: 1 })) {
+      const startsAt = day.set({ hour: start.hour, minute: start.minute });
+      let endsAt = day.set({ hour: end.hour, minute: end.minute });
+      if (endsAt <= startsAt) endsAt = endsAt.plus({ days: 1 }); // runs past midnight
+      if (startsAt.toJSDate() < from || startsAt.toJSDate() > to) continue;
+      times.push({ startsAt: startsAt.toJSDate(), endsAt: endsAt.toJSDate() });
+    }
+  }
+
+  return times.sort((a, b) => a.startsAt - b.startsAt);
+}
+
+/**
+ * A class's sessions in [from, to], newest first.
+ * @throws {AttendanceError} when the range is too long
+ */
+export async function listSessions(classId, from, to) {
+  checkRange(from, to);
+  return ClassSession.find({ classId, startsAt: { $gte: from, $lte: to } })
+    .sort({ startsAt: -1 })
+    .lean();
+}
+
+/**
+ * Bring `cls`'s sessions in [from, to] in line with its schedule: create the
+ * missing ones and drop unmarked upcoming ones it no longer has. Returns all
+ * sessions in that range, newest first.
+ * @throws {AttendanceError} when the range is too long
+ */
+export async function syncSessions(cls, from, to) {
+  checkRange(from, to);
+
+  const times = sessionTimes(cls.schedule, from, to);
+  if (times.length) {
+    await ClassSession.bulkWrite(times.map(({ startsAt, endsAt }) => ({
+      updateOne: {
+        filter: { classId: cls._id, startsAt },
+        update: { $setOnInsert: { endsAt } },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+
+  // Schedule changed: drop upcoming sessions that no longer happen
+  await ClassSession.deleteMany({
+    classId: cls._id,
+    startsAt: { $gte: new Date(), $lte: to, $nin: times.map(t => t.startsAt) },
+    "attendance.0": { $exists: false },
+  });
+
+  return listSessions(cls._id, from, to);
+}
+
+/**
+ * Record marks for a session. `entries` is [{ student, status }]; students not
+ * on the class roster are rejected. Existing marks for other students are kept.
+ * @throws {AttendanceError} for an unknown status or a student not in the class
+ */
+export async function markAttendance(session, cls, entries, markedBy) {
+  const roster = new Set(cls.roster.map(String));
+
+  for (const { student, status } of entries) {
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      throw new AttendanceError(`Invalid attendance status: ${status}`);
+    }
+    if (!roster.has(String(student))) {
+      throw new AttendanceError(`Student ${student} is not enrolled in this class`);
+    }
+  }
+
+  const byStudent = new Map(session.attendance.map(a => [String(a.student), a]));
+  for (const { student, status } of entries) {
+    byStudent.set(String(student), { student, status, markedAt: new Date(), markedBy });
+  }
+  session.attendance = [...byStudent.values()];
+  return session.save();
+}
+
+// Attendance counts grouped by `groupBy` ("student" or "classId")
+async function countAttendance(match, groupBy) {
+  const rows = await ClassSession.aggregate([
+    { $match: match },
+    { $unwind: "$attendance" },
+    ...(match["attendance.student"] ? [{ $match: { "attendance.student": match["attendance.student"] } }] : []),
+    {
+      $group: {
+        _id: groupBy === "student" ? "$attendance.student" : "$classId",
+        present: { $sum: { $cond: [{ $eq: ["$attendance.status", "present"] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ["$attendance.status", "late"] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ["$attendance.status", "absent"] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  return rows.map(({ _id, present, late, absent }) => {
+    const marked = present + late + absent;
+    return { [groupBy]: _id, present, late, absent, marked, rate: marked ? (present + late) / marked : null };
+  });
+}
+
+function overall(rows) {
+  const totals = rows.reduce((sum, row) => ({
+    present: sum.present + row.present,
+    late: sum.late + row.late,
+    absent: sum.absent + row.absent,
+  }), { present: 0, late: 0, absent: 0 });
+  const marked = totals.present + totals.late + totals.absent;
+  return { ...totals, marked, rate: marked ? (totals.present + totals.late) / marked : null };
+}
+
+/**
+ * Per-student attendance rates for one class, plus the class-wide rate.
+ */
+export async function classAttendanceSummary(classId) {
+  const id = new mongoose.Types.ObjectId(String(classId));
+  const [rows, sessionsHeld] = await Promise.all([
+    countAttendance({ classId: id }, "student"),
+    ClassSession.countDocuments({ classId: id, startsAt: { $lte: new Date() } }),
+  ]);
+
+  const students = await User.find({ _id: { $in: rows.map(r => r.student) } })
+    .select("firstName lastName email")
+    .lean();
+  const byId = new Map(students.map(s => [String(s._id), s]));
+
+  return {
+    classId: id,
+    sessionsHeld,
+    overall: overall(rows),
+    students: rows
+      .map(row => ({ ...row, student: byId.get(String(row.student)) ?? { _id: row.student } }))
+      .sort((a, b) => (a.rate ?? 1) - (b.rate ?? 1)),
+  };
+}
+
+/**
+ * One student's attendance: rates per class and their marked sessions, newest first.
+ */
+export async function studentAttendance(userId) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  const [rows, sessions] = await Promise.all([
+    countAttendance({ "attendance.student": id }, "classId"),
+    ClassSession.find({ "attendance.student": id })
+      .sort({ startsAt: -1 })
+      .populate({ path: "classId", select: "level courseType ageGroup instructor" })
+      .lean(),
+  ]);
+
+  const classDocs = await Class.find({ _id: { $in: rows.map(r => r.classId) } })
+    .select("level courseType ageGroup instructor")
+    .lean();
+  const byId = new Map(classDocs.map(c => [String(c._id), c]));
+
+  return {
+    userId: id,
+    overall: overall(rows),
+    classes: rows.map(row => ({ ...row, class: byId.get(String(row.classId)) ?? null })),
+    history: sessions.map(s => ({
+      sessionId: s._id,
+      class: s.classId,
+      startsAt: s.startsAt,
+      endsAt: s.endsAt,
+      status: s.attendance.find(a => a.student.equals(id)).status,
+    })),
+  };
+}
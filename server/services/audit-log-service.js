@@ -0,0 +1,131 @@
+// api/services/audit-log-service.js
+// Who changed what through the API. The audit middleware records an entry for
+// every successful write on the class, level, user and translation routes:
+// the signed-in user, the route, the target document and a field-by-field
+// diff of the document before and after the write.
+//
+// Entries expire after AUDIT_LOG_RETENTION_DAYS (default 365, see AuditLog).
+
+import mongoose from "mongoose";
+import AuditLog, { AUDIT_ENTITIES } from "../schemas/AuditLog.js";
+import User from "../schemas/User.js";
+import { escapeRx } from "../../src/utils/backend/validate-utils.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Never copied into the log
+const HIDDEN_FIELDS = ["_id", "__v", "updatedAt", "calendarToken"];
+
+export class AuditLogError extends Error {}
+
+// Plain JSON copy of a document (ObjectIds and dates become strings)
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(doc));
+  for (const field of HIDDEN_FIELDS) delete plain[field];
+  return plain;
+}
+
+/**
+ * Top-level fields that differ between two versions of a document, as
+ * { field, before, after }. Either side may be null (created or deleted).
+ */
+export function auditChanges(before, after) {
+  const from = snapshot(before) ?? {};
+  const to = snapshot(after) ?? {};
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+  return fields
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({ field, before: from[field] ?? null, after: to[field] ?? null }));
+}
+
+// The signed-in user behind a request. requirePermission leaves them on
+// req.me; other guards only check, so they're looked up by Clerk id.
+async function actorOf(req) {
+  const clerkId = req.auth?.userId ?? null;
+  const me = req.me ?? (clerkId && await User.findOne({ clerkId }).select("firstName lastName").lean());
+  return {
+    user: me?._id ?? null,
+    clerkId,
+    name: [me?.firstName, me?.lastName].filter(Boolean).join(" "),
+  };
+}
+
+/**
+ * Store one entry for a write that `req` made.
+ * @param {import("express").Request} req
+ * @param {{ entity: string, action: string, status: number, targetId?: string|null,
+ *           before?: object|null, after?: object|null, summary?: object|null }} entry
+ */
+export async function recordAudit(req, { entity, action, status, targetId = null, before = null, after = null, summary = null }) {
+  await AuditLog.create({
+    actor: await actorOf(req),
+    entity,
+    targetId: targetId == null ? null : String(targetId),
+    action,
+    method: req.method,
+    route: `${req.baseUrl}${req.route?.path ?? ""}`,
+    path: req.originalUrl.split("?")[0],
+    status,
+    changes: summary ? [] : auditChanges(before, after),
+    summary: summary ? snapshot(summary) : null,
+  });
+}
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AuditLogError(`Invalid ${name} date`);
+  return date;
+};
+
+/**
+ * Entries matching the admin search, newest first.
+ * `actor` matches the name, or the name or email of a current user; `from`
+ * and `to` are dates or ISO timestamps, both inclusive.
+ * @returns {Promise<{ items: object[], total: number, page: number, limit: number }>}
+ * @throws {AuditLogError} for an unknown entity or a malformed date
+ */
+export async function searchAuditLogs({ actor, entity, targetId, from, to, page, limit } = {}) {
+  const filter = {};
+
+  if (typeof actor === "string" && actor.trim()) {
+    const text = actor.trim();
+    const rx = new RegExp(escapeRx(text), "i");
+    const users = await User.find({ $or: [{ firstName: rx }, { lastName: rx }, { email: rx }] })
+      .select("_id")
+      .lean();
+    const ids = users.map(user => user._id);
+    if (mongoose.Types.ObjectId.isValid(text)) ids.push(new mongoose.Types.ObjectId(text));
+    filter.$or = [{ "actor.user": { $in: ids } }, { "actor.name": rx }, { "actor.clerkId": text }];
+  }
+
+  if (entity) {
+    if (!AUDIT_ENTITIES.includes(entity)) {
+      throw new AuditLogError(`Entity must be one of ${AUDIT_ENTITIES.join(", ")}`);
+    }
+    filter.entity = entity;
+  }
+
+  if (typeof targetId === "string" && targetId.trim()) filter.targetId = targetId.trim();
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, "from");
+    if (to) filter.createdAt.$lte = parseDate(to, "to");
+  }
+
+  const pageSize = Math.max(1, Math.min(MAX_LIMIT, Number(limit) || DEFAULT_LIMIT));
+  const pageNumber = Math.max(1, Number(page) || 1);
+
+  const [items, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  return { items, total, page: pageNumber, limit: pageSize };
+}
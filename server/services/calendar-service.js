@@ -0,0 +1,198 @@
+// api/services/calendar-service.js
+// RFC 5545 iCalendar feed of a user's weekly classes.
+//
+// Every schedule entry becomes one recurring VEVENT (FREQ=WEEKLY) written in
+// the entry's own IANA zone, so calendar apps keep the wall-clock time across
+// DST changes. The series starts on the first meeting after the schedule
+// entry was added (read from its ObjectId), which keeps DTSTART stable
+// between polls.
+// A VTIMEZONE is emitted for every zone used, built from luxon's offset data.
+
+import crypto from "crypto";
+import { DateTime } from "luxon";
+import Class from "../schemas/Class.js";
+import CourseType from "../schemas/CourseType.js";
+import { sessionTimes } from "./attendance-service.js";
+
+const PRODID = "-//Dillar Academy//Class Schedule//EN";
+const BYDAY = { monday: "MO", tuesday: "TU", wednesday: "WE", thursday: "TH", friday: "FR", saturday: "SA", sunday: "SU" };
+const TZ_YEARS_AHEAD = 2;
+
+export const newCalendarToken = () => crypto.randomBytes(24).toString("hex");
+
+/**
+ * Classes that belong on a user's calendar: the ones they teach if they are
+ * an instructor, otherwise the ones they are enrolled in.
+ */
+export async function calendarClasses(user) {
+  const filter = user.privilege === "instructor"
+    ? { instructorId: user._id }
+    : { _id: { $in: user.enrolledClasses || [] } };
+  return Class.find(filter).select("level courseType ageGroup instructor link schedule").lean();
+}
+
+/**
+ * Build the .ics text for `user`.
+ */
+export async function buildCalendar(user, { now = new Date() } = {}) {
+  const classes = await calendarClasses(user);
+  const courseTypes = await CourseType.find({}).select("slug name").lean();
+  const courseNames = new Map(courseTypes.map(type => [type.slug, type.name]));
+
+  const stamp = formatUtc(DateTime.fromJSDate(now));
+  const events = [];
+  const zones = new Map(); // zone → earliest DTSTART in it
+
+  for (const cls of classes) {
+    for (const entry of cls.schedule || []) {
+      const created = (entry._id ?? cls._id).getTimestamp();
+      const byDay = BYDAY[String(entry.day).toLowerCase()];
+      const zone = entry.timezone || "Etc/UTC";
+      const [first] = sessionTimes([entry], created, new Date(created.getTime() + 7 * 24 * 60 * 60 * 1000));
+      if (!byDay || !first) continue;
+
+      const startsAt = DateTime.fromJSDate(first.startsAt, { zone });
+      const endsAt = DateTime.fromJSDate(first.endsAt, { zone });
+      if (!zones.has(zone) || startsAt < zones.get(zone)) zones.set(zone, startsAt);
+
+      const url = classUrl(cls.link);
+      events.push([
+        "BEGIN:VEVENT",
+        `UID:${cls._id}-${entry._id}@dillar-academy`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${zone}:${formatLocal(startsAt)}`,
+        `DTEND;TZID=${zone}:${formatLocal(endsAt)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${byDay}`,
+        `SUMMARY:${escapeText(classTitle(cls, courseNames))}`,
+        ...(url ? [`URL:${url}`, `DESCRIPTION:${escapeText(`Join: ${url}`)}`] : []),
+        "END:VEVENT",
+      ]);
+    }
+  }
+
+  const lastYear = DateTime.fromJSDate(now).year + TZ_YEARS_AHEAD;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Dillar Academy Classes",
+    ...[...zones].flatMap(([zone, from]) => vtimezone(zone, from.year, lastYear)),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// e.g. "Conversation (Adults) with Ali"; courseNames maps course type slug → name
+export const classTitle = (cls, courseNames) => {
+  const courseType = cls.courseType ?? (typeof cls.level === "string" ? cls.level : null);
+  const level = typeof cls.level === "number" ? `Level ${cls.level}` : "";
+  const name = courseType ? [courseNames.get(courseType) ?? courseType, level].filter(Boolean).join(" ") : level;
+  const ages = cls.ageGroup === "all" ? "All Ages" : `${cls.ageGroup.charAt(0).toUpperCase()}${cls.ageGroup.slice(1)}`;
+  return `${name} (${ages}) with ${cls.instructor}`;
+};
+
+const classUrl = (link) => {
+  if (!link) return "";
+  return /^https?:\/\//.test(link) ? link : `https://${link}`;
+};
+
+/**
+ * VTIMEZONE for `zone` covering [fromYear, toYear]. Each offset change becomes
+ * its own observance; zones without changes get a single STANDARD block.
+ */
+export function vtimezone(zone, fromYear, toYear) {
+  const start = DateTime.fromObject({ year: fromYear, month: 1, day: 1 }, { zone });
+  const end = DateTime.fromObject({ year: toYear + 1, month: 1, day: 1 }, { zone });
+  const observances = [];
+
+  let prev = start;
+  for (let day = start.plus({ days: 1 }); day <= end; day = day.plus({ days: 1 })) {
+    if (day.offset !== prev.offset) {
+      const at = findTransition(zone, prev, day);
+      observances.push(observance(at.isInDST ? "DAYLIGHT" : "STANDARD", at, prev.offset, at.offset));
+    }
+    prev = day;
+  }
+
+  // The offset in effect before the first change (or all along)
+  observances.unshift(observance(
+    start.isInDST ? "DAYLIGHT" : "STANDARD",
+    DateTime.fromObject({ year: 1970, month: 1, day: 1 }, { zone: `UTC${formatOffset(start.offset, ":")}` }),
+    start.offset,
+    start.offset
+  ));
+
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${zone}`,
+    ...observances.flat(),
+    "END:VTIMEZONE",
+  ];
+}
+
+// Binary search to the minute between two instants with different offsets
+function findTransition(zone, low, high) {
+  let lo = low.toMillis();
+  let hi = high.toMillis();
+  while (hi - lo > 60 * 1000) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (DateTime.fromMillis(mid, { zone }).offset === low.offset) lo = mid;
+    else hi = mid;
+  }
+  return DateTime.fromMillis(hi, { zone }).startOf("minute");
+}
+
+function observance(kind, at, offsetFrom, offsetTo) {
+  // DTSTART is local time in the offset that was in effect before the change
+  const localStart = at.setZone(`UTC${formatOffset(offsetFrom, ":")}`);
+  return [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatLocal(localStart)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${kind}`,
+  ];
+}
+
+const formatLocal = (dt) => dt.toFormat("yyyyMMdd'T'HHmmss");
+const formatUtc = (dt) => dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+function formatOffset(minutes, separator = "") {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${sign}${pad(Math.floor(abs / 60))}${separator}${pad(abs % 60)}`;
+}
+
+// TEXT values (RFC 5545 §3.3.11)
+const escapeText = (text) => String(text)
+  .replace(/\\/g, "\\\\")
+  .replace(/;/g, "\\;")
+  .replace(/,/g, "\\,")
+  .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space (§3.1)
+function foldLine(line) {
+  if (Buffer.byteLength(line, "utf8") <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
@@ -0,0 +1,76 @@
+// api/services/course-type-service.js
+// Course type registry helpers.
+//
+// Conversation and IELTS used to be hard-coded `level` strings. They are now
+// built-in course types, created on first use together with:
+//   • Class.courseType backfilled from the old string levels
+//   • an English label in the Translation collection (ns "levels")
+
+import Class from "../schemas/Class.js";
+import CourseType from "../schemas/CourseType.js";
+import Translation from "../schemas/Translation.js";
+import { invalidateBundles } from "./translation-bundle-service.js";
+
+export const BUILT_IN_COURSE_TYPES = [
+  { slug: "conversation", name: "Conversation", image: "level_img_0.webp", hasLevels: false, order: 1 },
+  { slug: "ielts", name: "IELTS", image: "level_img_0.webp", hasLevels: false, order: 2 },
+];
+
+// Slugs that would clash with routes or legacy URLs
+const RESERVED_SLUGS = ["new", "class", "classes", "course", "courses", "conversations"];
+
+let ready;
+
+/**
+ * Seed the built-in course types and migrate old classes (once per process).
+ */
+export function ensureCourseTypes() {
+  ready ??= (async () => {
+    await CourseType.bulkWrite(BUILT_IN_COURSE_TYPES.map(type => ({
+      updateOne: {
+        filter: { slug: type.slug },
+        update: { $setOnInsert: { ...type, labelKey: `course_${type.slug}` } },
+        upsert: true,
+      },
+    })));
+
+    // Old conversation/IELTS classes only had the string level
+    await Class.updateMany(
+      { level: { $type: "string" }, courseType: null },
+      [{ $set: { courseType: "$level" } }]
+    );
+
+    await Promise.all(BUILT_IN_COURSE_TYPES.map(type => upsertLabel(type, false)));
+  })().catch((err) => {
+    ready = undefined; // retry on the next request
+    throw err;
+  });
+  return ready;
+}
+
+/**
+ * Write the English label for a course type. Existing translations are only
+ * replaced when `overwrite` is set (i.e. the admin renamed the type).
+ */
+export async function upsertLabel(type, overwrite = true) {
+  const filter = { lng: "en", ns: "levels", key: `course_${type.slug}` };
+  await Translation.updateOne(
+    filter,
+    overwrite ? { $set: { value: type.name } } : { $setOnInsert: { value: type.name } },
+    // a no-op seed mustn't look like an edit to the English source
+    { upsert: true, timestamps: overwrite }
+  );
+  invalidateBundles();
+}
+
+export async function removeLabels(type) {
+  await Translation.deleteMany({ ns: "levels", key: type.labelKey || `course_${type.slug}` });
+  invalidateBundles();
+}
+
+export const isReservedSlug = (slug) => RESERVED_SLUGS.includes(slug);
+
+export async function findCourseType(slug) {
+  await ensureCourseTypes();
+  return CourseType.findOne({ slug: String(slug).toLowerCase() }).lean();
+}
@@ -0,0 +1,123 @@
+// api/services/email-template-service.js
+// Templated emails.
+//
+// Each template is a subject and a plain-text body with {{variable}}
+// placeholders, stored per language in the Translation collection
+// (ns "emails", keys "<template>_subject" / "<template>_text") so admins can
+// translate them like any other string. The English defaults below are
+// seeded on first use and are the fallback for missing languages.
+//
+// Variables are substituted as plain text in the text part, HTML-escaped in
+// the HTML part (which is built from the text), and flattened to one line in
+// the subject, so user input can't inject markup or extra headers.
+
+import Translation from "../schemas/Translation.js";
+import { invalidateBundles } from "./translation-bundle-service.js";
+
+export const EMAIL_NS = "emails";
+const FALLBACK_LNG = "en";
+
+export const EMAIL_TEMPLATES = {
+  contact_notification: {
+    subject: "Contact Form: {{subject}}",
+    text: "From: {{name}} ({{email}})\nSubject: {{subject}}\n\nMessage:\n{{message}}",
+  },
+  inquiry_reply: {
+    subject: "Re: {{subject}}",
+    text: "Hello {{name}},\n\n{{reply}}\n\nDillar Academy\n\n---\nYou wrote:\n{{message}}",
+  },
+};
+
+let seeded;
+
+/**
+ * Write the English defaults for templates that aren't in the database yet
+ * (once per process). Existing translations are never overwritten.
+ */
+export function ensureEmailTemplates() {
+  seeded ??= Translation.bulkWrite(
+    Object.entries(EMAIL_TEMPLATES).flatMap(([name, parts]) =>
+      Object.entries(parts).map(([part, value]) => ({
+        updateOne: {
+          filter: { lng: FALLBACK_LNG, ns: EMAIL_NS, key: `${name}_${part}` },
+          update: { $setOnInsert: { value } },
+          upsert: true,
+          timestamps: false, // seeding isn't an edit of the English source
+        },
+      }))
+    )
+  ).then((result) => {
+    if (result.upsertedCount > 0) invalidateBundles();
+    return result;
+  }).catch((err) => {
+    seeded = undefined; // retry on the next send
+    throw err;
+  });
+  return seeded;
+}
+
+/**
+ * Render `name` in `lng` (falling back to English) with `vars`.
+ * Returns { subject, text, html } ready to hand to sendMail().
+ */
+export async function renderEmail(name, vars = {}, { lng = FALLBACK_LNG } = {}) {
+  const defaults = EMAIL_TEMPLATES[name];
+  if (!defaults) throw new Error(`Unknown email template "${name}"`);
+
+  await ensureEmailTemplates().catch(err => console.error("Could not seed email templates:", err));
+
+  const keys = Object.keys(defaults).map(part => `${name}_${part}`);
+  const stored = await Translation.find({ ns: EMAIL_NS, key: { $in: keys }, lng: { $in: [lng, FALLBACK_LNG] } })
+    .select("lng key value")
+    .lean();
+  const lookup = (part) => {
+    const key = `${name}_${part}`;
+    return stored.find(t => t.lng === lng && t.key === key)?.value
+      ?? stored.find(t => t.lng === FALLBACK_LNG && t.key === key)?.value
+      ?? defaults[part];
+  };
+
+  const subjectTemplate = lookup("subject");
+  const textTemplate = lookup("text");
+
+  return {
+    subject: oneLine(interpolate(subjectTemplate, vars, oneLine)),
+    text: interpolate(textTemplate, vars, String),
+    html: layout(textToHtml(interpolate(escapeHtml(textTemplate), vars, escapeHtml))),
+  };
+}
+
+/**
+ * A From/Reply-To value with a display name that can't break out of the
+ * header: line breaks are dropped and quotes/backslashes escaped.
+ */
+export function formatAddress(name, address) {
+  const display = oneLine(name).replace(/[\\"]/g, "\\$&");
+  return display ? `"${display}" <${address}>` : address;
+}
+
+// Missing values (null/undefined) become ""
+export const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Control characters (incl. CR/LF) collapse to single spaces
+// eslint-disable-next-line no-control-regex
+const oneLine = (value) => String(value).replace(/[\u0000-\u001f\u007f]+/g, " ").trim();
+
+function interpolate(template, vars, encode) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (_, key) => encode(vars[key] ?? ""));
+}
+
+// Blank lines separate paragraphs, single newlines become <br>
+const textToHtml = (text) => text
+  .replace(/\r\n?/g, "\n")
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${paragraph.replace(/\n/g, "<br>")}</p>`)
+  .join("\n");
+
+const layout = (body) =>
+  `<div style="font-family: Arial, Helvetica, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2937;">\n${body}\n</div>`;
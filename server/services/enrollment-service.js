@@ -0,0 +1,326 @@
+// api/services/enrollment-service.js
+// Every write that touches both User.enrolledClasses and Class.roster goes
+// through here so the two sides cannot drift apart.
+//
+// Each operation runs as one unit:
+//   • Transaction mode: a Mongo session/transaction (replica set or mongos).
+//   • Compensating mode: used when transactions aren't available (standalone
+//     mongod, or ENROLLMENT_TRANSACTIONS=off). Every write records its inverse,
+//     and on failure the inverses are applied newest-first.
+
+import mongoose from "mongoose";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import ClassSession from "../schemas/ClassSession.js";
+
+// Matches classes with no seat limit or with at least one free seat
+const hasOpenSeat = {
+  $or: [
+    { capacity: null },
+    { $expr: { $lt: [{ $size: "$roster" }, "$capacity"] } }
+  ]
+};
+
+let transactionsSupported;
+
+async function supportsTransactions() {
+  if (transactionsSupported !== undefined) return transactionsSupported;
+  if (process.env.ENROLLMENT_TRANSACTIONS === "off") {
+    transactionsSupported = false;
+    return transactionsSupported;
+  }
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === "isdbgrid");
+  } catch (err) {
+    console.error("Could not detect transaction support, using compensating writes:", err);
+    transactionsSupported = false;
+  }
+  return transactionsSupported;
+}
+
+// Write helpers handed to a unit of work. `undo` is null in transaction mode.
+function createOps(session, undo) {
+  return {
+    // Record a custom inverse (compensating mode only)
+    register(revert) {
+      if (undo) undo.push(revert);
+    },
+
+    // Conditional update that returns the document as it was before the write,
+    // or after it with `{ new: true }`
+    async findOneAndUpdate(Model, filter, update, inverse, options = {}) {
+      const doc = await Model.findOneAndUpdate(filter, update, { ...options, session });
+      if (undo && doc && inverse) {
+        undo.push(() => Model.updateOne({ _id: doc._id }, inverse));
+      }
+      return doc;
+    },
+
+    async updateOne(Model, filter, update, inverse) {
+      const result = await Model.updateOne(filter, update, { session });
+      if (undo && result.modifiedCount && inverse) {
+        undo.push(() => Model.updateOne(filter, inverse));
+      }
+      return result;
+    },
+
+    // `inverse(id)` returns the update that reverts one matched document
+    async updateMany(Model, filter, update, inverse) {
+      const ids = undo && inverse
+        ? (await Model.find(filter).select("_id").lean()).map(doc => doc._id)
+        : [];
+      const result = await Model.updateMany(filter, update, { session });
+      for (const id of ids) {
+        undo.push(() => Model.updateOne({ _id: id }, inverse(id)));
+      }
+      return result;
+    },
+
+    async deleteOne(Model, doc) {
+      const result = await Model.deleteOne({ _id: doc._id }, { session });
+      if (undo && result.deletedCount) {
+        const snapshot = doc.toObject ? doc.toObject() : doc;
+        undo.push(() => Model.collection.insertOne(snapshot));
+      }
+      return result;
+    },
+  };
+}
+
+async function runUnit(work) {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(createOps(session, null));
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const undo = [];
+  try {
+    return await work(createOps(null, undo));
+  } catch (err) {
+    for (const revert of undo.reverse()) {
+      await revert().catch(undoErr => console.error("Enrollment compensation failed:", undoErr));
+    }
+    throw err;
+  }
+}
+
+/**
+ * Why `user` can't join `cls` right now, as { status, message } for the
+ * response, or null if they can. `cls` needs isEnrollmentOpen and waitlist.
+ */
+export function enrollmentProblem(user, cls) {
+  if (user.enrolledClasses.some(id => String(id) === String(cls._id))) {
+    return { status: 400, message: "Already enrolled in this class" };
+  }
+  if (!cls.isEnrollmentOpen) {
+    return { status: 403, message: "Enrollment is currently closed for this class." };
+  }
+  if (cls.waitlist.some(waitingId => String(waitingId) === String(user._id))) {
+    return { status: 400, message: "Already on the waitlist for this class" };
+  }
+  return null;
+}
+
+/**
+ * Seat a student in a class, or add them to the end of its waitlist when full.
+ * Returns { waitlisted: false } on enrollment, { waitlisted: true, position } otherwise.
+ */
+export async function enroll(classId, userId) {
+  return runUnit(async (ops) => {
+    // Only take a seat if one is still free at write time
+    const seated = await ops.findOneAndUpdate(
+      Class,
+      { _id: classId, ...hasOpenSeat },
+      { $addToSet: { roster: userId } },
+      { $pull: { roster: userId } }
+    );
+
+    if (seated) {
+      const linked = await ops.updateOne(
+        User,
+        { _id: userId },
+        { $addToSet: { enrolledClasses: classId } },
+        { $pull: { enrolledClasses: classId } }
+      );
+      if (!linked.matchedCount) throw new Error(`User ${userId} not found`);
+      return { waitlisted: false };
+    }
+
+    // The position is read from the written document, inside the unit, so an
+    // uncommitted transaction still sees the student on the list
+    const waitlistedClass = await ops.findOneAndUpdate(
+      Class,
+      { _id: classId },
+      { $addToSet: { waitlist: userId } },
+      { $pull: { waitlist: userId } },
+      { new: true, projection: { waitlist: 1 } }
+    );
+    if (!waitlistedClass) throw new Error(`Class ${classId} not found`);
+    const position = waitlistedClass.waitlist.findIndex(id => id.equals(userId)) + 1;
+    return { waitlisted: true, position };
+  });
+}
+
+/**
+ * Remove a student from a class roster, then hand the seat to the waitlist.
+ */
+export async function unenroll(classId, userId) {
+  await runUnit(async (ops) => {
+    await ops.updateOne(
+      User,
+      { _id: userId },
+      { $pull: { enrolledClasses: classId } },
+      { $addToSet: { enrolledClasses: classId } }
+    );
+    await ops.updateOne(
+      Class,
+      { _id: classId },
+      { $pull: { roster: userId } },
+      { $addToSet: { roster: userId } }
+    );
+  });
+
+  await promoteFromWaitlist(classId);
+}
+
+/**
+ * Take a student out of a class they're seated in, or off its waitlist.
+ * Returns "roster" or "waitlist" for where they were, null if neither.
+ */
+export async function leaveClass(classId, user) {
+  if (user.enrolledClasses.some(id => String(id) === String(classId))) {
+    // Also hands the freed seat to the next waitlisted student
+    await unenroll(classId, user._id);
+    return "roster";
+  }
+  return (await leaveWaitlist(classId, user._id)) ? "waitlist" : null;
+}
+
+/**
+ * Take a student off a class waitlist. Returns false if they weren't on it.
+ */
+export async function leaveWaitlist(classId, userId) {
+  const result = await Class.updateOne(
+    { _id: classId, waitlist: userId },
+    { $pull: { waitlist: userId } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Fill free seats in a class from the front of its waitlist.
+ * Returns the ids of the students moved onto the roster.
+ */
+export async function promoteFromWaitlist(classId) {
+  const promoted = [];
+
+  for (;;) {
+    const next = await runUnit(async (ops) => {
+      // Pop the first waitlisted student, but only while a seat is free
+      const before = await ops.findOneAndUpdate(
+        Class,
+        { _id: classId, "waitlist.0": { $exists: true }, ...hasOpenSeat },
+        { $pop: { waitlist: -1 } }
+      );
+      if (!before) return null;
+
+      const nextId = before.waitlist[0];
+      // on rollback, put them back at the front of the line
+      ops.register(() => Class.updateOne(
+        { _id: classId },
+        { $push: { waitlist: { $each: [nextId], $position: 0 } } }
+      ));
+
+      const linked = await ops.updateOne(
+        User,
+        { _id: nextId },
+        { $addToSet: { enrolledClasses: classId } },
+        { $pull: { enrolledClasses: classId } }
+      );
+      if (!linked.matchedCount) return { skipped: nextId }; // account deleted while waiting
+
+      await ops.updateOne(
+        Class,
+        { _id: classId },
+        { $addToSet: { roster: nextId } },
+        { $pull: { roster: nextId } }
+      );
+      return { promoted: nextId };
+    });
+
+    if (!next) break;
+    if (next.promoted) promoted.push(next.promoted);
+  }
+
+  return promoted;
+}
+
+/**
+ * Delete a class and remove it from every enrolled student. Its attendance
+ * sessions go with it.
+ */
+export async function deleteClass(cls) {
+  await runUnit(async (ops) => {
+    await ops.updateMany(
+      User,
+      { _id: { $in: cls.roster } },
+      { $pull: { enrolledClasses: cls._id } },
+      () => ({ $addToSet: { enrolledClasses: cls._id } })
+    );
+    await ops.deleteOne(Class, cls);
+  });
+
+  await ClassSession.deleteMany({ classId: cls._id });
+}
+
+/**
+ * Delete a user, their roster entries, waitlist spots, attendance marks and
+ * instructor links, then refill the seats they held. `beforeCommit` runs last
+ * inside the unit (e.g. deleting the Clerk account) so a failure there rolls
+ * the database back too.
+ */
+export async function deleteUser(user, beforeCommit) {
+  const classIds = user.enrolledClasses || [];
+
+  await runUnit(async (ops) => {
+    await ops.updateMany(
+      Class,
+      { _id: { $in: classIds } },
+      { $pull: { roster: user._id } },
+      () => ({ $addToSet: { roster: user._id } })
+    );
+    await ops.updateMany(
+      Class,
+      { waitlist: user._id },
+      { $pull: { waitlist: user._id } },
+      () => ({ $push: { waitlist: user._id } })
+    );
+    // Classes they taught stay, unassigned
+    await ops.updateMany(
+      Class,
+      { instructorId: user._id },
+      { $set: { instructorId: null } },
+      () => ({ $set: { instructorId: user._id } })
+    );
+    await ops.deleteOne(User, user);
+    if (beforeCommit) await beforeCommit();
+  });
+
+  await ClassSession.updateMany(
+    { "attendance.student": user._id },
+    { $pull: { attendance: { student: user._id } } }
+  );
+
+  for (const classId of classIds) {
+    await promoteFromWaitlist(classId);
+  }
+}
@@ -0,0 +1,84 @@
+// api/services/i18nexus-sync-service.js
+// Optional sync with an i18nexus project. Translations live in MongoDB and
+// nothing at runtime depends on i18nexus; this only runs when an admin asks
+// for a transfer or someone runs server/scripts/i18nexus-sync.js.
+//
+// Needs I18NEXUS_API_KEY, plus I18NEXUS_PAT for anything that writes to the
+// i18nexus project.
+
+import { SOURCE_LNG, saveTranslations } from "./translation-service.js";
+import Translation from "../schemas/Translation.js";
+
+const API_URL = "https://api.i18nexus.com/project_resources";
+
+export class I18nexusSyncError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "I18nexusSyncError";
+    this.status = status;
+  }
+}
+
+export const isI18nexusConfigured = () => Boolean(process.env.I18NEXUS_API_KEY);
+
+async function request(path, { method = "GET", body } = {}) {
+  if (!isI18nexusConfigured()) throw new I18nexusSyncError("i18nexus is not configured", 503);
+
+  const response = await fetch(`${API_URL}/${path}?api_key=${process.env.I18NEXUS_API_KEY}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`,
+    },
+    body: body && JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new I18nexusSyncError(`i18nexus ${method} ${path} responded ${response.status}`, response.status);
+  }
+  return response.status === 204 ? null : response.json().catch(() => null);
+}
+
+/**
+ * Copy every translation in the i18nexus project into MongoDB. With `remove`,
+ * each base string is deleted from i18nexus afterwards so it isn't pulled twice.
+ * @returns {Promise<{ pulled: number, removed: number }>}
+ */
+export async function pullFromI18nexus({ editor = null, remove = true } = {}) {
+  const translations = await request("translations.json");
+
+  const rows = [];
+  for (const [lng, namespaces] of Object.entries(translations)) {
+    for (const [ns, keys] of Object.entries(namespaces)) {
+      for (const [key, value] of Object.entries(keys)) {
+        rows.push({ lng, ns, key, value });
+      }
+    }
+  }
+  await saveTranslations(rows, { editor, action: "transfer" });
+
+  let removed = 0;
+  if (remove) {
+    const baseStrings = new Map(rows.map(({ ns, key }) => [`${ns}/${key}`, { ns, key }]));
+    for (const { ns, key } of baseStrings.values()) {
+      await request("base_strings.json", { method: "DELETE", body: { id: { key, namespace: ns } } });
+      removed++;
+    }
+  }
+  return { pulled: rows.length, removed };
+}
+
+/**
+ * Send the English strings of `ns` (or only `keys` of it) to i18nexus as base
+ * strings, for translating them there.
+ * @returns {Promise<{ pushed: number }>}
+ */
+export async function pushToI18nexus({ ns, keys = null }) {
+  const filter = { lng: SOURCE_LNG, ns };
+  if (keys) filter.key = { $in: keys };
+  const rows = await Translation.find(filter).select("-_id key value").lean();
+
+  for (const { key, value } of rows) {
+    await request("base_strings.json", { method: "POST", body: { key, value, namespace: ns } });
+  }
+  return { pushed: rows.length };
+}
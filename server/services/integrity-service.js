@@ -0,0 +1,115 @@
+// api/services/integrity-service.js
+// Cross-checks User.enrolledClasses against Class.roster / Class.waitlist.
+// Used by the admin integrity endpoint and the check-enrollments CLI.
+//
+// Issue kinds and how `apply` repairs them:
+//   • missingClass     — user lists a class that no longer exists → pulled from the user
+//   • missingUser      — roster/waitlist entry for a deleted user → pulled from the class
+//   • userOnlyLink     — user lists a class whose roster lacks them → added to the roster
+//   • rosterOnlyLink   — roster has a user who doesn't list the class → added to the user
+//   • enrolledAndWaitlisted — user is on both roster and waitlist → pulled from the waitlist
+
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+
+const ISSUE_KINDS = ["missingClass", "missingUser", "userOnlyLink", "rosterOnlyLink", "enrolledAndWaitlisted"];
+
+function findIssues(users, classes) {
+  const issues = Object.fromEntries(ISSUE_KINDS.map(kind => [kind, []]));
+  const userIds = new Set(users.map(u => String(u._id)));
+  const classesById = new Map(classes.map(c => [String(c._id), c]));
+  const enrolledByUser = new Map(
+    users.map(u => [String(u._id), new Set((u.enrolledClasses || []).map(String))])
+  );
+
+  for (const u of users) {
+    const userId = String(u._id);
+    for (const classId of enrolledByUser.get(userId)) {
+      const cls = classesById.get(classId);
+      if (!cls) {
+        issues.missingClass.push({ userId, classId });
+      } else if (!cls.roster.some(id => String(id) === userId)) {
+        issues.userOnlyLink.push({ userId, classId });
+      }
+    }
+  }
+
+  for (const cls of classes) {
+    const classId = String(cls._id);
+    const roster = new Set((cls.roster || []).map(String));
+
+    for (const userId of roster) {
+      if (!userIds.has(userId)) {
+        issues.missingUser.push({ classId, userId, list: "roster" });
+      } else if (!enrolledByUser.get(userId).has(classId)) {
+        issues.rosterOnlyLink.push({ classId, userId });
+      }
+    }
+
+    for (const userId of new Set((cls.waitlist || []).map(String))) {
+      if (!userIds.has(userId)) {
+        issues.missingUser.push({ classId, userId, list: "waitlist" });
+      } else if (roster.has(userId)) {
+        issues.enrolledAndWaitlisted.push({ classId, userId });
+      }
+    }
+  }
+
+  return issues;
+}
+
+async function repair(issues) {
+  const userOps = [];
+  const classOps = [];
+
+  for (const { userId, classId } of issues.missingClass) {
+    userOps.push({ updateOne: { filter: { _id: userId }, update: { $pull: { enrolledClasses: classId } } } });
+  }
+  for (const { classId, userId, list } of issues.missingUser) {
+    classOps.push({ updateOne: { filter: { _id: classId }, update: { $pull: { [list]: userId } } } });
+  }
+  for (const { userId, classId } of issues.userOnlyLink) {
+    classOps.push({ updateOne: { filter: { _id: classId }, update: { $addToSet: { roster: userId } } } });
+  }
+  for (const { classId, userId } of issues.rosterOnlyLink) {
+    userOps.push({ updateOne: { filter: { _id: userId }, update: { $addToSet: { enrolledClasses: classId } } } });
+  }
+  for (const { classId, userId } of issues.enrolledAndWaitlisted) {
+    classOps.push({ updateOne: { filter: { _id: classId }, update: { $pull: { waitlist: userId } } } });
+  }
+
+  const [userResult, classResult] = await Promise.all([
+    userOps.length ? User.bulkWrite(userOps, { ordered: false }) : null,
+    classOps.length ? Class.bulkWrite(classOps, { ordered: false }) : null,
+  ]);
+
+  return {
+    usersModified: userResult?.modifiedCount ?? 0,
+    classesModified: classResult?.modifiedCount ?? 0,
+  };
+}
+
+/**
+ * Scan users and classes for enrollment drift.
+ * With { apply: true } the issues found are repaired in the same call.
+ * Returns a JSON-serialisable report.
+ */
+export async function checkEnrollmentIntegrity({ apply = false } = {}) {
+  const [users, classes] = await Promise.all([
+    User.find({}).select("enrolledClasses").lean(),
+    Class.find({}).select("roster waitlist").lean(),
+  ]);
+
+  const issues = findIssues(users, classes);
+  const summary = Object.fromEntries(ISSUE_KINDS.map(kind => [kind, issues[kind].length]));
+  const total = Object.values(summary).reduce((sum, n) => sum + n, 0);
+
+  return {
+    mode: apply ? "apply" : "dry-run",
+    checkedAt: new Date().toISOString(),
+    scanned: { users: users.length, classes: classes.length },
+    summary: { ...summary, total },
+    issues,
+    repaired: apply && total > 0 ? await repair(issues) : null,
+  };
+}
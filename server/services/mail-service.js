@@ -0,0 +1,117 @@
+// api/services/mail-service.js
+// Outgoing email with a retry queue.
+//
+// Every message is stored in OutgoingMail before the first attempt, so a
+// failed send is never lost: it stays `queued` and is retried with
+// exponential backoff by retryQueuedMail(), which runs from the admin
+// endpoint and from `npm run mail:retry` (cron). After MAX_ATTEMPTS it is
+// marked `failed` and only goes out again when an admin retries it.
+// The transport itself is chosen in mail-transport.js.
+
+import "dotenv/config";
+import OutgoingMail from "../schemas/OutgoingMail.js";
+import { getTransport, transportName, isOutboxEnabled } from "./mail-transport.js";
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60 * 1000;          // 1m, 2m, 4m, ...
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;  // capped at 6h
+const LEASE_MS = 5 * 60 * 1000;           // a claimed message is left alone this long
+
+// The local sinks don't need a real mailbox
+export const adminAddress = () => process.env.ADMIN_EMAIL || "admin@localhost";
+
+const retryDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+// One send attempt; records the outcome on the stored message
+async function deliver(mail) {
+  mail.attempts += 1;
+  try {
+    await getTransport().sendMail({
+      from: mail.from,
+      to: mail.to,
+      replyTo: mail.replyTo,
+      subject: mail.subject,
+      html: mail.html,
+      text: mail.text,
+    });
+    mail.status = 'sent';
+    mail.sentAt = new Date();
+    mail.lastError = "";
+  } catch (err) {
+    console.error(`Sending mail ${mail._id} failed:`, err);
+    mail.lastError = err.message;
+    if (mail.attempts >= MAX_ATTEMPTS) {
+      mail.status = 'failed';
+    } else {
+      mail.status = 'queued';
+      mail.nextAttemptAt = new Date(Date.now() + retryDelay(mail.attempts));
+    }
+  }
+  await mail.save();
+  return mail;
+}
+
+/**
+ * Store a message and try to send it right away. Resolves with the stored
+ * OutgoingMail whether or not the first attempt succeeded.
+ */
+export async function sendMail({ from = adminAddress(), to, replyTo, subject, html, text }, { context = "" } = {}) {
+  const mail = await OutgoingMail.create({
+    from, to, replyTo, subject, html, text, context,
+    nextAttemptAt: new Date(Date.now() + LEASE_MS),
+  });
+  return deliver(mail);
+}
+
+/**
+ * Send every queued message that is due. Returns counts of the outcomes.
+ */
+export async function retryQueuedMail({ limit = 25 } = {}) {
+  const summary = { sent: 0, queued: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    // Claim one due message so concurrent runs don't send it twice
+    const now = new Date();
+    const mail = await OutgoingMail.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!mail) break;
+
+    const result = await deliver(mail);
+    summary[result.status] += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Give a message another full set of attempts, starting now.
+ * Returns null if there is no such message or it was already sent.
+ */
+export async function retryMail(id) {
+  const mail = await OutgoingMail.findOneAndUpdate(
+    { _id: id, status: { $ne: 'sent' } },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(Date.now() + LEASE_MS) } },
+    { new: true }
+  );
+  return mail && deliver(mail);
+}
+
+/**
+ * Counts of unsent mail plus the most recent ones, for the admin queue view,
+ * and which transport is sending.
+ */
+export async function mailQueueStatus({ limit = 50 } = {}) {
+  const [queued, failed, messages] = await Promise.all([
+    OutgoingMail.countDocuments({ status: 'queued' }),
+    OutgoingMail.countDocuments({ status: 'failed' }),
+    OutgoingMail.find({ status: { $ne: 'sent' } })
+      .select("to subject status attempts nextAttemptAt lastError context createdAt")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean(),
+  ]);
+  return { queued, failed, messages, transport: transportName(), outbox: isOutboxEnabled() };
+}
@@ -0,0 +1,180 @@
+// api/services/mail-transport.js
+// Picks the nodemailer transport from MAIL_TRANSPORT:
+//   • gmail   ADMIN_EMAIL / ADMIN_PASSWORD (app password)
+//   • smtp    SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for 465),
+//             SMTP_USER, SMTP_PASS
+//   • file    writes each message to MAIL_OUTBOX_DIR (default .outbox) as
+//             <id>.eml plus a <id>.json summary
+//   • memory  keeps the last MEMORY_LIMIT messages in this process
+//
+// Without MAIL_TRANSPORT, Gmail is used when ADMIN_PASSWORD is set. Otherwise
+// local runs fall back to the memory sink, so they never need network access,
+// but production has no transport: sending fails and the mail stays queued
+// for retry rather than being dropped. The file and memory sinks are the
+// "outbox" shown on the admin dev page.
+
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+export const TRANSPORTS = ["gmail", "smtp", "file", "memory"];
+const SINKS = ["file", "memory"];
+const MEMORY_LIMIT = 200;
+
+const memoryOutbox = [];
+let transport;
+
+/**
+ * The configured transport, or null in production when none is.
+ */
+export function transportName() {
+  const configured = (process.env.MAIL_TRANSPORT || "").trim().toLowerCase();
+  if (configured) {
+    if (!TRANSPORTS.includes(configured)) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${configured}" (expected one of ${TRANSPORTS.join(", ")})`);
+    }
+    return configured;
+  }
+  if (process.env.ADMIN_PASSWORD) return "gmail";
+  return process.env.NODE_ENV === "production" ? null : "memory";
+}
+
+if (process.env.NODE_ENV === "production" && !transportName()) {
+  console.error("No mail transport configured: set MAIL_TRANSPORT (or ADMIN_PASSWORD for Gmail). Mail stays queued until then.");
+}
+
+export const isOutboxEnabled = () => SINKS.includes(transportName());
+
+const outboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || ".outbox");
+
+/**
+ * The transport for this process (created on first use).
+ * @throws {Error} when no transport is configured
+ */
+export function getTransport() {
+  if (transport) return transport;
+
+  switch (transportName()) {
+    case null:
+      throw new Error("No mail transport configured (set MAIL_TRANSPORT)");
+    case "gmail":
+      transport = nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.ADMIN_EMAIL,
+          pass: process.env.ADMIN_PASSWORD,
+        },
+      });
+      break;
+    case "smtp":
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+      break;
+    case "file":
+      transport = nodemailer.createTransport(sinkTransport(saveToFile));
+      break;
+    case "memory":
+      transport = nodemailer.createTransport(sinkTransport(saveToMemory));
+      break;
+  }
+  return transport;
+}
+
+// A nodemailer transport that builds the full message and hands it to `save`
+function sinkTransport(save) {
+  return {
+    name: "outbox",
+    version: "1.0.0",
+    send(mail, callback) {
+      mail.message.build((err, raw) => {
+        if (err) return callback(err);
+        const message = {
+          id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+          date: new Date().toISOString(),
+          from: mail.data.from,
+          to: mail.data.to,
+          replyTo: mail.data.replyTo,
+          subject: mail.data.subject,
+          text: mail.data.text,
+          html: mail.data.html,
+        };
+        save(message, raw)
+          .then(() => callback(null, {
+            envelope: mail.message.getEnvelope(),
+            messageId: mail.message.messageId(),
+            outboxId: message.id,
+          }))
+          .catch(callback);
+      });
+    },
+  };
+}
+
+async function saveToFile(message, raw) {
+  const dir = outboxDir();
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${message.id}.eml`), raw);
+  await fs.writeFile(path.join(dir, `${message.id}.json`), JSON.stringify(message, null, 2));
+}
+
+async function saveToMemory(message, raw) {
+  memoryOutbox.unshift({ ...message, raw: raw.toString("utf8") });
+  memoryOutbox.length = Math.min(memoryOutbox.length, MEMORY_LIMIT);
+}
+
+const summary = ({ id, date, from, to, subject }) => ({ id, date, from, to, subject });
+
+/**
+ * Captured messages, newest first (sinks only; empty for real transports).
+ */
+export async function listOutbox() {
+  if (transportName() === "memory") return memoryOutbox.map(summary);
+  if (transportName() !== "file") return [];
+
+  const files = await fs.readdir(outboxDir()).catch(err => (err.code === "ENOENT" ? [] : Promise.reject(err)));
+  const messages = await Promise.all(files
+    .filter(file => file.endsWith(".json"))
+    .map(async file => JSON.parse(await fs.readFile(path.join(outboxDir(), file), "utf8"))));
+  return messages.sort((a, b) => b.date.localeCompare(a.date)).map(summary);
+}
+
+/**
+ * One captured message with its text, HTML and raw .eml source, or null.
+ */
+export async function readOutboxMessage(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  if (transportName() === "memory") return memoryOutbox.find(message => message.id === id) ?? null;
+  if (transportName() !== "file") return null;
+
+  try {
+    const [meta, raw] = await Promise.all([
+      fs.readFile(path.join(outboxDir(), `${id}.json`), "utf8"),
+      fs.readFile(path.join(outboxDir(), `${id}.eml`), "utf8"),
+    ]);
+    return { ...JSON.parse(meta), raw };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Empty the outbox. Returns how many messages were removed.
+ */
+export async function clearOutbox() {
+  if (transportName() === "memory") return memoryOutbox.splice(0).length;
+  if (transportName() !== "file") return 0;
+
+  const files = await fs.readdir(outboxDir()).catch(err => (err.code === "ENOENT" ? [] : Promise.reject(err)));
+  const captured = files.filter(file => file.endsWith(".eml") || file.endsWith(".json"));
+  await Promise.all(captured.map(file => fs.unlink(path.join(outboxDir(), file))));
+  return captured.filter(file => file.endsWith(".eml")).length;
+}
@@ -0,0 +1,154 @@
+// api/services/roster-service.js
+// A class's roster for offline attendance: the enrolled students with their
+// contact details and an empty column for each upcoming session, as a CSV or
+// XLSX download or a printable HTML sign-in sheet (print it or save as PDF).
+//
+// Sessions come from the weekly schedule (see attendance-service), starting
+// today; their dates are shown in the time zone the caller asks for.
+
+import { DateTime } from "luxon";
+import CourseType from "../schemas/CourseType.js";
+import { sessionTimes } from "./attendance-service.js";
+import { classTitle } from "./calendar-service.js";
+import { escapeHtml } from "./email-template-service.js";
+import { isValidTimeZone } from "../../src/utils/time-utils.js";
+import { SPREADSHEET_FORMATS, writeCsv, writeXlsx } from "../../src/utils/backend/spreadsheet-utils.js";
+
+export const ROSTER_FORMATS = {
+  ...SPREADSHEET_FORMATS,
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+};
+
+const DEFAULT_WEEKS = 4;
+const MAX_WEEKS = 12;
+// Empty rows at the end of the sign-in sheet for walk-ins
+const BLANK_ROWS = 3;
+
+export class RosterError extends Error {}
+
+/**
+ * Validated roster options from a request's query.
+ * @returns {{ format: string, weeks: number, timeZone: string }}
+ * @throws {RosterError}
+ */
+export function rosterOptions({ format = "html", weeks = DEFAULT_WEEKS, tz = "Etc/UTC" } = {}) {
+  if (!ROSTER_FORMATS[format]) {
+    throw new RosterError(`Format must be one of ${Object.keys(ROSTER_FORMATS).join(", ")}`);
+  }
+  const count = Number(weeks);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_WEEKS) {
+    throw new RosterError(`Weeks must be a whole number from 1 to ${MAX_WEEKS}`);
+  }
+  if (!isValidTimeZone(tz)) throw new RosterError("Invalid time zone");
+  return { format, weeks: count, timeZone: tz };
+}
+
+/**
+ * Everything a roster shows. `cls` needs its roster populated with the
+ * students' firstName, lastName, email and whatsapp.
+ */
+export async function classRoster(cls, { weeks = DEFAULT_WEEKS, timeZone = "Etc/UTC", now = new Date() } = {}) {
+  const courseTypes = await CourseType.find({}).select("slug name").lean();
+  const courseNames = new Map(courseTypes.map(type => [type.slug, type.name]));
+
+  const from = DateTime.fromJSDate(now, { zone: timeZone }).startOf("day");
+  const sessions = sessionTimes(cls.schedule, from.toJSDate(), from.plus({ weeks }).minus({ milliseconds: 1 }).toJSDate())
+    .map(({ startsAt }) => {
+      const start = DateTime.fromJSDate(startsAt, { zone: timeZone });
+      return { startsAt, date: start.toFormat("ccc d LLL"), time: start.toFormat("h:mma").toLowerCase() };
+    });
+
+  const students = (cls.roster || [])
+    .filter(Boolean)
+    .sort((a, b) => a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName));
+
+  return { title: classTitle(cls, courseNames), timeZone, generatedAt: now, students, sessions };
+}
+
+const rosterColumns = (roster) => [
+  { header: "#" },
+  { header: "First Name" },
+  { header: "Last Name" },
+  { header: "Email" },
+  { header: "WhatsApp" },
+  ...roster.sessions.map(({ date, time }) => ({ header: `${date} ${time}` })),
+];
+
+const rosterRows = (roster) => roster.students.map((student, index) => [
+  index + 1,
+  student.firstName,
+  student.lastName,
+  student.email,
+  student.whatsapp ?? "",
+  ...roster.sessions.map(() => ""),
+]);
+
+/**
+ * A self-contained HTML sign-in sheet laid out for landscape printing.
+ */
+export function signInSheetHtml(roster) {
+  const sessionHeaders = roster.sessions
+    .map(({ date, time }) => `<th class="session">${escapeHtml(date)}<br><small>${escapeHtml(time)}</small></th>`)
+    .join("");
+  const sessionCells = roster.sessions.map(() => "<td></td>").join("");
+  const studentRows = roster.students.map((student, index) => `
+      <tr>
+        <td class="number">${index + 1}</td>
+        <td>${escapeHtml(`${student.firstName} ${student.lastName}`)}</td>
+        <td class="contact">${escapeHtml(student.email)}${student.whatsapp ? `<br>${escapeHtml(student.whatsapp)}` : ""}</td>
+        ${sessionCells}
+      </tr>`);
+  const blankRows = Array.from({ length: BLANK_ROWS }, () => `
+      <tr><td class="number"></td><td></td><td class="contact"></td>${sessionCells}</tr>`);
+  const generated = DateTime.fromJSDate(roster.generatedAt, { zone: roster.timeZone }).toFormat("d LLL yyyy");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Sign-in sheet: ${escapeHtml(roster.title)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 12mm; }
+    body { font-family: system-ui, sans-serif; font-size: 11pt; color: #000; margin: 0; padding: 12mm; }
+    @media print { body { padding: 0; } }
+    h1 { font-size: 16pt; margin: 0 0 2mm; }
+    p { margin: 0 0 6mm; color: #444; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; }
+    th, td { border: 1px solid #000; padding: 2mm; text-align: start; vertical-align: top; }
+    th { background: #eee; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    td { height: 9mm; }
+    .number { width: 8mm; text-align: end; }
+    .contact { font-size: 9pt; }
+    .session { width: 20mm; text-align: center; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(roster.title)}</h1>
+  <p>${roster.students.length} students · Sessions in ${escapeHtml(roster.timeZone)} · Printed ${generated}</p>
+  <table>
+    <thead>
+      <tr><th class="number">#</th><th>Name</th><th>Contact</th>${sessionHeaders}</tr>
+    </thead>
+    <tbody>${studentRows.join("")}${blankRows.join("")}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the roster to `stream` as csv, xlsx or html.
+ */
+export async function writeRoster(stream, roster, format) {
+  if (format === "html") {
+    stream.end(signInSheetHtml(roster));
+    return;
+  }
+  const columns = rosterColumns(roster);
+  const rows = rosterRows(roster);
+  if (format === "csv") return writeCsv(stream, columns, rows);
+  return writeXlsx(stream, columns, rows, { sheetName: roster.title });
+}
@@ -0,0 +1,152 @@
+// api/services/student-bulk-service.js
+// Admin bulk actions on a selection of students from the Admin Students list.
+// One action runs over every selected student in turn; each gets its own
+// result, so one failure doesn't stop or undo the rest.
+//
+// Actions and their parameters:
+//   enroll    classId                 same checks as PUT /api/users/:id/enroll;
+//                                     full classes waitlist the student
+//   move      classId [, fromClassId] enroll in classId, then leave fromClassId
+//                                     (default: their only class). A student
+//                                     waitlisted for classId keeps their seat.
+//   unenroll  classId                 leaves the class, or its waitlist
+//   privilege privilege               admin | instructor | student
+//   delete                            same as DELETE /api/user/:id
+
+import mongoose from "mongoose";
+import { clerkClient } from "@clerk/express";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import { deleteUser, enroll, enrollmentProblem, leaveClass, unenroll } from "./enrollment-service.js";
+
+export const BULK_ACTIONS = ["enroll", "move", "unenroll", "privilege", "delete"];
+export const MAX_BATCH = 200; // one page of the Admin Students list
+
+const PRIVILEGES = User.schema.path("privilege").enumValues;
+const CLASS_ACTIONS = ["enroll", "move", "unenroll"];
+
+export class StudentBulkError extends Error {}
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+const sameId = (a, b) => String(a) === String(b);
+
+// Checks the request as a whole; per-student problems are reported per item
+async function validateBatch({ action, ids, classId, fromClassId, privilege }) {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new StudentBulkError(`Action must be one of ${BULK_ACTIONS.join(", ")}`);
+  }
+  if (!Array.isArray(ids) || ids.length === 0) throw new StudentBulkError("Select at least one student");
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length > MAX_BATCH) throw new StudentBulkError(`Select at most ${MAX_BATCH} students at a time`);
+  if (!unique.every(isId)) throw new StudentBulkError("Invalid student ID");
+
+  if (CLASS_ACTIONS.includes(action)) {
+    if (!isId(classId) || !(await Class.exists({ _id: classId }))) {
+      throw new StudentBulkError("Class not found");
+    }
+  }
+  if (action === "move" && fromClassId != null) {
+    if (!isId(fromClassId)) throw new StudentBulkError("Invalid class to move from");
+    if (sameId(fromClassId, classId)) throw new StudentBulkError("Choose a different class to move to");
+  }
+  if (action === "privilege" && !PRIVILEGES.includes(privilege)) {
+    throw new StudentBulkError(`Privilege must be one of ${PRIVILEGES.join(", ")}`);
+  }
+  return unique;
+}
+
+// Enrollment checks read the class fresh for every student, as the seats and
+// waitlist change while the batch runs
+async function enrollInto(user, classId) {
+  const cls = await Class.findById(classId).select("isEnrollmentOpen waitlist").lean();
+  if (!cls) return { ok: false, message: "Class not found" };
+  const problem = enrollmentProblem(user, cls);
+  if (problem) return { ok: false, message: problem.message };
+  return { ok: true, ...(await enroll(classId, user._id)) };
+}
+
+const waitlistMessage = (position) => `Class is full, added to waitlist (position ${position})`;
+
+const runners = {
+  async enroll(user, { classId }) {
+    const result = await enrollInto(user, classId);
+    if (!result.ok) return result;
+    return { ok: true, message: result.waitlisted ? waitlistMessage(result.position) : "Enrolled" };
+  },
+
+  async move(user, { classId, fromClassId }) {
+    const enrolled = user.enrolledClasses;
+    let from = fromClassId;
+    if (from == null) {
+      if (enrolled.length === 0) return { ok: false, message: "Not enrolled in any class" };
+      if (enrolled.length > 1) return { ok: false, message: "Enrolled in several classes; choose the class to move from" };
+      from = enrolled[0];
+    } else if (!enrolled.some(id => sameId(id, from))) {
+      return { ok: false, message: "Not enrolled in the class to move from" };
+    }
+
+    // Join first so a student who can't get in never loses their current seat
+    const result = await enrollInto(user, classId);
+    if (!result.ok) return result;
+    if (result.waitlisted) {
+      return { ok: true, message: `${waitlistMessage(result.position)}; still enrolled in their current class` };
+    }
+    await unenroll(from, user._id);
+    return { ok: true, message: "Moved" };
+  },
+
+  async unenroll(user, { classId }) {
+    const left = await leaveClass(classId, user);
+    if (!left) return { ok: false, message: "Not enrolled in this class" };
+    return { ok: true, message: left === "waitlist" ? "Removed from waitlist" : "Unenrolled" };
+  },
+
+  async privilege(user, { privilege }, me) {
+    if (sameId(user._id, me._id)) return { ok: false, message: "You can't change your own privilege" };
+    if (user.privilege === privilege) return { ok: true, message: `Already ${privilege}` };
+    await User.updateOne({ _id: user._id }, { privilege }, { runValidators: true });
+    return { ok: true, message: `Changed from ${user.privilege} to ${privilege}` };
+  },
+
+  async delete(user, _params, me) {
+    if (sameId(user._id, me._id)) return { ok: false, message: "You can't delete your own account" };
+    // As in DELETE /api/user/:id: the Clerk account goes last, inside the unit
+    await deleteUser(user, () => clerkClient.users.deleteUser(user.clerkId));
+    return { ok: true, message: "Deleted" };
+  },
+};
+
+/**
+ * Run one bulk action over the students in `request.ids`, in order.
+ * @param {{ action: string, ids: string[], classId?: string, fromClassId?: string, privilege?: string }} request
+ * @param {{ me: { _id: any } }} context the signed-in admin
+ * @returns {Promise<{ action: string, results: { id: string, name: string, ok: boolean, message: string }[], summary: { succeeded: number, failed: number } }>}
+ * @throws {StudentBulkError} when the request itself is invalid
+ */
+export async function runBulkAction(request, { me }) {
+  const ids = await validateBatch(request);
+  const { action } = request;
+
+  // full documents, so a rolled-back delete restores them as they were
+  const users = await User.find({ _id: { $in: ids } }).select("+calendarToken");
+  const byId = new Map(users.map(user => [String(user._id), user]));
+
+  const results = [];
+  for (const id of ids) {
+    const user = byId.get(id);
+    if (!user) {
+      results.push({ id, name: "", ok: false, message: "User not found" });
+      continue;
+    }
+    const name = `${user.firstName} ${user.lastName}`;
+    try {
+      results.push({ id, name, ...(await runners[action](user, request, me)) });
+    } catch (error) {
+      console.error(`Bulk ${action} failed for user ${id}:`, error);
+      results.push({ id, name, ok: false, message: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.ok).length;
+  return { action, results, summary: { succeeded, failed: results.length - succeeded } };
+}
@@ -0,0 +1,150 @@
+// api/services/student-export-service.js
+// The student list filters shared by the admin list and the export, and the
+// export itself: one row per student and enrolled class (students without a
+// class get one row with the class columns empty), streamed as CSV or XLSX.
+
+import mongoose from "mongoose";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import { TIME_ZONES, formatScheduleEntry } from "../../src/utils/time-utils.js";
+import { SPREADSHEET_FORMATS, writeCsv, writeXlsx } from "../../src/utils/backend/spreadsheet-utils.js";
+import { escapeRx } from "../../src/utils/backend/validate-utils.js";
+
+export class StudentExportError extends Error {}
+
+export const EXPORT_FORMATS = SPREADSHEET_FORMATS;
+
+// Schedules are printed in each reference time zone, e.g. scheduleEST
+const scheduleColumns = TIME_ZONES
+  .filter(({ exportKey }) => exportKey)
+  .map(({ zone, label, exportKey }) => ({
+    key: exportKey,
+    header: `Schedule (${label})`,
+    value: (_student, cls) => cls?.schedule?.map((s) => formatScheduleEntry(s, zone)).join("\n") ?? "",
+    multiline: true,
+  }));
+
+// Every column an export can have, in file order
+export const EXPORT_COLUMNS = [
+  { key: "firstName", header: "First Name", value: (student) => student.firstName },
+  { key: "lastName", header: "Last Name", value: (student) => student.lastName },
+  { key: "email", header: "Email", value: (student) => student.email },
+  { key: "whatsapp", header: "WhatsApp", value: (student) => student.whatsapp },
+  { key: "age", header: "Age", value: (student) => student.age },
+  { key: "gender", header: "Gender", value: (student) => student.gender },
+  // Class enrollments aren't dated; this is when the student signed up
+  { key: "creationDate", header: "Enrollment Date", value: (student) => student.creationDate, date: true },
+  { key: "level", header: "Level", value: (_student, cls) => cls?.courseType ?? cls?.level },
+  { key: "ageGroup", header: "Age Group", value: (_student, cls) => cls?.ageGroup },
+  { key: "instructor", header: "Instructor", value: (_student, cls) => cls?.instructor },
+  { key: "link", header: "Link", value: (_student, cls) => cls?.link },
+  ...scheduleColumns,
+];
+
+export const DEFAULT_COLUMNS = [
+  "firstName", "lastName", "email", "creationDate", "level", "ageGroup", "instructor", "link",
+  ...scheduleColumns.map(({ key }) => key),
+];
+
+/**
+ * The columns named in `keys` (a comma-separated string or an array), in
+ * EXPORT_COLUMNS order; DEFAULT_COLUMNS when none are given.
+ * @throws {StudentExportError} for unknown column names
+ */
+export function exportColumns(keys) {
+  const requested = (Array.isArray(keys) ? keys : String(keys ?? "").split(","))
+    .map((key) => String(key).trim())
+    .filter(Boolean);
+  const wanted = new Set(requested.length ? requested : DEFAULT_COLUMNS);
+
+  const unknown = [...wanted].filter((key) => !EXPORT_COLUMNS.some((column) => column.key === key));
+  if (unknown.length) throw new StudentExportError(`Unknown column(s): ${unknown.join(", ")}`);
+  return EXPORT_COLUMNS.filter(({ key }) => wanted.has(key));
+}
+
+/**
+ * Mongo filter for students, from the admin list's query: `level` is a core
+ * level number or a course type slug, `q` matches the student's name or email
+ * or an enrolled class's instructor or age group. `ids` (comma-separated or
+ * an array) picks exactly those students instead, e.g. a selection in the
+ * list; ids of instructors or admins are left out.
+ * @returns {Promise<object|null>} null when no class has the level
+ * @throws {StudentExportError} for malformed ids
+ */
+export async function studentFilter({ level, q, ids } = {}) {
+  if (ids != null && ids !== "") {
+    const selected = (Array.isArray(ids) ? ids : String(ids).split(",")).map((id) => String(id).trim()).filter(Boolean);
+    if (!selected.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      throw new StudentExportError("Invalid student ID");
+    }
+    return { _id: { $in: selected }, privilege: "student" };
+  }
+
+  // Build class-based filters first (for level and/or text on class fields)
+  const classIdFilters = [];
+
+  // Level filter (core level number, or a course type slug e.g. "conversation")
+  if (typeof level !== "undefined" && level !== null && `${level}`.trim() !== "") {
+    const raw = `${level}`.trim();
+    const parsed = Number.isNaN(Number(raw)) ? raw.toLowerCase() : Number(raw);
+    const levelFilter = typeof parsed === "number"
+      ? { level: parsed, courseType: null }
+      : { courseType: parsed };
+    const levelClasses = await Class.find(levelFilter).select("_id").lean();
+    const ids = levelClasses.map((c) => c._id);
+    if (!ids.length) return null;
+    classIdFilters.push({ enrolledClasses: { $in: ids } });
+  }
+
+  // Optional q: match user name/email OR class instructor/ageGroup
+  const userOr = [];
+  if (typeof q === "string" && q.trim()) {
+    const rx = new RegExp(escapeRx(q.trim()), "i");
+    userOr.push({ firstName: rx }, { lastName: rx }, { email: rx });
+
+    const qClasses = await Class.find({ $or: [{ instructor: rx }, { ageGroup: rx }] })
+      .select("_id")
+      .lean();
+    const qIds = qClasses.map((c) => c._id);
+    if (qIds.length) classIdFilters.push({ enrolledClasses: { $in: qIds } });
+  }
+
+  const filter = { privilege: "student" };
+  if (userOr.length || classIdFilters.length) {
+    filter.$and = [];
+    if (userOr.length) filter.$and.push({ $or: userOr });
+    if (classIdFilters.length) filter.$and.push({ $and: classIdFilters });
+  }
+  return filter;
+}
+
+// Cell values for each export row, read from a cursor so large exports
+// don't sit in memory
+async function* exportRows(filter, columns) {
+  if (!filter) return;
+
+  const students = User.find(filter)
+    .select("firstName lastName email whatsapp age gender creationDate enrolledClasses")
+    .sort({ lastName: 1, firstName: 1 })
+    .populate({ path: "enrolledClasses", select: "level courseType ageGroup instructor link schedule" })
+    .lean()
+    .cursor();
+
+  for await (const student of students) {
+    const classes = (student.enrolledClasses || []).filter(Boolean);
+    for (const cls of classes.length ? classes : [null]) {
+      yield columns.map((column) => column.value(student, cls) ?? "");
+    }
+  }
+}
+
+/**
+ * Stream the students matching `filter` (see studentFilter) to `stream`.
+ * @param {import("stream").Writable} stream
+ * @param {{ format: "csv" | "xlsx", columns: object[], filter: object|null }} options
+ */
+export async function writeStudentExport(stream, { format, columns, filter }) {
+  const rows = exportRows(filter, columns);
+  if (format === "csv") return writeCsv(stream, columns, rows);
+  return writeXlsx(stream, columns, rows, { sheetName: "Students" });
+}
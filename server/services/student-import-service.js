@@ -0,0 +1,377 @@
+// api/services/student-import-service.js
+// Admin bulk import of students from a CSV or XLSX spreadsheet.
+//
+// The first row names the columns (any order, case and spacing ignored):
+//   First Name, Last Name   or a single Name column ("Ayşe Kaya")
+//   Email                   required, must not belong to an existing user
+//   WhatsApp                optional, international format (+90 555 123 4567)
+//   Classes                 optional, separated by ";" — a class id, or
+//                           "<level or course> <age group> [instructor]",
+//                           e.g. "2 kids Ali" or "conversation adults"
+//
+// previewImport validates every row without writing anything. startImport
+// validates again and saves every row on a StudentImport, valid ones as
+// pending. continueImport then creates the Clerk account, student and
+// enrollments for the next few pending rows; the client calls it until the
+// import is done. Each row's result is saved as soon as it's known, so an
+// import cut off by a timeout or rate limit picks up where it stopped, and
+// the report can be downloaded at any point.
+
+import mongoose from "mongoose";
+import { clerkClient } from "@clerk/express";
+import { parsePhoneNumberFromString } from "libphonenumber-js";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import StudentImport from "../schemas/StudentImport.js";
+import { enroll } from "./enrollment-service.js";
+import { toTitleCase } from "../../src/utils/formatters.js";
+import { SpreadsheetError, parseCsv, readXlsx } from "../../src/utils/backend/spreadsheet-utils.js";
+
+export const IMPORT_FORMATS = ["csv", "xlsx"];
+const MAX_ROWS = 500;
+// Rows per continueImport call: a few Clerk calls each, well inside one
+// serverless invocation and Clerk's rate limit
+export const IMPORT_BATCH_SIZE = 5;
+// A row claimed longer ago than this was cut off mid-way (the request timed
+// out or crashed) and can be retried; longer than any one API invocation runs
+const STALE_CLAIM_MS = 60 * 1000;
+
+export class StudentImportError extends Error {}
+
+// Column → the normalized header names it's recognized by
+const HEADERS = {
+  firstName: ["firstname", "first", "givenname"],
+  lastName: ["lastname", "last", "surname", "familyname"],
+  name: ["name", "fullname", "student"],
+  email: ["email", "emailaddress", "mail"],
+  whatsapp: ["whatsapp", "phone", "phonenumber", "mobile"],
+  classes: ["classes", "class", "classassignments"],
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, "");
+const normalizeRef = (text) => text.toLowerCase().replace(/^level\s+/, "").replace(/\s+/g, " ").trim();
+
+// Rows of the uploaded file. CSV arrives as text, XLSX base64-encoded.
+async function readRows(format, content) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new StudentImportError(`Format must be one of ${IMPORT_FORMATS.join(", ")}`);
+  }
+  if (typeof content !== "string" || content === "") throw new StudentImportError("The file is empty");
+  try {
+    return format === "csv" ? parseCsv(content) : await readXlsx(Buffer.from(content, "base64"));
+  } catch (error) {
+    if (error instanceof SpreadsheetError) throw new StudentImportError(error.message);
+    throw error;
+  }
+}
+
+// { row, firstName, lastName, email, whatsapp, classes } per non-empty data row
+function toRecords(rows) {
+  const headerIndex = rows.findIndex(row => row.some(cell => cell.trim() !== ""));
+  if (headerIndex === -1) throw new StudentImportError("The file has no header row");
+
+  const header = rows[headerIndex].map(normalizeHeader);
+  const column = Object.fromEntries(Object.entries(HEADERS).map(([field, names]) => (
+    [field, header.findIndex(name => names.includes(name))]
+  )));
+  if (column.email === -1) throw new StudentImportError(`The header needs an "Email" column`);
+  if (column.name === -1 && (column.firstName === -1 || column.lastName === -1)) {
+    throw new StudentImportError(`The header needs "First Name" and "Last Name" columns, or a "Name" column`);
+  }
+
+  const records = [];
+  rows.forEach((cells, index) => {
+    if (index <= headerIndex || !cells.some(cell => cell.trim() !== "")) return;
+    const cell = (field) => (column[field] === -1 ? "" : String(cells[column[field]] ?? "").trim());
+
+    let firstName = cell("firstName");
+    let lastName = cell("lastName");
+    if (!firstName && !lastName && cell("name")) {
+      // "Ayşe Nur Kaya" → Ayşe Nur / Kaya
+      const parts = cell("name").split(/\s+/);
+      lastName = parts.length > 1 ? parts.pop() : "";
+      firstName = parts.join(" ");
+    }
+    records.push({
+      row: index + 1,
+      firstName: firstName && toTitleCase(firstName),
+      lastName: lastName && toTitleCase(lastName),
+      email: cell("email"),
+      whatsapp: cell("whatsapp"),
+      classes: cell("classes").split(/[;\n]/).map(ref => ref.trim()).filter(Boolean),
+    });
+  });
+
+  if (records.length === 0) throw new StudentImportError("The file has no students");
+  if (records.length > MAX_ROWS) throw new StudentImportError(`Import at most ${MAX_ROWS} students at a time`);
+  return records;
+}
+
+// Finds classes by id or by "<level or course> <age group> [instructor]"
+async function classFinder() {
+  const classes = await Class.find({})
+    .select("level courseType ageGroup instructor roster capacity")
+    .lean();
+  const describe = (cls) => normalizeRef(`${cls.courseType ?? cls.level} ${cls.ageGroup}`);
+
+  return (ref) => {
+    const byId = mongoose.Types.ObjectId.isValid(ref) && classes.find(cls => String(cls._id) === ref);
+    if (byId) return { cls: byId };
+
+    const wanted = normalizeRef(ref);
+    const matches = classes.filter(cls => (
+      wanted === describe(cls) || wanted === `${describe(cls)} ${normalizeRef(cls.instructor)}`
+    ));
+    if (matches.length === 1) return { cls: matches[0] };
+    return {
+      error: matches.length === 0
+        ? `No class matches "${ref}"`
+        : `"${ref}" matches ${matches.length} classes; add the instructor's name`,
+    };
+  };
+}
+
+export const classDescription = (cls) => `${cls.courseType ?? `Level ${cls.level}`} ${cls.ageGroup} (${cls.instructor})`;
+
+/**
+ * Parse and check an import without writing anything.
+ * Each row gets `errors` (the row will be skipped) and `warnings`.
+ * @returns {Promise<{ rows: object[], summary: { total: number, valid: number, invalid: number } }>}
+ */
+export async function previewImport({ format, content }) {
+  const records = toRecords(await readRows(format, content));
+  const findClass = await classFinder();
+
+  const emails = records.map(({ email }) => email).filter(Boolean);
+  const existing = await User.find({ email: { $in: emails } })
+    .collation({ locale: "en", strength: 2 })
+    .select("email")
+    .lean();
+  const taken = new Set(existing.map(({ email }) => email.toLowerCase()));
+
+  const firstRowOf = new Map(); // lowercased email → row it first appears on
+  const seatsTaken = new Map(); // class id → seats used so far, counting earlier rows
+
+  const rows = records.map((record) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!record.firstName) errors.push("First name is missing");
+    if (!record.lastName) errors.push("Last name is missing");
+
+    const email = record.email.toLowerCase();
+    if (!record.email) errors.push("Email is missing");
+    else if (!EMAIL.test(record.email)) errors.push(`"${record.email}" is not an email address`);
+    else if (taken.has(email)) errors.push("A user with this email already exists");
+    else if (firstRowOf.has(email)) errors.push(`Same email as row ${firstRowOf.get(email)}`);
+    else firstRowOf.set(email, record.row);
+
+    let whatsapp = "";
+    if (record.whatsapp) {
+      const phone = parsePhoneNumberFromString(record.whatsapp);
+      if (!record.whatsapp.startsWith("+")) {
+        errors.push(`WhatsApp number "${record.whatsapp}" needs a country code, e.g. +90`);
+      } else if (!phone?.isValid()) {
+        errors.push(`"${record.whatsapp}" is not a valid phone number`);
+      } else {
+        whatsapp = phone.number;
+      }
+    }
+
+    const classIds = [];
+    for (const ref of record.classes) {
+      const { cls, error } = findClass(ref);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      const id = String(cls._id);
+      if (classIds.includes(id)) continue;
+      classIds.push(id);
+      if (errors.length) continue;
+
+      const seats = seatsTaken.get(id) ?? cls.roster.length;
+      if (cls.capacity && seats >= cls.capacity) warnings.push(`${classDescription(cls)} is full; the student will be waitlisted`);
+      seatsTaken.set(id, seats + 1);
+    }
+
+    return { ...record, whatsapp: whatsapp || record.whatsapp, classIds, errors, warnings };
+  });
+
+  const valid = rows.filter(row => row.errors.length === 0).length;
+  return { rows, summary: { total: rows.length, valid, invalid: rows.length - valid } };
+}
+
+// Clerk account, student and enrollments for one pending row. A row retried
+// after an interrupted attempt reuses what that attempt already created.
+async function createStudent(row, classNames, { retry = false } = {}) {
+  const messages = [];
+
+  const { data: [existingAccount] } = await clerkClient.users.getUserList({ emailAddress: [row.email] });
+  const account = existingAccount ?? await clerkClient.users.createUser({
+    emailAddress: [row.email],
+    firstName: row.firstName,
+    lastName: row.lastName,
+    // They set a password with "Forgot password" on first sign-in
+    skipPasswordRequirement: true,
+  });
+
+  let user = retry ? await User.findOne({ clerkId: account.id }) : null;
+  if (user) {
+    messages.push("Finished after an interrupted attempt");
+  } else {
+    if (existingAccount) messages.push("Linked to the existing sign-in account for this email");
+    try {
+      user = await new User({
+        firstName: row.firstName,
+        lastName: row.lastName,
+        email: row.email,
+        whatsapp: row.whatsapp || undefined,
+        clerkId: account.id,
+      }).save();
+    } catch (error) {
+      // Don't leave a sign-in account without a student behind
+      if (!existingAccount) {
+        await clerkClient.users.deleteUser(account.id)
+          .catch(clerkError => console.error("Failed to remove Clerk user after import error:", clerkError));
+      }
+      throw error;
+    }
+  }
+
+  // An enrollment that fails doesn't undo the student; it's noted in the report
+  for (const classId of row.classIds.map(String)) {
+    if (user.enrolledClasses.some(id => String(id) === classId)) continue; // seated by the earlier attempt
+    try {
+      const { waitlisted, position } = await enroll(classId, user._id);
+      if (waitlisted) messages.push(`Waitlisted for ${classNames.get(classId)} (position ${position})`);
+    } catch (error) {
+      messages.push(`Couldn't enroll in ${classNames.get(classId)}: ${error.message}`);
+    }
+  }
+  return { user, messages };
+}
+
+/**
+ * Validate a file and save it as a running import: rows with errors are
+ * skipped, the rest wait for continueImport.
+ * @returns {Promise<object>} the StudentImport
+ * @throws {StudentImportError} when the file can't be read
+ */
+export async function startImport({ format, content, fileName = "", importedBy = null }) {
+  const { rows } = await previewImport({ format, content });
+  const job = await StudentImport.create({
+    fileName,
+    importedBy,
+    rows: rows.map(row => ({
+      row: row.row,
+      firstName: row.firstName,
+      lastName: row.lastName,
+      email: row.email,
+      whatsapp: row.whatsapp,
+      classes: row.classes,
+      classIds: row.errors.length ? [] : row.classIds,
+      result: row.errors.length ? "skipped" : "pending",
+      messages: row.errors,
+    })),
+  });
+  return finishIfComplete(job._id);
+}
+
+// Takes a row for this request. Fails if another request holds it, unless
+// that one was cut off (its claim is stale).
+async function claimRow(jobId, rowNumber) {
+  const now = new Date();
+  const claimable = {
+    row: rowNumber,
+    $or: [
+      { result: "pending" },
+      { result: "processing", claimedAt: { $lt: new Date(now - STALE_CLAIM_MS) } },
+    ],
+  };
+  const result = await StudentImport.updateOne(
+    { _id: jobId, rows: { $elemMatch: claimable } },
+    { $set: { "rows.$.result": "processing", "rows.$.claimedAt": now } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function finishIfComplete(jobId) {
+  await StudentImport.updateOne(
+    { _id: jobId, status: "running", "rows.result": { $nin: ["pending", "processing"] } },
+    { status: "done", finishedAt: new Date() }
+  );
+  return StudentImport.findById(jobId).lean();
+}
+
+/**
+ * Import the next IMPORT_BATCH_SIZE rows of a running import, plus any row an
+ * earlier request was cut off in the middle of. Safe to call again after a
+ * failure or concurrently: each row is claimed by one request at a time.
+ * @returns {Promise<object|null>} the StudentImport, null if there's none with that id
+ */
+export async function continueImport(jobId) {
+  const job = await StudentImport.findById(jobId).lean();
+  if (!job || job.status === "done") return job;
+
+  const staleBefore = Date.now() - STALE_CLAIM_MS;
+  const next = job.rows
+    .filter(row => row.result === "pending" || (row.result === "processing" && row.claimedAt < staleBefore))
+    .slice(0, IMPORT_BATCH_SIZE);
+
+  const classes = await Class.find({ _id: { $in: next.flatMap(row => row.classIds) } })
+    .select("level courseType ageGroup instructor")
+    .lean();
+  const classNames = new Map(classes.map(cls => [String(cls._id), classDescription(cls)]));
+
+  for (const row of next) {
+    if (!(await claimRow(jobId, row.row))) continue;
+
+    let outcome;
+    try {
+      const { user, messages } = await createStudent(row, classNames, { retry: row.result === "processing" });
+      outcome = { result: "created", messages, user: user._id };
+    } catch (error) {
+      console.error(`Student import row ${row.row} failed:`, error);
+      outcome = { result: "failed", messages: [clerkMessage(error) ?? error.message] };
+    }
+    await StudentImport.updateOne(
+      { _id: jobId, "rows.row": row.row },
+      { $set: Object.fromEntries(Object.entries(outcome).map(([field, value]) => [`rows.$.${field}`, value])) }
+    );
+  }
+
+  return finishIfComplete(jobId);
+}
+
+// Clerk API errors carry the useful text in errors[].longMessage
+const clerkMessage = (error) => error?.errors?.map(e => e.longMessage ?? e.message).join("; ") || null;
+
+/**
+ * Columns and rows of an import's report, for writeCsv / writeXlsx.
+ */
+export function importReport(job) {
+  const columns = [
+    { header: "Row" },
+    { header: "First Name" },
+    { header: "Last Name" },
+    { header: "Email" },
+    { header: "WhatsApp" },
+    { header: "Classes", multiline: true },
+    { header: "Result" },
+    { header: "Details", multiline: true },
+  ];
+  const rows = job.rows.map(row => [
+    row.row,
+    row.firstName,
+    row.lastName,
+    row.email,
+    row.whatsapp,
+    row.classes.join("\n"),
+    row.result,
+    row.messages.join("\n"),
+  ]);
+  return { columns, rows };
+}
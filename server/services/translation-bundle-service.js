@@ -0,0 +1,46 @@
+// api/services/translation-bundle-service.js
+// The { key: value } bundles i18next loads per language and namespace.
+//
+// Bundles are built once and kept in memory with a content hash (the ETag).
+// Every translation write clears the cache; the TTL bounds how long another
+// serverless instance, which never saw the write, keeps serving its copy.
+
+import crypto from "crypto";
+import Translation from "../schemas/Translation.js";
+
+const TTL_MS = 60 * 1000;
+
+const cache = new Map(); // "lng/ns" → { bundle, etag, builtAt }
+let generation = 0;
+
+/**
+ * The bundle for a language and namespace with its ETag.
+ * @returns {Promise<{ bundle: object, etag: string }>}
+ */
+export async function getBundle(lng, ns) {
+  const id = `${lng}/${ns}`;
+  const cached = cache.get(id);
+  if (cached && Date.now() - cached.builtAt < TTL_MS) return cached;
+
+  const startedAt = generation;
+  // Untranslated placeholders are left to i18next's English fallback
+  const rows = await Translation.find({ lng, ns, needsTranslation: { $ne: true } })
+    .select("-_id key value")
+    .sort({ key: 1 })
+    .lean();
+  const bundle = Object.fromEntries(rows.map(row => [row.key, row.value]));
+  const entry = {
+    bundle,
+    etag: `"${crypto.createHash("sha1").update(JSON.stringify(bundle)).digest("base64url")}"`,
+    builtAt: Date.now(),
+  };
+  // A write while this was loading may not be in it
+  if (startedAt === generation) cache.set(id, entry);
+  return entry;
+}
+
+/** Forget every cached bundle; call after writing translations. */
+export function invalidateBundles() {
+  generation++;
+  cache.clear();
+}
@@ -0,0 +1,106 @@
+// api/services/translation-history-service.js
+// Browsing translation revisions, reverting one, and putting a namespace back
+// the way it was at some point in time.
+//
+// History starts when revisions were first logged: a namespace can't be
+// restored to before its oldest revision.
+
+import Translation from "../schemas/Translation.js";
+import TranslationRevision from "../schemas/TranslationRevision.js";
+import { saveTranslations, deleteTranslations } from "./translation-service.js";
+
+export class TranslationHistoryError extends Error {}
+
+const MAX_REVISIONS = 200;
+
+/**
+ * Newest first. Filter by any of lng, ns and key.
+ */
+export async function listRevisions({ lng, ns, key, limit = 50 } = {}) {
+  const filter = {};
+  if (lng) filter.lng = lng;
+  if (ns) filter.ns = ns;
+  if (key) filter.key = key;
+
+  return TranslationRevision.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), MAX_REVISIONS))
+    .lean();
+}
+
+/**
+ * Put a translation back to its value before a revision. Reverting the
+ * revision that created a translation deletes it.
+ * @returns {Promise<object|null>} the translation afterwards (null if deleted),
+ * or undefined if there is no such revision
+ */
+export async function revertRevision(id, { editor = null } = {}) {
+  const revision = await TranslationRevision.findById(id).lean();
+  if (!revision) return undefined;
+
+  const { lng, ns, key, previous } = revision;
+  const options = { editor, action: "revert", revertOf: revision._id };
+  if (previous === null) {
+    await deleteTranslations([{ lng, ns, key }], options);
+    return null;
+  }
+  await saveTranslations([{ lng, ns, key, value: previous }], options);
+  return Translation.findOne({ lng, ns, key }).lean();
+}
+
+/**
+ * What restoring a namespace (optionally one language) to `date` would
+ * change: every key edited since then goes back to its value at that time.
+ * @returns {Promise<{ ns, lng, date, changes: Array<{ lng, ns, key, current, value }> }>}
+ * `value` null means the key didn't exist yet and will be deleted
+ */
+export async function planRestore({ ns, lng = null, date }) {
+  if (!ns) throw new TranslationHistoryError("Namespace is required");
+  const at = new Date(date);
+  if (!date || Number.isNaN(at.getTime())) throw new TranslationHistoryError("A valid date is required");
+  if (at > new Date()) throw new TranslationHistoryError("Date is in the future");
+
+  const revisions = await TranslationRevision.find({ ns, ...(lng ? { lng } : {}), createdAt: { $gt: at } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select("lng ns key previous")
+    .lean();
+
+  // The first change after the date remembers the value at the date
+  const targets = new Map();
+  for (const revision of revisions) {
+    const id = `${revision.lng}\u0000${revision.key}`;
+    if (!targets.has(id)) targets.set(id, revision);
+  }
+  if (targets.size === 0) return { ns, lng, date: at, changes: [] };
+
+  const current = await Translation.find({
+    ns,
+    $or: [...targets.values()].map(({ lng, key }) => ({ lng, key })),
+  }).select("-_id lng key value").lean();
+  const currentValues = new Map(current.map(row => [`${row.lng}\u0000${row.key}`, row.value]));
+
+  const changes = [...targets.entries()]
+    .map(([id, { lng, key, previous }]) => ({ lng, ns, key, current: currentValues.get(id) ?? null, value: previous }))
+    .filter(change => change.current !== change.value)
+    .sort((a, b) => a.key.localeCompare(b.key) || a.lng.localeCompare(b.lng));
+
+  return { ns, lng, date: at, changes };
+}
+
+/**
+ * Apply planRestore(). Every change is logged, so a restore can itself be
+ * undone by restoring to just before it.
+ */
+export async function restoreToDate({ ns, lng = null, date }, { editor = null } = {}) {
+  const { changes } = await planRestore({ ns, lng, date });
+  const options = { editor, action: "restore" };
+
+  const restored = changes.filter(change => change.value !== null);
+  await saveTranslations(restored.map(({ lng, ns, key, value }) => ({ lng, ns, key, value })), options);
+  const deleted = await deleteTranslations(
+    changes.filter(change => change.value === null).map(({ lng, ns, key }) => ({ lng, ns, key })),
+    options,
+  );
+
+  return { restored: restored.length, deleted };
+}
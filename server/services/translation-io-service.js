@@ -0,0 +1,330 @@
+// api/services/translation-io-service.js
+// Bulk translation import/export.
+//
+// Formats:
+//   • json   i18next resources: { "<lng>": { "<ns>": { "<key>": "value" } } }.
+//            A single language/namespace file ({ "<key>": "value" }, nested
+//            objects flattened with ".") is accepted when lng and ns are given.
+//   • csv    one row per namespace+key, one column per language (UTF-8 BOM so
+//            Excel opens it correctly)
+//   • xliff  XLIFF 2.0, one file per target language with English as the
+//            source. Only <target> text is imported.
+//
+// Imports are parsed into {lng, ns, key, value} entries and compared with the
+// database before anything is written. The preview carries a hash of the rows
+// it was computed from; applying with a stale hash is refused.
+
+import crypto from "crypto";
+import Translation from "../schemas/Translation.js";
+import { LANGUAGES, SOURCE_LNG, saveTranslations, deleteTranslations } from "./translation-service.js";
+import { SpreadsheetError, csvCell, parseCsv } from "../../src/utils/backend/spreadsheet-utils.js";
+
+export const FORMATS = ["json", "csv", "xliff"];
+
+export class TranslationImportError extends Error {}
+
+/* -----------------------------
+   Export
+------------------------------*/
+
+/**
+ * Rows for the given namespaces/languages (null = all), sorted for stable files.
+ */
+export async function loadTranslations({ namespaces = null, lngs = null } = {}) {
+  const filter = { needsTranslation: { $ne: true } };
+  if (namespaces) filter.ns = { $in: namespaces };
+  if (lngs) filter.lng = { $in: lngs };
+  return Translation.find(filter)
+    .select("-_id lng ns key value")
+    .sort({ ns: 1, key: 1, lng: 1 })
+    .lean();
+}
+
+export function toJson(entries) {
+  const resources = {};
+  for (const { lng, ns, key, value } of entries) {
+    resources[lng] ??= {};
+    resources[lng][ns] ??= {};
+    resources[lng][ns][key] = value;
+  }
+  return JSON.stringify(resources, null, 2) + "\n";
+}
+
+export function toCsv(entries, lngs = LANGUAGES) {
+  const rows = new Map(); // "ns\u0000key" → { ns, key, [lng]: value }
+  for (const { lng, ns, key, value } of entries) {
+    const id = `${ns}\u0000${key}`;
+    if (!rows.has(id)) rows.set(id, { ns, key });
+    rows.get(id)[lng] = value;
+  }
+
+  const lines = [["namespace", "key", ...lngs]];
+  for (const row of rows.values()) {
+    lines.push([row.ns, row.key, ...lngs.map(lng => row[lng] ?? "")]);
+  }
+  return "\uFEFF" + lines.map(cells => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function toXliff(entries, trgLang) {
+  const byNamespace = new Map(); // ns → Map(key → { source, target })
+  for (const { lng, ns, key, value } of entries) {
+    if (lng !== SOURCE_LNG && lng !== trgLang) continue;
+    if (!byNamespace.has(ns)) byNamespace.set(ns, new Map());
+    const units = byNamespace.get(ns);
+    if (!units.has(key)) units.set(key, {});
+    units.get(key)[lng === SOURCE_LNG ? "source" : "target"] = value;
+  }
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${SOURCE_LNG}" trgLang="${escapeXml(trgLang)}">`,
+  ];
+  let fileIndex = 0;
+  for (const [ns, units] of byNamespace) {
+    lines.push(`  <file id="f${++fileIndex}" original="${escapeXml(ns)}">`);
+    let unitIndex = 0;
+    for (const [key, { source, target }] of units) {
+      if (source === undefined) continue; // nothing to translate from
+      lines.push(
+        `    <unit id="u${++unitIndex}" name="${escapeXml(key)}">`,
+        `      <segment${target === undefined ? "" : ` state="translated"`}>`,
+        `        <source>${escapeXml(source)}</source>`,
+        ...(target === undefined ? [] : [`        <target>${escapeXml(target)}</target>`]),
+        `      </segment>`,
+        `    </unit>`
+      );
+    }
+    lines.push(`  </file>`);
+  }
+  lines.push(`</xliff>`);
+  return lines.join("\n") + "\n";
+}
+
+/* -----------------------------
+   Import
+------------------------------*/
+
+/**
+ * Parse an uploaded file into entries plus the (lng, ns) pairs it covers.
+ * Throws TranslationImportError for malformed input.
+ */
+export function parseImport(format, content, { lng, ns } = {}) {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new TranslationImportError("The file is empty");
+  }
+  const text = content.replace(/^\uFEFF/, "");
+  switch (format) {
+    case "json": return fromJson(text, { lng, ns });
+    case "csv": return fromCsv(text);
+    case "xliff": return fromXliff(text);
+    default: throw new TranslationImportError(`Unknown format "${format}"`);
+  }
+}
+
+function fromJson(text, { lng, ns }) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new TranslationImportError(`Invalid JSON: ${err.message}`);
+  }
+  if (!isPlainObject(data)) throw new TranslationImportError("Expected a JSON object");
+
+  const entries = [];
+  if (lng && ns) {
+    for (const [key, value] of flatten(data)) entries.push({ lng, ns, key, value });
+  } else {
+    for (const [language, namespaces] of Object.entries(data)) {
+      if (!isPlainObject(namespaces)) throw new TranslationImportError(`"${language}" must map namespaces to strings`);
+      for (const [namespace, keys] of Object.entries(namespaces)) {
+        if (!isPlainObject(keys)) throw new TranslationImportError(`"${language}.${namespace}" must map keys to strings`);
+        for (const [key, value] of flatten(keys)) entries.push({ lng: language, ns: namespace, key, value });
+      }
+    }
+  }
+  return withScope(entries);
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = readCsv(text).filter(row => row.some(cell => cell !== ""));
+  if (!header) throw new TranslationImportError("The CSV has no header row");
+
+  const columns = header.map(cell => cell.trim());
+  const nsColumn = columns.indexOf("namespace");
+  const keyColumn = columns.indexOf("key");
+  if (nsColumn === -1 || keyColumn === -1) {
+    throw new TranslationImportError(`The CSV header needs "namespace" and "key" columns`);
+  }
+  const lngColumns = columns
+    .map((lng, index) => ({ lng, index }))
+    .filter(({ index }) => index !== nsColumn && index !== keyColumn && columns[index]);
+  if (lngColumns.length === 0) throw new TranslationImportError("The CSV has no language columns");
+
+  const entries = [];
+  const scope = [];
+  rows.forEach((row, rowIndex) => {
+    const ns = row[nsColumn]?.trim();
+    const key = row[keyColumn]?.trim();
+    if (!ns || !key) throw new TranslationImportError(`Row ${rowIndex + 2} is missing a namespace or key`);
+    for (const { lng, index } of lngColumns) {
+      scope.push({ lng, ns });
+      // Empty cells are untranslated, not empty strings
+      if (row[index]) entries.push({ lng, ns, key, value: row[index] });
+    }
+  });
+  return withScope(entries, scope);
+}
+
+function fromXliff(text) {
+  const root = text.match(/<xliff\b([^>]*)>/);
+  if (!root) throw new TranslationImportError("Not an XLIFF document");
+  const rootAttrs = attributes(root[1]);
+  if (rootAttrs.version !== "2.0") throw new TranslationImportError("Only XLIFF 2.0 is supported");
+  const lng = rootAttrs.trgLang;
+  if (!lng) throw new TranslationImportError("The XLIFF document has no trgLang");
+
+  const entries = [];
+  const scope = [];
+  for (const [, fileAttrs, fileBody] of text.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+    const ns = attributes(fileAttrs).original;
+    if (!ns) throw new TranslationImportError(`Each <file> needs an "original" namespace`);
+    scope.push({ lng, ns });
+
+    for (const [, unitAttrs, unitBody] of fileBody.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+      const { name, id } = attributes(unitAttrs);
+      const key = name ?? id;
+      const target = unitBody.match(/<target\b[^>]*>([\s\S]*?)<\/target>/);
+      if (!key || !target) continue; // untranslated
+      if (/<[a-zA-Z]/.test(target[1])) {
+        throw new TranslationImportError(`Unit "${key}" uses inline markup, which isn't supported`);
+      }
+      entries.push({ lng, ns, key, value: unescapeXml(target[1]) });
+    }
+  }
+  if (scope.length === 0) throw new TranslationImportError("The XLIFF document has no <file> elements");
+  return withScope(entries, scope);
+}
+
+/* -----------------------------
+   Diff & apply
+------------------------------*/
+
+/**
+ * Compare parsed entries with the database for the (lng, ns) pairs they cover.
+ * Keys missing from the import are listed as `removed`; they are only deleted
+ * when applying with `prune`.
+ */
+export async function diffImport({ entries, scope }) {
+  const existing = scope.length
+    ? await Translation.find({ $or: scope.map(({ lng, ns }) => ({ lng, ns })), needsTranslation: { $ne: true } })
+      .select("-_id lng ns key value")
+      .sort({ lng: 1, ns: 1, key: 1 })
+      .lean()
+    : [];
+  const current = new Map(existing.map(row => [rowId(row), row]));
+  const incoming = new Map(entries.map(row => [rowId(row), row]));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [id, row] of incoming) {
+    const before = current.get(id);
+    if (!before) added.push(row);
+    else if (before.value !== row.value) changed.push({ ...row, previous: before.value });
+    else unchanged++;
+  }
+  const removed = existing.filter(row => !incoming.has(rowId(row)));
+
+  return {
+    added,
+    changed,
+    removed,
+    unchanged,
+    scope,
+    baseHash: hashRows(existing),
+  };
+}
+
+/**
+ * Write a diff from diffImport(). Refuses if the scoped rows changed since
+ * the preview that produced `baseHash`.
+ */
+export async function applyImport(diff, { baseHash, prune = false, editor = null } = {}) {
+  if (baseHash && baseHash !== diff.baseHash) {
+    throw new TranslationImportError("Translations changed since the preview, preview the import again");
+  }
+
+  await saveTranslations([...diff.added, ...diff.changed], { editor, action: "import" });
+
+  const removed = prune
+    ? await deleteTranslations(diff.removed, { editor, action: "import" })
+    : 0;
+
+  return { added: diff.added.length, changed: diff.changed.length, removed };
+}
+
+/* -----------------------------
+   Helpers
+------------------------------*/
+
+const rowId = ({ lng, ns, key }) => `${lng}\u0000${ns}\u0000${key}`;
+
+const hashRows = (rows) => crypto
+  .createHash("sha256")
+  .update(JSON.stringify(rows.map(({ lng, ns, key, value }) => [lng, ns, key, value])))
+  .digest("hex");
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Nested JSON keys become dotted keys; values must be strings
+function* flatten(object, prefix = "") {
+  for (const [key, value] of Object.entries(object)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) yield* flatten(value, path);
+    else if (typeof value === "string") yield [path, value];
+    else throw new TranslationImportError(`"${path}" must be a string`);
+  }
+}
+
+// Entries plus the unique (lng, ns) pairs they (or the file) cover
+function withScope(entries, extraScope = []) {
+  const pairs = new Map();
+  for (const { lng, ns } of [...entries, ...extraScope]) {
+    if (!LANGUAGES.includes(lng)) throw new TranslationImportError(`Unsupported language "${lng}"`);
+    pairs.set(`${lng}\u0000${ns}`, { lng, ns });
+  }
+  return { entries, scope: [...pairs.values()] };
+}
+
+function readCsv(text) {
+  try {
+    return parseCsv(text);
+  } catch (error) {
+    if (error instanceof SpreadsheetError) throw new TranslationImportError(error.message);
+    throw error;
+  }
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => data.replace(/&/g, "&amp;").replace(/</g, "&lt;"))
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, "&");
+
+function attributes(source) {
+  const attrs = {};
+  for (const [, name, double, single] of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[name] = unescapeXml(double ?? single);
+  }
+  return attrs;
+}
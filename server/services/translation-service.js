@@ -0,0 +1,257 @@
+// api/services/translation-service.js
+// Writing translations and reporting on their completeness.
+//
+// Every non-English row remembers a hash of the English value it was
+// translated from (sourceHash). When the English text changes afterwards the
+// hashes no longer match and the translation is reported as stale until it
+// is saved again. Rows written before hashes existed fall back to comparing
+// updatedAt with the English row.
+//
+// Edits are checked against the English source first: a translation must use
+// the same {{placeholders}} and $t(nesting), and plural keys must be a form
+// the language has.
+//
+// Every write that changes a value is logged as a TranslationRevision with
+// the previous value, so edits can be reverted (see translation-history-service).
+
+import crypto from "crypto";
+import Translation from "../schemas/Translation.js";
+import TranslationRevision from "../schemas/TranslationRevision.js";
+import { invalidateBundles } from "./translation-bundle-service.js";
+import { comparePlaceholders, pluralKeyProblem, splitPluralKey, PLURAL_CATEGORIES } from "../../src/utils/translation-placeholders.js";
+
+export const SOURCE_LNG = "en";
+export const LANGUAGES = ["en", "tr", "ru", "ug", "zh"];
+
+export const sourceHash = (value) => crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 16);
+
+const pairId = (ns, key) => `${ns}\u0000${key}`;
+
+export class TranslationValidationError extends Error {
+  constructor(problems) {
+    super(problems.join("; "));
+    this.problems = problems;
+  }
+}
+
+/**
+ * Throws a TranslationValidationError listing every problem with a
+ * translation: plural forms the language doesn't have, malformed placeholders
+ * and placeholders that differ from English.
+ */
+export async function validateTranslation({ lng, ns, key, value }) {
+  const problems = [];
+  const pluralProblem = pluralKeyProblem(lng, key);
+  if (pluralProblem) problems.push(pluralProblem);
+
+  // Without an English source only the syntax can be checked
+  const source = lng === SOURCE_LNG ? null : await findSource(ns, key);
+  problems.push(...comparePlaceholders(source ?? value, value, { plural: Boolean(splitPluralKey(key)) }));
+
+  if (problems.length) throw new TranslationValidationError(problems);
+}
+
+// English value for a key. Plural forms English doesn't have (e.g. Russian
+// _few) are compared with its _other form.
+async function findSource(ns, key) {
+  const plural = splitPluralKey(key);
+  const candidates = plural
+    ? [key, ...["other", ...PLURAL_CATEGORIES].map(category => `${plural.base}${plural.ordinal ? "_ordinal" : ""}_${category}`)]
+    : [key];
+  const sources = await Translation.find({ lng: SOURCE_LNG, ns, key: { $in: candidates } }).select("key value").lean();
+  const byKey = new Map(sources.map(source => [source.key, source.value]));
+  return candidates.map(candidate => byKey.get(candidate)).find(value => typeof value === "string") ?? null;
+}
+
+/**
+ * Upsert { lng, ns, key, value } rows, stamping translations with the hash of
+ * their current English source, and log a revision for each changed value.
+ * `editor` is { user, clerkId, name } of whoever made the change.
+ */
+export async function saveTranslations(rows, { editor = null, action = "edit", revertOf = null } = {}) {
+  if (rows.length === 0) return;
+
+  const translated = rows.filter(row => row.lng !== SOURCE_LNG);
+  const sources = translated.length
+    ? await Translation.find({
+      lng: SOURCE_LNG,
+      $or: translated.map(({ ns, key }) => ({ ns, key })),
+    }).select("ns key value").lean()
+    : [];
+  // English rows in the same batch are what the translations now follow
+  const hashes = new Map([...sources, ...rows.filter(row => row.lng === SOURCE_LNG)]
+    .map(row => [pairId(row.ns, row.key), sourceHash(row.value)]));
+  const previous = await currentValues(rows);
+
+  await Translation.bulkWrite(rows.map(({ lng, ns, key, value }) => ({
+    updateOne: {
+      filter: { lng, ns, key },
+      update: {
+        $set: {
+          value,
+          sourceHash: lng === SOURCE_LNG ? null : hashes.get(pairId(ns, key)) ?? null,
+          needsTranslation: false,
+        },
+      },
+      upsert: true,
+    },
+  })), { ordered: false });
+  invalidateBundles();
+
+  await logRevisions(rows.map(row => ({ ...row, previous: previous.get(rowId(row)) ?? null })), { editor, action, revertOf });
+}
+
+/**
+ * Delete { lng, ns, key } rows, logging each one that existed.
+ * @returns {Promise<number>} how many were deleted
+ */
+export async function deleteTranslations(rows, { editor = null, action = "delete", revertOf = null } = {}) {
+  if (rows.length === 0) return 0;
+
+  const previous = await currentValues(rows);
+  const result = await Translation.deleteMany({
+    $or: rows.map(({ lng, ns, key }) => ({ lng, ns, key })),
+  });
+  invalidateBundles();
+
+  await logRevisions(rows
+    .filter(row => previous.has(rowId(row)))
+    .map(({ lng, ns, key }) => ({ lng, ns, key, value: null, previous: previous.get(rowId({ lng, ns, key })) })),
+  { editor, action, revertOf });
+  return result.deletedCount;
+}
+
+/**
+ * Write the English value of each { key, value } in `ns`, and give every other
+ * language a placeholder that needs translating unless it already has a
+ * translation. Existing translations of a changed English value show up as
+ * outdated in the report.
+ */
+export async function seedTranslations(ns, entries, { editor = null, action = "edit" } = {}) {
+  if (entries.length === 0) return;
+
+  await saveTranslations(entries.map(({ key, value }) => ({ lng: SOURCE_LNG, ns, key, value })), { editor, action });
+  await Translation.bulkWrite(LANGUAGES.filter(lng => lng !== SOURCE_LNG).flatMap(lng => entries.map(({ key, value }) => ({
+    updateOne: {
+      filter: { lng, ns, key },
+      update: { $setOnInsert: { value, sourceHash: null, needsTranslation: true } },
+      upsert: true,
+    },
+  }))), { ordered: false });
+  invalidateBundles();
+}
+
+// Who is making a change, for the revision log. Needs requirePermission's req.me.
+export const editorOf = (req) => ({
+  user: req.me?._id ?? null,
+  clerkId: req.auth?.userId ?? null,
+  name: [req.me?.firstName, req.me?.lastName].filter(Boolean).join(" "),
+});
+
+const rowId = ({ lng, ns, key }) => `${lng}\u0000${ns}\u0000${key}`;
+
+// Stored value of each row that exists, by rowId
+async function currentValues(rows) {
+  const existing = await Translation.find({
+    $or: rows.map(({ lng, ns, key }) => ({ lng, ns, key })),
+  }).select("-_id lng ns key value").lean();
+  return new Map(existing.map(row => [rowId(row), row.value]));
+}
+
+// Unchanged values aren't logged
+async function logRevisions(changes, { editor, action, revertOf }) {
+  const revisions = changes
+    .filter(change => change.previous !== change.value)
+    .map(({ lng, ns, key, previous, value }) => ({
+      lng,
+      ns,
+      key,
+      previous,
+      value,
+      action,
+      editor: editor ?? {},
+      revertOf,
+    }));
+  if (revisions.length) await TranslationRevision.insertMany(revisions, { ordered: false });
+}
+
+/**
+ * Per namespace and language: keys missing compared to English, extra keys
+ * English doesn't have, and translations older than their English source.
+ * Completeness is the share of English keys with an up-to-date translation.
+ */
+export async function translationReport() {
+  const rows = await Translation.find({})
+    .select("-_id lng ns key value sourceHash needsTranslation updatedAt")
+    .sort({ ns: 1, key: 1 })
+    .lean();
+
+  const byNamespace = new Map(); // ns → Map(lng → Map(key → row))
+  for (const row of rows) {
+    if (!byNamespace.has(row.ns)) byNamespace.set(row.ns, new Map(LANGUAGES.map(lng => [lng, new Map()])));
+    const languages = byNamespace.get(row.ns);
+    if (!languages.has(row.lng)) languages.set(row.lng, new Map());
+    languages.get(row.lng).set(row.key, row);
+  }
+
+  const totals = Object.fromEntries(LANGUAGES.filter(lng => lng !== SOURCE_LNG)
+    .map(lng => [lng, { lng, sourceKeys: 0, translated: 0, missing: 0, stale: 0, extra: 0 }]));
+  const namespaces = [];
+
+  for (const [ns, languages] of byNamespace) {
+    const source = languages.get(SOURCE_LNG);
+    const sourceKeys = [...source.keys()].filter(key => source.get(key).value);
+    const entry = { ns, sourceKeys: sourceKeys.length, languages: {} };
+
+    for (const [lng, translations] of languages) {
+      if (lng === SOURCE_LNG) continue;
+      const isTranslated = (key) => Boolean(translations.get(key)?.value) && !translations.get(key).needsTranslation;
+      const missing = sourceKeys.filter(key => !isTranslated(key));
+      const extra = [...translations.keys()].filter(key => !source.get(key)?.value);
+      const stale = sourceKeys
+        .filter(key => isTranslated(key) && isStale(translations.get(key), source.get(key)))
+        .map(key => ({
+          key,
+          source: source.get(key).value,
+          value: translations.get(key).value,
+          updatedAt: translations.get(key).updatedAt ?? null,
+        }));
+      const translated = sourceKeys.length - missing.length - stale.length;
+
+      entry.languages[lng] = {
+        missing,
+        extra,
+        stale,
+        completeness: percent(translated, sourceKeys.length),
+      };
+
+      if (!totals[lng]) totals[lng] = { lng, sourceKeys: 0, translated: 0, missing: 0, stale: 0, extra: 0 };
+      Object.assign(totals[lng], {
+        sourceKeys: totals[lng].sourceKeys + sourceKeys.length,
+        translated: totals[lng].translated + translated,
+        missing: totals[lng].missing + missing.length,
+        stale: totals[lng].stale + stale.length,
+        extra: totals[lng].extra + extra.length,
+      });
+    }
+    namespaces.push(entry);
+  }
+
+  return {
+    generatedAt: new Date(),
+    languages: Object.values(totals).map(total => ({
+      ...total,
+      completeness: percent(total.translated, total.sourceKeys),
+    })),
+    namespaces,
+  };
+}
+
+function isStale(translation, source) {
+  if (translation.sourceHash) return translation.sourceHash !== sourceHash(source.value);
+  // Rows saved before source hashes existed
+  return Boolean(translation.updatedAt && source.updatedAt && source.updatedAt > translation.updatedAt);
+}
+
+// One decimal place; an empty namespace counts as complete
+const percent = (part, whole) => (whole === 0 ? 100 : Math.round((part / whole) * 1000) / 10);
@@ -0,0 +1,71 @@
+// api/services/ui-string-service.js
+// English text of the site's own UI strings, by namespace and key.
+//
+// Strings added to the frontend are listed here so they exist in the
+// Translation collection without being typed into the admin page first.
+// Seeding only writes keys that have no English row yet: English gets the
+// text and the other languages copy it, marked as needing translation, so
+// edits made in the admin page are never overwritten.
+
+import Translation from "../schemas/Translation.js";
+import { SOURCE_LNG, seedTranslations } from "./translation-service.js";
+
+export const UI_STRINGS = {
+  default: {
+    // Course types (LevelsPage). Their names are seeded by course-type-service.
+    no_course_classes_available: "No classes are available for this course right now",
+
+    // Add to calendar (AddToCalendarButton)
+    add_to_calendar: "Add to calendar",
+    calendar_feed_description: "Subscribe to this link in Google Calendar, Apple Calendar or Outlook to see your classes in your own calendar. Changes to the schedule show up automatically.",
+    calendar_feed_error: "Something went wrong updating your calendar link. Please try again.",
+    calendar_feed_private_note: "Anyone with this link can see your schedule. Reset the link if you shared it by mistake.",
+    subscribe: "Subscribe",
+    copy_link: "Copy link",
+    link_copied: "Link copied!",
+    reset_link: "Reset link",
+    turn_off: "Turn off",
+    close: "Close",
+
+    // Attendance (Attendance components, StudentPortal and the class/user pages)
+    attendance: "Attendance",
+    your_attendance: "Your attendance",
+    no_attendance_yet: "No attendance has been recorded for you yet",
+    attendance_rate: "Attendance rate: {{rate}}%",
+    attendance_present: "Present",
+    attendance_late: "Late",
+    attendance_absent: "Absent",
+    no_sessions_scheduled: "No sessions scheduled for this class",
+    save_attendance: "Save attendance",
+    saving_attendance: "Saving...",
+    attendance_saved: "Attendance saved",
+    no_attendance_recorded: "No attendance recorded yet",
+    attendance_rate_heading: "Rate",
+    attendance_overall: "Overall",
+    not_available: "N/A",
+    sessions_held_one: "{{count, number}} session held",
+    sessions_held_other: "{{count, number}} sessions held",
+    deleted_user: "Deleted user",
+    deleted_class: "Deleted class",
+  },
+};
+
+/**
+ * Seed the UI strings that aren't in the Translation collection yet.
+ * @returns {Promise<number>} how many keys were added
+ */
+export async function seedUiStrings() {
+  let added = 0;
+  for (const [ns, strings] of Object.entries(UI_STRINGS)) {
+    const existing = await Translation.find({ lng: SOURCE_LNG, ns, key: { $in: Object.keys(strings) } })
+      .select("-_id key")
+      .lean();
+    const have = new Set(existing.map(row => row.key));
+    const entries = Object.entries(strings)
+      .filter(([key]) => !have.has(key))
+      .map(([key, value]) => ({ key, value }));
+    await seedTranslations(ns, entries, { action: "create" });
+    added += entries.length;
+  }
+  return added;
+}
@@ -0,0 +1,45 @@
+import { DateTime } from "luxon";
+import { useTranslation } from "react-i18next";
+import { formatClassLevel, localizeNumber, formatDate } from "@/utils/formatters";
+
+const STATUS_STYLES = {
+  present: "text-green-700",
+  late: "text-yellow-700",
+  absent: "text-red-700",
+};
+
+// Student-facing list of their marked sessions, newest first
+const AttendanceHistory = ({ attendance }) => {
+  const { t, i18n } = useTranslation();
+
+  if (!attendance?.history.length) {
+    return <p className="text-gray-500">{t('no_attendance_yet')}</p>;
+  }
+
+  const classLabel = (cls) => cls
+    ? formatClassLevel(cls, t, i18n.language)
+    : "";
+
+  return (
+    <div className="space-y-4">
+      {attendance.overall.rate !== null && (
+        <p className="text-indigo-900">
+          {t('attendance_rate', { rate: localizeNumber(Math.round(attendance.overall.rate * 100), i18n.language) })}
+        </p>
+      )}
+      <ul className="max-h-96 overflow-y-auto divide-y divide-gray-200">
+        {attendance.history.map(entry => (
+          <li key={entry.sessionId} className="flex flex-wrap justify-between gap-x-4 py-2">
+            <span>
+              {formatDate(entry.startsAt, i18n.language, DateTime.DATE_MED_WITH_WEEKDAY)}
+              <span className="text-gray-500"> · {classLabel(entry.class)}</span>
+            </span>
+            <span className={STATUS_STYLES[entry.status]}>{t(`attendance_${entry.status}`)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AttendanceHistory;
@@ -0,0 +1,48 @@
+import { useTranslation } from "react-i18next";
+
+// column heading keys ("attendance_rate" is the student-facing sentence)
+const COLUMNS = ["attendance_present", "attendance_late", "attendance_absent", "attendance_rate_heading"];
+
+// Admin table of attendance counts; rows are { label, present, late, absent, marked, rate }
+const AttendanceRates = ({ rows, overall }) => {
+  const { t } = useTranslation();
+
+  if (!overall?.marked) {
+    return <p className="text-gray-500">{t('no_attendance_recorded')}</p>;
+  }
+
+  const formatRate = (rate) => (rate === null ? t('not_available') : `${Math.round(rate * 100)}%`);
+
+  return (
+    <table className="w-full lg:w-2/3 text-start">
+      <thead>
+        <tr className="border-b border-gray-300">
+          <th className="py-2"></th>
+          {COLUMNS.map(col => (
+            <th key={col} className="py-2">{t(col)}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={index} className="border-b border-gray-200">
+            <td className="py-2">{row.label}</td>
+            <td>{row.present}</td>
+            <td>{row.late}</td>
+            <td>{row.absent}</td>
+            <td>{formatRate(row.rate)}</td>
+          </tr>
+        ))}
+        <tr className="font-extrabold">
+          <td className="py-2">{t('attendance_overall')}</td>
+          <td>{overall.present}</td>
+          <td>{overall.late}</td>
+          <td>{overall.absent}</td>
+          <td>{formatRate(overall.rate)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+};
+
+export default AttendanceRates;
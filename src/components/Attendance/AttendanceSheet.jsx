@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useState } from "react";
+import { DateTime } from "luxon";
+import { useTranslation } from "react-i18next";
+import { syncClassSessions, markAttendance } from "@/wrappers/attendance-wrapper";
+import Button from "@/components/Button/Button";
+import Alert from "@/components/Alert";
+import { formatDate, toTitleCase } from "@/utils/formatters";
+
+const STATUSES = ["present", "late", "absent"];
+const STATUS_STYLES = {
+  present: "bg-green-100 border-green-300",
+  late: "bg-yellow-100 border-yellow-300",
+  absent: "bg-red-100 border-red-300",
+};
+
+// Instructor-facing attendance form for one class: pick a session, mark each student
+const AttendanceSheet = ({ classId, students }) => {
+  const { t, i18n } = useTranslation();
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState("");
+  const [marks, setMarks] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        // Taking attendance needs this week's sessions to exist
+        const data = await syncClassSessions(classId);
+        setSessions(data);
+        // Default to the most recent session that has started
+        const now = new Date();
+        const current = data.find(s => new Date(s.startsAt) <= now) ?? data[data.length - 1];
+        if (current) setSessionId(current._id);
+      } catch (error) {
+        console.error("Error fetching sessions:", error);
+      }
+    };
+    if (classId) fetchSessions();
+  }, [classId]);
+
+  const session = useMemo(() => sessions.find(s => s._id === sessionId), [sessions, sessionId]);
+
+  useEffect(() => {
+    setMarks(Object.fromEntries((session?.attendance || []).map(a => [a.student, a.status])));
+  }, [session]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const entries = Object.entries(marks).map(([student, status]) => ({ student, status }));
+      const updated = await markAttendance(sessionId, entries);
+      setSessions(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+      setSuccessMessage(t("attendance_saved"));
+      setTimeout(() => {
+        setSuccessMessage("");
+      }, 4000);
+    } catch (error) {
+      setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+      setTimeout(() => {
+        setAlertMessage("");
+      }, 4000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      {successMessage !== "" && <Alert message={successMessage} isSuccess={true} />}
+      {sessions.length === 0
+        ? <p className="text-gray-500">{t("no_sessions_scheduled")}</p>
+        : <>
+          <select
+            className="border border-gray-300 rounded-sm px-3 py-2 bg-white"
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+          >
+            {sessions.map(s => (
+              <option key={s._id} value={s._id}>
+                {formatDate(s.startsAt, i18n.language, DateTime.DATETIME_MED_WITH_WEEKDAY)}{s.attendance.length ? " ✓" : ""}
+              </option>
+            ))}
+          </select>
+          <div className="space-y-2">
+            {students.map(student => (
+              <div key={student._id} className="flex flex-wrap items-center justify-between gap-2 border-b border-gray-200 py-2">
+                <p>{toTitleCase(student.firstName)} {toTitleCase(student.lastName)}</p>
+                <div className="flex gap-x-2">
+                  {STATUSES.map(status => (
+                    <button
+                      key={status}
+                      type="button"
+                      className={`px-3 py-1 border rounded-sm ${marks[student._id] === status ? STATUS_STYLES[status] : "bg-white border-gray-300"}`}
+                      onClick={() => setMarks(prev => ({ ...prev, [student._id]: status }))}
+                    >
+                      {t(`attendance_${status}`)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          <Button
+            label={isSaving ? t("saving_attendance") : t("save_attendance")}
+            onClick={handleSave}
+            isDisabled={isSaving || Object.keys(marks).length === 0}
+          />
+        </>}
+    </div>
+  );
+};
+
+export default AttendanceSheet;
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import Button from '@/components/Button/Button';
+import Overlay from '@/components/Overlay';
+import { useTranslation } from "react-i18next";
+import { getCalendarLink, resetCalendarLink, revokeCalendarLink } from '@/wrappers/calendar-wrapper';
+import { IoCalendarOutline } from "react-icons/io5";
+
+// Subscribes the signed-in user's calendar app to their class schedule feed
+const AddToCalendarButton = () => {
+  const { t } = useTranslation();
+  const [path, setPath] = useState(null);
+  const [showPopup, setShowPopup] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [isError, setIsError] = useState(false);
+
+  const feedUrl = path ? `${window.location.origin}${path}` : "";
+
+  const run = async (work) => {
+    setIsWorking(true);
+    setIsError(false);
+    try {
+      await work();
+    } catch (error) {
+      console.error('Error updating calendar link:', error);
+      setIsError(true);
+    }
+    setIsWorking(false);
+  };
+
+  const handleOpen = () => {
+    setShowPopup(true);
+    setIsCopied(false);
+    run(async () => {
+      setPath(await getCalendarLink() ?? await resetCalendarLink());
+    });
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    setIsCopied(true);
+    setTimeout(() => {
+      setIsCopied(false);
+    }, 4000);
+  };
+
+  const handleReset = () => run(async () => {
+    setPath(await resetCalendarLink());
+    setIsCopied(false);
+  });
+
+  const handleTurnOff = () => run(async () => {
+    await revokeCalendarLink();
+    setPath(null);
+    setShowPopup(false);
+  });
+
+  return (
+    <>
+      <Button
+        label={<div className="flex items-center gap-x-2"><IoCalendarOutline />{t('add_to_calendar')}</div>}
+        isOutline
+        onClick={handleOpen}
+      />
+
+      {showPopup && <Overlay width={'w-full sm:w-[32rem]'}>
+        <div className="space-y-1">
+          <h3 className='font-extrabold'>{t('add_to_calendar')}</h3>
+          <p className='text-base sm:text-lg'>{t('calendar_feed_description')}</p>
+        </div>
+        {isError && <p className="text-red-700">{t('calendar_feed_error')}</p>}
+        <input
+          readOnly
+          value={feedUrl}
+          onFocus={(e) => e.target.select()}
+          className="w-full py-2 px-3 border border-gray-400 rounded-sm text-sm text-gray-700"
+        />
+        <p className="text-sm text-gray-500">{t('calendar_feed_private_note')}</p>
+        <div className='flex flex-wrap gap-2'>
+          {path && !isWorking
+            ? <a href={feedUrl.replace(/^https?:/, "webcal:")}>
+              <Button label={t('subscribe')} onClick={null} />
+            </a>
+            : <Button label={t('subscribe')} isDisabled onClick={null} />}
+          <Button
+            label={isCopied ? t('link_copied') : t('copy_link')}
+            isOutline
+            isDisabled={!path || isWorking}
+            onClick={handleCopy}
+          />
+          <Button label={t('reset_link')} isOutline isDisabled={isWorking} onClick={handleReset} />
+          <Button label={t('turn_off')} isOutline isDisabled={!path || isWorking} onClick={handleTurnOff} />
+          <Button label={t('close')} isOutline onClick={() => setShowPopup(false)} />
+        </div>
+      </Overlay>}
+    </>
+  );
+};
+
+export default AddToCalendarButton;
@@ -3,7 +3,7 @@ import { IoChevronBack } from "react-icons/io5";
 const BackButton = ({ label }) => {
   return (
     <button className="flex items-center" onClick={() => history.back()}>
-      <IoChevronBack className="mr-4 text-sm sm:text-base" />
+      <IoChevronBack className="me-4 text-sm sm:text-base rtl:rotate-180" />
       <p className="font-light text-sm leading-none sm:text-base">{label}</p>
     </button>
   )
@@ -1,4 +1,4 @@
-import React, { useContext, useState } from 'react';
+import React, { useContext, useRef, useState } from 'react';
 import Button from '@/components/Button/Button';
 import Overlay from '@/components/Overlay';
 import { SignOutButton } from '@clerk/clerk-react'
@@ -8,22 +8,44 @@ import { useLocation } from 'wouter';
 import { useUser } from '@clerk/clerk-react';
 import { useTranslation } from "react-i18next";
 import { UserContext } from '@/contexts/UserContext.jsx';
-import { localizeNumber, toTitleCase } from "@/utils/formatters";
+import { formatClassLevel } from "@/utils/formatters";
+
+// Seats left in a class, or null when it has no capacity limit
+const getSeatsLeft = (classObj) => (
+  classObj.capacity
+    ? Math.max(0, classObj.capacity - (classObj.roster?.length ?? 0))
+    : null
+);
 
 const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
   const { t, i18n } = useTranslation();
   const [confirming, setConfirming] = useState(true);
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
   const [, setLocation] = useLocation();
   const { user, setUser } = useContext(UserContext);
+  const [submitting, setSubmitting] = useState(false);
+  // One key per action, so double clicks are handled once by the server
+  const enrollKey = useRef(crypto.randomUUID());
+  const unenrollKey = useRef(crypto.randomUUID());
+  const isFull = getSeatsLeft(classObj) === 0;
 
   const handleEnrollOrUnenroll = async () => {
-    if (isEnroll) {
-      await enrollInClass(classObj._id, userId);
-    } else {
-      await unenrollInClass(classObj._id, userId);
-      setShowPopup(false);
+    if (submitting) return;
+    setSubmitting(true);
+    try {
+      if (isEnroll) {
+        const result = await enrollInClass(classObj._id, userId, enrollKey.current);
+        if (result.waitlisted) {
+          setWaitlistPosition(result.position);
+        }
+      } else {
+        await unenrollInClass(classObj._id, userId, unenrollKey.current);
+        setShowPopup(false);
+      }
+      setConfirming(false);
+    } finally {
+      setSubmitting(false);
     }
-    setConfirming(false);
   }
 
   if (user.enrolledClasses.includes(classObj._id)) {
@@ -55,20 +77,66 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
     )
   }
 
+  if (classObj.waitlist?.includes(userId)) {
+    return (
+      <Overlay width={'w-[28rem]'}>
+        <div>
+          <h3 className='font-extrabold'>{t('already_waitlisted')}</h3>
+          <p className='sm:text-lg'>{t('already_waitlisted_desc')}</p>
+        </div>
+        <div className="grid grid-cols-2 w-fit gap-x-2">
+          <Button
+            label={t("leave_waitlist")}
+            onClick={async () => {
+              await unenrollInClass(classObj._id, userId, unenrollKey.current);
+              setShowPopup(false);
+              window.location.reload();
+            }}
+          />
+          <Button
+            label={t('cancel')}
+            isOutline={true}
+            onClick={() => { setShowPopup(false) }} />
+        </div>
+      </Overlay>
+    )
+  }
+
+  if (!confirming && waitlistPosition !== null) {
+    return (
+      <Overlay width={'w-[28rem]'}>
+        <div className='flex flex-col gap-y-4'>
+          <div>
+            <h3 className='font-extrabold'>{t('added_to_waitlist')}</h3>
+            <p className='text-base sm:text-lg'>
+              {formatClassLevel(classObj, t, i18n.language)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
+            </p>
+          </div>
+          <p className='text-base text-[#86858F]'>{t('added_to_waitlist_desc', { position: waitlistPosition })}</p>
+        </div>
+        <div className='grid grid-cols-2 w-fit gap-x-2'>
+          <Button label={t('close')} onClick={() => setShowPopup(false)} />
+          <Button
+            label={t('undo')}
+            isOutline={true}
+            onClick={() => {
+              setShowPopup(false)
+              isEnroll = false;
+              handleEnrollOrUnenroll();
+            }} />
+        </div>
+      </Overlay>
+    )
+  }
+
   return (
     <Overlay width={'w-[28rem]'}>
       {confirming ? <div className='flex flex-col gap-y-5'>
         <div className='flex flex-col gap-y-4'>
           <div>
-            <h3 className='font-extrabold'>{t('registering_for')}</h3>
+            <h3 className='font-extrabold'>{isFull ? t('joining_waitlist_for') : t('registering_for')}</h3>
             <p className='text-base sm:text-lg'>
-              {t('level_num', {
-                num: typeof classObj.level === 'number'
-                  ? localizeNumber(classObj.level, i18n.language)
-                  : classObj.level === "ielts"
-                    ? "IELTS" : toTitleCase(classObj.level),
-                ns: 'levels'
-              })}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
+              {formatClassLevel(classObj, t, i18n.language)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
             </p>
           </div>
           <p className="text-base text-[#86858F]">{t('instructor_name', { name: classObj.instructor })}</p>
@@ -85,7 +153,7 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
           </div>
         </div>
         <div className='grid grid-cols-2 w-fit gap-x-2'>
-          <Button label={t("confirm")} onClick={handleEnrollOrUnenroll} />
+          <Button label={t("confirm")} onClick={handleEnrollOrUnenroll} isDisabled={submitting} />
           <Button
             label={t("cancel")}
             isOutline={true}
@@ -96,13 +164,7 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
           <div>
             <h3 className='font-extrabold'>{t('congrats_registered')}</h3>
             <p className='text-base sm:text-lg'>
-              {t('level_num', {
-                num: typeof classObj.level === 'number'
-                  ? localizeNumber(classObj.level, i18n.language)
-                  : classObj.level === "ielts"
-                    ? "IELTS" : toTitleCase(classObj.level),
-                ns: 'levels'
-              })}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)} ({t('with_name', { name: classObj.instructor })})
+              {formatClassLevel(classObj, t, i18n.language)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)} ({t('with_name', { name: classObj.instructor })})
             </p>
           </div>
           <p className='text-base text-[#86858F]'>{t('congrats_registered_desc')}</p>
@@ -131,10 +193,18 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
 
 const UnenrollPopup = ({ classObj, userId, setShowPopup }) => {
   const { t, i18n } = useTranslation();
+  const [submitting, setSubmitting] = useState(false);
+  const unenrollKey = useRef(crypto.randomUUID());
   const handleUnenroll = async () => {
-    await unenrollInClass(classObj._id, userId);
-    setShowPopup(false);
-    window.location.reload();
+    if (submitting) return;
+    setSubmitting(true);
+    try {
+      await unenrollInClass(classObj._id, userId, unenrollKey.current);
+      setShowPopup(false);
+      window.location.reload();
+    } finally {
+      setSubmitting(false);
+    }
   }
 
   return (
@@ -142,17 +212,11 @@ const UnenrollPopup = ({ classObj, userId, setShowPopup }) => {
       <div className="space-y-1">
         <h3 className='font-extrabold'>{t('unenroll_confirmation')}</h3>
         <p className='text-base sm:text-lg'>
-          {t('level_num', {
-            num: typeof classObj.level === 'number'
-              ? localizeNumber(classObj.level, i18n.language)
-              : classObj.level === "ielts"
-                ? "IELTS" : toTitleCase(classObj.level),
-            ns: 'levels'
-          })}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
+          {formatClassLevel(classObj, t, i18n.language)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
         </p>
       </div>
       <div className='grid grid-cols-2 w-fit gap-x-2'>
-        <Button label={t('confirm')} onClick={handleUnenroll} />
+        <Button label={t('confirm')} onClick={handleUnenroll} isDisabled={submitting} />
         <Button
           label={t('cancel')}
           isOutline={true}
@@ -216,11 +280,14 @@ const EnrollButton = ({ classObj, isEnroll }) => {
   const { isSignedIn } = useUser();
   const { user } = useContext(UserContext);
   const { t } = useTranslation();
+  const seatsLeft = getSeatsLeft(classObj);
 
   return (
     <>
       {isEnroll ? <Button
-        label={classObj.isEnrollmentOpen ? t('enroll') : t('enrollment_closed')}
+        label={classObj.isEnrollmentOpen
+          ? seatsLeft === 0 ? t('join_waitlist') : t('enroll')
+          : t('enrollment_closed')}
         onClick={
           isSignedIn
             ? user?.privilege === "student"
@@ -234,6 +301,11 @@ const EnrollButton = ({ classObj, isEnroll }) => {
           setShowUnenrollPopup(true)
         }}
       />}
+      {isEnroll && classObj.isEnrollmentOpen && seatsLeft !== null && (
+        <p className="self-center text-sm text-neutral-400">
+          {seatsLeft === 0 ? t('class_full') : t('seats_left', { count: seatsLeft })}
+        </p>
+      )}
       {showEnrollPopup && <EnrollPopup
         isEnroll={isEnroll}
         classObj={classObj}
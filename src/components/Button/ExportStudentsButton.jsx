@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import Button from '@/components/Button/Button';
+import Overlay from '@/components/Overlay';
+import { exportStudents, getStudentExportColumns } from '@/wrappers/user-wrapper';
+
+const FORMATS = { xlsx: "Excel (.xlsx)", csv: "CSV" };
+
+// Downloads the students matching the list's level filter and search, or the
+// students in `ids` when given, with the columns picked in the popup
+const ExportStudentsButton = ({ level = null, q = "", ids = null, label = "Export Students", isOutline = false }) => {
+  const [showPopup, setShowPopup] = useState(false);
+  const [columns, setColumns] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [format, setFormat] = useState("xlsx");
+  const [isWorking, setIsWorking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const handleOpen = async () => {
+    setShowPopup(true);
+    setErrorMessage("");
+    if (columns.length) return;
+    try {
+      const { columns, defaults } = await getStudentExportColumns();
+      setColumns(columns);
+      setSelected(new Set(defaults));
+    } catch (error) {
+      console.error('Error fetching export columns:', error);
+      setErrorMessage("Couldn't load the export columns");
+    }
+  };
+
+  const toggleColumn = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleExport = async () => {
+    setIsWorking(true);
+    setErrorMessage("");
+    try {
+      await exportStudents({ format, columns: [...selected], level, q, ids });
+      setShowPopup(false);
+    } catch (error) {
+      setErrorMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const filters = [level !== null && `level ${level}`, q && `"${q}"`].filter(Boolean);
+  const description = ids
+    ? `The ${ids.length} selected student${ids.length === 1 ? "" : "s"}`
+    : filters.length ? `Students matching ${filters.join(" and ")}` : "All students";
+
+  return (
+    <>
+      <Button label={label} isOutline={isOutline} onClick={handleOpen} />
+
+      {showPopup && <Overlay width={'w-full sm:w-[32rem]'}>
+        <div className="space-y-1">
+          <h3 className='font-extrabold'>Export Students</h3>
+          <p className='text-base'>
+            {description}, one row per enrolled class.
+          </p>
+        </div>
+        {errorMessage && <p className="text-red-700">{errorMessage}</p>}
+        <div className="flex gap-x-6">
+          {Object.entries(FORMATS).map(([value, label]) => (
+            <label key={value} className="flex items-center gap-x-2">
+              <input type="radio" name="format" value={value} checked={format === value} onChange={() => setFormat(value)} />
+              {label}
+            </label>
+          ))}
+        </div>
+        <fieldset className="grid grid-cols-2 gap-x-4 gap-y-1 overflow-y-auto max-h-[40vh]">
+          <legend className="mb-2 text-gray-500">Columns</legend>
+          {columns.map(({ key, header }) => (
+            <label key={key} className="flex items-center gap-x-2">
+              <input type="checkbox" checked={selected.has(key)} onChange={() => toggleColumn(key)} />
+              {header}
+            </label>
+          ))}
+        </fieldset>
+        <div className='flex flex-wrap gap-2'>
+          <Button
+            label={isWorking ? "Exporting..." : "Export"}
+            isDisabled={isWorking || selected.size === 0}
+            onClick={handleExport}
+          />
+          <Button label={"Cancel"} isOutline onClick={() => setShowPopup(false)} />
+        </div>
+      </Overlay>}
+    </>
+  );
+};
+
+export default ExportStudentsButton;
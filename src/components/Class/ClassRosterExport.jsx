@@ -0,0 +1,66 @@
+import { useContext, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { downloadClassRoster, printSignInSheet } from "@/wrappers/class-wrapper";
+import { detectTimeZone } from "@/utils/time-utils";
+import Button from "@/components/Button/Button";
+import Alert from "@/components/Alert";
+
+const WEEKS = [1, 2, 4, 8, 12];
+
+// Roster downloads and a printable sign-in sheet for offline attendance, with
+// a column for every session in the chosen number of weeks
+const ClassRosterExport = ({ classId }) => {
+  const { user } = useContext(UserContext);
+  const [weeks, setWeeks] = useState(4);
+  const [isWorking, setIsWorking] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+
+  const run = async (work) => {
+    setIsWorking(true);
+    try {
+      await work({ weeks, timeZone: user?.timeZone || detectTimeZone() });
+    } catch (error) {
+      setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+      setTimeout(() => {
+        setAlertMessage("");
+      }, 4000);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      <label className="flex items-center gap-x-2 me-2">
+        Sessions for
+        <select
+          className="py-2 px-3 border border-gray-400 rounded-sm bg-white"
+          value={weeks}
+          onChange={(e) => setWeeks(Number(e.target.value))}
+        >
+          {WEEKS.map(count => <option key={count} value={count}>{count === 1 ? "1 week" : `${count} weeks`}</option>)}
+        </select>
+      </label>
+      <Button
+        label="Print sign-in sheet"
+        isDisabled={isWorking}
+        onClick={() => run(options => printSignInSheet(classId, options))}
+      />
+      <Button
+        label="Roster (.xlsx)"
+        isOutline
+        isDisabled={isWorking}
+        onClick={() => run(options => downloadClassRoster(classId, { ...options, format: "xlsx" }))}
+      />
+      <Button
+        label="Roster (.csv)"
+        isOutline
+        isDisabled={isWorking}
+        onClick={() => run(options => downloadClassRoster(classId, { ...options, format: "csv" }))}
+      />
+    </div>
+  );
+};
+
+export default ClassRosterExport;
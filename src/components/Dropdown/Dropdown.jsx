@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef, Children, isValidElement, cloneElement } from 'react';
 import { IoChevronDownOutline } from "react-icons/io5";
 
-const Dropdown = ({ label, children, buttonClassName = "text-right" }) => {
+const Dropdown = ({ label, children, buttonClassName = "text-end" }) => {
   const dropdownRef = useRef(null);
   const [isOpen, setIsOpen] = useState(false);
 
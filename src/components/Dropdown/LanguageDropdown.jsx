@@ -2,14 +2,17 @@ import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { IoGlobeOutline } from "react-icons/io5";
 import Dropdown from './Dropdown';
+import { changeUyghurScript } from '@/i18n';
+import { UYGHUR_SCRIPTS, getUyghurScript } from '@/utils/uyghur-script';
 
-const langMapping = {
-  English: "en",
-  Русский: "ru",
-  中文: "zh",
-  Türkçe: "tr",
-  Uyghurche: "ug"
-};
+// Uyghur is offered once per script it can be shown in
+const languageOptions = [
+  { label: "English", lng: "en" },
+  { label: "Русский", lng: "ru" },
+  { label: "中文", lng: "zh" },
+  { label: "Türkçe", lng: "tr" },
+  ...Object.entries(UYGHUR_SCRIPTS).map(([script, { label }]) => ({ label, lng: "ug", script })),
+];
 
 const LanguageDropdown = () => {
   const [selectedLang, setSelectedLang] = useState("Language"); // Default text
@@ -18,15 +21,16 @@ const LanguageDropdown = () => {
   useEffect(() => {
     const savedLang = i18n.language;
     if (savedLang) {
-      const langName = Object.keys(langMapping).find(key => langMapping[key] === savedLang);
-      setSelectedLang(langName || "Language"); // Fallback to "Language" if no match
+      const option = languageOptions.find(option =>
+        option.lng === savedLang && (!option.script || option.script === getUyghurScript()));
+      setSelectedLang(option?.label || "Language"); // Fallback to "Language" if no match
     }
   }, [i18n.language]);
 
-  const handleSelectLang = (langName) => {
-    const langCode = langMapping[langName];
-    i18n.changeLanguage(langCode);
-    setSelectedLang(langName);
+  const handleSelectLang = (option) => {
+    if (option.script) changeUyghurScript(option.script);
+    else i18n.changeLanguage(option.lng);
+    setSelectedLang(option.label);
   };
 
   return (
@@ -40,17 +44,18 @@ const LanguageDropdown = () => {
       buttonClassName="flex items-center justify-center w-full text-base font-normal text-black min-w-fit px-4 py-2 sm:px-5 sm:py-3 rounded-lg bg-white"
     >
       {/* Dropdown options */}
-      {Object.keys(langMapping).map((lang) => (
+      {languageOptions.map((option) => (
         <button
-          key={lang}
-          className={`block w-full text-center px-4 py-2 text-sm ${selectedLang === lang
+          key={option.label}
+          className={`block w-full text-center px-4 py-2 text-sm ${selectedLang === option.label
             ? 'text-blue-500 bg-gray-50'
             : 'text-gray-700'
             } hover:bg-gray-50`}
           role="menuitem"
-          onClick={() => handleSelectLang(lang)}
+          dir="auto"
+          onClick={() => handleSelectLang(option)}
         >
-          {lang}
+          {option.label}
         </button>
       ))}
     </Dropdown>
@@ -1,6 +1,9 @@
 
+// Addresses, numbers and passwords read left to right even on right-to-left pages
+const LTR_TYPES = ["email", "tel", "url", "password", "number"];
+
 const FormInput = ({ type, name, placeholder, value, onChange, onKeyDown = null, isRequired }) => {
-    const styles = "text-base sm:text-lg w-full py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300 placeholder-gray-500";
+    const styles = "text-base sm:text-lg w-full py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300 placeholder-gray-500 text-start";
 
     return (
         type === "textarea" ?
@@ -13,6 +16,7 @@ const FormInput = ({ type, name, placeholder, value, onChange, onKeyDown = null,
                 className={styles}
                 required={isRequired}
                 rows={5}
+                dir="auto"
             /> :
             <input
                 type={type}
@@ -23,6 +27,7 @@ const FormInput = ({ type, name, placeholder, value, onChange, onKeyDown = null,
                 onKeyDown={onKeyDown}
                 required={isRequired}
                 className={styles}
+                dir={LTR_TYPES.includes(type) ? "ltr" : "auto"}
             />
     )
 }
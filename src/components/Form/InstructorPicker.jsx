@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { getUsersPaginated } from '@/wrappers/user-wrapper.js';
+import { toTitleCase } from '@/utils/formatters';
+
+// Select an instructor account; onSelect receives the user object (or null)
+const InstructorPicker = ({ value, onSelect, isRequired }) => {
+  const [instructors, setInstructors] = useState([]);
+  const styles = "text-base sm:text-lg w-full py-3 px-4 border border-gray-400 rounded-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+  useEffect(() => {
+    const fetchInstructors = async () => {
+      try {
+        const { items } = await getUsersPaginated({ privilege: 'instructor', limit: 200 });
+        setInstructors((items || []).sort((a, b) => a.firstName.localeCompare(b.firstName)));
+      } catch (error) {
+        console.error('Error fetching instructors:', error);
+      }
+    };
+    fetchInstructors();
+  }, []);
+
+  return (
+    <select
+      name="instructorId"
+      value={value || ''}
+      required={isRequired}
+      className={styles}
+      onChange={(e) => onSelect(instructors.find(i => i._id === e.target.value) ?? null)}
+    >
+      <option value="">Select instructor</option>
+      {instructors.map(instructor => (
+        <option key={instructor._id} value={instructor._id}>
+          {toTitleCase(instructor.firstName)} {toTitleCase(instructor.lastName)} ({instructor.email})
+        </option>
+      ))}
+    </select>
+  )
+}
+
+export default InstructorPicker;
@@ -0,0 +1,24 @@
+import { DateTime } from "luxon";
+import { TIME_ZONES } from '@/utils/time-utils';
+
+const offsetLabel = (zone) => `UTC${DateTime.now().setZone(zone).toFormat('ZZ')}`;
+
+// Select a preferred time zone; keeps a detected zone that isn't in the list
+const TimeZonePicker = ({ name = "timeZone", value, onChange }) => {
+  const styles = "text-base sm:text-lg w-full py-3 px-4 border border-gray-400 rounded-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-300";
+  const zones = value && !TIME_ZONES.some(({ zone }) => zone === value)
+    ? [{ zone: value, label: value.split('/').pop().replace(/_/g, ' ') }, ...TIME_ZONES]
+    : TIME_ZONES;
+
+  return (
+    <select name={name} value={value || ''} onChange={onChange} className={styles}>
+      {zones.map(({ zone, label }) => (
+        <option key={zone} value={zone}>
+          {label} ({offsetLabel(zone)})
+        </option>
+      ))}
+    </select>
+  )
+}
+
+export default TimeZonePicker;
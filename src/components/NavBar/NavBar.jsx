@@ -51,6 +51,9 @@ const NavBar = () => {
               <NavLink href="/admin/instructors">Instructors</NavLink>
               <NavLink href="/admin/schedule">Schedule</NavLink>
               <NavLink href="/admin/translations">Translations</NavLink>
+              <NavLink href="/admin/inquiries">Inquiries</NavLink>
+              <NavLink href="/admin/integrity">Integrity</NavLink>
+              <NavLink href="/admin/audit-log">Audit Log</NavLink>
             </> : <>
               <NavLink href="/levels">{t("classes")}</NavLink>
               <NavLink href="/contact">{t("contact")}</NavLink>
@@ -93,6 +96,9 @@ const NavBar = () => {
             <NavLink href="/admin/instructors" isMobile={true} onClick={closeMenu}>Instructors</NavLink>
             <NavLink href="/admin/schedule" isMobile={true} onClick={closeMenu}>Schedule</NavLink>
             <NavLink href="/admin/translations" isMobile={true} onClick={closeMenu}>Translations</NavLink>
+            <NavLink href="/admin/inquiries" isMobile={true} onClick={closeMenu}>Inquiries</NavLink>
+            <NavLink href="/admin/integrity" isMobile={true} onClick={closeMenu}>Integrity</NavLink>
+            <NavLink href="/admin/audit-log" isMobile={true} onClick={closeMenu}>Audit Log</NavLink>
             <SignOutButton className="py-2 px-3" />
             <div className="w-full h-2 mt-2 mx-3 border-t border-gray-200"></div>
             <LanguageDropdown />
@@ -1,4 +1,4 @@
-import { Route, Switch } from "wouter";
+import { Route, Switch, Redirect } from "wouter";
 import Home from '@/pages/Home';
 import About from '@/pages/About';
 import Contact from '@/pages/Contact';
@@ -11,27 +11,39 @@ import ResetPasswordCode from "@/pages/onboarding/ResetPasswordCode";
 import ResetPassword from "@/pages/onboarding/ResetPassword";
 import StudentPortal from '@/pages/dashboards/StudentPortal';
 import AdminLevels from '@/pages/dashboards/admin/AdminLevels';
-import AdminConversations from '@/pages/dashboards/admin/AdminConversations';
-import AdminIelts from '@/pages/dashboards/admin/AdminIelts';
+import AdminCourseClasses from '@/pages/dashboards/admin/AdminCourseClasses';
 import AdminStudents from '@/pages/dashboards/admin/AdminStudents';
+import AdminStudentImport from '@/pages/dashboards/admin/AdminStudentImport';
 import AdminInstructors from '@/pages/dashboards/admin/AdminInstructors';
 import AdminSchedule from '@/pages/dashboards/admin/AdminSchedule';
 import EditLevel from '@/pages/dashboards/admin/editPages/EditLevel';
 import AddLevel from '@/pages/dashboards/admin/editPages/AddLevel';
 import EditClass from '@/pages/dashboards/admin/editPages/EditClass';
 import AddClass from '@/pages/dashboards/admin/editPages/AddClass';
-import EditConversation from '@/pages/dashboards/admin/editPages/EditConversation';
-import EditIelts from '@/pages/dashboards/admin/editPages/EditIelts';
-import AddConversation from '@/pages/dashboards/admin/editPages/AddConversation';
-import AddIelts from '@/pages/dashboards/admin/editPages/AddIelts';
+import EditCourseClass from '@/pages/dashboards/admin/editPages/EditCourseClass';
+import AddCourseClass from '@/pages/dashboards/admin/editPages/AddCourseClass';
+import EditCourseType from '@/pages/dashboards/admin/editPages/EditCourseType';
+import AddCourseType from '@/pages/dashboards/admin/editPages/AddCourseType';
 import EditUser from '@/pages/dashboards/admin/editPages/EditUser';
 import InstructorView from '@/pages/dashboards/InstructorView';
 import AdminTranslations from '@/pages/dashboards/admin/AdminTranslations';
+import AdminTranslationReport from '@/pages/dashboards/admin/AdminTranslationReport';
+import AdminIntegrity from '@/pages/dashboards/admin/AdminIntegrity';
+import AdminInquiries from '@/pages/dashboards/admin/AdminInquiries';
+import AdminOutbox from '@/pages/dashboards/admin/AdminOutbox';
+import AdminAuditLog from '@/pages/dashboards/admin/AdminAuditLog';
 import PageNotFound from '@/pages/PageNotFound';
 import StyleGuide from "@/pages/StyleGuide";
 // TODO
 import InstructorEditClass from '@/pages/dashboards/InstructorEditClass';
 
+// Old per-course admin URLs, kept working for bookmarks
+const legacyCourseRoute = (path, slug) => (
+  <Route key={path} path={`${path}/*?`}>
+    {(params) => <Redirect replace to={`/admin/levels/courses/${slug}${params["*"] ? `/${params["*"]}` : ""}`} />}
+  </Route>
+);
+
 export default function PageRoutes() {
   return (
     <Switch>
@@ -47,21 +59,28 @@ export default function PageRoutes() {
       <Route path="/reset-password" component={ResetPassword} />
       <Route path="/student" component={StudentPortal} />
       <Route path="/admin/levels" component={AdminLevels} />
-      <Route path="/admin/levels/conversations" component={AdminConversations} />
-      <Route path="/admin/levels/conversations/new" component={AddConversation} />
-      <Route path="/admin/levels/conversations/:id" component={EditConversation} />
-      <Route path="/admin/levels/ielts" component={AdminIelts} />
-      <Route path="/admin/levels/ielts/new" component={AddIelts} />
-      <Route path="/admin/levels/ielts/:id" component={EditIelts} />
+      <Route path="/admin/levels/courses/new" component={AddCourseType} />
+      <Route path="/admin/levels/courses/:slug" component={AdminCourseClasses} />
+      <Route path="/admin/levels/courses/:slug/settings" component={EditCourseType} />
+      <Route path="/admin/levels/courses/:slug/new" component={AddCourseClass} />
+      <Route path="/admin/levels/courses/:slug/:id" component={EditCourseClass} />
+      {legacyCourseRoute("/admin/levels/conversations", "conversation")}
+      {legacyCourseRoute("/admin/levels/ielts", "ielts")}
       <Route path="/admin/levels/new" component={AddLevel} />
       <Route path="/admin/levels/:id" component={EditLevel} />
       <Route path="/admin/levels/class/new" component={AddClass} />
       <Route path="/admin/levels/class/:classId" component={EditClass} />
       <Route path="/admin/students" component={AdminStudents} />
+      <Route path="/admin/students/import" component={AdminStudentImport} />
       <Route path="/admin/instructors" component={AdminInstructors} />
       <Route path="/admin/user/:id" component={EditUser} />
       <Route path="/admin/schedule" component={AdminSchedule} />
       <Route path="/admin/translations" component={AdminTranslations} />
+      <Route path="/admin/translations/report" component={AdminTranslationReport} />
+      <Route path="/admin/integrity" component={AdminIntegrity} />
+      <Route path="/admin/inquiries" component={AdminInquiries} />
+      <Route path="/admin/outbox" component={AdminOutbox} />
+      <Route path="/admin/audit-log" component={AdminAuditLog} />
       <Route path="/instructor" component={InstructorView} />
       <Route path="/style" component={StyleGuide} />
       <Route path="/instructor/class/:id" component={InstructorEditClass} />
@@ -1,14 +1,34 @@
-import { useEffect, useState } from "react";
+import { useContext, useEffect, useState } from "react";
 import { Link } from 'wouter';
+import { UserContext } from '@/contexts/UserContext.jsx';
 import Button from '@/components/Button/Button';
 import EditButton from '@/components/Button/EditButton';
 import { useTranslation } from "react-i18next";
-import { localizeNumber, toTitleCase, ensureHttps } from "@/utils/formatters";
-import { convertTime, to12HourFormat } from '@/utils/time-utils';
+import { formatClassLevel, classAdminURL, ensureHttps, formatTime, weekdayNames } from "@/utils/formatters";
+import { detectTimeZone, scheduleInZone } from '@/utils/time-utils';
 
 const Schedule = ({ privilege, classes, filters = [] }) => {
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 640);
-  const { t, i18n } = useTranslation();
+  const { i18n } = useTranslation();
+  const { user } = useContext(UserContext);
+  const timeZone = user?.timeZone || detectTimeZone();
+
+  // Every meeting, on the day it starts in the viewer's time zone
+  const meetings = classes
+    .flatMap(classObj => classObj.schedule.map(schedule => (
+      {
+        ...schedule,
+        _id: classObj._id,
+        level: classObj.level,
+        courseType: classObj.courseType,
+        ageGroup: classObj.ageGroup,
+        instructor: classObj.instructor,
+        link: classObj.link,
+        zoned: scheduleInZone(schedule, timeZone)
+      })))
+    .filter(schedule => schedule.zoned)
+    .filter(schedule => filters.length === 0 || filters.includes(schedule.courseType ?? schedule.level))
+    .sort((a, b) => a.zoned.start.toFormat('HH:mm').localeCompare(b.zoned.start.toFormat('HH:mm'))); // Sort by time
 
   useEffect(() => {
     const handleResize = () => {
@@ -23,40 +43,12 @@ const Schedule = ({ privilege, classes, filters = [] }) => {
     <div className="table w-full table-fixed">
       <div className="table-header-group">
         <div className="table-row">
-          {['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map((day, index, array) => (
+          {weekdayNames(i18n.language, isMobile ? 'narrow' : 'short').map((day, index, array) => (
             <div
-              key={day}
-              className={`table-cell text-center font-semibold sm:p-2 ${index !== array.length - 1 ? 'border-r border-gray-300' : ''}`}
+              key={index}
+              className={`table-cell text-center font-semibold sm:p-2 ${index !== array.length - 1 ? 'border-e border-gray-300' : ''}`}
             >
-              {/* TODO: check that these abbr are correct as well */}
-              {(() => {
-                switch (i18n.language) {
-                  case 'tr':
-                    return (
-                      isMobile
-                        ? t(`${day}_abbr`)[0]
-                        : t(`${day}_abbr`).toUpperCase()
-                    );
-                  case 'ru':
-                    return t(`${day}_abbr`).toUpperCase();
-                  case 'ug':
-                    return (
-                      isMobile
-                        ? t(`${day}_abbr`)[0]
-                        : t(`${day}_abbr`).toUpperCase()
-                    );
-                  case 'zh':
-                    return (isMobile ? t(`${day}_abbr`)[1] : t(`${day}_abbr`));
-                  default: // en
-                    return (
-                      isMobile
-                        ? ['sat', 'sun', 'tue', 'thu'].includes(day)
-                          ? t(`${day}_abbr`).slice(0, 2)
-                          : t(`${day}_abbr`)[0]
-                        : t(`${day}_abbr`).toUpperCase()
-                    );
-                }
-              })()}
+              {isMobile ? day : day.toLocaleUpperCase(i18n.language)}
             </div>
           ))}
         </div>
@@ -66,21 +58,10 @@ const Schedule = ({ privilege, classes, filters = [] }) => {
           {['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'].map((day, index, array) => (
             <div
               key={day}
-              className={`table-cell p-[.125rem] sm:p-2 align-top ${index !== array.length - 1 ? 'border-r border-gray-300' : ''}`}
+              className={`table-cell p-[.125rem] sm:p-2 align-top ${index !== array.length - 1 ? 'border-e border-gray-300' : ''}`}
             >
-              {classes
-                .flatMap(classObj => classObj.schedule.map(schedule => (
-                  {
-                    ...schedule,
-                    _id: classObj._id,
-                    level: classObj.level,
-                    ageGroup: classObj.ageGroup,
-                    instructor: classObj.instructor,
-                    link: classObj.link
-                  })))
-                .filter(schedule => schedule.day.slice(0, 3).toUpperCase() === day)
-                .filter(schedule => filters.length === 0 || filters.includes(schedule.level))
-                .sort((a, b) => new Date(`1970/01/01 ${a.startTime}`) - new Date(`1970/01/01 ${b.startTime}`)) // Sort by time
+              {meetings
+                .filter(schedule => schedule.zoned.day.slice(0, 3).toUpperCase() === day)
                 .map((classObj, index) => {
                   const classElement = <ScheduleClass key={index} classObj={classObj} isMobile={isMobile} privilege={privilege} />;
 
@@ -88,7 +69,7 @@ const Schedule = ({ privilege, classes, filters = [] }) => {
                     switch (privilege) {
                       case "admin":
                         return (
-                          <Link key={index} to={`/admin/levels/class/${classObj._id}`}>
+                          <Link key={index} to={`${classAdminURL(classObj)}/${classObj._id}`}>
                             {classElement}
                           </Link>
                         );
@@ -122,44 +103,18 @@ const Schedule = ({ privilege, classes, filters = [] }) => {
 const ScheduleClass = ({ privilege, classObj, isMobile }) => {
   const { t, i18n } = useTranslation();
 
-  const convertedStartTimeEST = classObj?.startTime
-    ? convertTime(classObj.day, classObj.startTime, "Etc/UTC", "America/New_York")
-    : { time: '', day: '' };
-  const convertedEndTimeEST = classObj?.endTime
-    ? convertTime(classObj.day, classObj.endTime, "Etc/UTC", "America/New_York")
-    : { time: '', day: '' };
-  const convertedStartTimeIST = classObj?.startTime
-    ? convertTime(classObj.day, classObj.startTime, "Etc/UTC", "Europe/Istanbul")
-    : { time: '', day: '' };
-  const convertedEndTimeIST = classObj?.endTime
-    ? convertTime(classObj.day, classObj.endTime, "Etc/UTC", "Europe/Istanbul")
-    : { time: '', day: '' };
+  const { start, end } = classObj.zoned;
 
   return (
     <div className="bg-blue-100 rounded-xs sm:rounded-sm border-[0.5px] border-gray-200 p-1 sm:p-3 mb-1 sm:mb-2">
       <p className="text-blue-700 text-[0.75rem] sm:text-[0.875rem] text-balance">
-        {to12HourFormat(convertedStartTimeEST.time)}-{to12HourFormat(convertedEndTimeEST.time)} (EST)
-      </p>
-      <p className="text-blue-700 text-[0.75rem] sm:text-[0.875rem] text-balance">
-        {convertedStartTimeIST.time}-{convertedEndTimeIST.time} (Ist)
+        {formatTime(start, i18n.language)}-{formatTime(end, i18n.language)}
       </p>
       <p
-        title={t('level_num', {
-          num: typeof classObj.level === 'number'
-            ? localizeNumber(classObj.level, i18n.language)
-            : classObj.level === "ielts"
-              ? "IELTS" : toTitleCase(classObj.level),
-          ns: 'levels'
-        })}
+        title={formatClassLevel(classObj, t, i18n.language)}
         className="font-extrabold text-[0.75rem] sm:text-[0.875rem] sm:mt-2 truncate"
       >
-        {t('level_num', {
-          num: typeof classObj.level === 'number'
-            ? localizeNumber(classObj.level, i18n.language)
-            : classObj.level === "ielts"
-              ? "IELTS" : toTitleCase(classObj.level),
-          ns: 'levels'
-        })}
+        {formatClassLevel(classObj, t, i18n.language)}
       </p>
       <p className="text-gray-800 text-[0.675rem] sm:text-xs sm:mb-3 break-words">
         {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`).toUpperCase() : t(`${classObj.ageGroup}_class`).toUpperCase()}
@@ -172,27 +127,7 @@ const ScheduleClass = ({ privilege, classObj, isMobile }) => {
           </a>
         ) : <EditButton
           classId={classObj._id}
-          editURL={
-            privilege === "admin" ? (() => {
-              switch (true) {
-                case typeof classObj.level === "number":
-                  return `/admin/levels/class`;
-                case classObj.level === "conversation":
-                  return `/admin/levels/conversations`;
-                case classObj.level === "ielts":
-                  return `/admin/levels/ielts`;
-              }
-            })() : (() => {
-              switch (true) {
-                case typeof classObj.level === "number":
-                  return `/instructor/class`;
-                case classObj.level === "conversation":
-                  return `/instructor/conversation`;
-                case classObj.level === "ielts":
-                  return `/instructor/ielts`;
-              }
-            })()
-          }
+          editURL={privilege === "admin" ? classAdminURL(classObj) : `/instructor/class`}
         />
       )}
     </div>
@@ -12,7 +12,7 @@ const SkeletonLevel = ({ count, isSimplified, isArrowRight }) => {
             <h3 className='w-full'>
               <Skeleton />
             </h3>
-            {isArrowRight ? <IoChevronForward className="text-2xl text-[#2F2F32]" /> : <IoChevronBack className="text-2xl text-[#2F2F32]" />}
+            {isArrowRight ? <IoChevronForward className="text-2xl text-[#2F2F32] rtl:rotate-180" /> : <IoChevronBack className="text-2xl text-[#2F2F32] rtl:rotate-180" />}
           </div>
         </div>
       ) : (
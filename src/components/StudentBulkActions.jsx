@@ -0,0 +1,157 @@
+import { useRef, useState } from "react";
+import { useTranslation } from "react-i18next";
+import { getAllClasses } from "@/wrappers/class-wrapper";
+import { runStudentBulkAction } from "@/wrappers/user-wrapper";
+import { formatClassLevel } from "@/utils/formatters";
+import Button from "@/components/Button/Button";
+import ExportStudentsButton from "@/components/Button/ExportStudentsButton";
+import Overlay from "@/components/Overlay";
+
+const ACTIONS = {
+  enroll: { label: "Enroll", title: "Enroll in a class", confirm: "Enroll", needsClass: true },
+  move: { label: "Move", title: "Move to a class", confirm: "Move", needsClass: true },
+  unenroll: { label: "Unenroll", title: "Unenroll from a class", confirm: "Unenroll", needsClass: true },
+  privilege: { label: "Change privilege", title: "Change privilege", confirm: "Update" },
+  delete: { label: "Delete", title: "Delete students", confirm: "Delete" },
+};
+
+const PRIVILEGES = ["student", "instructor", "admin"];
+
+const selectClassName = "w-full py-2 px-3 border border-gray-400 rounded-sm bg-white";
+
+// Bar of bulk actions for the students selected in the Admin Students list.
+// Each action opens a popup for its options, then lists what happened to
+// every student; `onDone` gets the results when the popup is closed.
+const StudentBulkActions = ({ selectedIds, onClear, onDone }) => {
+  const { t, i18n } = useTranslation();
+  const [action, setAction] = useState(null);
+  const [classes, setClasses] = useState([]);
+  const [classId, setClassId] = useState("");
+  const [fromClassId, setFromClassId] = useState("");
+  const [privilege, setPrivilege] = useState("student");
+  const [response, setResponse] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+  const requestKey = useRef(null);
+
+  const count = selectedIds.length;
+  const plural = count === 1 ? "student" : "students";
+
+  const open = async (nextAction) => {
+    setAction(nextAction);
+    setResponse(null);
+    setErrorMessage("");
+    // one key per opened popup, so a double-click can't run the batch twice
+    requestKey.current = crypto.randomUUID();
+    if (!ACTIONS[nextAction].needsClass || classes.length) return;
+    try {
+      setClasses(await getAllClasses());
+    } catch {
+      setErrorMessage("Couldn't load the classes");
+    }
+  };
+
+  const close = () => {
+    if (response) onDone(response);
+    setAction(null);
+    setResponse(null);
+  };
+
+  const run = async () => {
+    setIsWorking(true);
+    setErrorMessage("");
+    try {
+      setResponse(await runStudentBulkAction({
+        action,
+        ids: selectedIds,
+        ...(ACTIONS[action].needsClass ? { classId } : {}),
+        ...(action === "move" && fromClassId ? { fromClassId } : {}),
+        ...(action === "privilege" ? { privilege } : {}),
+      }, requestKey.current));
+    } catch (error) {
+      setErrorMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const classLabel = (cls) => `${formatClassLevel(cls, t, i18n.language)} ${cls.ageGroup} (${cls.instructor})`;
+  const classOptions = classes.map(cls => <option key={cls._id} value={cls._id}>{classLabel(cls)}</option>);
+
+  if (count === 0) return null;
+
+  return (
+    <div className="sticky top-0 z-30 flex flex-wrap items-center gap-2 py-3 px-4 bg-[#ECF7FE] rounded-sm">
+      <p className="me-2">{count} {plural} selected</p>
+      {Object.entries(ACTIONS).map(([key, { label }]) => (
+        <Button key={key} label={label} isOutline onClick={() => open(key)} />
+      ))}
+      <ExportStudentsButton ids={selectedIds} label={"Export"} isOutline />
+      <button className="ms-auto text-dark-blue-800 underline" onClick={onClear}>Clear selection</button>
+
+      {action && <Overlay width={"w-full sm:w-[36rem]"}>
+        <h3 className="font-extrabold">{ACTIONS[action].title}</h3>
+        {errorMessage && <p className="text-red-700">{errorMessage}</p>}
+
+        {response ? (
+          <>
+            <p>{response.summary.succeeded} succeeded, {response.summary.failed} failed.</p>
+            <ul className="overflow-y-auto max-h-[40vh] divide-y divide-gray-200">
+              {response.results.map(result => (
+                <li key={result.id} className="flex justify-between gap-x-4 py-1">
+                  <span>{result.name || result.id}</span>
+                  <span className={result.ok ? "text-green-700" : "text-red-700"}>{result.message}</span>
+                </li>
+              ))}
+            </ul>
+            <Button label={"Close"} onClick={close} />
+          </>
+        ) : (
+          <>
+            {action === "move" && (
+              <label className="block space-y-1">
+                <span className="text-gray-500">From</span>
+                <select className={selectClassName} value={fromClassId} onChange={(e) => setFromClassId(e.target.value)}>
+                  <option value="">Their current class (students in one class only)</option>
+                  {classOptions}
+                </select>
+              </label>
+            )}
+            {ACTIONS[action].needsClass && (
+              <label className="block space-y-1">
+                <span className="text-gray-500">{action === "unenroll" ? "Class" : "To"}</span>
+                <select className={selectClassName} value={classId} onChange={(e) => setClassId(e.target.value)}>
+                  <option value="" disabled>Choose a class</option>
+                  {classOptions}
+                </select>
+              </label>
+            )}
+            {action === "privilege" && (
+              <div className="flex gap-x-6">
+                {PRIVILEGES.map(value => (
+                  <label key={value} className="flex items-center gap-x-2 capitalize">
+                    <input type="radio" name="privilege" value={value} checked={privilege === value} onChange={() => setPrivilege(value)} />
+                    {value}
+                  </label>
+                ))}
+              </div>
+            )}
+            {action === "delete" && (
+              <p>This permanently deletes {count} {plural}, their sign-in accounts and enrollments.</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <Button
+                label={isWorking ? "Working..." : `${ACTIONS[action].confirm} ${count} ${plural}`}
+                isDisabled={isWorking || (ACTIONS[action].needsClass && !classId)}
+                onClick={run}
+              />
+              <Button label={"Cancel"} isOutline isDisabled={isWorking} onClick={() => setAction(null)} />
+            </div>
+          </>
+        )}
+      </Overlay>}
+    </div>
+  );
+};
+
+export default StudentBulkActions;
@@ -0,0 +1,32 @@
+import { parsePlaceholders, placeholderLabel } from '@/utils/translation-placeholders';
+
+// Text with its {{placeholders}} and $t(nesting) highlighted. Placeholders not
+// in `allowed` (labels like "{{num}}" or "$t(key)") are marked as errors.
+const PlaceholderText = ({ text, allowed }) => {
+  const value = String(text ?? "");
+  const { tokens } = parsePlaceholders(value);
+
+  const parts = [];
+  let position = 0;
+  for (const token of tokens) {
+    // Interpolations inside $t(...) options are part of the nesting
+    if (token.start < position) continue;
+    if (token.start > position) parts.push(value.slice(position, token.start));
+    const isKnown = !allowed || allowed.has(placeholderLabel(token));
+    parts.push(
+      <mark
+        key={token.start}
+        title={isKnown ? undefined : "Not in the English text"}
+        className={`rounded-sm px-0.5 font-mono ${isKnown ? "bg-blue-100 text-blue-900" : "bg-red-100 text-red-700 underline decoration-wavy"}`}
+      >
+        {token.raw}
+      </mark>
+    );
+    position = token.end;
+  }
+  if (position < value.length) parts.push(value.slice(position));
+
+  return <p className="whitespace-pre-wrap break-words">{parts}</p>;
+};
+
+export default PlaceholderText;
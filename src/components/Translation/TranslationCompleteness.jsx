@@ -0,0 +1,28 @@
+const LANGUAGE_NAMES = { tr: "Turkish", ru: "Russian", ug: "Uyghur", zh: "Chinese" };
+
+// One bar per language: share of English keys with an up-to-date translation
+const TranslationCompleteness = ({ languages }) => {
+  return (
+    <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+      {languages.map(language => (
+        <div key={language.lng} className="border border-gray-300 rounded-sm p-4 space-y-2">
+          <div className="flex justify-between items-baseline">
+            <p className="font-extrabold">{LANGUAGE_NAMES[language.lng] ?? language.lng}</p>
+            <p className="text-2xl font-extrabold">{language.completeness}%</p>
+          </div>
+          <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${language.completeness === 100 ? 'bg-green-600' : 'bg-blue-500'}`}
+              style={{ width: `${language.completeness}%` }}
+            />
+          </div>
+          <p className="text-sm text-gray-500">
+            {language.missing} missing · {language.stale} outdated · {language.extra} extra
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TranslationCompleteness;
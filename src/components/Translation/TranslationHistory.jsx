@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import Button from '@/components/Button/Button';
+import { getTranslationRevisions, revertTranslationRevision } from '@/wrappers/translation-wrapper';
+
+const ACTION_LABELS = {
+  edit: "Edited",
+  create: "Created",
+  import: "Imported",
+  transfer: "Transferred from i18nexus",
+  revert: "Reverted",
+  restore: "Restored",
+  delete: "Deleted",
+};
+
+// Changes to one translation, newest first, each with a revert button
+const TranslationHistory = ({ lng, ns, translationKey, onReverted, onClose }) => {
+  const [revisions, setRevisions] = useState(null);
+  const [revertingId, setRevertingId] = useState(null);
+  const [alertMessage, setAlertMessage] = useState("");
+
+  const fetchRevisions = () => getTranslationRevisions({ lng, ns, key: translationKey })
+    .then(setRevisions)
+    .catch(error => setAlertMessage(error.response?.data?.message ?? error.message));
+
+  useEffect(() => {
+    fetchRevisions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lng, ns, translationKey]);
+
+  const handleRevert = async (revision) => {
+    setRevertingId(revision._id);
+    setAlertMessage("");
+    try {
+      await revertTranslationRevision(revision._id);
+      await fetchRevisions();
+      onReverted?.();
+    } catch (error) {
+      setAlertMessage(error.response?.data?.message ?? error.message);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="font-extrabold text-base sm:text-lg">History</h4>
+        <p className="text-gray-500 break-all">{lng} · {ns} · {translationKey}</p>
+      </div>
+      <ul className="space-y-3 max-h-[50vh] overflow-y-auto">
+        {revisions === null && <li className="text-gray-500">Loading...</li>}
+        {revisions?.length === 0 && <li className="text-gray-500">No changes recorded yet</li>}
+        {revisions?.map(revision => (
+          <li key={revision._id} className="border border-gray-300 rounded-sm p-3 space-y-2">
+            <div className="flex flex-wrap justify-between gap-2 text-sm text-gray-500">
+              <span>
+                {ACTION_LABELS[revision.action] ?? revision.action}
+                {revision.editor?.name ? ` by ${revision.editor.name}` : ""}
+              </span>
+              <span>{new Date(revision.createdAt).toLocaleString()}</span>
+            </div>
+            <p className="whitespace-pre-wrap break-words">
+              {revision.previous === null
+                ? <span className="text-gray-500">(did not exist)</span>
+                : <span className="line-through text-gray-500">{revision.previous}</span>}
+              {" → "}
+              {revision.value === null ? <span className="text-gray-500">(removed)</span> : revision.value}
+            </p>
+            <Button
+              label={revertingId === revision._id
+                ? "Reverting..."
+                : revision.previous === null ? "Revert (remove)" : "Revert to previous"}
+              isOutline
+              onClick={() => handleRevert(revision)}
+              isDisabled={revertingId !== null}
+            />
+          </li>
+        ))}
+      </ul>
+      {alertMessage !== "" && <p className='text-red-500'>{alertMessage}</p>}
+      <Button label="Close" isOutline onClick={onClose} />
+    </div>
+  );
+};
+
+export default TranslationHistory;
@@ -0,0 +1,260 @@
+import { useEffect, useState } from "react";
+import Button from '@/components/Button/Button';
+import Alert from '@/components/Alert';
+import {
+  getNamespaces,
+  exportTranslations,
+  previewTranslationImport,
+  applyTranslationImport
+} from '@/wrappers/translation-wrapper';
+
+const LANGUAGES = { en: "English", tr: "Turkish", ru: "Russian", ug: "Uyghur", zh: "Chinese" };
+const FORMATS = { json: "JSON (i18next)", csv: "CSV", xliff: "XLIFF 2.0" };
+const selectStyles = "py-2 px-3 border border-gray-400 rounded-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+// .json / .csv / .xlf / .xliff → import format
+const formatFromFilename = (filename) => {
+  const extension = filename.split(".").pop().toLowerCase();
+  if (extension === "xlf" || extension === "xliff") return "xliff";
+  return FORMATS[extension] ? extension : "";
+};
+
+// Bulk export, and import with a diff preview before anything is written
+const TranslationImportExport = ({ onImported }) => {
+  const [namespaces, setNamespaces] = useState([]);
+  const [exportOptions, setExportOptions] = useState({ format: "json", ns: "all", lng: "all", target: "tr" });
+  const [importFile, setImportFile] = useState(null);
+  const [importOptions, setImportOptions] = useState({ format: "", lng: "", ns: "" });
+  const [preview, setPreview] = useState(null);
+  const [prune, setPrune] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+
+  useEffect(() => {
+    getNamespaces()
+      .then(setNamespaces)
+      .catch(error => console.error("Error fetching namespaces:", error));
+  }, []);
+
+  const showError = (error) => {
+    setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const handleExportChange = (e) => {
+    setExportOptions(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleExport = async () => {
+    setIsWorking(true);
+    try {
+      await exportTranslations({
+        format: exportOptions.format,
+        ns: exportOptions.ns,
+        ...(exportOptions.format === "xliff"
+          ? { target: exportOptions.target }
+          : { lng: exportOptions.lng }),
+      });
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0] ?? null;
+    setImportFile(file);
+    setImportOptions(prev => ({ ...prev, format: file ? formatFromFilename(file.name) : "" }));
+    setPreview(null);
+  };
+
+  const importData = async () => ({
+    format: importOptions.format,
+    content: await importFile.text(),
+    // A single-language JSON file needs to say where it goes
+    ...(importOptions.format === "json" && importOptions.lng && importOptions.ns
+      ? { lng: importOptions.lng, ns: importOptions.ns }
+      : {}),
+  });
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      setPreview(await previewTranslationImport(await importData()));
+      setPrune(false);
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setIsWorking(true);
+    try {
+      const result = await applyTranslationImport({ ...(await importData()), baseHash: preview.baseHash, prune });
+      setSuccessMessage(`Imported: ${result.added} added, ${result.changed} changed, ${result.removed} removed`);
+      setTimeout(() => {
+        setSuccessMessage("");
+      }, 4000);
+      setPreview(null);
+      setImportFile(null);
+      onImported?.();
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      {successMessage !== "" && <Alert message={successMessage} isSuccess={true} />}
+
+      <div className="space-y-3">
+        <h2 className="font-extrabold">Export</h2>
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="flex flex-col gap-y-1">
+            Format
+            <select name="format" className={selectStyles} value={exportOptions.format} onChange={handleExportChange}>
+              {Object.entries(FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-y-1">
+            Namespace
+            <select name="ns" className={selectStyles} value={exportOptions.ns} onChange={handleExportChange}>
+              <option value="all">All namespaces</option>
+              {namespaces.map(ns => <option key={ns} value={ns}>{ns}</option>)}
+            </select>
+          </label>
+          {exportOptions.format === "xliff"
+            ? <label className="flex flex-col gap-y-1">
+              Translate English into
+              <select name="target" className={selectStyles} value={exportOptions.target} onChange={handleExportChange}>
+                {Object.entries(LANGUAGES)
+                  .filter(([value]) => value !== "en")
+                  .map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </label>
+            : <label className="flex flex-col gap-y-1">
+              Language
+              <select name="lng" className={selectStyles} value={exportOptions.lng} onChange={handleExportChange}>
+                <option value="all">All languages</option>
+                {Object.entries(LANGUAGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </label>}
+          <Button label="Export" onClick={handleExport} isDisabled={isWorking} />
+        </div>
+      </div>
+
+      <form onSubmit={handlePreview} className="space-y-3">
+        <h2 className="font-extrabold">Import</h2>
+        <p className="text-gray-500">
+          Accepts files in the export formats. Nothing is saved until you review the changes and apply them.
+        </p>
+        <div className="flex flex-wrap items-end gap-4">
+          <input type="file" accept=".json,.csv,.xlf,.xliff" onChange={handleFileChange} required />
+          <label className="flex flex-col gap-y-1">
+            Format
+            <select
+              className={selectStyles}
+              value={importOptions.format}
+              onChange={(e) => setImportOptions(prev => ({ ...prev, format: e.target.value }))}
+              required
+            >
+              <option value="">Select format</option>
+              {Object.entries(FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          {importOptions.format === "json" && <>
+            <label className="flex flex-col gap-y-1">
+              Single-language file for
+              <select
+                className={selectStyles}
+                value={importOptions.lng}
+                onChange={(e) => setImportOptions(prev => ({ ...prev, lng: e.target.value }))}
+              >
+                <option value="">No, all languages</option>
+                {Object.entries(LANGUAGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </label>
+            {importOptions.lng && (
+              <label className="flex flex-col gap-y-1">
+                Namespace
+                <select
+                  className={selectStyles}
+                  value={importOptions.ns}
+                  onChange={(e) => setImportOptions(prev => ({ ...prev, ns: e.target.value }))}
+                  required
+                >
+                  <option value="">Select namespace</option>
+                  {namespaces.map(ns => <option key={ns} value={ns}>{ns}</option>)}
+                </select>
+              </label>
+            )}
+          </>}
+          <Button type="submit" label="Preview import" isOutline isDisabled={isWorking || !importFile} />
+        </div>
+      </form>
+
+      {preview && (
+        <div className="space-y-4 border border-gray-300 rounded-sm p-4">
+          <p>
+            <span className="text-green-700">{preview.added.length} added</span>
+            {" · "}<span className="text-blue-700">{preview.changed.length} changed</span>
+            {" · "}<span className="text-red-700">{preview.removed.length} missing from the file</span>
+            {" · "}{preview.unchanged} unchanged
+          </p>
+          <DiffList title="Added" rows={preview.added} render={row => row.value} />
+          <DiffList
+            title="Changed"
+            rows={preview.changed}
+            render={row => <><span className="line-through text-gray-500">{row.previous}</span> → {row.value}</>}
+          />
+          <DiffList title="Missing from the file" rows={preview.removed} render={row => row.value} />
+          {preview.removed.length > 0 && (
+            <label className="flex items-center gap-x-2">
+              <input type="checkbox" checked={prune} onChange={(e) => setPrune(e.target.checked)} />
+              Also delete the {preview.removed.length} translation(s) missing from the file
+            </label>
+          )}
+          <div className="flex gap-x-2">
+            <Button
+              label={isWorking ? "Importing..." : "Apply import"}
+              onClick={handleApply}
+              isDisabled={isWorking || (preview.added.length + preview.changed.length === 0 && !prune)}
+            />
+            <Button label="Cancel" isOutline onClick={() => setPreview(null)} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DiffList = ({ title, rows, render }) => {
+  if (rows.length === 0) return null;
+  return (
+    <details>
+      <summary className="cursor-pointer font-extrabold">{title} ({rows.length})</summary>
+      <ul className="mt-2 space-y-1 max-h-80 overflow-y-auto">
+        {rows.map(row => (
+          <li key={`${row.lng}/${row.ns}/${row.key}`} className="grid grid-cols-[12rem_1fr] gap-x-4">
+            <span className="text-gray-500 truncate" title={`${row.lng} · ${row.ns} · ${row.key}`}>
+              {row.lng} · {row.ns} · {row.key}
+            </span>
+            <span className="whitespace-pre-wrap break-words">{render(row)}</span>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default TranslationImportExport;
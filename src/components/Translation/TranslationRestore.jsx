@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import Button from '@/components/Button/Button';
+import Alert from '@/components/Alert';
+import { getNamespaces, previewTranslationRestore, restoreTranslations } from '@/wrappers/translation-wrapper';
+
+const LANGUAGES = { en: "English", tr: "Turkish", ru: "Russian", ug: "Uyghur", zh: "Chinese" };
+const inputStyles = "py-2 px-3 border border-gray-400 rounded-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+// Put a whole namespace back the way it was at a date, after a preview
+const TranslationRestore = ({ onRestored }) => {
+  const [namespaces, setNamespaces] = useState([]);
+  const [options, setOptions] = useState({ ns: "", lng: "", date: "" });
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+
+  useEffect(() => {
+    getNamespaces()
+      .then(setNamespaces)
+      .catch(error => console.error("Error fetching namespaces:", error));
+  }, []);
+
+  const showError = (error) => {
+    setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  // datetime-local has no zone; send the instant it means in the browser's zone
+  const restoreData = () => ({
+    ns: options.ns,
+    lng: options.lng || null,
+    date: new Date(options.date).toISOString(),
+  });
+
+  const handleChange = (e) => {
+    setOptions(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    setPreview(null);
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      setPreview(await previewTranslationRestore(restoreData()));
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setIsWorking(true);
+    try {
+      const result = await restoreTranslations(restoreData());
+      setSuccessMessage(`Restored: ${result.restored} reverted, ${result.deleted} removed`);
+      setTimeout(() => {
+        setSuccessMessage("");
+      }, 4000);
+      setPreview(null);
+      onRestored?.();
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      {successMessage !== "" && <Alert message={successMessage} isSuccess={true} />}
+      <h2 className="font-extrabold">Restore to date</h2>
+      <p className="text-gray-500">
+        Every key changed since the date goes back to its value at that time. The restore is recorded in each key&apos;s history.
+      </p>
+      <form onSubmit={handlePreview} className="flex flex-wrap items-end gap-4">
+        <label className="flex flex-col gap-y-1">
+          Namespace
+          <select name="ns" className={inputStyles} value={options.ns} onChange={handleChange} required>
+            <option value="">Select namespace</option>
+            {namespaces.map(ns => <option key={ns} value={ns}>{ns}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-y-1">
+          Language
+          <select name="lng" className={inputStyles} value={options.lng} onChange={handleChange}>
+            <option value="">All languages</option>
+            {Object.entries(LANGUAGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-y-1">
+          As of
+          <input type="datetime-local" name="date" className={inputStyles} value={options.date} onChange={handleChange} required />
+        </label>
+        <Button type="submit" label="Preview restore" isOutline isDisabled={isWorking} />
+      </form>
+
+      {preview && (
+        <div className="space-y-4 border border-gray-300 rounded-sm p-4">
+          {preview.changes.length === 0
+            ? <p>Nothing in {preview.ns} changed since then.</p>
+            : <>
+              <p>{preview.changes.length} translation(s) will change</p>
+              <ul className="space-y-1 max-h-80 overflow-y-auto">
+                {preview.changes.map(change => (
+                  <li key={`${change.lng}/${change.key}`} className="grid grid-cols-[12rem_1fr] gap-x-4">
+                    <span className="text-gray-500 truncate" title={`${change.lng} · ${change.key}`}>
+                      {change.lng} · {change.key}
+                    </span>
+                    <span className="whitespace-pre-wrap break-words">
+                      {change.current === null
+                        ? <span className="text-gray-500">(missing)</span>
+                        : <span className="line-through text-gray-500">{change.current}</span>}
+                      {" → "}
+                      {change.value === null ? <span className="text-red-700">(removed)</span> : change.value}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>}
+          <div className="flex gap-x-2">
+            <Button
+              label={isWorking ? "Restoring..." : "Restore"}
+              onClick={handleRestore}
+              isDisabled={isWorking || preview.changes.length === 0}
+            />
+            <Button label="Cancel" isOutline onClick={() => setPreview(null)} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranslationRestore;
@@ -2,11 +2,63 @@ import i18n from "i18next";
 import HttpBackend from "i18next-http-backend";
 import LanguageDetector from "i18next-browser-languagedetector";
 import { initReactI18next } from "react-i18next";
+import { UYGHUR_SCRIPTS, getUyghurScript, saveUyghurScript, transliterateUyghur, languageDir } from "@/utils/uyghur-script";
+
+const API_PATH = "/api/locales/";
+// Build-time copy of the bundles (npm run translations:snapshot)
+const SNAPSHOT_PATH = "/locales/";
+
+const fetchBundle = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} responded ${response.status}`);
+  return { status: response.status, data: await response.text() };
+};
+
+// Load from the API, or from the snapshot in public/ when the API or its
+// database is unavailable
+const requestBundle = (_options, url, _payload, callback) => {
+  fetchBundle(url)
+    .catch(error => {
+      if (!url.startsWith(API_PATH)) throw error;
+      console.warn(`Translations unavailable (${error.message}), using the snapshot`);
+      return fetchBundle(`${SNAPSHOT_PATH}${url.slice(API_PATH.length)}.json`);
+    })
+    .then(response => callback(null, response))
+    .catch(error => callback(error, { status: 0 }));
+};
+
+// Shows Uyghur in the script the reader picked
+const uyghurScript = {
+  type: "postProcessor",
+  name: "uyghurScript",
+  process: (value, _key, options, translator) => (
+    (options.lng ?? translator.language)?.split("-")[0] === "ug" ? transliterateUyghur(value, getUyghurScript()) : value
+  ),
+};
+
+// <html dir lang> follow the language, so layouts mirror for right-to-left text
+const applyDirection = (lng) => {
+  if (!lng) return;
+  document.documentElement.dir = languageDir(lng);
+  document.documentElement.lang = lng.split("-")[0] === "ug" ? UYGHUR_SCRIPTS[getUyghurScript()].lang : lng;
+};
+
+/**
+ * Switch to Uyghur in one of UYGHUR_SCRIPTS ("arab", "latn" or "cyrl").
+ */
+export const changeUyghurScript = (script) => {
+  saveUyghurScript(script);
+  // Re-emits languageChanged, which re-renders with the new script
+  return i18n.changeLanguage("ug");
+};
+
+i18n.on("languageChanged", applyDirection);
 
 i18n
   .use(HttpBackend)
   .use(LanguageDetector)
   .use(initReactI18next)
+  .use(uyghurScript)
   .init({
     fallbackLng: "en",
 
@@ -15,9 +67,12 @@ i18n
 
     supportedLngs: ["en", "ug", "ru", "tr", "zh"],
 
+    postProcess: ["uyghurScript"],
+
     backend: {
-      loadPath: "/api/locales/{{lng}}/{{ns}}"
+      loadPath: `${API_PATH}{{lng}}/{{ns}}`,
+      request: requestBundle
     }
   })
 
-export default i18n;
\ No newline at end of file
+export default i18n;
@@ -3,6 +3,7 @@ import Level from '@/components/Class/Level';
 import { useTranslation } from "react-i18next";
 import { useLocation } from 'wouter';
 import { IoTimeOutline, IoCalendarOutline, IoStar } from "react-icons/io5";
+import { weekdayName } from "@/utils/formatters";
 
 const Home = () => {
   const [, setLocation] = useLocation();
@@ -55,7 +56,7 @@ const Home = () => {
   return (
     <>
       {/* hero section */}
-      <div className="header-gradient min-h-[60svh] flex flex-col items-center justify-center w-full py-12 px-10 text-center md:text-left">
+      <div className="header-gradient min-h-[60svh] flex flex-col items-center justify-center w-full py-12 px-10 text-center md:text-start">
         <h3 className="text-blue-600 mb-3">{t("home_motto")}</h3>
         <h1 className="font-extrabold text-4xl sm:text-5xl">Dillar Academy</h1>
         <p className="text-base sm:text-xl my-6">{t("home_desc")}</p>
@@ -92,14 +93,14 @@ const Home = () => {
                 <Level level={level4} isSimplified={false} />
               </div>
             </div>
-            <div className={`text-center md:text-left mb-10 md:mb-0`}>
+            <div className={`text-center md:text-start mb-10 md:mb-0`}>
               <h3 className="font-extrabold text-xl sm:text-[1.75rem] sm:leading-8 mb-3 md:mb-4">1. {t("home_step1_title")}</h3>
               <p className="text-lg sm:text-2xl">{t("home_step1_desc")}</p>
             </div>
           </div>
           {/* About classes */}
           <div className="w-full flex flex-col items-center md:grid md:grid-cols-2 md:gap-x-10 xl:gap-x-28 sm:justify-items-center">
-            <div className={"text-center md:text-left mb-10 md:mb-0"}>
+            <div className={"text-center md:text-start mb-10 md:mb-0"}>
               <h3 className="font-extrabold text-xl sm:text-[1.75rem] sm:leading-8 mb-3 md:mb-4">2. {t("home_step2_title")}</h3>
               <p className="text-lg sm:text-2xl">{t("home_step2_desc")}</p>
             </div>
@@ -117,7 +118,7 @@ const Home = () => {
             <div className="flex flex-col items-center w-full">
               <Confirmation />
             </div>
-            <div className='text-center md:text-left mb-10 md:mb-0'>
+            <div className='text-center md:text-start mb-10 md:mb-0'>
               <h3 className="font-extrabold text-xl sm:text-[1.75rem] sm:leading-8 mb-3 md:mb-4">3. {t("home_welcome_start")}</h3>
               <h3 className="text-lg sm:text-2xl">{t("home_step3_desc")}</h3>
             </div>
@@ -130,11 +131,9 @@ const Home = () => {
 
 const HomeClass = ({ classObj }) => {
   const day1 = classObj.schedule[0].day.toString();
-  const subDay1 = day1.substr(0, 3);
   const time = classObj.schedule[0].startTime.toString();
   const day2 = classObj.schedule[1].day.toString();
-  const subDay2 = day2.substr(0, 3);
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
 
   return (
     <div className="p-6 bg-white rounded-xl overflow-hidden w-full h-full flex flex-col justify-between">
@@ -148,7 +147,7 @@ const HomeClass = ({ classObj }) => {
         <div className="flex flex-col text-neutral-400 text-sm mb-2">
           <div className="flex items-left gap-2">
             <IoCalendarOutline className="text-lg" />
-            <span>{t(`${subDay1.toLowerCase()}_abbr`)} | {t(`${subDay2.toLowerCase()}_abbr`)}</span>
+            <span>{weekdayName(day1, i18n.language, 'short')} | {weekdayName(day2, i18n.language, 'short')}</span>
           </div>
           <div className="flex items-left gap-2">
             <IoTimeOutline className="text-lg" />
@@ -166,7 +165,7 @@ const HomeClass = ({ classObj }) => {
 }
 
 const Confirmation = () => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
 
   return (
     <div className="w-full p-6 bg-white rounded-lg shadow-[0px_4px_16px_0px_rgba(7,79,120,0.12),20px_8px_60px_0px_rgba(183,226,251,0.40)] overflow-hidden">
@@ -181,7 +180,7 @@ const Confirmation = () => {
         <div className="flex flex-col text-neutral-400 text-sm mb-2">
           <div className="flex items-left gap-2">
             <IoCalendarOutline className="text-lg" />
-            <p>{t(`sat_abbr`)} | {t(`sun_abbr`)}</p>
+            <p>{weekdayName('sat', i18n.language, 'short')} | {weekdayName('sun', i18n.language, 'short')}</p>
           </div>
           <div className="flex items-left gap-2">
             <IoTimeOutline className="text-lg" />
@@ -3,8 +3,7 @@ import { useState, useEffect } from 'react';
 import { Link } from "wouter"
 import { useTranslation } from "react-i18next";
 import { getLevels } from '@/wrappers/level-wrapper';
-import { getConversations } from '@/wrappers/conversation-wrapper';
-import { getIelts } from '@/wrappers/ielts-wrapper';
+import { getCourseTypes, getCourseClasses } from '@/wrappers/course-type-wrapper';
 import Level from '@/components/Class/Level'
 import SupplementaryClass from '@/components/Class/SupplementaryClass';
 import Skeleton from 'react-loading-skeleton';
@@ -14,8 +13,7 @@ import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 
 const LevelsPage = () => {
   const [levels, setLevels] = useState([]);
-  const [conversations, setConversations] = useState([]);
-  const [ielts, setIelts] = useState([]);
+  const [courses, setCourses] = useState([]); // [{ courseType, classes }]
   const [allowRender, setAllowRender] = useState(false);
   const { t } = useTranslation();
   const showSkeleton = useDelayedSkeleton(!allowRender);
@@ -29,10 +27,9 @@ const LevelsPage = () => {
     const fetchLevels = async () => {
       const levels = await getLevels();
       setLevels(levels);
-      const conversations = await getConversations();
-      setConversations(conversations);
-      const ielts = await getIelts();
-      setIelts(ielts);
+      const courseTypes = await getCourseTypes();
+      const courseClasses = await Promise.all(courseTypes.map(type => getCourseClasses(type.slug)));
+      setCourses(courseTypes.map((courseType, i) => ({ courseType, classes: courseClasses[i] })));
       setAllowRender(true);
     };
     fetchLevels();
@@ -66,34 +63,29 @@ const LevelsPage = () => {
       <section>
         <h2 className="font-extrabold mb-1">{allowRender ? t("levelspage_supp_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h2>
         <p className={descriptionStyle}>{allowRender ? t("levelspage_supp_class_description") : showSkeleton && <Skeleton />}</p>
-        <section className='mt-10'>
-          <h3 className='font-extrabold'>{allowRender ? t("levelspage_convo_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h3>
-          <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
-            {allowRender
-              ? conversations.length > 0
-                ? (conversations.map((conversation, conversationIndex) => (
-                  <SupplementaryClass key={conversationIndex} cls={conversation} />
-                ))
-                ) : (
-                  <p className="text-gray-500">{t("no_conversations_available")}</p>
-                )
-              : showSkeleton && <SkeletonLevel count={4} />}
-          </div>
-        </section>
-        <section className='mt-16'>
-          <h3 className='font-extrabold'>{allowRender ? t("levelspage_ietl_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h3>
-          <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
-            {allowRender
-              ? ielts.length > 0
-                ? (ielts.map((cls, ieltsIndex) => (
-                  <SupplementaryClass key={ieltsIndex} cls={cls} />
-                ))
-                ) : (
-                  <p className="text-gray-500">{t("no_ielts_available")}</p>
-                )
-              : showSkeleton && <SkeletonLevel count={4} />}
-          </div>
-        </section>
+        {allowRender
+          ? courses.map(({ courseType, classes }, courseIndex) => (
+            <section key={courseType.slug} className={courseIndex === 0 ? 'mt-10' : 'mt-16'}>
+              <h3 className='font-extrabold'>{t(courseType.labelKey, { ns: 'levels' })}</h3>
+              <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
+                {classes.length > 0
+                  ? (classes.map((cls, classIndex) => (
+                    <SupplementaryClass key={classIndex} cls={cls} />
+                  ))
+                  ) : (
+                    <p className="text-gray-500">{t("no_course_classes_available")}</p>
+                  )}
+              </div>
+            </section>
+          ))
+          : showSkeleton && (
+            <section className='mt-10'>
+              <h3 className='font-extrabold'><Skeleton width={"32%"} /></h3>
+              <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
+                <SkeletonLevel count={4} />
+              </div>
+            </section>
+          )}
       </section>
     </div>
   );
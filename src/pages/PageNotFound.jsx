@@ -11,7 +11,7 @@ const PageNotFound = () => {
     <div className="page-format flex flex-col items-center justify-center text-center">
       <h1 className="text-4xl sm:text-5xl mb-2 mx-2 font-extrabold py-5" >{t("pagenotfound_text")}</h1>
       <h3 className="mx-2 font-normal"> {t("pagenotfound_desc")}</h3>
-      <div className='grid grid-cols-1 w-full sm:w-auto sm:grid-cols-2 space-y-3 sm:space-y-0 sm:space-x-5 items-center justify-center text-center whitespace-nowrap pt-8'>
+      <div className='grid grid-cols-1 w-full sm:w-auto sm:grid-cols-2 space-y-3 sm:space-y-0 sm:space-x-5 sm:rtl:space-x-reverse items-center justify-center text-center whitespace-nowrap pt-8'>
         <Button
           label={t("return_home")}
           onClick={() => setLocation("/")}
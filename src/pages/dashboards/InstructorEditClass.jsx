@@ -2,12 +2,15 @@ import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
+import { useTranslation } from "react-i18next";
 import { getClassById, getClassStudents } from "@/wrappers/class-wrapper";
 import FormInput from '@/components/Form/FormInput'
 import Button from '@/components/Button/Button';
 import { updateClass } from '@/wrappers/class-wrapper.js';
 import BackButton from "@/components/Button/BackButton";
 import UserItem from "@/components/UserItem";
+import AttendanceSheet from "@/components/Attendance/AttendanceSheet";
+import ClassRosterExport from "@/components/Class/ClassRosterExport";
 import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import Unauthorized from "@/pages/Unauthorized";
@@ -16,6 +19,7 @@ const InstructorEditClass = () => {
   const { user } = useContext(UserContext);
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
+  const { t } = useTranslation();
   const [allowRender, setAllowRender] = useState(false);
 
   const params = useParams();
@@ -77,7 +81,7 @@ const InstructorEditClass = () => {
       </div>
 
       <form onSubmit={handleEditClass}>
-        <div className="flex justify-start space-x-10 w-full lg:w-2/3 mb-6">
+        <div className="flex justify-start space-x-10 rtl:space-x-reverse w-full lg:w-2/3 mb-6">
           <div className="w-full space-y-3">
             <label className="mx-1">Google Classroom Link</label>
             <FormInput
@@ -97,6 +101,9 @@ const InstructorEditClass = () => {
 
       <div>
         <h2 className="font-extrabold mb-2">Enrolled Students</h2>
+        <div className="mb-6">
+          <ClassRosterExport classId={params.id} />
+        </div>
         <div className="grid md:grid-cols-3 gap-x-14">
           {allowRender
             ? students.map((student) => (
@@ -105,6 +112,11 @@ const InstructorEditClass = () => {
             : showSkeleton && <SkeletonUser count={3} />}
         </div>
       </div>
+
+      <div>
+        <h2 className="font-extrabold mb-2">{t("attendance")}</h2>
+        {allowRender && <AttendanceSheet classId={params.id} students={students} />}
+      </div>
     </div>
   )
 }
@@ -12,6 +12,7 @@ import PhoneInput from '@/components/Form/PhoneInput/PhoneInput';
 import Overlay from '@/components/Overlay';
 import Alert from '@/components/Alert';
 import Schedule from '@/components/Schedule';
+import AddToCalendarButton from '@/components/Button/AddToCalendarButton';
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import SkeletonSchedule from '@/components/Skeletons/SkeletonSchedule';
@@ -19,6 +20,8 @@ import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import Unauthorized from '../Unauthorized';
 import { toTitleCase } from '@/utils/formatters';
 import { formatPhoneNumberIntl, isPossiblePhoneNumber } from 'react-phone-number-input';
+import TimeZonePicker from '@/components/Form/TimeZonePicker';
+import { detectTimeZone } from '@/utils/time-utils';
 
 const InstructorView = () => {
   const [classes, setClasses] = useState([])
@@ -34,6 +37,7 @@ const InstructorView = () => {
     whatsapp: '',
     age: '',
     gender: '',
+    timeZone: '',
   });
   const [alertMessage, setAlertMessage] = useState("");
   const { t } = useTranslation();
@@ -42,7 +46,7 @@ const InstructorView = () => {
   useEffect(() => {
     const fetchData = async () => {
       if (user) {
-        let instructorClasses = await getAllClasses(`instructor=${toTitleCase(user.firstName)}`); // TODO: should use first and last name
+        let instructorClasses = await getAllClasses(`instructorId=${user._id}`);
         setClasses(instructorClasses);
         setAllowRender(true);
       }
@@ -69,7 +73,8 @@ const InstructorView = () => {
           email: editFormData.email,
           whatsapp: editFormData.whatsapp,
           age: editFormData.age,
-          gender: editFormData.gender
+          gender: editFormData.gender,
+          timeZone: editFormData.timeZone
         }))
         setShowEditModal(false);
       } else {
@@ -91,6 +96,7 @@ const InstructorView = () => {
       whatsapp: user.whatsapp || '',
       age: user.age || '',
       gender: user.gender ? toTitleCase(user.gender) : '',
+      timeZone: user.timeZone || detectTimeZone(),
     });
     setShowEditModal(true);
   };
@@ -150,7 +156,10 @@ const InstructorView = () => {
           </div>
         </div>
         <section>
-          <h2 className='font-extrabold my-8'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+          <div className='flex flex-wrap items-center justify-between gap-4 my-8'>
+            <h2 className='font-extrabold'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+            {allowRender && <AddToCalendarButton />}
+          </div>
           {allowRender ? <Schedule privilege={user.privilege} classes={classes} /> : showSkeleton && <SkeletonSchedule />}
         </section>
         {showEditModal && <Overlay width={'w-1/2'}>
@@ -222,13 +231,20 @@ const InstructorView = () => {
                 />
               </div>
             </div>
+            <div className="w-full">
+              <label>Time Zone</label>
+              <TimeZonePicker
+                value={editFormData.timeZone}
+                onChange={handleInputChange}
+              />
+            </div>
             <div className="grid grid-cols-2 gap-x-2">
               <Button
                 label="Cancel"
                 isOutline={true}
                 onClick={() => {
                   setShowEditModal(false);
-                  setEditFormData({ firstName: '', lastName: '', email: '', age: '', gender: '' });
+                  setEditFormData({ firstName: '', lastName: '', email: '', age: '', gender: '', timeZone: '' });
                 }}
               />
               <Button label="Save Info" type="submit" />
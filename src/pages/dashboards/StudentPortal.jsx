@@ -9,6 +9,9 @@ import FormInput from '@/components/Form/FormInput';
 import PhoneInput from '@/components/Form/PhoneInput/PhoneInput';
 import Overlay from '@/components/Overlay';
 import Schedule from '@/components/Schedule';
+import AddToCalendarButton from '@/components/Button/AddToCalendarButton';
+import AttendanceHistory from '@/components/Attendance/AttendanceHistory';
+import { getMyAttendance } from '@/wrappers/attendance-wrapper';
 import Alert from '@/components/Alert';
 import { IoAdd, IoCreateOutline } from "react-icons/io5";
 import { useTranslation } from "react-i18next";
@@ -20,9 +23,12 @@ import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import Unauthorized from '../Unauthorized';
 import { toTitleCase } from '@/utils/formatters';
 import { formatPhoneNumberIntl, isPossiblePhoneNumber } from 'react-phone-number-input';
+import TimeZonePicker from '@/components/Form/TimeZonePicker';
+import { detectTimeZone } from '@/utils/time-utils';
 
 const StudentPortal = () => {
   const [classes, setClasses] = useState([]);
+  const [attendance, setAttendance] = useState(null);
   const { user, setUser } = useContext(UserContext);
   const [, setLocation] = useLocation();
   const { isLoaded, isSignedIn } = useAuth();
@@ -35,6 +41,7 @@ const StudentPortal = () => {
     whatsapp: '',
     age: '',
     gender: '',
+    timeZone: '',
   });
   const [alertMessage, setAlertMessage] = useState("");
   const { t } = useTranslation();
@@ -46,6 +53,10 @@ const StudentPortal = () => {
         const userClasses = await getStudentsClasses(user._id);
         setClasses(userClasses);
         setAllowRender(true);
+        // attendance is secondary, don't hold up the page for it
+        getMyAttendance()
+          .then(setAttendance)
+          .catch(error => console.error('Error fetching attendance:', error));
       }
     };
 
@@ -70,7 +81,8 @@ const StudentPortal = () => {
           email: editFormData.email,
           whatsapp: editFormData.whatsapp,
           age: editFormData.age,
-          gender: editFormData.gender
+          gender: editFormData.gender,
+          timeZone: editFormData.timeZone
         }))
         setShowEditModal(false);
       } else {
@@ -92,6 +104,7 @@ const StudentPortal = () => {
       whatsapp: user.whatsapp || '',
       age: user.age || '',
       gender: user.gender ? toTitleCase(user.gender) : '',
+      timeZone: user.timeZone || detectTimeZone(),
     });
     setShowEditModal(true);
   };
@@ -169,9 +182,16 @@ const StudentPortal = () => {
         </section>
         {/* TODO: add supp classes */}
         <section>
-          <h2 className='font-extrabold my-8'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+          <div className='flex flex-wrap items-center justify-between gap-4 my-8'>
+            <h2 className='font-extrabold'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+            {allowRender && <AddToCalendarButton />}
+          </div>
           {allowRender ? <Schedule privilege={user.privilege} classes={classes} /> : showSkeleton && <SkeletonSchedule />}
         </section>
+        <section>
+          <h2 className='font-extrabold my-8'>{allowRender ? t("your_attendance") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+          {allowRender && <AttendanceHistory attendance={attendance} />}
+        </section>
         {showEditModal && (
           <Overlay width={'w-1/2'}>
             <form onSubmit={handleEditUser} className="flex flex-col gap-y-6 py-3 px-2">
@@ -242,13 +262,20 @@ const StudentPortal = () => {
                   />
                 </div>
               </div>
+              <div className="w-full">
+                <label>{t("time_zone")}</label>
+                <TimeZonePicker
+                  value={editFormData.timeZone}
+                  onChange={handleInputChange}
+                />
+              </div>
               <div className="grid grid-cols-2 gap-x-2">
                 <Button
                   label={t("cancel")}
                   isOutline={true}
                   onClick={() => {
                     setShowEditModal(false);
-                    setEditFormData({ firstName: '', lastName: '', email: '', age: '', gender: '' });
+                    setEditFormData({ firstName: '', lastName: '', email: '', age: '', gender: '', timeZone: '' });
                   }}
                 />
                 <Button label={t("save")} type="submit" />
@@ -0,0 +1,206 @@
+// src/pages/dashboards/admin/AdminAuditLog.jsx
+// Who changed classes, levels, users and translations, and what changed.
+// Search by actor, entity, target and date range; newest entries first.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { getAuditLogs } from '@/wrappers/admin-wrapper';
+import Button from '@/components/Button/Button';
+import Alert from '@/components/Alert';
+import Pagination from "@/components/Pagination/Pagination.jsx";
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import Unauthorized from "@/pages/Unauthorized";
+
+const PAGE_SIZE = 50;
+const ENTITIES = ["class", "level", "user", "translation"];
+const EMPTY_FILTERS = { actor: "", entity: "", targetId: "", from: "", to: "" };
+
+const inputClassName = "py-2 px-3 border border-gray-400 rounded-sm bg-white";
+
+// Date inputs are whole local days; the API takes exact instants
+const searchParams = ({ actor, entity, targetId, from, to }) => ({
+  ...(actor.trim() ? { actor: actor.trim() } : {}),
+  ...(entity ? { entity } : {}),
+  ...(targetId.trim() ? { targetId: targetId.trim() } : {}),
+  ...(from ? { from: new Date(`${from}T00:00:00`).toISOString() } : {}),
+  ...(to ? { to: new Date(`${to}T23:59:59.999`).toISOString() } : {}),
+});
+
+const showValue = (value) => (value === null || value === undefined ? "—" : typeof value === "string" ? value : JSON.stringify(value));
+
+const AdminAuditLog = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS); // the filters `result` is for, used when paging
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  const showSkeleton = useDelayedSkeleton(loading && !result);
+
+  const search = async (nextFilters, page = 1) => {
+    setLoading(true);
+    try {
+      setResult(await getAuditLogs({ ...searchParams(nextFilters), page, limit: PAGE_SIZE }));
+      setApplied(nextFilters);
+    } catch (error) {
+      setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+      setTimeout(() => {
+        setAlertMessage("");
+      }, 4000);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+    if (user?.privilege === "admin") search(EMPTY_FILTERS);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user?._id]);
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  const setFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+
+  // History of one document
+  const showTarget = (entity, targetId) => {
+    const next = { ...EMPTY_FILTERS, entity, targetId };
+    setFilters(next);
+    search(next);
+  };
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      <div>
+        <h1 className="font-extrabold mb-2">Audit Log</h1>
+        <p>Changes to classes, levels, users and translations, and who made them</p>
+      </div>
+
+      <form
+        className="flex flex-wrap items-end gap-4"
+        onSubmit={(e) => {
+          e.preventDefault();
+          search(filters);
+        }}
+      >
+        <label className="flex flex-col gap-y-1">
+          <span className="text-gray-500">Changed by</span>
+          <input className={inputClassName} value={filters.actor} onChange={setFilter("actor")} placeholder="Name or email" />
+        </label>
+        <label className="flex flex-col gap-y-1">
+          <span className="text-gray-500">Entity</span>
+          <select className={inputClassName} value={filters.entity} onChange={setFilter("entity")}>
+            <option value="">All</option>
+            {ENTITIES.map(entity => <option key={entity} value={entity} className="capitalize">{entity}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-y-1">
+          <span className="text-gray-500">Target</span>
+          <input className={inputClassName} value={filters.targetId} onChange={setFilter("targetId")} placeholder="ID, or lng/ns/key" />
+        </label>
+        <label className="flex flex-col gap-y-1">
+          <span className="text-gray-500">From</span>
+          <input type="date" className={inputClassName} value={filters.from} onChange={setFilter("from")} />
+        </label>
+        <label className="flex flex-col gap-y-1">
+          <span className="text-gray-500">To</span>
+          <input type="date" className={inputClassName} value={filters.to} onChange={setFilter("to")} />
+        </label>
+        <Button type="submit" label="Search" isDisabled={loading} />
+        <Button
+          label="Clear"
+          isOutline
+          isDisabled={loading}
+          onClick={() => {
+            setFilters(EMPTY_FILTERS);
+            search(EMPTY_FILTERS);
+          }}
+        />
+      </form>
+
+      {result ? (
+        <section className="space-y-4">
+          <p className="text-gray-500">{result.total} {result.total === 1 ? "entry" : "entries"}</p>
+          <ul className="space-y-3">
+            {result.items.map(entry => (
+              <li key={entry._id} className="border border-gray-300 rounded-sm p-4 space-y-2">
+                <div className="flex flex-wrap items-baseline gap-x-3">
+                  <p className="font-extrabold">{entry.actor.name || "Unknown user"}</p>
+                  <p className="capitalize">{entry.action} {entry.entity}</p>
+                  {entry.targetId && (
+                    <button
+                      type="button"
+                      className="text-dark-blue-800 underline break-all"
+                      title="Show this target's history"
+                      onClick={() => showTarget(entry.entity, entry.targetId)}
+                    >
+                      {entry.targetId}
+                    </button>
+                  )}
+                  <p className="text-sm text-gray-500 ms-auto">{new Date(entry.createdAt).toLocaleString()}</p>
+                </div>
+                <p className="text-sm text-gray-500" dir="ltr">{entry.method} {entry.path}</p>
+                {entry.summary
+                  ? <pre className="bg-gray-50 border border-gray-300 p-3 overflow-x-auto text-sm whitespace-pre-wrap max-h-64">
+                    {JSON.stringify(entry.summary, null, 2)}
+                  </pre>
+                  : entry.changes.length > 0 && (
+                    <details>
+                      <summary className="cursor-pointer">
+                        {entry.changes.length} {entry.changes.length === 1 ? "field" : "fields"} changed
+                      </summary>
+                      <table className="w-full text-start text-sm mt-2">
+                        <thead>
+                          <tr className="text-gray-500">
+                            <th className="px-2 py-1 text-start font-normal">Field</th>
+                            <th className="px-2 py-1 text-start font-normal">Before</th>
+                            <th className="px-2 py-1 text-start font-normal">After</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {entry.changes.map(change => (
+                            <tr key={change.field} className="border-t border-gray-200 align-top">
+                              <td className="px-2 py-1">{change.field}</td>
+                              <td className="px-2 py-1 text-red-700 break-all">{showValue(change.before)}</td>
+                              <td className="px-2 py-1 text-green-700 break-all">{showValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </details>
+                  )}
+              </li>
+            ))}
+          </ul>
+          {result.items.length === 0 && <p className="text-gray-500">No changes match these filters</p>}
+          {result.total > 0 && (
+            <Pagination
+              page={result.page}
+              total={result.total}
+              limit={result.limit}
+              busy={loading}
+              onChange={(p) => {
+                if (p !== result.page) search(applied, p);
+              }}
+            />
+          )}
+        </section>
+      ) : showSkeleton && <Skeleton count={6} height={64} />}
+    </div>
+  );
+};
+
+export default AdminAuditLog;
@@ -1,22 +1,25 @@
-
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
-import { useLocation } from 'wouter';
+import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import SupplementaryClass from '@/components/Class/SupplementaryClass';
 import Button from '@/components/Button/Button';
-import { getConversations } from '@/wrappers/conversation-wrapper';
+import { getCourseType, getCourseClasses } from '@/wrappers/course-type-wrapper';
 import BackButton from "@/components/Button/BackButton";
 import Unauthorized from "@/pages/Unauthorized";
+import PageNotFound from "@/pages/PageNotFound";
 import SkeletonLevel from '@/components/Skeletons/SkeletonLevel';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 
-const AdminConversations = () => {
+const AdminCourseClasses = () => {
   const { user } = useContext(UserContext);
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
+  const { slug } = useParams();
   const [allowRender, setAllowRender] = useState(false);
-  const [conversationClasses, setConversationClasses] = useState([]);
+  const [isMissing, setIsMissing] = useState(false);
+  const [courseType, setCourseType] = useState(null);
+  const [courseClasses, setCourseClasses] = useState([]);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
   useEffect(() => {
@@ -24,18 +27,22 @@ const AdminConversations = () => {
       if (!isSignedIn) {
         setLocation("/login");
       } else {
-        fetchConversations();
+        fetchCourseClasses();
       }
     }
-  }, [isLoaded, isSignedIn, user]);
+  }, [isLoaded, isSignedIn, user, slug]);
 
-  const fetchConversations = async () => {
+  const fetchCourseClasses = async () => {
     try {
-      const data = await getConversations();
-      setConversationClasses(data);
+      const [type, classes] = await Promise.all([getCourseType(slug), getCourseClasses(slug)]);
+      setCourseType(type);
+      setCourseClasses(classes);
       setAllowRender(true);
     } catch (error) {
-      console.error("Failed to fetch conversation classes", error);
+      if (error.response?.status === 404) {
+        setIsMissing(true);
+      }
+      console.error("Failed to fetch course classes", error);
     }
   };
 
@@ -43,29 +50,37 @@ const AdminConversations = () => {
     return <Unauthorized />;
   }
 
+  if (isMissing) {
+    return <PageNotFound />;
+  }
+
   return (
     <div className="page-format max-w-[96rem] space-y-10">
       <BackButton label={"All Levels"} />
       <div className="flex justify-between items-end">
         <div>
-          <h1 className="font-extrabold mb-2">All Conversation Classes</h1>
-          <p>Browse, edit and delete conversation classes.</p>
+          <h1 className="font-extrabold mb-2">All {courseType?.name} Classes</h1>
+          <p>Browse, edit and delete {courseType?.name} classes.</p>
         </div>
-        <div>
+        <div className="flex gap-x-2">
+          <Button
+            label="Course Settings"
+            isOutline
+            onClick={() => setLocation(`/admin/levels/courses/${slug}/settings`)} />
           <Button
-            label="+ Add Conversation Class"
+            label={`+ Add ${courseType?.name ?? ""} Class`}
             isOutline
-            onClick={() => setLocation("/admin/levels/conversations/new")} />
+            onClick={() => setLocation(`/admin/levels/courses/${slug}/new`)} />
         </div>
       </div>
       <div className="grid auto-rows-fr grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {allowRender
-          ? conversationClasses.map((conversation) => (
+          ? courseClasses.map((cls) => (
             <SupplementaryClass
-              key={conversation._id}
-              cls={conversation}
+              key={cls._id}
+              cls={cls}
               modes={["edit"]}
-              editURL="/admin/levels/conversations"
+              editURL={`/admin/levels/courses/${slug}`}
             />
           ))
           : showSkeleton && <SkeletonLevel count={3} />}
@@ -74,4 +89,4 @@ const AdminConversations = () => {
   );
 };
 
-export default AdminConversations;
+export default AdminCourseClasses;
@@ -0,0 +1,360 @@
+// src/pages/dashboards/admin/AdminInquiries.jsx
+// Admin inbox for contact-form inquiries: filter, assign, keep notes and
+// reply by email. Also shows outgoing mail waiting in the retry queue.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation, Link } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { getInquiries, getInquiry, updateInquiry, replyToInquiry } from '@/wrappers/inquiry-wrapper';
+import { getMailQueue, retryMailQueue, retryQueuedMail } from '@/wrappers/admin-wrapper';
+import { getUsersPaginated } from '@/wrappers/user-wrapper';
+import Button from '@/components/Button/Button';
+import SearchBar from "@/components/SearchBar";
+import Alert from '@/components/Alert';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import Unauthorized from "@/pages/Unauthorized";
+import { toTitleCase } from '@/utils/formatters';
+
+const STATUSES = ["new", "replied", "closed"];
+const selectStyles = "py-2 px-3 border border-gray-400 rounded-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+const fullName = (person) => person ? `${toTitleCase(person.firstName)} ${toTitleCase(person.lastName)}` : "";
+
+// "sent", "queued for retry (2 attempt(s))", "failed: <error>"
+const deliveryLabel = (mail) => {
+  if (!mail) return "";
+  if (mail.status === "sent") return "sent";
+  if (mail.status === "queued") return `queued for retry (${mail.attempts} attempt(s))`;
+  return `failed: ${mail.lastError}`;
+};
+
+const AdminInquiries = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [inquiries, setInquiries] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [admins, setAdmins] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("new");
+  const [assigneeFilter, setAssigneeFilter] = useState("");
+  const [searchInput, setSearchInput] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState("");
+  const [reply, setReply] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [mailQueue, setMailQueue] = useState(null);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+  const showSkeleton = useDelayedSkeleton(!inquiries);
+
+  const showError = (error) => {
+    setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => {
+      setSuccessMessage("");
+    }, 4000);
+  };
+
+  useEffect(() => {
+    const id = setTimeout(() => setDebouncedSearch(searchInput), 350);
+    return () => clearTimeout(id);
+  }, [searchInput]);
+
+  const fetchInquiries = async () => {
+    try {
+      const data = await getInquiries({ status: statusFilter, assignee: assigneeFilter, q: debouncedSearch.trim() });
+      setInquiries(data.inquiries);
+      setCounts(data.counts);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const fetchMailQueue = async () => {
+    try {
+      setMailQueue(await getMailQueue());
+    } catch (error) {
+      console.error("Error fetching mail queue:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+    if (user?.privilege === "admin") {
+      getUsersPaginated({ privilege: "admin", limit: 200 })
+        .then(({ items }) => setAdmins(items || []))
+        .catch(error => console.error("Error fetching admins:", error));
+      fetchMailQueue();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user?._id]);
+
+  useEffect(() => {
+    if (user?.privilege === "admin") fetchInquiries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?._id, statusFilter, assigneeFilter, debouncedSearch]);
+
+  const openInquiry = async (inquiryId) => {
+    try {
+      const inquiry = await getInquiry(inquiryId);
+      setSelected(inquiry);
+      setNotes(inquiry.notes);
+      setReply("");
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleUpdate = async (updates, message) => {
+    try {
+      const inquiry = await updateInquiry(selected._id, updates);
+      setSelected(inquiry);
+      showSuccess(message);
+      fetchInquiries();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    try {
+      const result = await replyToInquiry(selected._id, reply);
+      setSelected(result.inquiry);
+      setReply("");
+      showSuccess(result.message);
+      fetchInquiries();
+      fetchMailQueue();
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleRetryQueue = async () => {
+    try {
+      const result = await retryMailQueue();
+      showSuccess(`Sent ${result.sent}, still queued ${result.queued}, failed ${result.failed}`);
+      fetchMailQueue();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleRetryMail = async (mailId) => {
+    try {
+      const result = await retryQueuedMail(mailId);
+      showSuccess(`Mail ${result.status}`);
+      fetchMailQueue();
+      if (selected) openInquiry(selected._id);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      {successMessage !== "" && <Alert message={successMessage} isSuccess={true} />}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="font-extrabold mb-2">Inquiries</h1>
+          <p>Messages sent through the contact form</p>
+        </div>
+        {mailQueue?.outbox && (
+          <Link href="/admin/outbox" className="underline">
+            View outbox ({mailQueue.transport} transport)
+          </Link>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {[...STATUSES, ""].map(status => (
+          <Button
+            key={status || "all"}
+            label={status ? `${toTitleCase(status)} (${counts[status] ?? 0})` : "All"}
+            isOutline={statusFilter !== status}
+            onClick={() => setStatusFilter(status)}
+          />
+        ))}
+      </div>
+
+      <div className="w-full flex flex-col sm:flex-row gap-4">
+        <SearchBar
+          input={searchInput}
+          setInput={setSearchInput}
+          placeholder={"Search by name, email, subject or message"}
+        />
+        <select className={selectStyles} value={assigneeFilter} onChange={(e) => setAssigneeFilter(e.target.value)}>
+          <option value="">Anyone</option>
+          <option value="none">Unassigned</option>
+          {admins.map(admin => (
+            <option key={admin._id} value={admin._id}>{fullName(admin)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid lg:grid-cols-[2fr_3fr] gap-8">
+        <ul className="space-y-2">
+          {inquiries
+            ? inquiries.length > 0
+              ? inquiries.map(inquiry => (
+                <li key={inquiry._id}>
+                  <button
+                    type="button"
+                    onClick={() => openInquiry(inquiry._id)}
+                    className={`w-full text-left border rounded-sm p-3 ${selected?._id === inquiry._id ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+                  >
+                    <div className="flex justify-between gap-x-4">
+                      <p className="font-extrabold truncate">{inquiry.subject}</p>
+                      <p className="text-sm text-gray-500 whitespace-nowrap">{new Date(inquiry.createdAt).toLocaleDateString()}</p>
+                    </div>
+                    <p className="truncate">{inquiry.name} ({inquiry.email})</p>
+                    <p className="text-sm text-gray-500">
+                      {toTitleCase(inquiry.status)}{inquiry.assignee ? ` · ${fullName(inquiry.assignee)}` : ""}
+                    </p>
+                  </button>
+                </li>
+              ))
+              : <p className="text-gray-500">No inquiries found</p>
+            : showSkeleton && <Skeleton count={4} height={64} />}
+        </ul>
+
+        {selected ? (
+          <div className="space-y-6">
+            <div className="space-y-1">
+              <h2 className="font-extrabold">{selected.subject}</h2>
+              <p>{selected.name} (<a className="underline" href={`mailto:${selected.email}`}>{selected.email}</a>)</p>
+              <p className="text-sm text-gray-500">
+                Received {new Date(selected.createdAt).toLocaleString()}
+                {selected.notification && ` · admin notification ${deliveryLabel(selected.notification)}`}
+              </p>
+            </div>
+            <p className="whitespace-pre-wrap border-l-4 border-gray-300 pl-4">{selected.message}</p>
+
+            <div className="flex flex-wrap gap-4">
+              <label className="flex flex-col gap-y-1">
+                Status
+                <select
+                  className={selectStyles}
+                  value={selected.status}
+                  onChange={(e) => handleUpdate({ status: e.target.value }, "Status updated")}
+                >
+                  {STATUSES.map(status => <option key={status} value={status}>{toTitleCase(status)}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-y-1">
+                Assignee
+                <select
+                  className={selectStyles}
+                  value={selected.assignee?._id ?? ""}
+                  onChange={(e) => handleUpdate({ assignee: e.target.value }, "Assignee updated")}
+                >
+                  <option value="">Unassigned</option>
+                  {admins.map(admin => (
+                    <option key={admin._id} value={admin._id}>{fullName(admin)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="inquiry-notes">Internal notes</label>
+              <textarea
+                id="inquiry-notes"
+                className="w-full min-h-24 p-3 border border-gray-400 rounded-sm"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+              <Button
+                label="Save notes"
+                isOutline
+                isDisabled={notes === selected.notes}
+                onClick={() => handleUpdate({ notes }, "Notes saved")}
+              />
+            </div>
+
+            {selected.replies.length > 0 && (
+              <div className="space-y-3">
+                <h3 className="font-extrabold">Replies</h3>
+                {selected.replies.map(sent => (
+                  <div key={sent._id} className="border border-gray-300 rounded-sm p-3 space-y-1">
+                    <p className="text-sm text-gray-500">
+                      {sent.sentByName || "Admin"} · {new Date(sent.createdAt).toLocaleString()} · {deliveryLabel(sent.mail)}
+                    </p>
+                    <p className="whitespace-pre-wrap">{sent.message}</p>
+                    {sent.mail && sent.mail.status !== "sent" && (
+                      <button type="button" className="underline text-sm" onClick={() => handleRetryMail(sent.mail._id)}>
+                        Retry now
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form onSubmit={handleReply} className="space-y-2">
+              <label htmlFor="inquiry-reply">Reply to {selected.email}</label>
+              <textarea
+                id="inquiry-reply"
+                className="w-full min-h-32 p-3 border border-gray-400 rounded-sm"
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                required
+              />
+              <Button type="submit" label={isSending ? "Sending..." : "Send reply"} isDisabled={isSending || !reply.trim()} />
+            </form>
+          </div>
+        ) : inquiries && <p className="text-gray-500">Select an inquiry to read it</p>}
+      </div>
+
+      {mailQueue && (mailQueue.queued > 0 || mailQueue.failed > 0) && (
+        <section className="space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h2 className="font-extrabold">Unsent mail</h2>
+              <p>{mailQueue.queued} queued for retry, {mailQueue.failed} failed</p>
+            </div>
+            <Button label="Retry due mail" isOutline onClick={handleRetryQueue} />
+          </div>
+          <ul className="space-y-2">
+            {mailQueue.messages.map(mail => (
+              <li key={mail._id} className="flex flex-wrap items-center justify-between gap-4 border border-gray-300 rounded-sm p-3">
+                <div>
+                  <p className="font-extrabold">{mail.subject}</p>
+                  <p className="text-sm text-gray-500">
+                    To {mail.to} · {deliveryLabel(mail)}
+                    {mail.status === "queued" && ` · next attempt ${new Date(mail.nextAttemptAt).toLocaleString()}`}
+                  </p>
+                </div>
+                <button type="button" className="underline" onClick={() => handleRetryMail(mail._id)}>Retry now</button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default AdminInquiries;
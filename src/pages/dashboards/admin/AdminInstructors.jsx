@@ -5,6 +5,7 @@ import { useContext, useEffect, useMemo, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
+import { useTranslation } from "react-i18next";
 import { getUsersPaginated } from '@/wrappers/user-wrapper.js';
 import { IoPersonOutline } from "react-icons/io5";
 import UserItem from '@/components/UserItem';
@@ -14,11 +15,13 @@ import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import Unauthorized from "@/pages/Unauthorized";
+import { formatCount } from '@/utils/formatters';
 
 const PAGE_SIZE = 24;
 
 const AdminInstructors = () => {
   const { user } = useContext(UserContext);
+  const { t } = useTranslation();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
 
@@ -87,7 +90,9 @@ const AdminInstructors = () => {
       <div className="text-indigo-900 inline-flex items-center gap-x-2">
         <IoPersonOutline />
         <p className="flex">
-          {allowRender ? `${total} instructor(s)` : showSkeleton && <Skeleton width={"6rem"} />}
+          {allowRender
+            ? formatCount(t, 'instructor_count', total, { one: "{{count, number}} instructor", other: "{{count, number}} instructors" })
+            : showSkeleton && <Skeleton width={"6rem"} />}
         </p>
       </div>
 
@@ -0,0 +1,144 @@
+// src/pages/dashboards/admin/AdminIntegrity.jsx
+// Admin-only view of the enrollment integrity report, with a one-click repair.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation, Link } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { getEnrollmentIntegrity, repairEnrollmentIntegrity } from '@/wrappers/admin-wrapper';
+import Button from '@/components/Button/Button';
+import Alert from '@/components/Alert';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import Unauthorized from "@/pages/Unauthorized";
+
+const ISSUE_LABELS = {
+  missingClass: "Student lists a deleted class",
+  missingUser: "Class lists a deleted user",
+  userOnlyLink: "Student lists class, missing from roster",
+  rosterOnlyLink: "On roster, class missing from student",
+  enrolledAndWaitlisted: "Enrolled and still waitlisted",
+};
+
+const AdminIntegrity = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [report, setReport] = useState(null);
+  const [showJson, setShowJson] = useState(false);
+  const [isRepairing, setIsRepairing] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+  const showSkeleton = useDelayedSkeleton(!report);
+
+  const fetchReport = async () => {
+    try {
+      setReport(await getEnrollmentIntegrity());
+    } catch (error) {
+      setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+      setTimeout(() => {
+        setAlertMessage("");
+      }, 4000);
+    }
+  };
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+    if (user?.privilege === "admin") fetchReport();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user?._id]);
+
+  const handleRepair = async () => {
+    setIsRepairing(true);
+    try {
+      const result = await repairEnrollmentIntegrity();
+      setSuccessMessage(`Repaired ${result.summary.total} issue(s)`);
+      setTimeout(() => {
+        setSuccessMessage("");
+      }, 4000);
+      await fetchReport();
+    } catch (error) {
+      setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+      setTimeout(() => {
+        setAlertMessage("");
+      }, 4000);
+    } finally {
+      setIsRepairing(false);
+    }
+  };
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      {successMessage !== "" && <Alert message={successMessage} isSuccess={true} />}
+      <div>
+        <h1 className="font-extrabold mb-2">Enrollment Integrity</h1>
+        <p>Checks that class rosters and students&apos; enrolled classes agree</p>
+      </div>
+
+      {report ? <>
+        <div className="space-y-1">
+          <p>Scanned {report.scanned.users} user(s) and {report.scanned.classes} class(es)</p>
+          <p className="text-gray-500">Last checked {new Date(report.checkedAt).toLocaleString()}</p>
+        </div>
+
+        <div className="grid md:grid-cols-3 gap-3">
+          {Object.entries(ISSUE_LABELS).map(([kind, label]) => (
+            <div key={kind} className="border border-gray-300 rounded-sm p-4">
+              <p className="text-2xl font-extrabold">{report.summary[kind]}</p>
+              <p>{label}</p>
+            </div>
+          ))}
+        </div>
+
+        {report.summary.total > 0
+          ? <div className="space-y-6">
+            {Object.entries(ISSUE_LABELS)
+              .filter(([kind]) => report.issues[kind].length > 0)
+              .map(([kind, label]) => (
+                <div key={kind} className="space-y-2">
+                  <h3 className="font-extrabold">{label}</h3>
+                  <ul className="space-y-1">
+                    {report.issues[kind].map((issue, index) => (
+                      <li key={index} className="flex flex-wrap gap-x-4">
+                        <Link href={`/admin/user/${issue.userId}`} className="underline">User {issue.userId}</Link>
+                        <Link href={`/admin/levels/class/${issue.classId}`} className="underline">Class {issue.classId}</Link>
+                        {issue.list && <span className="text-gray-500">({issue.list})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            <Button
+              label={isRepairing ? "Repairing..." : `Repair ${report.summary.total} issue(s)`}
+              onClick={handleRepair}
+              isDisabled={isRepairing}
+            />
+          </div>
+          : <p className="text-green-700">No issues found</p>}
+
+        <div className="space-y-2">
+          <button type="button" className="underline" onClick={() => setShowJson(prev => !prev)}>
+            {showJson ? "Hide JSON" : "Show JSON"}
+          </button>
+          {showJson && (
+            <pre className="bg-gray-50 border border-gray-300 p-4 overflow-x-auto text-sm">
+              {JSON.stringify(report, null, 2)}
+            </pre>
+          )}
+        </div>
+      </> : showSkeleton && <Skeleton count={4} />}
+    </div>
+  );
+};
+
+export default AdminIntegrity;
@@ -7,6 +7,7 @@ import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import { getLevels } from '@/wrappers/level-wrapper';
+import { getCourseTypes } from '@/wrappers/course-type-wrapper';
 import Unauthorized from "@/pages/Unauthorized";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 
@@ -15,14 +16,16 @@ const AdminLevels = () => {
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [levels, setLevels] = useState([]);
+  const [courseTypes, setCourseTypes] = useState([]);
   const [allowRender, setAllowRender] = useState(false);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
   useEffect(() => {
     const fetchLevels = async () => {
       if (user) {
-        const levels = await getLevels();
+        const [levels, courseTypes] = await Promise.all([getLevels(), getCourseTypes()]);
         setLevels(levels);
+        setCourseTypes(courseTypes);
         setAllowRender(true);
       }
     };
@@ -45,9 +48,13 @@ const AdminLevels = () => {
       <div className="flex justify-between items-end">
         <div>
           <h1 className="font-extrabold mb-2">All Levels</h1>
-          <p>Browse, add, and delete levels.</p>
+          <p>Browse, add, and delete levels and course types.</p>
         </div>
-        <div>
+        <div className="flex gap-x-2">
+          <Button
+            label="+ Add Course Type"
+            isOutline
+            onClick={() => setLocation("/admin/levels/courses/new")} />
           <Button
             label="+ Add Level"
             isOutline
@@ -73,30 +80,20 @@ const AdminLevels = () => {
                   </div>
                 </Link>
               ))}
-            <Link href="/admin/levels/conversations">
-              <div className="rounded-lg">
-                <Level
-                  level={{
-                    level: "conversation",
-                    name: "",
-                  }}
-                  isSimplified
-                  isArrowRight
-                />
-              </div>
-            </Link>
-            <Link href="/admin/levels/ielts">
-              <div className="rounded-lg">
-                <Level
-                  level={{
-                    level: "ielts",
-                    name: "",
-                  }}
-                  isSimplified
-                  isArrowRight
-                />
-              </div>
-            </Link>
+            {courseTypes.map((courseType) => (
+              <Link key={courseType.slug} href={`/admin/levels/courses/${courseType.slug}`}>
+                <div className="rounded-lg">
+                  <Level
+                    level={{
+                      level: courseType.slug,
+                      name: "",
+                    }}
+                    isSimplified
+                    isArrowRight
+                  />
+                </div>
+              </Link>
+            ))}
           </>
         ) : showSkeleton && (
           <SkeletonLevel count={6} isSimplified isArrowRight />
@@ -0,0 +1,148 @@
+// src/pages/dashboards/admin/AdminOutbox.jsx
+// Dev view of mail captured by the file/memory transports, so email flows
+// can be checked without sending anything.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { getOutbox, getOutboxMessage, clearOutbox } from '@/wrappers/admin-wrapper';
+import Button from '@/components/Button/Button';
+import Alert from '@/components/Alert';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import Unauthorized from "@/pages/Unauthorized";
+
+const VIEWS = ["html", "text", "raw"];
+
+const AdminOutbox = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [outbox, setOutbox] = useState(null);
+  const [unavailable, setUnavailable] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [view, setView] = useState("html");
+  const [alertMessage, setAlertMessage] = useState("");
+  const showSkeleton = useDelayedSkeleton(!outbox && !unavailable);
+
+  const showError = (error) => {
+    setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const fetchOutbox = async () => {
+    try {
+      setOutbox(await getOutbox());
+    } catch (error) {
+      if (error.response?.status === 404) setUnavailable(error.response.data.message);
+      else showError(error);
+    }
+  };
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+    if (user?.privilege === "admin") fetchOutbox();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user?._id]);
+
+  const openMessage = async (messageId) => {
+    try {
+      setSelected(await getOutboxMessage(messageId));
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearOutbox();
+      setSelected(null);
+      await fetchOutbox();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="font-extrabold mb-2">Outbox</h1>
+          <p>Mail captured by the {outbox ? `"${outbox.transport}"` : "local"} transport instead of being sent</p>
+        </div>
+        {outbox?.messages.length > 0 && <Button label="Clear outbox" isOutline onClick={handleClear} />}
+      </div>
+
+      {unavailable
+        ? <p className="text-gray-500">{unavailable}. Set MAIL_TRANSPORT to &quot;file&quot; or &quot;memory&quot; to capture mail here.</p>
+        : outbox
+          ? <div className="grid lg:grid-cols-[2fr_3fr] gap-8">
+            <ul className="space-y-2">
+              {outbox.messages.length > 0
+                ? outbox.messages.map(message => (
+                  <li key={message.id}>
+                    <button
+                      type="button"
+                      onClick={() => openMessage(message.id)}
+                      className={`w-full text-left border rounded-sm p-3 ${selected?.id === message.id ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+                    >
+                      <p className="font-extrabold truncate">{message.subject}</p>
+                      <p className="truncate">To {message.to}</p>
+                      <p className="text-sm text-gray-500">{new Date(message.date).toLocaleString()}</p>
+                    </button>
+                  </li>
+                ))
+                : <p className="text-gray-500">No mail captured yet</p>}
+            </ul>
+
+            {selected && (
+              <div className="space-y-4">
+                <div className="space-y-1">
+                  <h2 className="font-extrabold">{selected.subject}</h2>
+                  <p>From {selected.from}</p>
+                  <p>To {selected.to}</p>
+                  {selected.replyTo && <p>Reply-To {selected.replyTo}</p>}
+                </div>
+                <div className="flex gap-2">
+                  {VIEWS.map(option => (
+                    <Button
+                      key={option}
+                      label={option.toUpperCase()}
+                      isOutline={view !== option}
+                      isDisabled={option !== "raw" && !selected[option]}
+                      onClick={() => setView(option)}
+                    />
+                  ))}
+                </div>
+                {view === "html" && selected.html
+                  ? <iframe
+                    title="Message preview"
+                    sandbox=""
+                    srcDoc={selected.html}
+                    className="w-full min-h-[32rem] border border-gray-300 rounded-sm"
+                  />
+                  : <pre className="bg-gray-50 border border-gray-300 p-4 overflow-x-auto text-sm whitespace-pre-wrap">
+                    {view === "text" ? selected.text : selected.raw}
+                  </pre>}
+              </div>
+            )}
+          </div>
+          : showSkeleton && <Skeleton count={4} height={64} />}
+    </div>
+  );
+};
+
+export default AdminOutbox;
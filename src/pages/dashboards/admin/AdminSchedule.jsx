@@ -2,6 +2,7 @@ import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useAuth } from '@clerk/clerk-react';
 import { useLocation } from 'wouter';
+import { useTranslation } from "react-i18next";
 import { getAllClasses } from '@/wrappers/class-wrapper';
 import Dropdown from '@/components/Dropdown/Dropdown';
 import Schedule from '@/components/Schedule';
@@ -17,8 +18,10 @@ const AdminSchedule = () => {
   const [currFilters, setCurrFilters] = useState([]);
   const [allowRender, setAllowRender] = useState(false);
   const showSkeleton = useDelayedSkeleton(!allowRender);
+  const { t } = useTranslation();
 
-  const levels = [...new Set(classes.map(obj => obj.level))];
+  // core levels by number, course types by slug
+  const levels = [...new Set(classes.map(obj => obj.courseType ?? obj.level))];
 
   useEffect(() => {
     if (isLoaded) {
@@ -68,7 +71,7 @@ const AdminSchedule = () => {
               hover:bg-gray-50`}
               onClick={() => handleAddFilter(level)}
             >
-              {level === "ielts" ? "IELTS" : level === "conversation" ? "Conversation" : `Level ${level}`}
+              {typeof level === "number" ? `Level ${level}` : t(`course_${level}`, { ns: "levels" })}
             </button>
           ))}
         </Dropdown>
@@ -0,0 +1,253 @@
+// src/pages/dashboards/admin/AdminStudentImport.jsx
+// Bulk student import: upload a spreadsheet, review every row, then create the
+// accounts and enrollments and download a per-row report. The import runs a
+// few rows per request; if one fails it can be resumed where it stopped.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { previewStudentImport, startStudentImport, continueStudentImport, downloadStudentImportReport } from '@/wrappers/user-wrapper';
+import BackButton from "@/components/Button/BackButton";
+import Button from '@/components/Button/Button';
+import Alert from '@/components/Alert';
+import Unauthorized from "@/pages/Unauthorized";
+
+const RESULT_STYLES = {
+  pending: "text-gray-500",
+  processing: "text-gray-500",
+  created: "text-green-700",
+  skipped: "text-gray-500",
+  failed: "text-red-700",
+};
+
+const UNFINISHED = ["pending", "processing"];
+// Wait before asking again when a row is still held by a cut-off request
+const RETRY_DELAY_MS = 5000;
+
+const finishedRows = (job) => job.rows.filter(row => !UNFINISHED.includes(row.result)).length;
+
+const formatFromFilename = (filename) => {
+  const extension = filename.split(".").pop().toLowerCase();
+  return ["csv", "xlsx"].includes(extension) ? extension : "";
+};
+
+// CSV goes up as text, XLSX as base64
+const readImportFile = async (file, format) => {
+  if (format === "csv") return file.text();
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const AdminStudentImport = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [job, setJob] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+
+  useEffect(() => {
+    if (isLoaded && !isSignedIn) setLocation("/login");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  const showError = (error) => {
+    setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const importData = async () => {
+    const format = formatFromFilename(file.name);
+    return { format, content: await readImportFile(file, format), fileName: file.name };
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] ?? null);
+    setPreview(null);
+    setJob(null);
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!formatFromFilename(file.name)) {
+      showError(new Error("Choose a .csv or .xlsx file"));
+      return;
+    }
+    setIsWorking(true);
+    try {
+      setPreview(await previewStudentImport(await importData()));
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Continue the import until every row has a result
+  const runImport = async (started) => {
+    setIsWorking(true);
+    try {
+      let current = started;
+      while (current.status !== "done") {
+        const finished = finishedRows(current);
+        current = await continueStudentImport(current._id);
+        setJob(current);
+        if (current.status !== "done" && finishedRows(current) === finished) {
+          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+        }
+      }
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    let started;
+    try {
+      started = await startStudentImport(await importData());
+      setJob(started);
+      setPreview(null);
+    } catch (error) {
+      showError(error);
+      setIsWorking(false);
+      return;
+    }
+    await runImport(started);
+  };
+
+  const handleReport = async (format) => {
+    try {
+      await downloadStudentImportReport(job._id, format);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const counts = job && job.rows.reduce((acc, row) => ({ ...acc, [row.result]: (acc[row.result] ?? 0) + 1 }), {});
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      <BackButton label="All Students" />
+      <div>
+        <h1 className="font-extrabold mb-2">Import Students</h1>
+        <p>Create student accounts from a spreadsheet</p>
+      </div>
+
+      <form onSubmit={handlePreview} className="space-y-3">
+        <div className="text-gray-500 space-y-1">
+          <p>
+            The first row names the columns: <b>First Name</b> and <b>Last Name</b> (or one <b>Name</b> column),
+            {" "}<b>Email</b>, and optionally <b>WhatsApp</b> (with the country code, e.g. +90 555 123 4567) and <b>Classes</b>.
+          </p>
+          <p>
+            List classes separated by &quot;;&quot; as level or course, age group and, if needed, the instructor,
+            e.g. &quot;2 kids Ali; conversation adults&quot;.
+            Students set their password with &quot;Forgot password&quot; the first time they sign in.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-4">
+          <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} required />
+          <Button type="submit" label="Check file" isOutline isDisabled={isWorking || !file} />
+        </div>
+      </form>
+
+      {preview && (
+        <section className="space-y-4">
+          <p>
+            {preview.summary.valid} of {preview.summary.total} students are ready to import.
+            {preview.summary.invalid > 0 && ` ${preview.summary.invalid} row(s) with problems will be skipped.`}
+          </p>
+          <ImportTable
+            rows={preview.rows}
+            status={row => row.errors.length
+              ? <ul className="text-red-700">{row.errors.map(error => <li key={error}>{error}</li>)}</ul>
+              : <ul className="text-green-700">
+                <li>Ready</li>
+                {row.warnings.map(warning => <li key={warning} className="text-amber-700">{warning}</li>)}
+              </ul>}
+          />
+          <div className="flex gap-x-2">
+            <Button
+              label={isWorking ? "Importing..." : `Import ${preview.summary.valid} students`}
+              onClick={handleImport}
+              isDisabled={isWorking || preview.summary.valid === 0}
+            />
+            <Button label="Cancel" isOutline onClick={() => setPreview(null)} />
+          </div>
+        </section>
+      )}
+
+      {job && (
+        <section className="space-y-4">
+          {job.status === "done"
+            ? <p>Import finished: {counts.created ?? 0} created, {counts.skipped ?? 0} skipped, {counts.failed ?? 0} failed.</p>
+            : <p>
+              {isWorking ? "Importing..." : "Import stopped."} {finishedRows(job)} of {job.rows.length} rows done.
+              {!isWorking && " Resume it to import the rest; rows already imported aren't repeated."}
+            </p>}
+          <div className="flex gap-x-2">
+            {job.status !== "done" && (
+              <Button label={isWorking ? "Importing..." : "Resume import"} onClick={() => runImport(job)} isDisabled={isWorking} />
+            )}
+            <Button label="Download report (.xlsx)" onClick={() => handleReport("xlsx")} />
+            <Button label="Download report (.csv)" isOutline onClick={() => handleReport("csv")} />
+          </div>
+          <ImportTable
+            rows={job.rows}
+            status={row => (
+              <ul className={RESULT_STYLES[row.result]}>
+                <li className="capitalize">{row.result}</li>
+                {row.messages.map(message => <li key={message} className="text-gray-700">{message}</li>)}
+              </ul>
+            )}
+          />
+        </section>
+      )}
+    </div>
+  );
+};
+
+const ImportTable = ({ rows, status }) => (
+  <div className="overflow-x-auto max-h-[60vh] overflow-y-auto border border-gray-300 rounded-sm">
+    <table className="w-full text-start">
+      <thead className="bg-gray-50 sticky top-0">
+        <tr>
+          {["Row", "Name", "Email", "WhatsApp", "Classes", "Status"].map(header => (
+            <th key={header} className="px-3 py-2 text-start font-normal text-gray-500">{header}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.row} className="border-t border-gray-200 align-top">
+            <td className="px-3 py-2 text-gray-500">{row.row}</td>
+            <td className="px-3 py-2">{row.firstName} {row.lastName}</td>
+            <td className="px-3 py-2">{row.email}</td>
+            <td className="px-3 py-2" dir="ltr">{row.whatsapp}</td>
+            <td className="px-3 py-2">{row.classes.join("; ")}</td>
+            <td className="px-3 py-2">{status(row)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default AdminStudentImport;
@@ -5,21 +5,24 @@ import { useContext, useEffect, useMemo, useState } from "react";
 import { UserContext } from "@/contexts/UserContext.jsx";
 import { useLocation, Link } from "wouter";
 import { useAuth } from "@clerk/clerk-react";
+import { useTranslation } from "react-i18next";
 import { IoPersonOutline } from "react-icons/io5";
 import { getLevels } from "@/wrappers/level-wrapper";
-import { getStudentsForExport, getStudentsWithClasses } from "@/wrappers/user-wrapper.js";
+import { getCourseTypes } from "@/wrappers/course-type-wrapper";
+import { getStudentsWithClasses } from "@/wrappers/user-wrapper.js";
 import Unauthorized from "@/pages/Unauthorized";
 import Dropdown from "@/components/Dropdown/Dropdown";
 import Button from "@/components/Button/Button";
+import ExportStudentsButton from "@/components/Button/ExportStudentsButton";
 import SearchBar from "@/components/SearchBar";
 import UserItem from "@/components/UserItem";
+import StudentBulkActions from "@/components/StudentBulkActions";
 import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import Skeleton from "react-loading-skeleton";
 import "react-loading-skeleton/dist/skeleton.css";
 import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
-import ExcelExport from "export-xlsx";
-import { SETTINGS_FOR_EXPORT } from "@/assets/excel_export_settings";
 import Pagination from "@/components/Pagination/Pagination.jsx";
+import { formatCount } from "@/utils/formatters";
 
 const PAGE_SIZE = 100; // capped by backend at 200
 
@@ -39,6 +42,7 @@ function normalizeLevelValue(lv) {
 
 const AdminStudents = () => {
   const { user } = useContext(UserContext);
+  const { t } = useTranslation();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
 
@@ -47,11 +51,13 @@ const AdminStudents = () => {
   const [students, setStudents] = useState([]); // current page items from API
   const [total, setTotal] = useState(0);        // total rows matching filters (server)
   const [levels, setLevels] = useState([]);
+  const [courseTypes, setCourseTypes] = useState([]);
   const [page, setPage] = useState(1);
-  const [currFilter, setCurrFilter] = useState(null); // number | "conversation" | "ielts" | null
+  const [currFilter, setCurrFilter] = useState(null); // level number | course type slug | null
   const [searchInput, setSearchInput] = useState("");
   const [debouncedSearch, setDebouncedSearch] = useState("");
   const [allowRender, setAllowRender] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set()); // kept across pages and filters
   const showSkeleton = useDelayedSkeleton(loading);
 
   // Debounce search to avoid API spam
@@ -76,7 +82,10 @@ const AdminStudents = () => {
   }, [levels]);
 
   // Derived label for header counter
-  const headerCount = useMemo(() => `${total} student(s)`, [total]);
+  const headerCount = useMemo(
+    () => formatCount(t, "student_count", total, { one: "{{count, number}} student", other: "{{count, number}} students" }),
+    [t, total]
+  );
 
   // Redirect if not signed in; else load first page
   useEffect(() => {
@@ -90,8 +99,9 @@ const AdminStudents = () => {
     (async () => {
       try {
         setLoading(true);
-        const lvls = await getLevels();
+        const [lvls, types] = await Promise.all([getLevels(), getCourseTypes()]);
         setLevels(lvls || []);
+        setCourseTypes(types || []);
         await loadPage(1);
         setAllowRender(true);
       } catch (err) {
@@ -136,22 +146,35 @@ const AdminStudents = () => {
     }
   }
 
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const isPageSelected = students.length > 0 && students.every(u => selectedIds.has(u._id));
+  const togglePage = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      students.forEach(u => (isPageSelected ? next.delete(u._id) : next.add(u._id)));
+      return next;
+    });
+  };
+
+  // Students the action failed for stay selected so it can be retried
+  const handleBulkDone = ({ results }) => {
+    setSelectedIds(new Set(results.filter(r => !r.ok).map(r => r.id)));
+    loadPage(page);
+  };
+
   // Guard: only admins can view this page
   if (user && user.privilege !== "admin") {
     return <Unauthorized />;
   }
 
-  // Export as Excel (server returns pre-shaped export data)
-  const handleExportStudents = async () => {
-    try {
-      const data = await getStudentsForExport();
-      const excelExport = new ExcelExport();
-      excelExport.downloadExcel(SETTINGS_FOR_EXPORT, [data]);
-    } catch (error) {
-      console.error("Error exporting students:", error);
-    }
-  };
-
   return (
     <div className="page-format max-w-[96rem] space-y-10">
       <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
@@ -159,7 +182,10 @@ const AdminStudents = () => {
           <h1 className="font-extrabold mb-2">Students</h1>
           <p>List of all students enrolled in Dillar Classes</p>
         </div>
-        <Button label={"Export Students"} onClick={handleExportStudents} />
+        <div className="flex gap-x-2">
+          <Button label={"Import Students"} isOutline onClick={() => setLocation("/admin/students/import")} />
+          <ExportStudentsButton level={currFilter} q={debouncedSearch.trim()} />
+        </div>
       </div>
 
       <div className="w-full inline-flex gap-x-4">
@@ -208,42 +234,57 @@ const AdminStudents = () => {
           })}
 
           {/* Supplemental classes */}
-          <button
-            key="conversation"
-            className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
-              currFilter === "conversation" ? "text-blue-500 bg-gray-50" : "text-gray-700"
-            }`}
-            onClick={() => setCurrFilter("conversation")}
-          >
-            Conversation
-          </button>
-          <button
-            key="ielts"
-            className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
-              currFilter === "ielts" ? "text-blue-500 bg-gray-50" : "text-gray-700"
-            }`}
-            onClick={() => setCurrFilter("ielts")}
-          >
-            IELTS
-          </button>
+          {courseTypes.map((type) => (
+            <button
+              key={`course-${type.slug}`}
+              className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
+                currFilter === type.slug ? "text-blue-500 bg-gray-50" : "text-gray-700"
+              }`}
+              onClick={() => setCurrFilter(type.slug)}
+            >
+              {type.name}
+            </button>
+          ))}
         </Dropdown>
       </div>
 
-      <div className="text-indigo-900 inline-flex items-center gap-x-2">
-        <IoPersonOutline />
-        <p className="flex">
-          {allowRender ? headerCount : showSkeleton && <Skeleton width={"6rem"} />}
-        </p>
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+        <div className="text-indigo-900 inline-flex items-center gap-x-2">
+          <IoPersonOutline />
+          <p className="flex">
+            {allowRender ? headerCount : showSkeleton && <Skeleton width={"6rem"} />}
+          </p>
+        </div>
+        {allowRender && students.length > 0 && (
+          <label className="inline-flex items-center gap-x-2 text-gray-700">
+            <input type="checkbox" checked={isPageSelected} onChange={togglePage} />
+            Select all on this page
+          </label>
+        )}
       </div>
 
+      <StudentBulkActions
+        selectedIds={[...selectedIds]}
+        onClear={() => setSelectedIds(new Set())}
+        onDone={handleBulkDone}
+      />
+
       <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-x-14 gap-y-3">
         {!allowRender || loading ? (
           <SkeletonUser count={12} />
         ) : (
           students.map((u) => (
-            <Link key={u._id} to={`/admin/user/${encodeURIComponent(u._id)}`}>
-              <UserItem key={u._id} privilege="admin" userData={u} isShowClass />
-            </Link>
+            <div key={u._id} className="flex items-center gap-x-2">
+              <input
+                type="checkbox"
+                aria-label={`Select ${u.firstName} ${u.lastName}`}
+                checked={selectedIds.has(u._id)}
+                onChange={() => toggleSelected(u._id)}
+              />
+              <Link to={`/admin/user/${encodeURIComponent(u._id)}`} className="flex-1 min-w-0">
+                <UserItem privilege="admin" userData={u} isShowClass />
+              </Link>
+            </div>
           ))
         )}
       </div>
@@ -0,0 +1,116 @@
+// src/pages/dashboards/admin/AdminTranslationReport.jsx
+// Per namespace and language: keys English has that the language lacks,
+// keys only the language has, and translations made from an older English text.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { getTranslationReport } from '@/wrappers/translation-wrapper';
+import BackButton from "@/components/Button/BackButton";
+import Alert from '@/components/Alert';
+import TranslationCompleteness from '@/components/Translation/TranslationCompleteness';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import Unauthorized from "@/pages/Unauthorized";
+
+const LANGUAGE_NAMES = { tr: "Turkish", ru: "Russian", ug: "Uyghur", zh: "Chinese" };
+
+const AdminTranslationReport = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [report, setReport] = useState(null);
+  const [alertMessage, setAlertMessage] = useState("");
+  const showSkeleton = useDelayedSkeleton(!report);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+    if (user?.privilege === "admin") {
+      getTranslationReport()
+        .then(setReport)
+        .catch(error => {
+          setAlertMessage(`Error: ${error.response?.data?.message ?? error.message}`);
+          setTimeout(() => {
+            setAlertMessage("");
+          }, 4000);
+        });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user?._id]);
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      <BackButton label="All Translations" />
+      <div>
+        <h1 className="font-extrabold mb-2">Translation Report</h1>
+        <p>Compared against English, the source language</p>
+      </div>
+
+      {report ? <>
+        <TranslationCompleteness languages={report.languages} />
+        {report.namespaces.map(namespace => (
+          <section key={namespace.ns} className="space-y-4">
+            <h2 className="font-extrabold">
+              {namespace.ns} <span className="font-normal text-gray-500">({namespace.sourceKeys} English keys)</span>
+            </h2>
+            <div className="grid md:grid-cols-2 gap-4">
+              {Object.entries(namespace.languages).map(([lng, result]) => (
+                <div key={lng} className="border border-gray-300 rounded-sm p-4 space-y-2">
+                  <div className="flex justify-between">
+                    <p className="font-extrabold">{LANGUAGE_NAMES[lng] ?? lng}</p>
+                    <p>{result.completeness}%</p>
+                  </div>
+                  {result.missing.length + result.stale.length + result.extra.length === 0
+                    ? <p className="text-green-700">Up to date</p>
+                    : <>
+                      <KeyList title="Missing" keys={result.missing} />
+                      <KeyList
+                        title="Outdated (English changed since)"
+                        keys={result.stale.map(stale => stale.key)}
+                        describe={(key) => {
+                          const stale = result.stale.find(item => item.key === key);
+                          return `English: ${stale.source}\nCurrent: ${stale.value}`;
+                        }}
+                      />
+                      <KeyList title="Extra (not in English)" keys={result.extra} />
+                    </>}
+                </div>
+              ))}
+            </div>
+          </section>
+        ))}
+        <p className="text-gray-500">Generated {new Date(report.generatedAt).toLocaleString()}</p>
+      </> : showSkeleton && <Skeleton count={6} />}
+    </div>
+  );
+};
+
+const KeyList = ({ title, keys, describe }) => {
+  if (keys.length === 0) return null;
+  return (
+    <details>
+      <summary className="cursor-pointer">{title} ({keys.length})</summary>
+      <ul className="mt-2 space-y-1 max-h-64 overflow-y-auto text-sm">
+        {keys.map(key => (
+          <li key={key} className="break-words">
+            <span className="font-mono">{key}</span>
+            {describe && <p className="whitespace-pre-wrap text-gray-500">{describe(key)}</p>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default AdminTranslationReport;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { UserContext } from '@/contexts/UserContext.jsx';
-import { useLocation } from 'wouter';
+import { useLocation, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import SearchBar from '@/components/SearchBar';
 import Overlay from '@/components/Overlay';
@@ -9,9 +9,15 @@ import FormInput from '@/components/Form/FormInput';
 import Alert from '@/components/Alert';
 import Unauthorized from "@/pages/Unauthorized";
 import SkeletonTranslationRow from '@/components/Skeletons/SkeletonTranslationRow';
+import TranslationImportExport from '@/components/Translation/TranslationImportExport';
+import TranslationCompleteness from '@/components/Translation/TranslationCompleteness';
+import PlaceholderText from '@/components/Translation/PlaceholderText';
+import TranslationHistory from '@/components/Translation/TranslationHistory';
+import TranslationRestore from '@/components/Translation/TranslationRestore';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
-import { IoChevronDownOutline, IoCreateOutline } from "react-icons/io5";
-import { getTranslations, editTranslation } from '@/wrappers/translation-wrapper';
+import { IoChevronDownOutline, IoCreateOutline, IoTimeOutline } from "react-icons/io5";
+import { getTranslations, editTranslation, getTranslationReport } from '@/wrappers/translation-wrapper';
+import { parsePlaceholders, placeholderLabel, comparePlaceholders, pluralKeyProblem, splitPluralKey } from '@/utils/translation-placeholders';
 
 const AdminTranslations = () => {
   const { user } = useContext(UserContext);
@@ -33,20 +39,37 @@ const AdminTranslations = () => {
     zh: {},
   });
 
+  const [emailTranslations, setEmailTranslations] = useState({
+    en: {},
+    ru: {},
+    tr: {},
+    ug: {},
+    zh: {},
+  });
+
+  const [report, setReport] = useState(null);
+
   const nsSetters = {
     default: setDefaultTranslations,
-    levels: setLevelTranslations
+    levels: setLevelTranslations,
+    emails: setEmailTranslations
   }
 
-  useEffect(() => {
-    const fetchData = async () => {
-      const defaultTranslations = await fetchNamespaceTranslations("default");
-      setDefaultTranslations(defaultTranslations);
-      const levelTranslations = await fetchNamespaceTranslations("levels");
-      setLevelTranslations(levelTranslations);
-      setAllowRender(true);
-    }
+  const fetchData = async () => {
+    const defaultTranslations = await fetchNamespaceTranslations("default");
+    setDefaultTranslations(defaultTranslations);
+    const levelTranslations = await fetchNamespaceTranslations("levels");
+    setLevelTranslations(levelTranslations);
+    const emailTranslations = await fetchNamespaceTranslations("emails");
+    setEmailTranslations(emailTranslations);
+    setAllowRender(true);
+    // completeness is extra information, don't hold up the tables for it
+    getTranslationReport()
+      .then(setReport)
+      .catch(error => console.error("Error fetching translation report:", error));
+  }
 
+  useEffect(() => {
     if (isLoaded) {
       if (!isSignedIn) {
         setLocation("/login");
@@ -78,14 +101,25 @@ const AdminTranslations = () => {
   return (
     <div className="page-format max-w-[96rem] space-y-10">
       <h1 className="font-extrabold">Edit Translations</h1>
+      {report && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-baseline justify-between gap-4">
+            <h2 className="font-extrabold">Completeness</h2>
+            <Link href="/admin/translations/report" className="underline">View missing & outdated keys</Link>
+          </div>
+          <TranslationCompleteness languages={report.languages} />
+        </div>
+      )}
       <div className='flex'>
         <p className='text-gray-400'>
           Note: the {'{{...}}'} in translations represent where values are plugged in (ie. by replacing {'{{num}}'} with 1 in Level {'{{num}}'} we get L
           evel 1.)
           &nbsp;
-          <span className='text-red-400'>It's best to leave the brackets alone or some text may not display properly!</span>
+          <span className='text-red-400'>Translations have to keep the same brackets as the English text, otherwise saving fails.</span>
         </p>
       </div>
+      <TranslationImportExport onImported={fetchData} />
+      <TranslationRestore onRestored={fetchData} />
       <div className='space-y-16'>
         <TranslationTable
           label={"Edit translations for levels"}
@@ -103,6 +137,14 @@ const AdminTranslations = () => {
           setters={nsSetters}
           allowRender={allowRender}
         />
+        <TranslationTable
+          label={"Edit translations for emails"}
+          translations={emailTranslations}
+          ns="emails"
+          fetchTranslations={fetchNamespaceTranslations}
+          setters={nsSetters}
+          allowRender={allowRender}
+        />
       </div>
     </div>
   )
@@ -191,7 +233,7 @@ const TranslationTable = ({ label, translations, ns, fetchTranslations, setters,
 }
 
 const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
-  // const [alertMessage, setAlertMessage] = useState("");
+  const [alertMessage, setAlertMessage] = useState("");
 
   const supportedLngs = {
     English: "en",
@@ -202,6 +244,7 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
   };
   const [isExpanded, setIsExpanded] = useState(false);
   const [showEditOverlay, setShowEditOverlay] = useState(false);
+  const [historyLng, setHistoryLng] = useState(null);
   const [formData, setFormData] = useState({
     lng: "",
     key: "",
@@ -230,17 +273,39 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
     });
   };
 
+  // The English text this edit is checked against
+  const source = formData.lng === "en" ? null : translations.en[formData.key];
+  const isPlural = Boolean(splitPluralKey(formData.key));
+  const allowedPlaceholders = source === null
+    ? null
+    : new Set([
+      ...parsePlaceholders(source).tokens.map(placeholderLabel),
+      ...(isPlural ? ["{{count}}"] : []),
+    ]);
+  const problems = showEditOverlay
+    ? [
+      pluralKeyProblem(formData.lng, formData.key),
+      ...comparePlaceholders(source ?? formData.translation, formData.translation, { plural: isPlural }),
+    ].filter(Boolean)
+    : [];
+
+  const refreshTranslations = async () => {
+    const updatedTranslations = await fetchTranslations(ns);
+    const setTranslations = setters[ns];
+    setTranslations(updatedTranslations);
+  }
+
   const handleEditTranslation = async (e) => {
     e.preventDefault();
+    setAlertMessage("");
     try {
       await editTranslation(formData.lng, ns, formData.key, formData.translation);
-      const updatedTranslations = await fetchTranslations(ns);
-      const setTranslations = setters[ns];
-      setTranslations(updatedTranslations);
+      await refreshTranslations();
       setShowEditOverlay(false);
       resetForm();
     } catch (error) {
       console.error("handleEditTranslation failed:", error);
+      setAlertMessage(error.response?.data?.message ?? error.message);
     }
   }
 
@@ -258,7 +323,7 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
             <p className="text-center px-10">English</p>
           </div>
           <div className='w-full text-left px-5 py-4 flex gap-x-4 items-center justify-between'>
-            <p>{translations.en[id]}</p>
+            <p className="flex-1">{translations.en[id]}</p>
             <button
               className='p-2 h-fit'
               onClick={() => {
@@ -270,6 +335,9 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
             >
               <IoCreateOutline className='text-2xl text-dark-blue-800' />
             </button>
+            <button className='p-2 h-fit' title="History" onClick={() => setHistoryLng("en")}>
+              <IoTimeOutline className='text-2xl text-dark-blue-800' />
+            </button>
           </div>
           {/* <div
               className={`
@@ -287,7 +355,7 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
                 <div className="w-14 h-full"></div>
               </div>
               <div className="w-full border-t border-dark-blue-800 h-full text-left px-5 py-4 flex gap-x-4 items-center justify-between">
-                <p>{translations[supportedLngs[lng]][id]}</p>
+                <p className="flex-1">{translations[supportedLngs[lng]][id]}</p>
                 <button
                   className='p-2 h-fit'
                   onClick={() => {
@@ -299,6 +367,9 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
                 >
                   <IoCreateOutline className='text-2xl text-dark-blue-800' />
                 </button>
+                <button className='p-2 h-fit' title="History" onClick={() => setHistoryLng(supportedLngs[lng])}>
+                  <IoTimeOutline className='text-2xl text-dark-blue-800' />
+                </button>
               </div>
             </React.Fragment>
           ))}
@@ -309,6 +380,12 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
       {showEditOverlay && <Overlay width='w-1/2'>
         <form onSubmit={handleEditTranslation} className='space-y-6'>
           <h4 className='font-extrabold text-base sm:text-lg'>Language: {Object.keys(supportedLngs).find(lng => supportedLngs[lng] === formData.lng)}</h4>
+          {source !== null && (
+            <div className="space-y-2">
+              <label>English</label>
+              <PlaceholderText text={source} />
+            </div>
+          )}
           <div className="space-y-2">
             <label>Edit Translation</label>
             <FormInput
@@ -319,6 +396,12 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
               onChange={handleTranslationChange}
               isRequired={true}
             />
+            <PlaceholderText text={formData.translation} allowed={allowedPlaceholders} />
+            {problems.length > 0 && (
+              <ul className='text-red-500 list-disc pl-5'>
+                {problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            )}
           </div>
           <div className="grid grid-cols-2 gap-x-2">
             <Button
@@ -326,14 +409,24 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
               isOutline={true}
               onClick={() => {
                 setShowEditOverlay(false);
+                setAlertMessage("");
                 resetForm();
               }}
             />
-            <Button label="Save" type="submit" />
+            <Button label="Save" type="submit" isDisabled={problems.length > 0} />
           </div>
-          {/* {alertMessage !== "" && <p className='text-red-500'>{alertMessage}</p>} */}
+          {alertMessage !== "" && <p className='text-red-500'>{alertMessage}</p>}
         </form>
       </Overlay>}
+      {historyLng && <Overlay width='w-1/2'>
+        <TranslationHistory
+          lng={historyLng}
+          ns={ns}
+          translationKey={id}
+          onReverted={refreshTranslations}
+          onClose={() => setHistoryLng(null)}
+        />
+      </Overlay>}
     </div>
   )
 }
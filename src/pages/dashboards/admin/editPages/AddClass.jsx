@@ -3,6 +3,7 @@ import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import FormInput from '@/components/Form/FormInput'
+import InstructorPicker from '@/components/Form/InstructorPicker';
 import Button from '@/components/Button/Button';
 import DayDropdown from '@/components/Dropdown/DayDropdown';
 import BackButton from "@/components/Button/BackButton";
@@ -23,6 +24,8 @@ const AddClass = () => {
     level: '',
     ageGroup: '',
     instructor: '',
+    instructorId: '',
+    capacity: '',
     schedule: [
       {
         day: '',
@@ -63,6 +66,7 @@ const AddClass = () => {
         // Filter out any time objects that are empty (i.e., missing a day or time)
         const filteredClassData = {
           ...classData,
+          capacity: classData.capacity === '' ? null : Number(classData.capacity),
           schedule: classData.schedule.filter(time => time.day && time.startTime && time.endTime),
         };
         await createClass(filteredClassData);
@@ -122,13 +126,25 @@ const AddClass = () => {
             </div>
             <div className="space-y-3">
               <label className="mx-1">Instructor</label>
+              <InstructorPicker
+                value={classData.instructorId}
+                onSelect={(instructor) => setClassData(prev => ({
+                  ...prev,
+                  instructorId: instructor?._id ?? '',
+                  instructor: instructor?.firstName ?? ''
+                }))}
+                isRequired={true}
+              />
+            </div>
+            <div className="space-y-3">
+              <label className="mx-1">Capacity</label>
               <FormInput
-                type="text"
-                name="instructor"
-                placeholder="Instructor"
-                value={classData.instructor}
+                type="number"
+                name="capacity"
+                placeholder="No limit"
+                value={classData.capacity}
                 onChange={handleInputChange}
-                isRequired={true}
+                isRequired={false}
               />
             </div>
           </div>
@@ -1,8 +1,9 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
-import { useLocation } from 'wouter';
+import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import FormInput from '@/components/Form/FormInput'
+import InstructorPicker from '@/components/Form/InstructorPicker';
 import Button from '@/components/Button/Button';
 import DayDropdown from '@/components/Dropdown/DayDropdown';
 import BackButton from "@/components/Button/BackButton";
@@ -10,18 +11,22 @@ import Alert from '@/components/Alert';
 import SupplementaryClassPreview from "@/components/Class/SupplementaryClassPreview";
 import ImagePicker from "@/components/ImagePicker";
 import { levelImgs } from "@/constants/images";
-import { createIelts } from '@/wrappers/ielts-wrapper.js';
+import { getCourseType, createCourseClass } from '@/wrappers/course-type-wrapper.js';
 import { IoAdd, IoTrashBinOutline } from "react-icons/io5";
 import Unauthorized from "@/pages/Unauthorized";
 
-const AddIelts = () => {
+const AddCourseClass = () => {
   const { user } = useContext(UserContext);
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [alertMessage, setAlertMessage] = useState("")
-  const [ieltsData, setIeltsData] = useState({
+  const { slug } = useParams();
+  const [courseType, setCourseType] = useState(null);
+  const [classData, setClassData] = useState({
+    level: '',
     ageGroup: '',
     instructor: '',
+    instructorId: '',
     schedule: [
       {
         day: '',
@@ -37,39 +42,53 @@ const AddIelts = () => {
     if (isLoaded) {
       if (!isSignedIn) {
         setLocation("/login");
+      } else {
+        fetchCourseType();
       }
     }
 
-  }, [isLoaded, isSignedIn, user]);
+  }, [isLoaded, isSignedIn, user, slug]);
+
+  const fetchCourseType = async () => {
+    try {
+      const data = await getCourseType(slug);
+      setCourseType(data);
+      setClassData(prev => ({ ...prev, image: data.image || prev.image }));
+    } catch (error) {
+      console.error('Error fetching course type:', error);
+    }
+  };
 
   const handleInputChange = (e) => {
-    setIeltsData({
-      ...ieltsData,
+    setClassData({
+      ...classData,
       [e.target.name]: e.target.value,
     });
   };
 
-  const handleCreateIelts = async (e) => {
+  const handleCreateClass = async (e) => {
     e.preventDefault();
-    ieltsData.ageGroup = ieltsData.ageGroup.toLowerCase();
+    classData.ageGroup = classData.ageGroup.toLowerCase();
     const allowedAges = ["all", "children", "adults"]
     try {
-      if (!allowedAges.includes(ieltsData.ageGroup)) {
+      if (!allowedAges.includes(classData.ageGroup)) {
         setAlertMessage(`Age group must be all, children, or adult`);
         setTimeout(() => {
           setAlertMessage("")
         }, 4000);
       } else {
         // Filter out any time objects that are empty (i.e., missing a day or time)
-        const filteredIeltsData = {
-          ...ieltsData,
-          schedule: ieltsData.schedule.filter(time => time.day && time.startTime),
+        const { level, ...rest } = classData;
+        const filteredClassData = {
+          ...rest,
+          ...(courseType?.hasLevels ? { level: Number(level) } : {}),
+          schedule: classData.schedule.filter(time => time.day && time.startTime),
         };
-        await createIelts(filteredIeltsData);
+        await createCourseClass(slug, filteredClassData);
         history.back();
       }
     } catch (error) {
-      console.error('Error creating IELTS class:', error);
+      console.error('Error creating course class:', error);
       setAlertMessage(`Error: ${error.response.data.message}`);
       setTimeout(() => {
         setAlertMessage("")
@@ -85,39 +104,51 @@ const AddIelts = () => {
     <>
       {alertMessage !== "" && <Alert message={alertMessage} />}
       <div className="page-format max-w-[96rem] space-y-10">
-        <BackButton label={"All IELTS"} />
+        <BackButton label={`All ${courseType?.name ?? ""} Classes`} />
         <div className="space-y-2">
-          <h1 className="font-extrabold">Add IELTS Class</h1>
-          <p className="font-light text-base sm:text-lg">Fill out new IELTS class data</p>
+          <h1 className="font-extrabold">Add {courseType?.name} Class</h1>
+          <p className="font-light text-base sm:text-lg">Fill out new {courseType?.name} class data</p>
         </div>
         <div className="w-1/3 space-y-3">
-          <h2 className="mb-2">Conversation Class Preview</h2>
+          <h2 className="mb-2">Class Preview</h2>
           <SupplementaryClassPreview
-            cls={ieltsData}
+            cls={classData}
           />
           <Button label="Select Image" onClick={() => setIsOpenImagePicker(true)} />
         </div>
-        <form onSubmit={handleCreateIelts} className="w-full lg:w-2/3">
+        <form onSubmit={handleCreateClass} className="w-full lg:w-2/3">
           <div className="flex justify-start space-x-10 w-full mb-6">
+            {courseType?.hasLevels && <div className="w-full space-y-3">
+              <label className="mx-1">Level</label>
+              <FormInput
+                type="number"
+                name="level"
+                placeholder="Level"
+                value={classData.level}
+                onChange={handleInputChange}
+                isRequired={true}
+              />
+            </div>}
             <div className="w-full space-y-3">
               <label className="mx-1">Age Group</label>
               <FormInput
                 type="text"
                 name="ageGroup"
                 placeholder="Age Group"
-                value={ieltsData.ageGroup}
+                value={classData.ageGroup}
                 onChange={handleInputChange}
                 isRequired={true}
               />
             </div>
             <div className="w-full space-y-3">
               <label className="mx-1">Instructor</label>
-              <FormInput
-                type="text"
-                name="instructor"
-                placeholder="Instructor"
-                value={ieltsData.instructor}
-                onChange={handleInputChange}
+              <InstructorPicker
+                value={classData.instructorId}
+                onSelect={(instructor) => setClassData(prev => ({
+                  ...prev,
+                  instructorId: instructor?._id ?? '',
+                  instructor: instructor?.firstName ?? ''
+                }))}
                 isRequired={true}
               />
             </div>
@@ -135,25 +166,25 @@ const AddIelts = () => {
               </div>
             </div>
             <div className="space-y-4">
-              {ieltsData.schedule.map((time, index) => {
+              {classData.schedule.map((time, index) => {
                 const handleTimeInputChange = (e) => {
-                  const updatedTimeArray = [...ieltsData.schedule];
+                  const updatedTimeArray = [...classData.schedule];
                   updatedTimeArray[index] = {
                     ...updatedTimeArray[index],
                     [e.target.name]: e.target.value,
                   };
-                  setIeltsData({
-                    ...ieltsData,
+                  setClassData({
+                    ...classData,
                     schedule: updatedTimeArray,
                   });
                 };
                 const handleSelectedDay = (day) => {
-                  const updatedTimes = [...ieltsData.schedule];
+                  const updatedTimes = [...classData.schedule];
                   updatedTimes[index] = {
                     ...updatedTimes[index],
                     day,
                   };
-                  setIeltsData(prev => ({
+                  setClassData(prev => ({
                     ...prev,
                     schedule: updatedTimes,
                   }));
@@ -188,7 +219,7 @@ const AddIelts = () => {
                       label={<IoTrashBinOutline />}
                       isOutline
                       onClick={() => {
-                        setIeltsData(prevData => ({
+                        setClassData(prevData => ({
                           ...prevData,
                           schedule: prevData.schedule.filter((_, i) => i !== index)
                         }));
@@ -206,7 +237,7 @@ const AddIelts = () => {
             label={<div className="flex items-center gap-x-2">Add time<IoAdd /></div>}
             isOutline
             onClick={() => {
-              setIeltsData(prevData => ({
+              setClassData(prevData => ({
                 ...prevData,
                 schedule: [
                   ...prevData.schedule,
@@ -220,15 +251,15 @@ const AddIelts = () => {
             <Button
               label="Cancel"
               isOutline={true}
-              onClick={() => setLocation("/admin/levels/ielts")} />
+              onClick={() => setLocation(`/admin/levels/courses/${slug}`)} />
           </div>
         </form>
       </div>
       {isOpenImagePicker && <ImagePicker
         images={levelImgs}
-        selectedImage={ieltsData.image}
+        selectedImage={classData.image}
         setImage={(newImage) => {
-          setIeltsData(prev => ({ ...prev, image: newImage }));
+          setClassData(prev => ({ ...prev, image: newImage }));
         }}
         setPickerOpen={setIsOpenImagePicker}
       />}
@@ -236,4 +267,4 @@ const AddIelts = () => {
   )
 }
 
-export default AddIelts;
\ No newline at end of file
+export default AddCourseClass;
\ No newline at end of file
@@ -0,0 +1,152 @@
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { useTranslation } from "react-i18next";
+import { createCourseType } from '@/wrappers/course-type-wrapper.js';
+import Button from '@/components/Button/Button';
+import FormInput from '@/components/Form/FormInput';
+import BackButton from "@/components/Button/BackButton";
+import Alert from "@/components/Alert";
+import ImagePicker from "@/components/ImagePicker";
+import { levelImgs } from "@/constants/images";
+import Unauthorized from "@/pages/Unauthorized";
+
+const AddCourseType = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const [courseTypeData, setCourseTypeData] = useState({
+    slug: '',
+    name: '',
+    hasLevels: false,
+    order: '',
+    image: "level_img_0.webp"
+  });
+  const [alertMessage, setAlertMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
+  const { i18n } = useTranslation();
+
+  useEffect(() => {
+    if (isLoaded) {
+      if (!isSignedIn) {
+        setLocation("/login");
+      }
+    }
+  }, [isLoaded, isSignedIn, user]);
+
+  const handleInputChange = (e) => {
+    setCourseTypeData({
+      ...courseTypeData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleAddCourseType = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      const { courseType } = await createCourseType({
+        ...courseTypeData,
+        slug: courseTypeData.slug.trim().toLowerCase(),
+        order: courseTypeData.order === '' ? undefined : Number(courseTypeData.order)
+      });
+      // pick up the new course label
+      await i18n.reloadResources();
+      setLocation(`/admin/levels/courses/${courseType.slug}`);
+    } catch (error) {
+      setIsSaving(false);
+      console.error("Error adding course type:", error);
+      setAlertMessage(`Error: ${error.response.data.message}`);
+      setTimeout(() => {
+        setAlertMessage("");
+      }, 4000);
+    }
+  };
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  return (
+    <>
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <BackButton label="All Levels" />
+        <div>
+          <h1 className="font-extrabold mb-2">Add Course Type</h1>
+          <h3 className="font-light text-base sm:text-lg">Add a kind of supplementary class, like Conversation or IELTS.</h3>
+        </div>
+        <div className="w-1/3 space-y-3">
+          <h2>Default Class Image</h2>
+          <img src={`/images/${courseTypeData.image}`} alt="" className="w-full aspect-video object-cover rounded-2xl" />
+          <Button label="Select Image" onClick={() => setIsOpenImagePicker(true)} />
+        </div>
+        <form onSubmit={handleAddCourseType} className="space-y-6 w-full lg:w-2/3">
+          <div className="flex flex-col lg:flex-row gap-x-6">
+            <div className="flex-1 space-y-2">
+              <label>Name</label>
+              <FormInput
+                type="text"
+                name="name"
+                placeholder="Name"
+                value={courseTypeData.name}
+                onChange={handleInputChange}
+                isRequired={true}
+              />
+            </div>
+            <div className="flex-1 space-y-2">
+              <label>Slug</label>
+              <FormInput
+                type="text"
+                name="slug"
+                placeholder="Used in links, e.g. toefl"
+                value={courseTypeData.slug}
+                onChange={handleInputChange}
+                isRequired={true}
+              />
+            </div>
+            <div className="space-y-2">
+              <label>Order</label>
+              <FormInput
+                type="number"
+                name="order"
+                placeholder="Order"
+                value={courseTypeData.order}
+                onChange={handleInputChange}
+                isRequired={false}
+              />
+            </div>
+          </div>
+          <label className="flex items-center gap-x-3">
+            <input
+              type="checkbox"
+              name="hasLevels"
+              checked={courseTypeData.hasLevels}
+              onChange={(e) => setCourseTypeData(prev => ({ ...prev, hasLevels: e.target.checked }))}
+            />
+            Classes have numbered levels
+          </label>
+          <div className="w-fit grid grid-cols-2 gap-x-2">
+            <Button label={isSaving ? "Saving..." : "Save"} type="submit" isDisabled={isSaving} />
+            <Button
+              label="Cancel"
+              isOutline={true}
+              onClick={() => setLocation("/admin/levels")} />
+          </div>
+        </form>
+      </div>
+      {isOpenImagePicker && <ImagePicker
+        images={levelImgs}
+        selectedImage={courseTypeData.image}
+        setImage={(newImage) => {
+          setCourseTypeData(prev => ({ ...prev, image: newImage }));
+        }}
+        setPickerOpen={setIsOpenImagePicker}
+      />}
+    </>
+  );
+};
+
+export default AddCourseType;
@@ -2,7 +2,9 @@ import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation, useParams, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
+import { useTranslation } from "react-i18next";
 import FormInput from '@/components/Form/FormInput'
+import InstructorPicker from '@/components/Form/InstructorPicker';
 import Button from '@/components/Button/Button';
 import DeleteButton from "@/components/Button/DeleteButton";
 import BackButton from "@/components/Button/BackButton";
@@ -10,14 +12,19 @@ import DayDropdown from '@/components/Dropdown/DayDropdown';
 import UserItem from "@/components/UserItem";
 import Alert from '@/components/Alert';
 import { IoAdd, IoTrashBinOutline, IoPersonOutline } from "react-icons/io5";
-import { updateClass, deleteClass, getClassById, getClassStudents } from '@/wrappers/class-wrapper';
+import { updateClass, deleteClass, getClassById, getClassStudents, getClassWaitlist } from '@/wrappers/class-wrapper';
+import { getClassAttendance } from '@/wrappers/attendance-wrapper';
+import AttendanceRates from '@/components/Attendance/AttendanceRates';
 import Unauthorized from "@/pages/Unauthorized";
 import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import ClassPreview from '@/components/Class/ClassPreview';
+import ClassRosterExport from '@/components/Class/ClassRosterExport';
+import { toTitleCase, formatCount } from '@/utils/formatters';
 
 const EditClass = () => {
   const { user } = useContext(UserContext);
+  const { t } = useTranslation();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [allowRender, setAllowRender] = useState(false);
@@ -31,7 +38,9 @@ const EditClass = () => {
     level: '',
     ageGroup: '',
     instructor: '',
+    instructorId: '',
     link: '',
+    capacity: '',
     schedule: [
       {
         day: '',
@@ -41,6 +50,8 @@ const EditClass = () => {
     ]
   });
   const [students, setStudents] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [attendance, setAttendance] = useState(null);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
   useEffect(() => {
@@ -64,7 +75,9 @@ const EditClass = () => {
         level: classObj.level,
         ageGroup: classObj.ageGroup,
         instructor: classObj.instructor,
+        instructorId: classObj.instructorId ?? '',
         link: classObj.link,
+        capacity: classObj.capacity ?? '',
         schedule: classData.schedule
       });
       if (classObj.schedule.length !== 0) {
@@ -75,6 +88,10 @@ const EditClass = () => {
       }
       const students = await getClassStudents(classObj._id);
       setStudents(students);
+      const waitlist = await getClassWaitlist(classObj._id);
+      setWaitlist(waitlist);
+      const attendance = await getClassAttendance(classObj._id);
+      setAttendance(attendance);
       setAllowRender(true);
     }
   };
@@ -101,6 +118,7 @@ const EditClass = () => {
 
         const filteredClassData = {
           ...classData,
+          capacity: classData.capacity === '' ? null : Number(classData.capacity),
           schedule: classData.schedule.filter(time => time.day && time.startTime && time.endTime),
         };
 
@@ -162,7 +180,9 @@ const EditClass = () => {
       level: classObj.level,
       ageGroup: classObj.ageGroup,
       instructor: classObj.instructor,
+      instructorId: classObj.instructorId ?? '',
       link: classObj.link,
+      capacity: classObj.capacity ?? '',
       schedule: classObj.schedule.length !== 0 ? classObj.schedule : prev.schedule
     }));
   };
@@ -215,12 +235,13 @@ const EditClass = () => {
             </div>
             <div className="w-full space-y-3">
               <label className="mx-1">Instructor</label>
-              <FormInput
-                type="text"
-                name="instructor"
-                placeholder="Instructor"
-                value={classData.instructor}
-                onChange={handleInputChange}
+              <InstructorPicker
+                value={classData.instructorId}
+                onSelect={(instructor) => setClassData(prev => ({
+                  ...prev,
+                  instructorId: instructor?._id ?? '',
+                  instructor: instructor?.firstName ?? ''
+                }))}
                 isRequired={true}
               />
             </div>
@@ -236,6 +257,17 @@ const EditClass = () => {
               isRequired={true}
             />
           </div>
+          <div className="w-full md:w-1/3 mb-6">
+            <label className="mx-1">Capacity</label>
+            <FormInput
+              type="number"
+              name="capacity"
+              placeholder="Leave empty for no limit"
+              value={classData.capacity}
+              onChange={handleInputChange}
+              isRequired={false}
+            />
+          </div>
           <div className="w-full space-y-3 mb-6">
             <div className="flex w-full gap-x-4">
               <div className="w-full grid grid-cols-2 gap-x-10">
@@ -347,8 +379,14 @@ const EditClass = () => {
           </div>
           <div className="text-indigo-900 inline-flex gap-x-2 items-center mb-6">
             <IoPersonOutline />
-            <p>{students.length} enrolled</p>
+            <p>
+              {students.length} enrolled
+              {classObj?.capacity ? ` / ${classObj.capacity} seats` : ''}
+            </p>
           </div>
+          {allowRender && <div className="mb-6">
+            <ClassRosterExport classId={params.classId} />
+          </div>}
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-x-14 gap-y-3">
             {allowRender
               ? (students.map(student => (
@@ -363,6 +401,39 @@ const EditClass = () => {
               : showSkeleton && <SkeletonUser count={3} />}
           </div>
         </div>
+        {allowRender && waitlist.length > 0 && <div>
+          <h2 className="mb-2">Waitlist</h2>
+          <div className="text-indigo-900 inline-flex gap-x-2 items-center mb-6">
+            <IoPersonOutline />
+            <p>{waitlist.length} waiting</p>
+          </div>
+          <ol className="grid grid-cols-1 sm:grid-cols-3 gap-x-14 gap-y-3">
+            {waitlist.map((student, index) => (
+              <li key={student._id} className="flex items-center gap-x-2">
+                <span className="text-neutral-400">{index + 1}.</span>
+                <Link className="flex-1 min-w-0" href={`/admin/user/${encodeURIComponent(student._id)}`}>
+                  <UserItem
+                    userData={student}
+                    privilege="admin"
+                  />
+                </Link>
+              </li>
+            ))}
+          </ol>
+        </div>}
+        {allowRender && attendance && <div>
+          <h2 className="mb-2">{t("attendance")}</h2>
+          <p className="text-indigo-900 mb-6">{formatCount(t, 'sessions_held', attendance.sessionsHeld, { one: "{{count, number}} session held", other: "{{count, number}} sessions held" })}</p>
+          <AttendanceRates
+            overall={attendance.overall}
+            rows={attendance.students.map(row => ({
+              ...row,
+              label: row.student.firstName
+                ? `${toTitleCase(row.student.firstName)} ${toTitleCase(row.student.lastName)}`
+                : t("deleted_user")
+            }))}
+          />
+        </div>}
         <DeleteButton item="class" onDelete={handleDeleteClass} />
       </div>
     </>
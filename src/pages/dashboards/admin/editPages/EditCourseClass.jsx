@@ -2,8 +2,8 @@ import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation, useParams, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
-import { getIeltsById } from "@/wrappers/ielts-wrapper";
 import FormInput from '@/components/Form/FormInput'
+import InstructorPicker from '@/components/Form/InstructorPicker';
 import Button from '@/components/Button/Button';
 import DeleteButton from "@/components/Button/DeleteButton";
 import DayDropdown from '@/components/Dropdown/DayDropdown';
@@ -14,25 +14,28 @@ import SupplementaryClassPreview from "@/components/Class/SupplementaryClassPrev
 import ImagePicker from "@/components/ImagePicker";
 import { levelImgs } from "@/constants/images";
 import { getClassStudents } from '@/wrappers/class-wrapper';
-import { updateIelts, deleteIelts } from '@/wrappers/ielts-wrapper.js';
+import { getCourseType, getCourseClassById, updateCourseClass, deleteCourseClass } from '@/wrappers/course-type-wrapper.js';
 import { IoAdd, IoTrashBinOutline, IoPersonOutline } from "react-icons/io5";
 import Unauthorized from "@/pages/Unauthorized";
 import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 
-const EditIelts = () => {
+const EditCourseClass = () => {
   const { user } = useContext(UserContext);
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [allowRender, setAllowRender] = useState(false);
   const [alertMessage, setAlertMessage] = useState("");
   const [successMessage, setSuccessMessage] = useState("");
-  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
-  const [ieltsObj, setIeltsObj] = useState(null);
-  const [ieltsData, setIeltsData] = useState({
+  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
+  const [courseType, setCourseType] = useState(null);
+  const [classObj, setClassObj] = useState(null);
+  const [classData, setClassData] = useState({
+    level: '',
     ageGroup: '',
     instructor: '',
+    instructorId: '',
     link: '',
     schedule: [
       {
@@ -49,31 +52,37 @@ const EditIelts = () => {
 
   useEffect(() => {
     if (!params.id) {
-      setLocation(`/admin/levels/ielts`);
+      setLocation(`/admin/levels/courses/${params.slug}`);
     }
     if (isLoaded) {
       if (!isSignedIn) {
         setLocation("/login");
       } else {
-        fetchIelts()
+        fetchClass()
       }
     }
 
   }, [isLoaded, isSignedIn, user]);
 
-  const fetchIelts = async () => {
+  const fetchClass = async () => {
     try {
-      const data = await getIeltsById(params.id);
-      setIeltsObj(data);
-      setIeltsData({
+      const [type, data] = await Promise.all([
+        getCourseType(params.slug),
+        getCourseClassById(params.slug, params.id)
+      ]);
+      setCourseType(type);
+      setClassObj(data);
+      setClassData({
+        level: typeof data.level === "number" ? data.level : '',
         ageGroup: data.ageGroup,
         instructor: data.instructor,
+        instructorId: data.instructorId ?? '',
         link: data.link,
-        schedule: ieltsData.schedule,
+        schedule: classData.schedule,
         image: data.image || "level_img_0.webp"
       });
       if (data.schedule.length !== 0) {
-        setIeltsData(prev => ({
+        setClassData(prev => ({
           ...prev,
           schedule: data.schedule
         }))
@@ -82,23 +91,23 @@ const EditIelts = () => {
       setStudents(students);
       setAllowRender(true);
     } catch (error) {
-      console.error('Error fetching IELTS class:', error);
+      console.error('Error fetching course class:', error);
     }
   };
 
   const handleInputChange = (e) => {
-    setIeltsData({
-      ...ieltsData,
+    setClassData({
+      ...classData,
       [e.target.name]: e.target.value,
     });
   };
 
-  const handleEditIelts = async (e) => {
+  const handleEditClass = async (e) => {
     e.preventDefault();
-    ieltsData.ageGroup = ieltsData.ageGroup.toLowerCase();
+    classData.ageGroup = classData.ageGroup.toLowerCase();
     const allowedAges = ["all", "children", "adults"]
     try {
-      if (!allowedAges.includes(ieltsData.ageGroup)) {
+      if (!allowedAges.includes(classData.ageGroup)) {
         setAlertMessage(`Age group must be all, children, or adult`);
         setTimeout(() => {
           setAlertMessage("")
@@ -106,20 +115,22 @@ const EditIelts = () => {
       } else {
         setIsSaving(true);
 
-        const filteredIeltsData = {
-          ...ieltsData,
-          schedule: ieltsData.schedule.filter(time => time.day && time.startTime && time.endTime),
+        const { level, ...rest } = classData;
+        const filteredClassData = {
+          ...rest,
+          ...(courseType.hasLevels ? { level: Number(level) } : {}),
+          schedule: classData.schedule.filter(time => time.day && time.startTime && time.endTime),
         };
 
-        if (filteredIeltsData.schedule.length === 0) {
-          setAlertMessage(`Must add IELTS class time(s)`);
+        if (filteredClassData.schedule.length === 0) {
+          setAlertMessage(`Must add class time(s)`);
           setTimeout(() => {
             setAlertMessage("");
           }, 4000);
         } else {
-          await updateIelts(params.id, filteredIeltsData);
-          setSuccessMessage("Successfully updated IELTS class details");
-          await fetchIelts();
+          await updateCourseClass(params.slug, params.id, filteredClassData);
+          setSuccessMessage(`Successfully updated ${courseType.name} class details`);
+          await fetchClass();
           setTimeout(() => {
             setSuccessMessage("");
           }, 4000);
@@ -128,7 +139,7 @@ const EditIelts = () => {
       }
     } catch (error) {
       setIsSaving(false);
-      console.error('Error updating IELTS class:', error);
+      console.error('Error updating course class:', error);
       setAlertMessage(`Error: ${error.response.data.message}`);
       setTimeout(() => {
         setAlertMessage("");
@@ -138,10 +149,10 @@ const EditIelts = () => {
 
   const handleOpenOrCloseEnrollment = async () => {
     try {
-      await updateIelts(ieltsObj._id, {
-        isEnrollmentOpen: !ieltsObj.isEnrollmentOpen
+      await updateCourseClass(params.slug, classObj._id, {
+        isEnrollmentOpen: !classObj.isEnrollmentOpen
       });
-      await fetchIelts();
+      await fetchClass();
     } catch (error) {
       console.error('Error changing enrollment status:', error);
       setAlertMessage(`Error changing enrollment status`);
@@ -151,12 +162,12 @@ const EditIelts = () => {
     }
   }
 
-  const handleDeleteIelts = async () => {
+  const handleDeleteClass = async () => {
     try {
-      await deleteIelts(params.id);
+      await deleteCourseClass(params.slug, params.id);
       history.back();
     } catch (error) {
-      console.error('Error deleting IELTS class:', error);
+      console.error('Error deleting course class:', error);
       setAlertMessage(`Error: ${error.response.data.message}`)
       setTimeout(() => {
         setAlertMessage("")
@@ -165,11 +176,13 @@ const EditIelts = () => {
   }
 
   const handleReset = () => {
-    setIeltsData(prev => ({
-      ageGroup: ieltsObj.ageGroup,
-      instructor: ieltsObj.instructor,
-      schedule: ieltsObj.schedule.length !== 0 ? ieltsObj.schedule : prev.schedule,
-      image: ieltsObj.image
+    setClassData(prev => ({
+      level: typeof classObj.level === "number" ? classObj.level : '',
+      ageGroup: classObj.ageGroup,
+      instructor: classObj.instructor,
+      instructorId: classObj.instructorId ?? '',
+      schedule: classObj.schedule.length !== 0 ? classObj.schedule : prev.schedule,
+      image: classObj.image
     }));
   };
 
@@ -182,29 +195,40 @@ const EditIelts = () => {
       {alertMessage !== "" && <Alert message={alertMessage} />}
       {successMessage !== "" && <Alert message={successMessage} isSuccess />}
       <div className="page-format max-w-[96rem] space-y-10">
-        <BackButton label="All IELTS classes" />
+        <BackButton label={`All ${courseType?.name ?? ""} Classes`} />
         <div className="space-y-2">
-          <h2 className="font-extrabold">Edit IELTS Class</h2>
-          <h3 className="font-light text-base sm:text-lg">Edit IELTS class and student information</h3>
+          <h1 className="font-extrabold">Edit {courseType?.name} Class</h1>
+          <h3 className="font-light text-base sm:text-lg">Edit {courseType?.name} class and student information</h3>
         </div>
         <div className="space-y-3">
-          <h3>IELTS Class Preview</h3>
+          <h2>Class Preview</h2>
           <div className="w-full md:w-1/3">
             <SupplementaryClassPreview
-              cls={ieltsData}
+              cls={classData}
             />
           </div>
           <Button label="Select Image" onClick={() => setIsOpenImagePicker(true)} />
         </div>
-        <form onSubmit={handleEditIelts} className="w-full lg:w-2/3">
-          <div className="grid grid-cols-2 gap-x-10 w-full mb-6">
+        <form onSubmit={handleEditClass} className="w-full lg:w-2/3">
+          <div className={`grid ${courseType?.hasLevels ? "grid-cols-3" : "grid-cols-2"} gap-x-10 w-full mb-6`}>
+            {courseType?.hasLevels && <div className="w-full space-y-3">
+              <label className="mx-1">Level</label>
+              <FormInput
+                type="number"
+                name="level"
+                placeholder="Level"
+                value={classData.level}
+                onChange={handleInputChange}
+                isRequired={true}
+              />
+            </div>}
             <div className="w-full space-y-3">
               <label className="mx-1">Age Group</label>
               <FormInput
                 type="text"
                 name="ageGroup"
                 placeholder="Age Group"
-                value={ieltsData.ageGroup}
+                value={classData.ageGroup}
                 onChange={handleInputChange}
                 isRequired={true}
               />
@@ -212,12 +236,13 @@ const EditIelts = () => {
 
             <div className="w-full space-y-3">
               <label className="mx-1">Instructor</label>
-              <FormInput
-                type="text"
-                name="instructor"
-                placeholder="Instructor"
-                value={ieltsData.instructor}
-                onChange={handleInputChange}
+              <InstructorPicker
+                value={classData.instructorId}
+                onSelect={(instructor) => setClassData(prev => ({
+                  ...prev,
+                  instructorId: instructor?._id ?? '',
+                  instructor: instructor?.firstName ?? ''
+                }))}
                 isRequired={true}
               />
             </div>
@@ -228,7 +253,7 @@ const EditIelts = () => {
               type="text"
               name="link"
               placeholder="Enter class link"
-              value={ieltsData.link}
+              value={classData.link}
               onChange={handleInputChange}
             />
           </div>
@@ -245,25 +270,25 @@ const EditIelts = () => {
               </div>
             </div>
             <div className="space-y-4">
-              {ieltsData.schedule.map((time, index) => {
+              {classData.schedule.map((time, index) => {
                 const handleTimeInputChange = (e) => {
-                  const updatedTimeArray = [...ieltsData.schedule];
+                  const updatedTimeArray = [...classData.schedule];
                   updatedTimeArray[index] = {
                     ...updatedTimeArray[index],
                     [e.target.name]: e.target.value,
                   };
-                  setIeltsData({
-                    ...ieltsData,
+                  setClassData({
+                    ...classData,
                     schedule: updatedTimeArray,
                   });
                 };
                 const handleSelectedDay = (day) => {
-                  const updatedTimes = [...ieltsData.schedule];
+                  const updatedTimes = [...classData.schedule];
                   updatedTimes[index] = {
                     ...updatedTimes[index],
                     day,
                   };
-                  setIeltsData(prev => ({
+                  setClassData(prev => ({
                     ...prev,
                     schedule: updatedTimes,
                   }));
@@ -298,7 +323,7 @@ const EditIelts = () => {
                       label={<IoTrashBinOutline />}
                       isOutline
                       onClick={() => {
-                        setIeltsData(prevData => ({
+                        setClassData(prevData => ({
                           ...prevData,
                           schedule: prevData.schedule.filter((_, i) => i !== index)
                         }));
@@ -316,7 +341,7 @@ const EditIelts = () => {
             label={<div className="flex items-center gap-x-2">Add time<IoAdd /></div>}
             isOutline
             onClick={() => {
-              setIeltsData(prevData => ({
+              setClassData(prevData => ({
                 ...prevData,
                 schedule: [
                   ...prevData.schedule,
@@ -332,13 +357,12 @@ const EditIelts = () => {
               onClick={handleReset} />
           </div>
         </form>
-        <DeleteButton item="IELTS class" onDelete={handleDeleteIelts} />
         <div>
           <div className="flex items-center gap-8 mb-2">
             <h2>List of Students</h2>
             {allowRender && <Button
-              label={ieltsObj.isEnrollmentOpen ? "Close Enrollment" : "Open Enrollment"}
-              isOutline={!ieltsObj.isEnrollmentOpen}
+              label={classObj.isEnrollmentOpen ? "Close Enrollment" : "Open Enrollment"}
+              isOutline={!classObj.isEnrollmentOpen}
               onClick={handleOpenOrCloseEnrollment}
             />}
           </div>
@@ -360,12 +384,13 @@ const EditIelts = () => {
               : showSkeleton && <SkeletonUser count={3} />}
           </div>
         </div>
+        <DeleteButton item={`${courseType?.name ?? "course"} class`} onDelete={handleDeleteClass} />
       </div>
       {isOpenImagePicker && <ImagePicker
         images={levelImgs}
-        selectedImage={ieltsData.image}
+        selectedImage={classData.image}
         setImage={(newImage) => {
-          setIeltsData(prev => ({ ...prev, image: newImage }));
+          setClassData(prev => ({ ...prev, image: newImage }));
         }}
         setPickerOpen={setIsOpenImagePicker}
       />}
@@ -373,4 +398,4 @@ const EditIelts = () => {
   )
 }
 
-export default EditIelts;
\ No newline at end of file
+export default EditCourseClass;
\ No newline at end of file
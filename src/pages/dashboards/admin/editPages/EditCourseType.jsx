@@ -0,0 +1,180 @@
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { useLocation, useParams } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { useTranslation } from "react-i18next";
+import { getCourseType, updateCourseType, deleteCourseType } from '@/wrappers/course-type-wrapper.js';
+import Button from '@/components/Button/Button';
+import DeleteButton from "@/components/Button/DeleteButton";
+import FormInput from '@/components/Form/FormInput';
+import BackButton from "@/components/Button/BackButton";
+import Alert from "@/components/Alert";
+import ImagePicker from "@/components/ImagePicker";
+import { levelImgs } from "@/constants/images";
+import Unauthorized from "@/pages/Unauthorized";
+
+const EditCourseType = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const { slug } = useParams();
+  const [courseType, setCourseType] = useState(null);
+  const [courseTypeData, setCourseTypeData] = useState({
+    name: '',
+    hasLevels: false,
+    order: '',
+    image: "level_img_0.webp"
+  });
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
+  const { i18n } = useTranslation();
+
+  useEffect(() => {
+    if (isLoaded) {
+      if (!isSignedIn) {
+        setLocation("/login");
+      } else {
+        fetchCourseType();
+      }
+    }
+  }, [isLoaded, isSignedIn, user, slug]);
+
+  const fetchCourseType = async () => {
+    try {
+      const data = await getCourseType(slug);
+      setCourseType(data);
+      setCourseTypeData({
+        name: data.name,
+        hasLevels: data.hasLevels,
+        order: data.order ?? '',
+        image: data.image || "level_img_0.webp"
+      });
+    } catch (error) {
+      console.error("Error fetching course type:", error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setCourseTypeData({
+      ...courseTypeData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const showError = (error) => {
+    setAlertMessage(`Error: ${error.response.data.message}`);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const handleEditCourseType = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      await updateCourseType(slug, {
+        ...courseTypeData,
+        order: courseTypeData.order === '' ? 0 : Number(courseTypeData.order)
+      });
+      if (courseTypeData.name !== courseType.name) {
+        await i18n.reloadResources();
+      }
+      await fetchCourseType();
+      setSuccessMessage("Successfully updated course type");
+      setTimeout(() => {
+        setSuccessMessage("");
+      }, 4000);
+    } catch (error) {
+      console.error("Error updating course type:", error);
+      showError(error);
+    }
+    setIsSaving(false);
+  };
+
+  const handleDeleteCourseType = async () => {
+    try {
+      await deleteCourseType(slug);
+      setLocation("/admin/levels");
+    } catch (error) {
+      console.error("Error deleting course type:", error);
+      showError(error);
+    }
+  };
+
+  if (user && user.privilege !== "admin") {
+    return <Unauthorized />;
+  }
+
+  return (
+    <>
+      {alertMessage !== "" && <Alert message={alertMessage} />}
+      {successMessage !== "" && <Alert message={successMessage} isSuccess />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <BackButton label={`All ${courseType?.name ?? ""} Classes`} />
+        <div>
+          <h1 className="font-extrabold mb-2">Edit {courseType?.name} Course Type</h1>
+          <h3 className="font-light text-base sm:text-lg">Rename the course type or change how its classes are set up.</h3>
+        </div>
+        <div className="w-1/3 space-y-3">
+          <h2>Default Class Image</h2>
+          <img src={`/images/${courseTypeData.image}`} alt="" className="w-full aspect-video object-cover rounded-2xl" />
+          <Button label="Select Image" onClick={() => setIsOpenImagePicker(true)} />
+        </div>
+        <form onSubmit={handleEditCourseType} className="space-y-6 w-full lg:w-2/3">
+          <div className="flex flex-col lg:flex-row gap-x-6">
+            <div className="flex-1 space-y-2">
+              <label>Name</label>
+              <FormInput
+                type="text"
+                name="name"
+                placeholder="Name"
+                value={courseTypeData.name}
+                onChange={handleInputChange}
+                isRequired={true}
+              />
+            </div>
+            <div className="space-y-2">
+              <label>Order</label>
+              <FormInput
+                type="number"
+                name="order"
+                placeholder="Order"
+                value={courseTypeData.order}
+                onChange={handleInputChange}
+                isRequired={false}
+              />
+            </div>
+          </div>
+          <label className="flex items-center gap-x-3">
+            <input
+              type="checkbox"
+              name="hasLevels"
+              checked={courseTypeData.hasLevels}
+              onChange={(e) => setCourseTypeData(prev => ({ ...prev, hasLevels: e.target.checked }))}
+            />
+            Classes have numbered levels
+          </label>
+          <p className="italic text-blue-500">Numbered levels can only be changed while the course type has no classes</p>
+          <div className="w-fit">
+            <Button label={isSaving ? "Saving..." : "Save"} type="submit" isDisabled={isSaving} />
+          </div>
+        </form>
+        {courseType && !courseType.isBuiltIn && (
+          <DeleteButton item="course type" onDelete={handleDeleteCourseType} />
+        )}
+      </div>
+      {isOpenImagePicker && <ImagePicker
+        images={levelImgs}
+        selectedImage={courseTypeData.image}
+        setImage={(newImage) => {
+          setCourseTypeData(prev => ({ ...prev, image: newImage }));
+        }}
+        setPickerOpen={setIsOpenImagePicker}
+      />}
+    </>
+  );
+};
+
+export default EditCourseType;
@@ -4,6 +4,8 @@ import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import { updateUser, getUser, deleteUser, getStudentsClasses } from '@/wrappers/user-wrapper.js';
 import { getClassById, getAllClasses, enrollInClass, unenrollInClass } from '@/wrappers/class-wrapper';
+import { getStudentAttendance } from '@/wrappers/attendance-wrapper';
+import AttendanceRates from '@/components/Attendance/AttendanceRates';
 import FormInput from '@/components/Form/FormInput';
 import PhoneInput from '@/components/Form/PhoneInput/PhoneInput';
 import Button from '@/components/Button/Button';
@@ -19,7 +21,8 @@ import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import SkeletonClass from '@/components/Skeletons/SkeletonClass';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
-import { toTitleCase } from '@/utils/formatters';
+import { toTitleCase, formatClassLevel, classAdminURL } from '@/utils/formatters';
+import { useTranslation } from "react-i18next";
 import { isPossiblePhoneNumber } from 'react-phone-number-input';
 
 const EditUser = () => {
@@ -27,12 +30,14 @@ const EditUser = () => {
   const [, setLocation] = useLocation();
   const params = useParams();
   const { isSignedIn, isLoaded } = useAuth();
+  const { t, i18n } = useTranslation();
   const [allowRender, setAllowRender] = useState(false);
   const [showOverlay, setShowOverlay] = useState(false);
   const [searchInput, setSearchInput] = useState("");
   const [classes, setClasses] = useState([]);
   const [userClasses, setUserClasses] = useState([]);
   const [userData, setUserData] = useState(null);
+  const [attendance, setAttendance] = useState(null);
   const [userFormData, setUserFormData] = useState({
     firstName: '',
     lastName: '',
@@ -72,8 +77,9 @@ const EditUser = () => {
       let userClasses;
       if (userData.data.privilege === "student") {
         userClasses = await getStudentsClasses(userData.data._id);
+        setAttendance(await getStudentAttendance(userData.data._id));
       } else {
-        userClasses = await getAllClasses(`instructor=${toTitleCase(userData.data.firstName)}`)
+        userClasses = await getAllClasses(`instructorId=${userData.data._id}`)
       }
       setUserClasses(userClasses);
       setUserData(userData.data);
@@ -277,21 +283,25 @@ const EditUser = () => {
                   key={classObj._id}
                   classObj={classObj}
                   modes={["edit"]}
-                  editURL={(() => {
-                    switch (true) {
-                      case typeof classObj.level === "number":
-                        return `/admin/levels/class`;
-                      case classObj.level === "conversation":
-                        return `/admin/levels/conversations`;
-                      case classObj.level === "ielts":
-                        return `/admin/levels/ielts`;
-                    }
-                  })()} />
+                  editURL={classAdminURL(classObj)} />
               ))
               : showSkeleton && <SkeletonClass count={3} />}
           </div>
         </div>
 
+        {allowRender && attendance && <div>
+          <h2 className="mb-6">{t("attendance")}</h2>
+          <AttendanceRates
+            overall={attendance.overall}
+            rows={attendance.classes.map(row => ({
+              ...row,
+              label: row.class
+                ? `${formatClassLevel(row.class, t, i18n.language)} (${toTitleCase(row.class.ageGroup)}, ${row.class.instructor})`
+                : t("deleted_class")
+            }))}
+          />
+        </div>}
+
         {showOverlay && <Overlay width={'w-[96%] md:w-4/5 lg:w-2/3'}>
           <h3 className="font-extrabold">Search for class</h3>
           <SearchBar input={searchInput} setInput={setSearchInput} placeholder="Search for class by level, age, instructor" />
@@ -103,7 +103,7 @@ const ResetPasswordCode = () => {
               disabled={isSubmitting || retryAfter > 0}
             />
             {error && <p className="text-red-500 text-sm mt-2">{t(error, { sec: retryAfter })}</p>}
-            <div className="space-x-2">
+            <div className="space-x-2 rtl:space-x-reverse">
               <Button
                 type="submit"
                 label={t("verify_code")}
@@ -11,6 +11,7 @@ import { useSignUp, useAuth } from '@clerk/clerk-react'
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useTranslation } from "react-i18next";
 import { isPossiblePhoneNumber } from 'react-phone-number-input';
+import { detectTimeZone } from '@/utils/time-utils';
 
 export default function SignUp() {
   const { isLoaded, signUp, setActive } = useSignUp();
@@ -64,7 +65,7 @@ export default function SignUp() {
 
       if (createUser.status === "complete") {
         await setActive({ session: createUser.createdSessionId })
-        const userData = { ...formData, clerkId: createUser.createdUserId };
+        const userData = { ...formData, clerkId: createUser.createdUserId, timeZone: detectTimeZone() };
         const response = await postUser(userData);
         if (response.status === 201) {
           setUser(response.data);
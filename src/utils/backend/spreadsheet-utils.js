@@ -0,0 +1,151 @@
+// CSV and XLSX for the API: writers for exports streamed to the client, and
+// readers for uploaded imports.
+//
+// Writers take columns: [{ header, date?, multiline? }] — `date` cells are
+// Dates shown as yyyy-mm-dd, `multiline` cells wrap — and rows: an (async)
+// iterable of cell arrays in column order. Readers return rows of strings.
+//
+// Exports carry text users typed themselves (names, emails, phone numbers),
+// so nothing a writer emits may run as a spreadsheet formula. CSV cells that
+// start like a formula get a leading ' (which parseCsv takes off again), and
+// XLSX cells are only ever plain values, never { formula } objects.
+
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+export const SPREADSHEET_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+};
+
+export class SpreadsheetError extends Error {}
+
+// Text Excel would read as a formula; also matches cells already escaped
+// with ', so the escape can be undone exactly
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+export function csvCell(value) {
+  const text = value instanceof Date ? value.toISOString().split("T")[0] : String(value ?? "");
+  if (typeof value === "string" && FORMULA_START.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undoes csvCell's formula escape
+const unescapeCell = (text) => (text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text);
+
+export async function writeCsv(stream, columns, rows) {
+  const write = (cells) => stream.write(cells.map(csvCell).join(",") + "\r\n");
+
+  // BOM so Excel opens it as UTF-8
+  stream.write("\uFEFF");
+  write(columns.map(({ header }) => header));
+  for await (const row of rows) {
+    if (!write(row)) await once(stream, "drain");
+  }
+  stream.end();
+}
+
+// Excel limits sheet names to 31 characters and rejects a few symbols
+const sheetTitle = (name) => name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+
+// Dates, numbers and booleans stay typed; anything else (including objects
+// exceljs would read as a formula or hyperlink) is written as text
+const xlsxCell = (value) => (value === null || value === undefined || value instanceof Date ||
+  typeof value === "number" || typeof value === "boolean" ? value : String(value));
+
+export async function writeXlsx(stream, columns, rows, { sheetName = "Sheet1" } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetTitle(sheetName));
+  sheet.columns = columns.map(({ header, date, multiline }) => ({
+    header,
+    width: multiline ? 36 : Math.max(12, header.length + 2),
+    style: {
+      ...(date ? { numFmt: "yyyy-mm-dd" } : {}),
+      ...(multiline ? { alignment: { wrapText: true, vertical: "top" } } : {}),
+    },
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    sheet.addRow(row.map(xlsxCell)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(unescapeCell(cell));
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(unescapeCell(cell));
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new SpreadsheetError("The CSV has an unterminated quoted field");
+  if (cell !== "" || row.length) {
+    row.push(unescapeCell(cell));
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Text of a cell as shown in Excel: rich text joined, formulas by their result,
+// hyperlinks by their text and dates as yyyy-mm-dd
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().split("T")[0];
+  if (typeof value !== "object") return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join("");
+  if ("result" in value) return cellText(value.result);
+  if ("text" in value) return cellText(value.text);
+  return "";
+}
+
+/**
+ * Rows of the first worksheet of an .xlsx file.
+ * @param {Buffer} buffer
+ * @returns {Promise<string[][]>}
+ */
+export async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new SpreadsheetError("The file is not a valid .xlsx workbook");
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new SpreadsheetError("The workbook has no worksheets");
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, number) => {
+    rows[number - 1] = Array.from({ length: row.cellCount }, (_, index) => cellText(row.getCell(index + 1).value));
+  });
+  return Array.from(rows, row => row ?? []);
+}
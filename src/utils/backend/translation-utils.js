@@ -1,70 +1,52 @@
-import Translation from "../../../server/schemas/Translation.js";
+import { LANGUAGES, deleteTranslations, seedTranslations } from "../../../server/services/translation-service.js";
+
+const NAMESPACE = "levels";
 
 const formattedSkillKey = (skill) => `level_skill_${skill.toLowerCase().replace(/ /g, "_")}`;
 
-export const deleteLevelTranslations = async (levelData) => {
+// The { key, value } strings a level shows, in English
+const levelTranslationEntries = (levelData) => [
+  { key: `level_name_${levelData._id}`, value: levelData.name },
+  { key: `level_desc_${levelData._id}`, value: levelData.description },
+  ...levelData.skills.map(skill => ({ key: `${formattedSkillKey(skill)}_${levelData._id}`, value: skill })),
+].filter(({ value }) => typeof value === "string" && value.trim() !== "");
+
+// Remove the keys in every language, keeping them in the revision history
+const removeLevelKeys = (keys, options) => deleteTranslations(
+  keys.flatMap(key => LANGUAGES.map(lng => ({ lng, ns: NAMESPACE, key }))),
+  options
+);
+
+export const deleteLevelTranslations = async (levelData, options = {}) => {
   try {
-    await Translation.deleteMany({ key: `level_name_${levelData._id}` });
-    await Translation.deleteMany({ key: `level_desc_${levelData._id}` });
-    for (const skill of levelData.skills) {
-      const key = `${formattedSkillKey(skill)}_${levelData._id}`;
-      await Translation.deleteMany({ key });
-    }
+    await removeLevelKeys(levelTranslationEntries(levelData).map(({ key }) => key), options);
   } catch (error) {
     console.error("Failed to delete level translations", error);
     throw new Error("Failed to delete level translations");
   }
 };
 
-export const createLevelTranslations = async (levelData) => {
+// English gets the level's text; other languages are marked as needing translation
+export const createLevelTranslations = async (levelData, options = {}) => {
   try {
-    // name translation
-    const response = await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-      },
-      body: JSON.stringify({
-        key: `level_name_${levelData._id}`,
-        value: levelData.name,
-        namespace: "levels"
-      })
-    });
-    const data = await response.json();
-    if (!response.ok) {
-      console.error("Failed to create translation", data);
-    }
-    // description translation
-    await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-      },
-      body: JSON.stringify({
-        key: `level_desc_${levelData._id}`,
-        value: levelData.description,
-        namespace: "levels"
-      })
-    });
-    // skill translations
-    for (const skill of levelData.skills) {
-      const key = `${formattedSkillKey(skill)}_${levelData._id}`;
-      await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-        },
-        body: JSON.stringify({
-          key,
-          value: skill,
-          namespace: "levels"
-        })
-      });
-    }
+    await seedTranslations(NAMESPACE, levelTranslationEntries(levelData), options);
   } catch (error) {
+    console.error("Failed to create level translations", error);
     throw new Error("Failed to create level translations");
   }
-}
\ No newline at end of file
+};
+
+// Keys that are still used keep their translations (reported as outdated if the
+// English text changed); only removed skills lose theirs
+export const updateLevelTranslations = async (previousData, levelData, options = {}) => {
+  try {
+    const entries = levelTranslationEntries(levelData);
+    const kept = new Set(entries.map(({ key }) => key));
+    const removed = levelTranslationEntries(previousData).map(({ key }) => key).filter(key => !kept.has(key));
+    await removeLevelKeys(removed, options);
+    await seedTranslations(NAMESPACE, entries, options);
+  } catch (error) {
+    console.error("Failed to update level translations", error);
+    throw new Error("Failed to update level translations");
+  }
+};
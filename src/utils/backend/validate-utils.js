@@ -18,4 +18,15 @@ export const validateInput = (input, allowedFields) => {
   }
 
   return filteredInput
-}
\ No newline at end of file
+}
+
+/*
+purpose: escape user text so it matches literally inside a RegExp
+argument types:
+  text: string
+return type:
+  string
+
+example of a case-insensitive search: new RegExp(escapeRx(q.trim()), "i")
+*/
+export const escapeRx = (text) => text.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&")
@@ -0,0 +1,29 @@
+// File downloads from the API (requested with axios' responseType: 'blob').
+
+/**
+ * Save a blob response as a file, named by its Content-Disposition header.
+ * @param {import('axios').AxiosResponse<Blob>} response
+ * @param {string} fallbackName used when the header has no filename
+ */
+export const saveDownload = (response, fallbackName) => {
+  const filename = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] ?? fallbackName;
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Error bodies of blob requests arrive as a Blob too; turn them back into
+ * { message } so callers can read error.response.data.message as usual.
+ */
+export const readBlobError = async (error) => {
+  if (error.response?.data instanceof Blob) {
+    error.response.data = await error.response.data.text()
+      .then(JSON.parse)
+      .catch(() => ({ message: error.message }));
+  }
+  return error;
+};
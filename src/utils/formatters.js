@@ -1,4 +1,6 @@
 import { toWords } from "number-to-chinese-words";
+import { DateTime, Info } from "luxon";
+import { transliterateUyghur, getUyghurScript } from "./uyghur-script.js";
 
 export const toTitleCase = (text) => text.charAt(0).toUpperCase() + text.slice(1);
 
@@ -9,6 +11,83 @@ export function localizeNumber(number, lang) {
   return new Intl.NumberFormat(lang).format(number);
 }
 
+// Intl has Uyghur only in the Arabic script; follow the reader's choice
+const inScript = (text, lang) => (lang?.startsWith('ug') ? transliterateUyghur(text, getUyghurScript()) : text);
+
+/**
+ * A count with the right plural form of `key` (`${key}_one`, `${key}_few`,
+ * `${key}_other`...) for the current language. Until the key is translated
+ * the English forms are shown.
+ * @param {Function} t - i18next t
+ * @param {string} key
+ * @param {number} count
+ * @param {{ one: string, other: string }} english - e.g. { one: "{{count, number}} student", other: "{{count, number}} students" }
+ * @param {object} [options] - more t() options, e.g. { ns }
+ * @returns {string}
+ */
+export const formatCount = (t, key, count, english, options = {}) => t(key, {
+  count,
+  defaultValue_one: english.one,
+  defaultValue_other: english.other,
+  defaultValue: english.other,
+  ...options
+});
+
+const toDateTime = (value) => {
+  if (DateTime.isDateTime(value)) return value;
+  return value instanceof Date ? DateTime.fromJSDate(value) : DateTime.fromISO(value);
+};
+
+/**
+ * A date (Date, ISO string or luxon DateTime) written the way `lang` writes it.
+ * @param {Date|string|DateTime} value
+ * @param {string} lang
+ * @param {object} [format=DateTime.DATE_MED] - a luxon preset or Intl options
+ * @returns {string}
+ */
+export const formatDate = (value, lang, format = DateTime.DATE_MED) =>
+  inScript(toDateTime(value).setLocale(lang).toLocaleString(format), lang);
+
+export const formatDateTime = (value, lang) => formatDate(value, lang, DateTime.DATETIME_MED);
+
+/**
+ * Hours and minutes on the clock `lang` uses: "2:05 PM" in English,
+ * "14:05" in Turkish, Russian, Uyghur and Chinese.
+ * @param {Date|string|DateTime} value
+ * @param {string} lang
+ * @returns {string}
+ */
+export const formatTime = (value, lang) => formatDate(value, lang, DateTime.TIME_SIMPLE);
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Monday-first weekday names in `lang`. Narrow names that would repeat
+ * (T for both Tuesday and Thursday) get their second letter too.
+ * @param {string} lang
+ * @param {"long"|"short"|"narrow"} [width="long"]
+ * @returns {string[]}
+ */
+export const weekdayNames = (lang, width = 'long') => {
+  let names = Info.weekdays(width, { locale: lang });
+  if (width === 'narrow') {
+    const short = Info.weekdays('short', { locale: lang });
+    names = names.map((name, index) => (names.indexOf(name) === names.lastIndexOf(name)
+      ? name
+      : short[index].charAt(0).toLocaleUpperCase(lang) + short[index].charAt(1)));
+  }
+  return names.map(name => inScript(name, lang));
+};
+
+/**
+ * @param {string} day - "mon", "Monday", "MON"...
+ * @param {string} lang
+ * @param {"long"|"short"|"narrow"} [width="long"]
+ * @returns {string}
+ */
+export const weekdayName = (day, lang, width = 'long') =>
+  weekdayNames(lang, width)[WEEKDAYS.indexOf(day.slice(0, 3).toLowerCase())];
+
 export const ensureHttps = (url) => {
   return url.startsWith("http://") || url.startsWith("https://")
     ? url
@@ -18,4 +97,22 @@ export const ensureHttps = (url) => {
 export const convertIfNumber = (str) => {
     const trimmed = str.trim();
     return !isNaN(trimmed) && trimmed !== '' ? Number(trimmed) : str;
-};
\ No newline at end of file
+};
+
+// Core classes read "Level 3"; course type classes use the course label
+// (e.g. "IELTS"), followed by the level when the type is numbered
+export const formatClassLevel = (classObj, t, lang) => {
+  const courseType = classObj.courseType ?? (typeof classObj.level === 'string' ? classObj.level : null);
+  const levelLabel = t('level_num', {
+    num: typeof classObj.level === 'number' ? localizeNumber(classObj.level, lang) : classObj.level,
+    ns: 'levels'
+  });
+  if (!courseType) return levelLabel;
+
+  const courseLabel = t(`course_${courseType}`, { ns: 'levels' });
+  return typeof classObj.level === 'number' ? `${courseLabel} ${levelLabel}` : courseLabel;
+};
+
+// Admin page that edits a class
+export const classAdminURL = (classObj) =>
+  classObj.courseType ? `/admin/levels/courses/${classObj.courseType}` : `/admin/levels/class`;
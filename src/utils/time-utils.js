@@ -1,4 +1,34 @@
-import { DateTime } from "luxon";
+import { DateTime, IANAZone } from "luxon";
+
+// Time zones offered in the profile picker. Shared with the server, which
+// prints schedules in the ones with an `exportKey` (see /api/students-export).
+export const TIME_ZONES = [
+  { zone: 'America/New_York', label: 'New York', exportKey: 'scheduleEST' },
+  { zone: 'Europe/Istanbul', label: 'Istanbul', exportKey: 'scheduleIstanbul' },
+  { zone: 'Asia/Urumqi', label: 'Urumqi' },
+  { zone: 'Asia/Shanghai', label: 'Beijing' },
+  { zone: 'Asia/Almaty', label: 'Almaty' },
+  { zone: 'Asia/Tashkent', label: 'Tashkent' },
+  { zone: 'Europe/Moscow', label: 'Moscow' },
+  { zone: 'Europe/Berlin', label: 'Berlin' },
+  { zone: 'Europe/London', label: 'London' },
+  { zone: 'America/Chicago', label: 'Chicago' },
+  { zone: 'America/Denver', label: 'Denver' },
+  { zone: 'America/Los_Angeles', label: 'Los Angeles' },
+  { zone: 'Australia/Sydney', label: 'Sydney' },
+  { zone: 'Etc/UTC', label: 'UTC' },
+];
+
+export const isValidTimeZone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+/**
+ * The browser's IANA time zone, or UTC if it can't be read.
+ * @returns {string}
+ */
+export const detectTimeZone = () => {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(zone) ? zone : 'Etc/UTC';
+}
 
 /**
  * Converts time from one time zone to another and returns 24-hour format.
@@ -36,4 +66,45 @@ export const to12HourFormat = (time24h) => {
   }
 
   return dt.toFormat('h:mm a');
+}
+
+/**
+ * Places a weekly schedule entry in another time zone. The day is the one the
+ * class starts on there, so late classes can roll over to the next day.
+ * @param {object} entry - { day, startTime, endTime, timezone } as stored on a class
+ * @param {string} toZone - target time zone in IANA format
+ * @returns {{ day: string, start: DateTime, end: DateTime } | null} null if the entry is invalid
+ */
+export const scheduleInZone = (entry, toZone) => {
+  const fromZone = entry.timezone || 'Etc/UTC';
+  const start = DateTime.fromFormat(`${entry.day} ${entry.startTime}`, 'cccc H:mm', { zone: fromZone });
+  let end = DateTime.fromFormat(`${entry.day} ${entry.endTime}`, 'cccc H:mm', { zone: fromZone });
+  if (!start.isValid || !end.isValid) {
+    return null;
+  }
+  if (end <= start) {
+    end = end.plus({ days: 1 }); // runs past midnight
+  }
+
+  const zonedStart = start.setZone(toZone);
+  return {
+    day: zonedStart.toFormat('cccc'),
+    start: zonedStart,
+    end: end.setZone(toZone)
+  }
+}
+
+/**
+ * One schedule entry as text in a time zone, e.g. "Monday 9:30am-10:30am".
+ * @param {object} entry - { day, startTime, endTime, timezone } as stored on a class
+ * @param {string} toZone - target time zone in IANA format
+ * @returns {string}
+ */
+export const formatScheduleEntry = (entry, toZone) => {
+  const zoned = scheduleInZone(entry, toZone);
+  if (!zoned) {
+    return '';
+  }
+  const time = (dt) => dt.toFormat('h:mma').toLowerCase();
+  return `${zoned.day} ${time(zoned.start)}-${time(zoned.end)}`;
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+// Placeholders i18next fills in at runtime. A translation has to keep the ones
+// its English source uses, or the value silently never shows up. Shared with
+// the server, which refuses to save translations that don't match.
+//
+//   {{name}}             interpolation
+//   {{name, format}}     interpolation with a formatter
+//   {{- name}}           unescaped interpolation
+//   $t(key)              nesting, optionally $t(key, { ...options })
+//   key_one, key_few...  plural forms, picked by {{count}}
+
+export const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+const PLURAL_KEY = new RegExp(`^(.+?)(_ordinal)?_(${PLURAL_CATEGORIES.join("|")})$`);
+
+/**
+ * Splits a plural key into its base and category.
+ * @param {string} key - e.g. "student_few" or "place_ordinal_one"
+ * @returns {{ base: string, ordinal: boolean, category: string } | null} null for plain keys
+ */
+export const splitPluralKey = (key) => {
+  const match = PLURAL_KEY.exec(key);
+  return match ? { base: match[1], ordinal: Boolean(match[2]), category: match[3] } : null;
+};
+
+/**
+ * Plural categories a language has, or null if the runtime doesn't know it.
+ * @param {string} lng
+ * @param {boolean} [ordinal=false]
+ * @returns {string[] | null}
+ */
+export const pluralCategories = (lng, ordinal = false) => {
+  if (Intl.PluralRules.supportedLocalesOf(lng).length === 0) return null;
+  return new Intl.PluralRules(lng, { type: ordinal ? "ordinal" : "cardinal" }).resolvedOptions().pluralCategories;
+};
+
+/**
+ * Finds the placeholders in a translation.
+ * @param {string} text
+ * @returns {{ tokens: Array<{ type: "interpolation" | "nesting", name: string, unescaped: boolean, raw: string, start: number, end: number }>, errors: string[] }}
+ * tokens in order of appearance, and a message for each malformed placeholder
+ */
+export const parsePlaceholders = (text) => {
+  const value = String(text ?? "");
+  const tokens = [];
+  const errors = [];
+
+  let index = 0;
+  let optionsEnd = -1; // end of the $t(...) being scanned
+  while (index < value.length) {
+    if (value.startsWith("{{", index)) {
+      const close = value.indexOf("}}", index + 2);
+      if (close === -1) {
+        errors.push(`"{{" at position ${index + 1} is never closed with "}}"`);
+        break;
+      }
+      const raw = value.slice(index, close + 2);
+      const inner = value.slice(index + 2, close).trim();
+      const unescaped = inner.startsWith("-");
+      const name = (unescaped ? inner.slice(1) : inner).split(",")[0].trim();
+      if (!name) {
+        errors.push(`"${raw}" at position ${index + 1} has no variable name`);
+      } else {
+        tokens.push({ type: "interpolation", name, unescaped, raw, start: index, end: close + 2 });
+      }
+      index = close + 2;
+    } else if (value.startsWith("}}", index) && index > optionsEnd) {
+      errors.push(`"}}" at position ${index + 1} has no opening "{{"`);
+      index += 2;
+    } else if (value.startsWith("$t(", index)) {
+      const close = closingParenthesis(value, index + 2);
+      if (close === -1) {
+        errors.push(`"$t(" at position ${index + 1} is never closed with ")"`);
+        break;
+      }
+      const raw = value.slice(index, close + 1);
+      const name = value.slice(index + 3, close).split(",")[0].trim().replace(/^["']|["']$/g, "");
+      if (!name) {
+        errors.push(`"${raw}" at position ${index + 1} has no key`);
+      } else {
+        tokens.push({ type: "nesting", name, unescaped: false, raw, start: index, end: close + 1 });
+      }
+      // Options may interpolate values, e.g. $t(student, { "count": {{count}} })
+      optionsEnd = Math.max(optionsEnd, close);
+      index += 3;
+    } else {
+      index += 1;
+    }
+  }
+
+  return { tokens, errors };
+};
+
+// Index of the ")" matching the "(" at `open`, or -1
+function closingParenthesis(value, open) {
+  let depth = 0;
+  for (let index = open; index < value.length; index++) {
+    if (value[index] === "(") depth++;
+    if (value[index] === ")" && --depth === 0) return index;
+  }
+  return -1;
+}
+
+/**
+ * How a placeholder is named in messages, e.g. "{{count}}" or "$t(level)".
+ * @param {{ type: string, name: string }} token
+ * @returns {string}
+ */
+export const placeholderLabel = (token) => (token.type === "nesting" ? `$t(${token.name})` : `{{${token.name}}}`);
+
+/**
+ * Compares the placeholders of a translation with its English source.
+ * Plural forms may leave out {{count}} ("One student" / "{{count}} students").
+ * @param {string} source - English value
+ * @param {string} value - translated value
+ * @param {object} [options]
+ * @param {boolean} [options.plural=false] - whether the key is a plural form
+ * @returns {string[]} one message per problem, empty if the placeholders match
+ */
+export const comparePlaceholders = (source, value, { plural = false } = {}) => {
+  const expected = parsePlaceholders(source).tokens;
+  const { tokens: actual, errors } = parsePlaceholders(value);
+  const problems = [...errors];
+  const optional = (token) => plural && token.type === "interpolation" && token.name === "count";
+
+  const expectedLabels = new Set(expected.map(placeholderLabel));
+  const actualLabels = new Set(actual.map(placeholderLabel));
+  for (const token of uniqueBy(expected, placeholderLabel)) {
+    if (!actualLabels.has(placeholderLabel(token)) && !optional(token)) {
+      problems.push(`Missing ${token.type === "nesting" ? "nested translation" : "placeholder"} ${placeholderLabel(token)}`);
+    }
+  }
+  for (const token of uniqueBy(actual, placeholderLabel)) {
+    if (!expectedLabels.has(placeholderLabel(token)) && !optional(token)) {
+      const known = [...expectedLabels].join(", ") || "none";
+      problems.push(`Unknown ${token.type === "nesting" ? "nested translation" : "placeholder"} ${placeholderLabel(token)} (English uses: ${known})`);
+    }
+  }
+
+  // Unescaping a value English escapes would let it inject markup
+  const escaped = new Set(expected.filter(token => token.type === "interpolation" && !token.unescaped).map(token => token.name));
+  for (const token of uniqueBy(actual.filter(token => token.unescaped && escaped.has(token.name)), placeholderLabel)) {
+    problems.push(`{{${token.name}}} must stay escaped: write {{${token.name}}} instead of ${token.raw}`);
+  }
+
+  return problems;
+};
+
+/**
+ * Whether a language uses the plural form a key ends in.
+ * @param {string} lng
+ * @param {string} key
+ * @returns {string | null} a message if it doesn't, otherwise null
+ */
+export const pluralKeyProblem = (lng, key) => {
+  const plural = splitPluralKey(key);
+  // i18next looks up _zero for a count of 0 in every language
+  if (!plural || (plural.category === "zero" && !plural.ordinal)) return null;
+  const categories = pluralCategories(lng, plural.ordinal);
+  if (!categories || categories.includes(plural.category)) return null;
+  return `"${lng}" has no "${plural.category}" ${plural.ordinal ? "ordinal" : "plural"} form; use ${categories.map(category => `_${plural.ordinal ? "ordinal_" : ""}${category}`).join(", ")}`;
+};
+
+function uniqueBy(items, keyOf) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyOf(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,148 @@
+// Uyghur translations are stored in the Arabic-based script (UEY). Readers
+// who use the Latin (ULY) or Cyrillic (USY) alphabet get them transliterated
+// letter by letter when they're displayed.
+
+export const UYGHUR_SCRIPTS = {
+  arab: { label: "ئۇيغۇرچە", dir: "rtl", lang: "ug-Arab" },
+  latn: { label: "Uyghurche", dir: "ltr", lang: "ug-Latn" },
+  cyrl: { label: "Уйғурчә", dir: "ltr", lang: "ug-Cyrl" },
+};
+
+const STORAGE_KEY = "i18nextUyghurScript";
+
+// Written before a vowel that starts a syllable
+const HAMZA = "ئ";
+
+// Arabic-script letter → [Latin, Cyrillic]
+const LETTERS = {
+  "ا": ["a", "а"],
+  "ە": ["e", "ә"],
+  "ب": ["b", "б"],
+  "پ": ["p", "п"],
+  "ت": ["t", "т"],
+  "ج": ["j", "җ"],
+  "چ": ["ch", "ч"],
+  "خ": ["x", "х"],
+  "د": ["d", "д"],
+  "ر": ["r", "р"],
+  "ز": ["z", "з"],
+  "ژ": ["zh", "ж"],
+  "س": ["s", "с"],
+  "ش": ["sh", "ш"],
+  "غ": ["gh", "ғ"],
+  "ف": ["f", "ф"],
+  "ق": ["q", "қ"],
+  "ك": ["k", "к"],
+  "گ": ["g", "г"],
+  "ڭ": ["ng", "ң"],
+  "ل": ["l", "л"],
+  "م": ["m", "м"],
+  "ن": ["n", "н"],
+  "ھ": ["h", "һ"],
+  "و": ["o", "о"],
+  "ۇ": ["u", "у"],
+  "ۆ": ["ö", "ө"],
+  "ۈ": ["ü", "ү"],
+  "ۋ": ["w", "в"],
+  "ې": ["ë", "е"],
+  "ى": ["i", "и"],
+  "ي": ["y", "й"],
+};
+
+const PUNCTUATION = { "،": ",", "؛": ";", "؟": "?" };
+
+// Cyrillic writes y + a and y + u as one letter
+const CYRILLIC_PAIRS = { "йа": "я", "йу": "ю" };
+
+// Two Latin letters that would read as a digraph (n + g, s + h...) are kept
+// apart with an apostrophe
+const LATIN_DIGRAPHS = new Set(["ng", "sh", "ch", "zh", "gh"]);
+
+const ARABIC_SCRIPT = /[؀-ۿ]/;
+
+/**
+ * Rewrites the Arabic-script Uyghur in `text`; anything else is left as is.
+ * @param {string} text
+ * @param {"arab" | "latn" | "cyrl"} script
+ * @returns {string}
+ */
+export const transliterateUyghur = (text, script) => {
+  if (script === "arab" || typeof text !== "string" || !ARABIC_SCRIPT.test(text)) return text;
+  const column = script === "cyrl" ? 1 : 0;
+
+  let result = "";
+  let previous = null; // previous Uyghur letter of the current word
+  let startsSentence = true;
+  for (const char of text.normalize("NFC")) {
+    if (char === HAMZA) {
+      // Silent at the start of a word, a syllable break in Latin elsewhere
+      if (previous && column === 0) result += "'";
+      continue;
+    }
+
+    const letter = LETTERS[char];
+    if (!letter) {
+      if (PUNCTUATION[char]) result += PUNCTUATION[char];
+      else if (/[٠-٩]/.test(char)) result += String(char.charCodeAt(0) - 0x0660);
+      else result += char;
+      if (/[.!?\n؟]/.test(char)) startsSentence = true;
+      else if (/\p{L}/u.test(char)) startsSentence = false;
+      previous = null;
+      continue;
+    }
+
+    let output = letter[column];
+    const joined = (result.slice(-1) + output[0]).toLowerCase();
+    if (column === 0 && previous && LETTERS[previous][0].length === 1 && output.length === 1 && LATIN_DIGRAPHS.has(joined)) {
+      output = `'${output}`;
+    }
+    if (column === 1 && previous && CYRILLIC_PAIRS[joined]) {
+      const capital = result.slice(-1) !== result.slice(-1).toLowerCase();
+      result = result.slice(0, -1);
+      output = capital ? CYRILLIC_PAIRS[joined].toUpperCase() : CYRILLIC_PAIRS[joined];
+    }
+    // The Arabic script has no capitals; start sentences with one
+    if (startsSentence) {
+      output = output[0].toUpperCase() + output.slice(1);
+      startsSentence = false;
+    }
+
+    result += output;
+    previous = char;
+  }
+  return result;
+};
+
+let chosenScript = null;
+
+/**
+ * The script the reader picked for Uyghur, "arab" unless they chose another.
+ * @returns {"arab" | "latn" | "cyrl"}
+ */
+export const getUyghurScript = () => {
+  if (!chosenScript) {
+    try {
+      chosenScript = localStorage.getItem(STORAGE_KEY);
+    } catch {
+      // storage unavailable
+    }
+  }
+  return UYGHUR_SCRIPTS[chosenScript] ? chosenScript : "arab";
+};
+
+export const saveUyghurScript = (script) => {
+  chosenScript = script;
+  try {
+    localStorage.setItem(STORAGE_KEY, script);
+  } catch {
+    // storage unavailable: the choice lasts until the page reloads
+  }
+};
+
+/**
+ * Writing direction of a language as displayed, taking the Uyghur script
+ * choice into account.
+ * @param {string} lng
+ * @returns {"ltr" | "rtl"}
+ */
+export const languageDir = (lng) => (lng?.split("-")[0] === "ug" ? UYGHUR_SCRIPTS[getUyghurScript()].dir : "ltr");
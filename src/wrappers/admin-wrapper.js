@@ -0,0 +1,69 @@
+import axios from 'axios';
+
+/** Dry-run enrollment integrity report */
+const getEnrollmentIntegrity = async () => {
+  const response = await axios.get('/api/admin/integrity/enrollments');
+  return response.data;
+};
+
+/** Repair enrollment drift; returns the report of what was fixed */
+const repairEnrollmentIntegrity = async () => {
+  const response = await axios.post('/api/admin/integrity/enrollments/repair');
+  return response.data;
+};
+
+/** Unsent mail: { queued, failed, messages } */
+const getMailQueue = async () => {
+  const response = await axios.get('/api/admin/mail-queue');
+  return response.data;
+};
+
+/** Send queued mail that is due; returns { sent, queued, failed } */
+const retryMailQueue = async () => {
+  const response = await axios.post('/api/admin/mail-queue/retry');
+  return response.data;
+};
+
+/** Try one message again now */
+const retryQueuedMail = async (mailId) => {
+  const response = await axios.post(`/api/admin/mail-queue/${mailId}/retry`);
+  return response.data;
+};
+
+/** Mail captured by the file/memory transports: { transport, messages } */
+const getOutbox = async () => {
+  const response = await axios.get('/api/admin/outbox');
+  return response.data;
+};
+
+/** One captured message with text, html and raw source */
+const getOutboxMessage = async (messageId) => {
+  const response = await axios.get(`/api/admin/outbox/${messageId}`);
+  return response.data;
+};
+
+const clearOutbox = async () => {
+  const response = await axios.delete('/api/admin/outbox');
+  return response.data;
+};
+
+/**
+ * Audit log search: { actor, entity, targetId, from, to, page, limit }, with
+ * `from`/`to` as ISO timestamps. Returns { items, total, page, limit }.
+ */
+const getAuditLogs = async (params = {}) => {
+  const response = await axios.get('/api/admin/audit-logs', { params });
+  return response.data;
+};
+
+export {
+  getEnrollmentIntegrity,
+  repairEnrollmentIntegrity,
+  getMailQueue,
+  retryMailQueue,
+  retryQueuedMail,
+  getOutbox,
+  getOutboxMessage,
+  clearOutbox,
+  getAuditLogs
+}
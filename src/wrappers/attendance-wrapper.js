@@ -0,0 +1,46 @@
+import axios from 'axios';
+
+/** Sessions for a class; optional { from, to } ISO dates */
+const getClassSessions = async (classId, range = {}) => {
+  const response = await axios.get(`/api/attendance/classes/${classId}/sessions`, { params: range });
+  return response.data;
+};
+
+/** Create a class's missing sessions from its schedule, then list them like getClassSessions */
+const syncClassSessions = async (classId, range = {}) => {
+  const response = await axios.post(`/api/attendance/classes/${classId}/sessions/sync`, range);
+  return response.data;
+};
+
+/** Mark attendance: entries is [{ student, status }] with status present | absent | late */
+const markAttendance = async (sessionId, entries) => {
+  const response = await axios.put(`/api/attendance/sessions/${sessionId}`, { attendance: entries });
+  return response.data;
+};
+
+/** Per-student attendance rates for a class (admin) */
+const getClassAttendance = async (classId) => {
+  const response = await axios.get(`/api/attendance/classes/${classId}/summary`);
+  return response.data;
+};
+
+/** A student's rates per class and history (admin) */
+const getStudentAttendance = async (userId) => {
+  const response = await axios.get(`/api/attendance/students/${userId}/summary`);
+  return response.data;
+};
+
+/** Signed-in student's own attendance */
+const getMyAttendance = async () => {
+  const response = await axios.get('/api/attendance/me');
+  return response.data;
+};
+
+export {
+  getClassSessions,
+  syncClassSessions,
+  markAttendance,
+  getClassAttendance,
+  getStudentAttendance,
+  getMyAttendance
+}
@@ -0,0 +1,24 @@
+import axios from 'axios';
+
+/** Signed-in user's calendar feed path, or null if they have none */
+const getCalendarLink = async () => {
+  const response = await axios.get('/api/calendar/me');
+  return response.data.path;
+};
+
+/** Create the feed link, or replace it (the old link stops working) */
+const resetCalendarLink = async () => {
+  const response = await axios.post('/api/calendar/me/token');
+  return response.data.path;
+};
+
+/** Turn the feed off */
+const revokeCalendarLink = async () => {
+  await axios.delete('/api/calendar/me/token');
+};
+
+export {
+  getCalendarLink,
+  resetCalendarLink,
+  revokeCalendarLink
+}
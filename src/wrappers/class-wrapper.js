@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { toTitleCase } from '@/utils/formatters';
+import { saveDownload, readBlobError } from '@/utils/download-utils';
+import { detectTimeZone } from '@/utils/time-utils';
 
 // query should be a string
 const getAllClasses = async (query = "") => {
@@ -42,6 +44,16 @@ const getClassStudents = async (classId) => {
   }
 }
 
+const getClassWaitlist = async (classId) => {
+  try {
+    const response = await axios.get(`/api/classes/class-waitlist/${classId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching class waitlist:', error);
+    throw error;
+  }
+}
+
 const createClass = async (classData) => {
   classData.instructor = toTitleCase(classData.instructor);
   try {
@@ -76,9 +88,12 @@ const deleteClass = async (classId) => {
   }
 }
 
-const enrollInClass = async (classId, userId) => {
+// idempotencyKey: optional, reuse it for retries of the same user action
+const enrollInClass = async (classId, userId, idempotencyKey) => {
   try {
-    const response = await axios.put(`/api/users/${userId}/enroll`, { classId });
+    const response = await axios.put(`/api/users/${userId}/enroll`, { classId }, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+    });
     return response.data;
   } catch (error) {
     console.error('Enroll endpoint put error:', error);
@@ -86,9 +101,11 @@ const enrollInClass = async (classId, userId) => {
   }
 }
 
-const unenrollInClass = async (classId, userId) => {
+const unenrollInClass = async (classId, userId, idempotencyKey) => {
   try {
-    const response = await axios.put(`/api/users/${userId}/unenroll`, { classId });
+    const response = await axios.put(`/api/users/${userId}/unenroll`, { classId }, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+    });
     return response.data;
   } catch (error) {
     console.error('Unenroll endpoint put error:', error);
@@ -96,11 +113,58 @@ const unenrollInClass = async (classId, userId) => {
   }
 }
 
+const getClassRoster = (classId, { format, weeks = 4, timeZone = detectTimeZone() }) => (
+  axios.get(`/api/classes/classes/${classId}/roster`, {
+    params: { format, weeks, tz: timeZone },
+    responseType: format === 'html' ? 'text' : 'blob',
+  })
+);
+
+/** Download a class's roster as 'csv' or 'xlsx', with a column per session in the next `weeks` */
+const downloadClassRoster = async (classId, { format = 'xlsx', weeks, timeZone } = {}) => {
+  try {
+    saveDownload(await getClassRoster(classId, { format, weeks, timeZone }), `roster.${format}`);
+  } catch (error) {
+    await readBlobError(error);
+    console.error('Error downloading class roster:', error);
+    throw error;
+  }
+}
+
+/** Open a class's printable sign-in sheet in a new tab and show the print dialog */
+const printSignInSheet = async (classId, { weeks, timeZone } = {}) => {
+  // Opened before the request so popup blockers see it come from the click
+  const printWindow = window.open('', '_blank');
+  try {
+    const { data } = await getClassRoster(classId, { format: 'html', weeks, timeZone });
+    printWindow.document.open();
+    printWindow.document.write(data);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  } catch (error) {
+    printWindow?.close();
+    // The error body arrives as text; turn it back into { message }
+    if (typeof error.response?.data === 'string') {
+      try {
+        error.response.data = JSON.parse(error.response.data);
+      } catch {
+        error.response.data = { message: error.message };
+      }
+    }
+    console.error('Error opening sign-in sheet:', error);
+    throw error;
+  }
+}
+
 export {
   getAllClasses,
   getClasses,
   getClassById,
   getClassStudents,
+  getClassWaitlist,
+  downloadClassRoster,
+  printSignInSheet,
   createClass,
   updateClass,
   deleteClass,
@@ -0,0 +1,121 @@
+import axios from 'axios';
+import { toTitleCase } from '@/utils/formatters';
+
+const getCourseTypes = async () => {
+  try {
+    const response = await axios.get("/api/course-types");
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching course types:', error);
+    throw error;
+  }
+}
+
+const getCourseType = async (slug) => {
+  try {
+    const response = await axios.get(`/api/course-types/${encodeURIComponent(slug)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching course type:', error);
+    throw error;
+  }
+}
+
+const createCourseType = async (courseTypeData) => {
+  try {
+    const response = await axios.post("/api/course-types", courseTypeData);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating course type:', error);
+    throw error;
+  }
+}
+
+const updateCourseType = async (slug, courseTypeData) => {
+  try {
+    const response = await axios.put(`/api/course-types/${encodeURIComponent(slug)}`, courseTypeData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating course type:', error);
+    throw error;
+  }
+}
+
+const deleteCourseType = async (slug) => {
+  try {
+    const response = await axios.delete(`/api/course-types/${encodeURIComponent(slug)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting course type:', error);
+    throw error;
+  }
+}
+
+// Classes belonging to a course type
+
+const getCourseClasses = async (slug) => {
+  try {
+    const response = await axios.get(`/api/classes/course/${encodeURIComponent(slug)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching course classes:', error);
+    throw error;
+  }
+}
+
+const getCourseClassById = async (slug, classId) => {
+  try {
+    const response = await axios.get(`/api/classes/course/${encodeURIComponent(slug)}/${classId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching course class from id:', error);
+    throw error;
+  }
+}
+
+const createCourseClass = async (slug, classData) => {
+  classData.instructor = toTitleCase(classData.instructor);
+  try {
+    const response = await axios.post(`/api/classes/course/${encodeURIComponent(slug)}`, classData);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating course class:', error);
+    throw error;
+  }
+}
+
+const updateCourseClass = async (slug, classId, classData) => {
+  if (Object.hasOwn(classData, "instructor")) {
+    classData.instructor = toTitleCase(classData.instructor);
+  }
+  try {
+    const response = await axios.put(`/api/classes/course/${encodeURIComponent(slug)}/${classId}`, classData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating course class:', error);
+    throw error;
+  }
+}
+
+const deleteCourseClass = async (slug, classId) => {
+  try {
+    const response = await axios.delete(`/api/classes/course/${encodeURIComponent(slug)}/${classId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting course class:', error);
+    throw error;
+  }
+}
+
+export {
+  getCourseTypes,
+  getCourseType,
+  createCourseType,
+  updateCourseType,
+  deleteCourseType,
+  getCourseClasses,
+  getCourseClassById,
+  createCourseClass,
+  updateCourseClass,
+  deleteCourseClass
+}
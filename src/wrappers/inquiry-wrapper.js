@@ -0,0 +1,37 @@
+import axios from 'axios';
+
+/** Contact-form inquiries plus per-status counts; filters: status, assignee (id | "none"), q */
+const getInquiries = async ({ status = '', assignee = '', q = '' } = {}) => {
+  const { data } = await axios.get('/api/inquiries', {
+    params: {
+      ...(status ? { status } : {}),
+      ...(assignee ? { assignee } : {}),
+      ...(q ? { q } : {}),
+    },
+  });
+  return data;
+};
+
+const getInquiry = async (inquiryId) => {
+  const { data } = await axios.get(`/api/inquiries/${inquiryId}`);
+  return data;
+};
+
+/** Update status, assignee or notes */
+const updateInquiry = async (inquiryId, updates) => {
+  const { data } = await axios.put(`/api/inquiries/${inquiryId}`, updates);
+  return data;
+};
+
+/** Email a reply to the sender; resolves with { message, inquiry } */
+const replyToInquiry = async (inquiryId, message) => {
+  const { data } = await axios.post(`/api/inquiries/${inquiryId}/reply`, { message });
+  return data;
+};
+
+export {
+  getInquiries,
+  getInquiry,
+  updateInquiry,
+  replyToInquiry
+}
@@ -1,5 +1,4 @@
 import axios from 'axios';
-import { transferTranslations } from "@/wrappers/translation-wrapper";
 
 // query should be a string
 const getLevels = async (query = "") => {
@@ -30,7 +29,6 @@ const createLevel = async (levelData) => {
   levelData.skills = levelData.skills.map(skill => skill.toLowerCase());
   try {
     const response = await axios.post(`/api/levels/`, levelData);
-    await transferTranslations();
     return response.data;
   } catch (error) {
     console.error('Error creating level:', error);
@@ -41,7 +39,6 @@ const createLevel = async (levelData) => {
 const updateLevel = async (levelId, levelData) => {
   try {
     const response = await axios.put(`/api/levels/${levelId}`, levelData);
-    await transferTranslations();
     return response.data;
   } catch (error) {
     console.error('Error updating level:', error);
@@ -1,5 +1,6 @@
 
 import axios from 'axios';
+import { saveDownload, readBlobError } from '@/utils/download-utils';
 
 const getTranslations = async (lng, ns) => {
   try {
@@ -33,8 +34,79 @@ const transferTranslations = async () => {
   }
 }
 
+const getNamespaces = async () => {
+  const { data } = await axios.get('/api/locales/namespaces');
+  return data;
+}
+
+/** Download translations as a file; { format, ns, lng, target } mirror the export query */
+const exportTranslations = async ({ format, ns = 'all', lng = 'all', target } = {}) => {
+  try {
+    const response = await axios.get('/api/locales/export', {
+      params: { format, ns, lng, ...(target ? { target } : {}) },
+      responseType: 'blob',
+    });
+    saveDownload(response, `translations.${format}`);
+  } catch (error) {
+    await readBlobError(error);
+    console.error('Failed to export translations:', error);
+    throw error;
+  }
+}
+
+/** Diff an import file against the database: { added, changed, removed, unchanged, baseHash } */
+const previewTranslationImport = async (importData) => {
+  const { data } = await axios.post('/api/locales/import/preview', importData);
+  return data;
+}
+
+/** Apply an import previewed with the same data; pass the preview's baseHash */
+const applyTranslationImport = async (importData) => {
+  const { data } = await axios.post('/api/locales/import/apply', importData);
+  return data;
+}
+
+/** Missing, extra and stale keys per namespace/language, with completeness percentages */
+const getTranslationReport = async () => {
+  const { data } = await axios.get('/api/locales/report');
+  return data;
+}
+
+/** Revisions newest first; filter with { lng, ns, key, limit } */
+const getTranslationRevisions = async (params = {}) => {
+  const { data } = await axios.get('/api/locales/revisions', { params });
+  return data;
+}
+
+/** Undo one revision: { message, translation } (translation null if it was removed) */
+const revertTranslationRevision = async (id) => {
+  const { data } = await axios.post(`/api/locales/revisions/${id}/revert`);
+  return data;
+}
+
+/** Keys of { ns, lng?, date } that a restore would change: { changes: [{ lng, ns, key, current, value }] } */
+const previewTranslationRestore = async (restoreData) => {
+  const { data } = await axios.post('/api/locales/restore/preview', restoreData);
+  return data;
+}
+
+/** Put a namespace back the way it was at `date`: { restored, deleted } */
+const restoreTranslations = async (restoreData) => {
+  const { data } = await axios.post('/api/locales/restore', restoreData);
+  return data;
+}
+
 export {
   getTranslations,
   editTranslation,
-  transferTranslations
+  transferTranslations,
+  getNamespaces,
+  exportTranslations,
+  previewTranslationImport,
+  applyTranslationImport,
+  getTranslationReport,
+  getTranslationRevisions,
+  revertTranslationRevision,
+  previewTranslationRestore,
+  restoreTranslations
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { toTitleCase } from '@/utils/formatters';
+import { saveDownload, readBlobError } from '@/utils/download-utils';
 
 /** Create user */
 const postUser = async (body) => {
@@ -65,8 +66,90 @@ const getStudentsClasses = async (studentId) => {
   return data;
 };
 
-const getStudentsForExport = async () => {
-  const { data } = await axios.get('/api/students-export');
+/** Columns the student export offers: { columns: [{ key, header }], defaults: [key] } */
+const getStudentExportColumns = async () => {
+  const { data } = await axios.get('/api/students-export/columns');
+  return data;
+};
+
+/**
+ * Download the students matching the list filters as CSV or XLSX, or just
+ * the students in `ids` when given.
+ * `columns` are keys from getStudentExportColumns().
+ */
+const exportStudents = async ({ format = 'xlsx', columns = [], level = null, q = '', ids = null } = {}) => {
+  try {
+    const response = await axios.get('/api/students-export', {
+      params: {
+        format,
+        columns: columns.join(','),
+        ...(ids ? { ids: ids.join(',') } : {}),
+        ...(level !== null ? { level } : {}),
+        ...(q ? { q } : {})
+      },
+      responseType: 'blob',
+    });
+    saveDownload(response, `dillar_students.${format}`);
+  } catch (error) {
+    await readBlobError(error);
+    console.error('Failed to export students:', error);
+    throw error;
+  }
+};
+
+/**
+ * Bulk student import. `data` is { format: 'csv' | 'xlsx', content, fileName },
+ * content being the CSV text or the .xlsx file base64-encoded.
+ * Returns { rows, summary } with each row's errors and warnings.
+ */
+const previewStudentImport = async (data) => {
+  const { data: preview } = await axios.post('/api/admin/student-imports/preview', data);
+  return preview;
+};
+
+/**
+ * Start an import; returns it with every row pending or skipped. Nothing is
+ * created until continueStudentImport.
+ */
+const startStudentImport = async (data) => {
+  const { data: job } = await axios.post('/api/admin/student-imports', data);
+  return job;
+};
+
+/**
+ * Import the next few rows; call it until the returned import's status is
+ * 'done'. Calling it again after an error resumes the import.
+ */
+const continueStudentImport = async (importId) => {
+  const { data: job } = await axios.post(`/api/admin/student-imports/${importId}/continue`);
+  return job;
+};
+
+const downloadStudentImportReport = async (importId, format = 'xlsx') => {
+  try {
+    const response = await axios.get(`/api/admin/student-imports/${importId}/report`, {
+      params: { format },
+      responseType: 'blob',
+    });
+    saveDownload(response, `student-import.${format}`);
+  } catch (error) {
+    await readBlobError(error);
+    console.error('Failed to download import report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run one bulk action over the selected students.
+ * `request` is { action: 'enroll' | 'move' | 'unenroll' | 'privilege' | 'delete',
+ * ids, classId?, fromClassId?, privilege? }.
+ * Returns { action, results: [{ id, name, ok, message }], summary: { succeeded, failed } }.
+ * idempotencyKey: optional, reuse it for retries of the same user action
+ */
+const runStudentBulkAction = async (request, idempotencyKey) => {
+  const { data } = await axios.post('/api/students/batch', request, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+  });
   return data;
 };
 
@@ -83,6 +166,12 @@ export {
   updateUser,
   getStudentsWithClasses,
   getStudentsClasses,     // deprecated
-  getStudentsForExport,
+  getStudentExportColumns,
+  exportStudents,
+  previewStudentImport,
+  startStudentImport,
+  continueStudentImport,
+  downloadStudentImportReport,
+  runStudentBulkAction,
   deleteUser,
 };
\ No newline at end of file